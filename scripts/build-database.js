@@ -1,42 +1,194 @@
 #!/usr/bin/env node
 
+// Builds everything the static site serves from one pass over the data:
+// database.json (+ .min.json), the JSONIC bundle and its gzip variant, the
+// per-run shards with their manifest, metadata.json and db-info.json.
+//
+//   node scripts/build-database.js                        reads public/data/database.json
+//   node scripts/build-database.js --db <file.db>         reads the AgentX SQLite file
+//   node scripts/build-database.js --db <file.db> --since <run_id>
+//                                                         only reads runs newer than <run_id>
+//                                                         and merges them into the last build
+
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { gzipSync } from 'zlib';
+import Database from 'better-sqlite3';
+import {
+  DATABASE_SCHEMA,
+  MAX_REPORTED_PROBLEMS,
+  prepareDatabase
+} from '../src/schema/databaseSchema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Read the source JSON data
 const sourceFile = path.join(__dirname, '../public/data/database.json');
+const minifiedFile = path.join(__dirname, '../public/data/database.min.json');
 const outputFile = path.join(__dirname, '../public/data/database.jsonic');
+const compressedFile = path.join(__dirname, '../public/data/database.jsonic.gz');
+const manifestFile = path.join(__dirname, '../public/data/manifest.json');
+const metadataFile = path.join(__dirname, '../public/data/metadata.json');
+const dbInfoFile = path.join(__dirname, '../public/db-info.json');
+const shardDir = path.join(__dirname, '../public/data/runs');
+
+let options;
+try {
+  options = parseArgs({
+    options: {
+      db: { type: 'string' },
+      since: { type: 'string' }
+    }
+  }).values;
+  if (options.since && !options.db) {
+    throw new Error('--since needs --db: it limits what is read from the SQLite file');
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// SQLite table for each collection of the export, with its schema definition
+const SQLITE_TABLES = [
+  { collection: 'benchmark_runs', definition: 'BenchmarkRun', orderBy: 'timestamp DESC' },
+  { collection: 'test_results', definition: 'TestResult', orderBy: 'timestamp DESC' },
+  { collection: 'model_performance', definition: 'ModelPerformance', orderBy: 'run_id DESC' },
+  { collection: 'performance_trends', definition: 'PerformanceTrend', orderBy: 'recorded_at DESC' }
+];
+
+/**
+ * Reads the export straight from the SQLite file. Only columns the schema
+ * knows are selected, and values are left as SQLite stores them (0/1
+ * booleans, metadata as JSON text): the export is tagged as schema
+ * version 1 and decoded by the regular migrations.
+ *
+ * With `since`, runs older than that run are not read; their rows come
+ * from the previous build instead. Timestamps are compared as points in
+ * time, since runs may be recorded with different UTC offsets. Runs from
+ * the same instant as `since` are read again, which is harmless: the
+ * merge replaces them by run id.
+ */
+function readSqlite(dbFile, since) {
+  const db = new Database(dbFile, { readonly: true, fileMustExist: true });
+  try {
+    let after = null;
+    if (since) {
+      const anchor = db.prepare('SELECT timestamp, julianday(timestamp) AS day FROM benchmark_runs WHERE run_id = ?').get(since);
+      if (!anchor) throw new Error(`--since ${since}: no such run in ${dbFile}`);
+      if (anchor.day === null) throw new Error(`--since ${since}: can't read the run's timestamp "${anchor.timestamp}"`);
+      after = anchor.day;
+    }
+    const newer = 'julianday(timestamp) >= @after AND run_id <> @since';
+
+    const data = { schema_version: 1 };
+    SQLITE_TABLES.forEach(({ collection, definition, orderBy }) => {
+      const available = db.prepare(`PRAGMA table_info(${collection})`).all().map(column => column.name);
+      if (available.length === 0) {
+        throw new Error(`${dbFile} has no ${collection} table`);
+      }
+      const known = Object.keys(DATABASE_SCHEMA.$defs[definition].properties);
+      const ignored = available.filter(column => !known.includes(column));
+      if (ignored.length > 0) {
+        console.warn(`⚠️  ${collection}: skipping columns not in the schema: ${ignored.join(', ')}`);
+      }
+
+      const columns = available.filter(column => known.includes(column)).join(', ');
+      let where = '';
+      if (after && collection === 'benchmark_runs') {
+        where = `WHERE ${newer}`;
+      } else if (after && collection !== 'performance_trends') {
+        where = `WHERE run_id IN (SELECT run_id FROM benchmark_runs WHERE ${newer})`;
+      }
+      const statement = db.prepare(`SELECT ${columns} FROM ${collection} ${where} ORDER BY ${orderBy}`);
+      data[collection] = where ? statement.all({ after, since }) : statement.all();
+    });
+    return data;
+  } finally {
+    db.close();
+  }
+}
+
+// Puts the runs read from SQLite on top of the previous build's runs
+function mergeIntoPrevious(previous, incoming, since) {
+  if (!previous.benchmark_runs.some(run => run.run_id === since)) {
+    throw new Error(`--since ${since}: the previous build doesn't contain that run, run a full build first`);
+  }
+
+  const replaced = new Set(incoming.benchmark_runs.map(run => run.run_id));
+  const kept = collection => (previous[collection] || []).filter(row => !replaced.has(row.run_id));
+  return {
+    ...previous,
+    benchmark_runs: [...incoming.benchmark_runs, ...kept('benchmark_runs')],
+    test_results: [...incoming.test_results, ...kept('test_results')],
+    model_performance: [...incoming.model_performance, ...kept('model_performance')],
+    // Trends aren't tied to a run and are always read in full
+    performance_trends: incoming.performance_trends
+  };
+}
+
+function prepare(data, source) {
+  const prepared = prepareDatabase(data, source);
+  prepared.warnings.slice(0, MAX_REPORTED_PROBLEMS).forEach(warning => console.warn(`⚠️  ${warning}`));
+  prepared.applied.forEach(migration => console.log(`Migrated ${migration}`));
+  return prepared;
+}
 
 console.log('Building optimized JSONIC database...');
 
-// Read source data
-const jsonData = JSON.parse(fs.readFileSync(sourceFile, 'utf-8'));
+// Read source data, upgraded to the current schema version. A malformed
+// export fails the build rather than rendering as NaN in the dashboard.
+let jsonData;
+// database.json is rewritten when it doesn't already hold exactly jsonData
+let sourceChanged = false;
+try {
+  if (options.db) {
+    const incoming = prepare(readSqlite(options.db, options.since), options.db).data;
+    if (options.since) {
+      const previous = prepare(JSON.parse(fs.readFileSync(sourceFile, 'utf-8')), 'public/data/database.json').data;
+      jsonData = prepare(mergeIntoPrevious(previous, incoming, options.since), 'merged database').data;
+      console.log(`Read ${incoming.benchmark_runs.length} run(s) newer than ${options.since} from ${options.db}`);
+    } else {
+      jsonData = incoming;
+      console.log(`Read ${jsonData.benchmark_runs.length} run(s) from ${options.db}`);
+    }
+    sourceChanged = true;
+  } else {
+    const prepared = prepare(JSON.parse(fs.readFileSync(sourceFile, 'utf-8')), 'public/data/database.json');
+    jsonData = prepared.data;
+    sourceChanged = prepared.applied.length > 0;
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Create optimized database structure
 const database = {
   version: '1.0.0',
-  timestamp: new Date().toISOString(),
+  // The manifest's generated_at, set once the shards are written
+  timestamp: null,
   metadata: {
     totalDocuments: 0,
     collections: {
       benchmark_runs: 0,
       model_performance: 0,
       test_results: 0,
-      performance_trends: 0
+      performance_trends: 0,
+      baselines: 0
     }
   },
   documents: []
 };
 
-// Helper to create document with metadata
+// Helper to create document with metadata. The time comes from the row,
+// so the bundle only changes when the data does.
 function createDocument(type, data, runId) {
   return {
     _type: type,
     _runId: runId,
-    _timestamp: data.timestamp || new Date().toISOString(),
+    _timestamp: data.timestamp || data.recorded_at || data.pinned_at,
     ...data
   };
 }
@@ -73,6 +225,159 @@ if (jsonData.performance_trends) {
   });
 }
 
+// Default baseline for the static build: BASELINE_RUN_ID (and optional
+// BASELINE_LABEL) override whatever database.json already carries
+const baselineRunId = process.env.BASELINE_RUN_ID;
+if (baselineRunId) {
+  const run = (jsonData.benchmark_runs || []).find(r => r.run_id === baselineRunId);
+  if (!run) {
+    console.error(`❌ BASELINE_RUN_ID "${baselineRunId}" does not match any benchmark run`);
+    process.exit(1);
+  }
+
+  // Dated by the run rather than the build, so rebuilding the same data
+  // leaves database.json and the bundle unchanged
+  const baselines = [{
+    run_id: run.run_id,
+    label: process.env.BASELINE_LABEL || run.name,
+    pinned_at: run.timestamp,
+    source: 'build'
+  }];
+
+  if (JSON.stringify(baselines) !== JSON.stringify(jsonData.baselines)) {
+    jsonData.baselines = baselines;
+    sourceChanged = true;
+  }
+  console.log(`Embedded default baseline: ${run.run_id}`);
+}
+
+// The app falls back to database.json (and the JSON API to its minified
+// copy), so both are kept at the current schema version with the baseline
+if (sourceChanged) {
+  fs.writeFileSync(sourceFile, JSON.stringify(jsonData, null, 2));
+  fs.writeFileSync(minifiedFile, JSON.stringify(jsonData));
+}
+
+if (jsonData.baselines) {
+  jsonData.baselines.forEach(baseline => {
+    database.documents.push(createDocument('baseline', baseline, baseline.run_id));
+    database.metadata.collections.baselines++;
+  });
+}
+
+// Per-run shards: the client only downloads the shards it hasn't cached yet.
+// File names carry a hash of their contents, so an unchanged run keeps its
+// file (and its HTTP cache entry) across builds.
+function contentHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+function readPreviousManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeShard(name, content) {
+  const text = JSON.stringify(content);
+  const hash = contentHash(text);
+  const file = `runs/${name.replace(/[^A-Za-z0-9_.-]/g, '_')}.${hash}.json`;
+  const target = path.join(__dirname, '../public/data', file);
+  if (fs.existsSync(target)) {
+    shardStats.unchanged++;
+  } else {
+    fs.writeFileSync(target, text);
+    shardStats.written++;
+  }
+  return { file, hash, bytes: Buffer.byteLength(text) };
+}
+
+const previousManifest = readPreviousManifest();
+const shardStats = { written: 0, unchanged: 0, removed: 0 };
+fs.mkdirSync(shardDir, { recursive: true });
+
+const runShards = (jsonData.benchmark_runs || []).map(run => {
+  const shard = {
+    run_id: run.run_id,
+    benchmark_run: run,
+    model_performance: (jsonData.model_performance || []).filter(perf => perf.run_id === run.run_id),
+    test_results: (jsonData.test_results || []).filter(test => test.run_id === run.run_id)
+  };
+  return {
+    run_id: run.run_id,
+    timestamp: run.timestamp,
+    documents: 1 + shard.model_performance.length + shard.test_results.length,
+    ...writeShard(run.run_id, shard)
+  };
+});
+
+// Trends and baselines span runs, so they ship as one shared shard
+const shared = {
+  performance_trends: jsonData.performance_trends || [],
+  baselines: jsonData.baselines || []
+};
+const sharedShard = {
+  documents: shared.performance_trends.length + shared.baselines.length,
+  ...writeShard('shared', shared)
+};
+
+// Shards no longer referenced belong to runs that changed or were removed
+const referenced = new Set([...runShards, sharedShard].map(shard => path.basename(shard.file)));
+fs.readdirSync(shardDir)
+  .filter(file => file.endsWith('.json') && !referenced.has(file))
+  .forEach(file => {
+    fs.unlinkSync(path.join(shardDir, file));
+    shardStats.removed++;
+  });
+
+const manifest = {
+  version: database.version,
+  schema_version: jsonData.schema_version,
+  hash: contentHash([...runShards, sharedShard].map(shard => shard.hash).join('|')),
+  generated_at: new Date().toISOString(),
+  runs: runShards,
+  shared: sharedShard
+};
+
+if (previousManifest?.hash === manifest.hash) {
+  // Keep the old timestamp so an unchanged build leaves the manifest untouched
+  manifest.generated_at = previousManifest.generated_at;
+}
+database.timestamp = manifest.generated_at;
+fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+
+console.log(`Shards: ${shardStats.written} written, ${shardStats.unchanged} unchanged, ${shardStats.removed} removed`);
+
+// Summaries of what was built, from the actual data
+const recordCounts = {
+  benchmark_runs: jsonData.benchmark_runs.length,
+  test_results: jsonData.test_results.length,
+  model_performance: jsonData.model_performance.length,
+  performance_trends: (jsonData.performance_trends || []).length
+};
+fs.writeFileSync(metadataFile, JSON.stringify({
+  lastUpdated: manifest.generated_at,
+  schemaVersion: jsonData.schema_version,
+  recordCounts
+}, null, 2));
+
+// Compared as points in time, since runs are recorded with different UTC
+// offsets; an unreadable timestamp never counts as the latest
+const runTime = timestamp => {
+  const time = Date.parse(timestamp);
+  return Number.isNaN(time) ? -Infinity : time;
+};
+const latestRun = jsonData.benchmark_runs
+  .map(run => run.timestamp)
+  .reduce((latest, timestamp) => (!latest || runTime(timestamp) > runTime(latest) ? timestamp : latest), null);
+fs.writeFileSync(dbInfoFile, JSON.stringify([{
+  total_runs: recordCounts.benchmark_runs,
+  latest_run: latestRun,
+  model_count: new Set(jsonData.model_performance.map(perf => `${perf.provider}/${perf.model}`)).size
+}]));
+
 // Update total count
 database.metadata.totalDocuments = database.documents.length;
 
@@ -98,42 +403,35 @@ database.documents.forEach((doc, index) => {
   }
 });
 
-// Write optimized database
-fs.writeFileSync(outputFile, JSON.stringify(database));
-
-// Also create a compressed version
-const compressedFile = path.join(__dirname, '../public/data/database.jsonic.gz');
-import { createGzip } from 'zlib';
-import { pipeline } from 'stream';
-import { promisify } from 'util';
+// The bundle and its gzip variant are compared with what's on disk rather
+// than trusted from the manifest, so a stale or missing file is always
+// rebuilt while an unchanged one keeps its modification time
+function writeIfChanged(file, content) {
+  if (fs.existsSync(file) && fs.readFileSync(file).equals(content)) return false;
+  fs.writeFileSync(file, content);
+  return true;
+}
 
-const pipe = promisify(pipeline);
+const bundle = Buffer.from(JSON.stringify(database));
+const compressed = gzipSync(bundle, { level: 9 });
+const written = [
+  writeIfChanged(outputFile, bundle) && 'database.jsonic',
+  writeIfChanged(compressedFile, compressed) && 'database.jsonic.gz'
+].filter(Boolean);
 
-async function compress() {
-  const gzip = createGzip({ level: 9 });
-  const source = fs.createReadStream(outputFile);
-  const destination = fs.createWriteStream(compressedFile);
-  
-  await pipe(source, gzip, destination);
-  
-  const stats = fs.statSync(outputFile);
-  const compressedStats = fs.statSync(compressedFile);
-  
-  console.log(`
-✅ Database built successfully!
+console.log(`
+✅ Database built successfully!${written.length > 0 ? ` Wrote ${written.join(' and ')}.` : ' database.jsonic was already up to date.'}
 
 Original JSON: ${(fs.statSync(sourceFile).size / 1024).toFixed(1)} KB
-Optimized JSONIC: ${(stats.size / 1024).toFixed(1)} KB
-Compressed: ${(compressedStats.size / 1024).toFixed(1)} KB
+Optimized JSONIC: ${(bundle.length / 1024).toFixed(1)} KB
+Compressed: ${(compressed.length / 1024).toFixed(1)} KB
 
 Documents: ${database.metadata.totalDocuments}
 - Benchmark Runs: ${database.metadata.collections.benchmark_runs}
 - Model Performance: ${database.metadata.collections.model_performance}
 - Test Results: ${database.metadata.collections.test_results}
 - Performance Trends: ${database.metadata.collections.performance_trends}
+- Baselines: ${database.metadata.collections.baselines}
 
-Compression Ratio: ${((1 - compressedStats.size / stats.size) * 100).toFixed(1)}%
+Compression Ratio: ${((1 - compressed.length / bundle.length) * 100).toFixed(1)}%
 `);
-}
-
-compress().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+// Generates the typed API client in src/services/generated/benchmarkApi.ts
+// from openapi.json. With --check nothing is written; the script fails when
+// the committed client is out of date, which `npm run build` relies on.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const specFile = path.join(__dirname, '../openapi.json');
+const outputFile = path.join(__dirname, '../src/services/generated/benchmarkApi.ts');
+const checkOnly = process.argv.includes('--check');
+
+const spec = JSON.parse(fs.readFileSync(specFile, 'utf-8'));
+
+// Follows local references such as '#/components/parameters/Limit'
+function resolveRef(node) {
+  while (node && node.$ref) {
+    node = node.$ref.slice(2).split('/').reduce((acc, key) => acc[key], spec);
+  }
+  return node;
+}
+
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+function pascalCase(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function docLines(text, indent) {
+  return text ? `${indent}// ${text.replace(/\s+/g, ' ')}\n` : '';
+}
+
+function tsType(schema, indent) {
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.type === undefined) return 'unknown';
+
+  return [].concat(schema.type).map(type => {
+    switch (type) {
+      case 'string':
+        return schema.enum ? schema.enum.map(value => `'${String(value).replace(/'/g, "\\'")}'`).join(' | ') : 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array': {
+        const item = schema.items ? tsType(schema.items, indent) : 'unknown';
+        return item.includes(' | ') ? `(${item})[]` : `${item}[]`;
+      }
+      case 'object':
+        return schema.properties ? objectType(schema, indent) : 'Record<string, unknown>';
+      default:
+        return 'unknown';
+    }
+  }).join(' | ');
+}
+
+function objectType(schema, indent) {
+  const required = new Set(schema.required || []);
+  const lines = Object.entries(schema.properties).map(([name, property]) =>
+    docLines(property.description, `${indent}  `) +
+    `${indent}  ${propertyKey(name)}${required.has(name) ? '' : '?'}: ${tsType(property, `${indent}  `)};`
+  );
+  if (schema.additionalProperties === true) {
+    lines.push(`${indent}  [field: string]: unknown;`);
+  }
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+function generateSchemas() {
+  return Object.entries(spec.components.schemas).map(([name, schema]) => {
+    const doc = schema.description ? `// ${schema.description}\n` : '';
+    if ([].concat(schema.type).includes('object') && schema.properties) {
+      return `${doc}export interface ${name} ${objectType(schema, '')}`;
+    }
+    return `${doc}export type ${name} = ${tsType(schema, '')};`;
+  }).join('\n\n');
+}
+
+function operations() {
+  const result = [];
+  Object.entries(spec.paths).forEach(([route, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      result.push({ route, method: method.toUpperCase(), operation });
+    });
+  });
+  return result;
+}
+
+function successResponse(operation) {
+  const status = Object.keys(operation.responses).find(code => /^2\d\d$/.test(code));
+  return resolveRef(operation.responses[status]);
+}
+
+function generateOperation({ route, method, operation }) {
+  const name = operation.operationId;
+  const parameters = (operation.parameters || []).map(resolveRef);
+  const pathParams = parameters.filter(p => p.in === 'path');
+  const queryParams = parameters.filter(p => p.in === 'query');
+  const queryType = `${pascalCase(name)}Query`;
+
+  const args = pathParams.map(p => `${p.name}: string`);
+  if (queryParams.length > 0) args.push(`query: ${queryType} = {}`);
+  if (operation.requestBody) {
+    args.push(`body: ${tsType(operation.requestBody.content['application/json'].schema, '    ')}`);
+  }
+
+  const response = successResponse(operation);
+  const schema = response.content['application/json'].schema;
+  // List routes describe their paging in headers
+  const paged = response.headers && response.headers['X-Total-Count'];
+  const returnType = paged ? `ApiPage<${tsType(schema.items, '    ')}>` : tsType(schema, '    ');
+
+  const url = '`' + route.replace(/\{(\w+)\}/g, (_, param) => `\${encodeURIComponent(${param})}`) + '`';
+  const requestArgs = [`'${method}'`, url, queryParams.length > 0 ? 'query' : '{}'];
+  if (operation.requestBody) requestArgs.push('body');
+
+  const body = paged
+    ? `return readPage<${tsType(schema.items, '    ')}>(await request(${requestArgs.join(', ')}));`
+    : `return (await request(${requestArgs.join(', ')})).json();`;
+
+  const queryInterface = queryParams.length > 0
+    ? `export interface ${queryType} {\n${queryParams.map(p =>
+        docLines(p.description, '  ') + `  ${propertyKey(p.name)}?: ${tsType(p.schema, '  ')};`
+      ).join('\n')}\n}`
+    : null;
+
+  const methodSource =
+    `    // ${method} ${route}: ${operation.summary}\n` +
+    `    async ${name}(${args.join(', ')}): Promise<${returnType}> {\n` +
+    `      ${body}\n` +
+    `    },`;
+
+  return { queryInterface, methodSource };
+}
+
+function generateClient() {
+  // Streaming routes are read with EventSource rather than through the client
+  const generated = operations()
+    .filter(({ operation }) => successResponse(operation).content['application/json'])
+    .map(generateOperation);
+
+  return `// This file is auto-generated from openapi.json by scripts/generate-api-client.js
+// DO NOT EDIT MANUALLY - run \`npm run generate-api-client\` after changing the spec
+
+${generateSchemas()}
+
+${generated.map(g => g.queryInterface).filter(Boolean).join('\n\n')}
+
+export interface ApiPage<T> {
+  items: T[];
+  // X-Total-Count: matching rows over all pages
+  total: number;
+  // X-Next-Cursor; null on the last page
+  nextCursor: string | null;
+}
+
+export interface BenchmarkApiOptions {
+  // Server origin, e.g. http://localhost:3001
+  baseUrl: string;
+  // Bearer token, only needed for ingestion
+  token?: string;
+  fetch?: typeof fetch;
+}
+
+export class BenchmarkApiError extends Error {
+  readonly status: number;
+  readonly details: string[];
+
+  constructor(status: number, body: ApiError | null) {
+    super(body?.error || \`Request failed with status \${status}\`);
+    this.name = 'BenchmarkApiError';
+    this.status = status;
+    this.details = body?.details || [];
+  }
+}
+
+type QueryValue = string | number | boolean | string[] | undefined;
+
+// Lists are sent comma-separated (style: form, explode: false)
+function toSearch(query: object): string {
+  const params = new URLSearchParams();
+  (Object.entries(query) as [string, QueryValue][]).forEach(([name, value]) => {
+    if (value === undefined) return;
+    params.set(name, Array.isArray(value) ? value.join(',') : String(value));
+  });
+  const search = params.toString();
+  return search ? \`?\${search}\` : '';
+}
+
+async function readPage<T>(response: Response): Promise<ApiPage<T>> {
+  const items: T[] = await response.json();
+  return {
+    items,
+    total: Number(response.headers.get('X-Total-Count') ?? items.length),
+    nextCursor: response.headers.get('X-Next-Cursor'),
+  };
+}
+
+export function createBenchmarkApi(options: BenchmarkApiOptions) {
+  const baseUrl = options.baseUrl.replace(/\\/+$/, '');
+  const fetchImpl = options.fetch || globalThis.fetch.bind(globalThis);
+
+  async function request(method: string, url: string, query: object, body?: unknown): Promise<Response> {
+    const headers: Record<string, string> = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.token) headers.Authorization = \`Bearer \${options.token}\`;
+
+    const response = await fetchImpl(\`\${baseUrl}\${url}\${toSearch(query)}\`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const error: ApiError | null = await response.json().catch(() => null);
+      throw new BenchmarkApiError(response.status, error);
+    }
+    return response;
+  }
+
+  return {
+${generated.map(g => g.methodSource).join('\n\n')}
+  };
+}
+
+export type BenchmarkApi = ReturnType<typeof createBenchmarkApi>;
+`;
+}
+
+const source = generateClient();
+
+if (checkOnly) {
+  const current = fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf-8') : '';
+  if (current !== source) {
+    console.error(`${path.relative(process.cwd(), outputFile)} is out of date with openapi.json.`);
+    console.error('Run `npm run generate-api-client` and commit the result.');
+    process.exit(1);
+  }
+  console.log('API client is up to date');
+} else {
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, source);
+  console.log(`Generated ${path.relative(process.cwd(), outputFile)} from openapi.json`);
+}
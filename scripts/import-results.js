@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+// Imports results from another evaluation tool into public/data/database.json,
+// next to the AgentX runs. Formats and field mappings are described in
+// src/import/importAdapters.js.
+//
+//   node scripts/import-results.js <file>                    format from the file name/contents
+//   node scripts/import-results.js <file> --format openai-evals
+//   node scripts/import-results.js <file> --mapping mapping.json --run-id <id> --name <name>
+//   node scripts/import-results.js <file> --out converted.json
+//                                                            write the converted runs on their own
+//   node scripts/import-results.js <file> --dry-run          convert and report, write nothing
+//
+// Run `npm run build-database` afterwards to rebuild the JSONIC bundle and
+// shards. A full rebuild from SQLite (`--db` without `--since`) replaces
+// database.json, so imports have to be repeated after one.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { IMPORT_FORMATS, convertResults } from '../src/import/importAdapters.js';
+import { prepareDatabase } from '../src/schema/databaseSchema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const sourceFile = path.join(__dirname, '../public/data/database.json');
+const minifiedFile = path.join(__dirname, '../public/data/database.min.json');
+
+function maxId(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.id ?? 0), 0);
+}
+
+try {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      mapping: { type: 'string' },
+      'run-id': { type: 'string' },
+      name: { type: 'string' },
+      out: { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    }
+  });
+  if (positionals.length !== 1) {
+    throw new Error('Usage: node scripts/import-results.js <file> [--format csv|jsonl|openai-evals] [--mapping <file.json>] [--run-id <id>] [--name <name>] [--out <file>] [--dry-run]');
+  }
+  if (options.format && !IMPORT_FORMATS.some(format => format.key === options.format)) {
+    throw new Error(`Unknown --format "${options.format}"; expected one of ${IMPORT_FORMATS.map(format => format.key).join(', ')}`);
+  }
+
+  const inputFile = positionals[0];
+  const mapping = options.mapping ? JSON.parse(fs.readFileSync(options.mapping, 'utf-8')) : {};
+  if (options['run-id'] || options.name) {
+    mapping.run = {
+      ...mapping.run,
+      ...(options['run-id'] && { run_id: options['run-id'] }),
+      ...(options.name && { name: options.name })
+    };
+  }
+
+  const merge = !options.out && !options['dry-run'];
+  const existing = merge
+    ? prepareDatabase(JSON.parse(fs.readFileSync(sourceFile, 'utf-8')), 'public/data/database.json').data
+    : null;
+  const idOffset = existing
+    ? Math.max(maxId(existing.benchmark_runs), maxId(existing.test_results), maxId(existing.model_performance))
+    : 0;
+
+  const { format, data, warnings } = convertResults(fs.readFileSync(inputFile, 'utf-8'), {
+    format: options.format,
+    fileName: path.basename(inputFile),
+    mapping,
+    idOffset
+  });
+  warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  console.log(`Converted ${data.test_results.length} result(s) from ${inputFile} (${format}):`);
+  data.benchmark_runs.forEach(run => {
+    const models = data.model_performance.filter(perf => perf.run_id === run.run_id).length;
+    console.log(`  ${run.run_id}: ${run.total_runs} result(s), ${models} model(s)`);
+  });
+
+  if (options['dry-run']) {
+    process.exit(0);
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(data, null, 2));
+    console.log(`✅ Wrote ${options.out}`);
+    process.exit(0);
+  }
+
+  const clashes = data.benchmark_runs.filter(run => existing.benchmark_runs.some(other => other.run_id === run.run_id));
+  if (clashes.length > 0) {
+    throw new Error(`Run id(s) already in database.json: ${clashes.map(run => run.run_id).join(', ')}; pass --run-id to import under another id`);
+  }
+
+  const merged = prepareDatabase({
+    ...existing,
+    benchmark_runs: [...data.benchmark_runs, ...existing.benchmark_runs],
+    model_performance: [...data.model_performance, ...existing.model_performance],
+    test_results: [...data.test_results, ...existing.test_results]
+  }, 'merged database').data;
+  fs.writeFileSync(sourceFile, JSON.stringify(merged, null, 2));
+  fs.writeFileSync(minifiedFile, JSON.stringify(merged));
+  console.log('✅ Added to public/data/database.json; run `npm run build-database` to rebuild the bundle and shards');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
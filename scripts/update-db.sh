@@ -44,24 +44,10 @@ SIZE=$(ls -lh public/benchmark.db | awk '{print $5}')
 DB_SIZE=$SIZE
 echo "Database updated: public/benchmark.db (${DB_SIZE})"
 
-# Generate metadata
-if command -v sqlite3 &> /dev/null; then
-    sqlite3 public/benchmark.db << SQL > public/db-info.json
-.mode json
-SELECT 
-  COUNT(*) as total_runs,
-  MAX(timestamp) as latest_run,
-  (SELECT COUNT(DISTINCT provider || '/' || model) FROM model_performance) as model_count
-FROM benchmark_runs;
-SQL
-    echo "Database metadata generated: public/db-info.json"
-fi
-
-# Generate metadata for HTTP VFS
-node scripts/split-db.js
-
-# Convert database to JSON for static serving
-echo "Converting database to JSON..."
-node scripts/export-db-to-json.js
+# Build database.json, the JSONIC bundle, run shards, metadata.json and
+# db-info.json straight from the SQLite file. Extra arguments are passed
+# on, e.g. `npm run update-db -- --since <run_id>`
+echo "Building static data from public/benchmark.db..."
+node scripts/build-database.js --db public/benchmark.db "$@" || exit 1
 
 echo "Ready for deployment!"
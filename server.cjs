@@ -1,7 +1,9 @@
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
+const openapi = require('./openapi.json');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -17,142 +19,577 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link']
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Ingested runs carry every test result, responses included
+app.use(express.json({ limit: process.env.INGEST_MAX_BODY || '20mb' }));
 
 // SQLite database path - adjust this to your actual database location
 const DB_PATH = path.resolve(__dirname, '../benchmark_history.db');
 
-// Open database connection
-const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READONLY, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-    console.log('Attempting to create/open database at:', DB_PATH);
-  } else {
-    console.log('Connected to the SQLite database at:', DB_PATH);
-  }
-});
+// Bearer token for the ingestion routes. Without it ingestion is disabled
+// and the database stays read-only.
+const INGEST_TOKEN = process.env.INGEST_TOKEN || '';
 
-// API Routes
+// How long a statement waits for the other connection's lock, e.g. while an
+// ingestion commits
+const BUSY_TIMEOUT_MS = 5000;
 
-// Get all benchmark runs
-app.get('/api/benchmark/runs', (req, res) => {
-  const query = `
-    SELECT * FROM benchmark_runs 
-    ORDER BY timestamp DESC 
-    LIMIT 100
-  `;
-  
-  db.all(query, [], (err, rows) => {
+function openDatabase(mode, onOpen) {
+  const connection = new sqlite3.Database(DB_PATH, mode, (err) => {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+      console.error('Error opening database:', err.message);
+      console.log('Attempting to create/open database at:', DB_PATH);
+    } else {
+      onOpen();
     }
-    res.json(rows);
   });
+  connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  return connection;
+}
+
+// Requests and the live-update poller read through their own read-only
+// connection, so they only ever see committed rows, never the inside of an
+// ingestion that may still be rolled back
+const db = openDatabase(sqlite3.OPEN_READONLY, () => {
+  console.log('Connected to the SQLite database at:', DB_PATH);
+  console.log(INGEST_TOKEN ? 'Ingestion enabled (read-write)' : 'Ingestion disabled (read-only), set INGEST_TOKEN to enable');
 });
 
-// Get model performance for a specific run or latest
-app.get('/api/benchmark/performance/:runId?', (req, res) => {
-  const { runId } = req.params;
-  
-  let query;
-  let params = [];
-  
-  if (runId && runId !== 'latest') {
-    query = `
-      SELECT * FROM model_performance 
-      WHERE run_id = ? 
-      ORDER BY provider, model
-    `;
-    params = [runId];
-  } else {
-    query = `
-      SELECT * FROM model_performance 
-      WHERE run_id = (
-        SELECT run_id FROM benchmark_runs 
-        ORDER BY timestamp DESC 
-        LIMIT 1
-      )
-      ORDER BY provider, model
-    `;
+// Ingestion writes through a second connection, opened only when enabled
+const writeDb = INGEST_TOKEN ? openDatabase(sqlite3.OPEN_READWRITE, () => {}) : null;
+
+// Promise wrappers for code that runs several statements in order
+function dbRun(sql, params = [], connection = db) {
+  return new Promise((resolve, reject) => {
+    connection.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function dbGet(sql, params = [], connection = db) {
+  return new Promise((resolve, reject) => {
+    connection.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = [], connection = db) {
+  return new Promise((resolve, reject) => {
+    connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Column definitions straight from the database, so list queries and
+// ingested rows are checked against the schema the AgentX exporter created
+// rather than a copy of it
+const schemaCache = new Map();
+
+async function getTableSchema(table) {
+  if (!schemaCache.has(table)) {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    if (columns.length === 0) {
+      throw new Error(`Table ${table} does not exist`);
+    }
+    schemaCache.set(table, columns);
   }
-  
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+  return schemaCache.get(table);
+}
+
+// List queries
+//
+// Every list route takes the same query string, mirrored client-side by
+// src/utils/listQuery.ts for the JSONIC mode:
+//   provider, model, category, prompt_id  comma-separated values, any may match
+//   success                               true | false
+//   from, to                              inclusive date range on the row timestamp
+//   sort                                  comma-separated fields, '-' prefix for descending
+//   fields                                comma-separated sparse fieldset
+//   limit, cursor                         page size and the X-Next-Cursor of the previous page
+// Responses stay plain arrays; X-Total-Count, X-Next-Cursor and a Link
+// rel="next" header describe the paging. Timestamps are compared as points in
+// time, reading those without an offset as UTC like julianday() does.
+
+const LIST_FILTERS = ['provider', 'model', 'category', 'prompt_id'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function splitList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// The cursor holds the sort values of the last row sent, tie-breaker
+// included, opaque to clients. The next page starts after that row, so rows
+// ingested while a client pages don't shift the page boundaries.
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify({ k: values })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { k } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Array.isArray(k) && k.every(v => v === null || ['number', 'string'].includes(typeof v))) return k;
+  } catch {
+    // Reported below
+  }
+  throw new QueryError('Invalid cursor');
+}
+
+// Rows that come after `values` in the order of `keys`. SQLite sorts NULL
+// first when ascending and last when descending.
+function keysetCondition(keys, values) {
+  const alternatives = [];
+  const params = [];
+  keys.forEach((key, index) => {
+    const parts = keys.slice(0, index).map(previous => `${previous.column} IS ?`);
+    const partParams = values.slice(0, index);
+    const value = values[index];
+    if (value === null) {
+      // Nothing sorts after NULL in descending order
+      if (key.descending) return;
+      parts.push(`${key.column} IS NOT NULL`);
+    } else {
+      parts.push(key.descending ? `(${key.column} < ? OR ${key.column} IS NULL)` : `${key.column} > ?`);
+      partParams.push(value);
     }
-    res.json(rows);
+    alternatives.push(`(${parts.join(' AND ')})`);
+    params.push(...partParams);
   });
-});
+  return { sql: alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : '0', params };
+}
 
-// Get test results for a specific run
-app.get('/api/benchmark/results/:runId', (req, res) => {
-  const { runId } = req.params;
-  
-  const query = `
-    SELECT * FROM test_results 
-    WHERE run_id = ? 
-    ORDER BY timestamp DESC
-    LIMIT 500
-  `;
-  
-  db.all(query, [runId], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+// Validates the query string against the columns the route returns
+// (`columns`) and the ones it can filter on (`filterColumns`)
+function parseListQuery(query, { columns, filterColumns = columns, timeColumn, defaultSort, defaultLimit = DEFAULT_PAGE_SIZE }) {
+  const where = [];
+  const params = [];
+
+  LIST_FILTERS.forEach(name => {
+    if (query[name] === undefined) return;
+    if (!filterColumns.includes(name)) {
+      throw new QueryError(`Filter "${name}" is not supported on this route`);
     }
-    res.json(rows);
+    const values = splitList(query[name]);
+    where.push(`${name} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
   });
-});
 
-// Get performance trends
-app.get('/api/benchmark/trends', (req, res) => {
-  const query = `
-    SELECT * FROM performance_trends 
-    WHERE recorded_at >= datetime('now', '-7 days')
-    ORDER BY recorded_at DESC
-    LIMIT 100
-  `;
-  
-  db.all(query, [], (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+  if (query.success !== undefined) {
+    if (!filterColumns.includes('success')) {
+      throw new QueryError('Filter "success" is not supported on this route');
+    }
+    if (!['true', 'false', '1', '0'].includes(String(query.success))) {
+      throw new QueryError('success must be true or false');
+    }
+    where.push('success = ?');
+    params.push(['true', '1'].includes(String(query.success)) ? 1 : 0);
+  }
+
+  ['from', 'to'].forEach(bound => {
+    if (query[bound] === undefined) return;
+    if (!timeColumn) {
+      throw new QueryError(`Filter "${bound}" is not supported on this route`);
+    }
+    if (Number.isNaN(Date.parse(query[bound]))) {
+      throw new QueryError(`${bound} must be a date`);
+    }
+    // julianday() normalises the exporter's timezone offsets before comparing
+    where.push(`julianday(${timeColumn}) ${bound === 'from' ? '>=' : '<='} julianday(?)`);
+    params.push(query[bound]);
+  });
+
+  const sort = splitList(query.sort || defaultSort || '').map(key => {
+    const descending = key.startsWith('-');
+    const field = descending ? key.slice(1) : key;
+    if (!columns.includes(field)) {
+      throw new QueryError(`Cannot sort by "${field}"`);
     }
-    res.json(rows);
+    // The exporter's timestamps carry different offsets, so time is sorted by value
+    return { column: field === timeColumn ? `julianday(${field})` : field, descending };
   });
+
+  const fields = query.fields ? splitList(query.fields) : null;
+  (fields || []).forEach(field => {
+    if (!columns.includes(field)) {
+      throw new QueryError(`Unknown field "${field}"`);
+    }
+  });
+
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new QueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    where,
+    params,
+    sort,
+    fields,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+// Runs the count and page queries and sends the page with its headers.
+// `source` is a table or a parenthesised subquery with `sourceParams`;
+// `tieBreaker` lists the columns that identify one of its rows.
+async function sendPage(req, res, { source, sourceParams = [], where = [], params = [], list, tieBreaker }) {
+  const conditions = [...where, ...list.where];
+  const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const allParams = [...sourceParams, ...params, ...list.params];
+
+  const { total } = await dbGet(`SELECT COUNT(*) AS total FROM ${source} ${whereSql}`, allParams);
+
+  // The tie-breaker makes the order total, so a cursor points at exactly one row
+  const keys = [
+    ...list.sort,
+    ...tieBreaker
+      .filter(column => !list.sort.some(key => key.column === column))
+      .map(column => ({ column, descending: false })),
+  ];
+  const pageConditions = [...conditions];
+  const pageParams = [...allParams];
+  if (list.cursor) {
+    if (list.cursor.length !== keys.length) {
+      throw new QueryError('Invalid cursor');
+    }
+    const after = keysetCondition(keys, list.cursor);
+    pageConditions.push(after.sql);
+    pageParams.push(...after.params);
+  }
+
+  // The sort values are selected under their own names, since the sparse
+  // fieldset may leave them out; one row more tells whether a next page exists
+  const keyColumns = keys.map((key, index) => `${key.column} AS _key${index}`);
+  const rows = await dbAll(
+    `SELECT ${[list.fields ? list.fields.join(', ') : '*', ...keyColumns].join(', ')} FROM ${source}
+     ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+     ORDER BY ${keys.map(key => `${key.column} ${key.descending ? 'DESC' : 'ASC'}`).join(', ')} LIMIT ?`,
+    [...pageParams, list.limit + 1]
+  );
+
+  const page = rows.slice(0, list.limit);
+  res.set('X-Total-Count', String(total));
+  if (rows.length > list.limit) {
+    const last = page[page.length - 1];
+    const cursor = encodeCursor(keys.map((key, index) => last[`_key${index}`]));
+    const next = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    next.searchParams.set('cursor', cursor);
+    res.set('X-Next-Cursor', cursor);
+    res.set('Link', `<${next}>; rel="next"`);
+  }
+  res.json(page.map(row => {
+    const item = { ...row };
+    keys.forEach((key, index) => delete item[`_key${index}`]);
+    return item;
+  }));
+}
+
+async function columnNames(table) {
+  return (await getTableSchema(table)).map(c => c.name);
+}
+
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+const LATEST_RUN_ID = `(SELECT run_id FROM benchmark_runs ORDER BY julianday(timestamp) DESC LIMIT 1)`;
+
+// OpenAPI
+//
+// openapi.json describes every route. Requests are checked against it
+// before the handler runs; responses are brought into the documented shape
+// (SQLite returns booleans as 0/1, JSON columns as text and absent values as
+// NULL) and checked on the way out. A mismatching response is logged, or
+// answered with a 500 when OPENAPI_STRICT_RESPONSES is set, which is how
+// tests and CI should run the server.
+
+const STRICT_RESPONSES = !!process.env.OPENAPI_STRICT_RESPONSES;
+// Longer lists of problems are cut to this many
+const MAX_REPORTED_ERRORS = 50;
+
+// src/schema holds ES modules, imported before the server starts listening
+// (see the end of this file): the JSON Schema checker the database export
+// uses as well, and the export's row check that ingestion runs
+let jsonSchema = null;
+let databaseSchema = null;
+let openapiChecker = null;
+
+// Follows local references such as '#/components/schemas/TestResult'
+function resolveRef(node) {
+  return openapiChecker.resolveRef(node);
+}
+
+function schemaTypes(schema) {
+  return jsonSchema.schemaTypes(schema);
+}
+
+// With `partial`, required properties are not enforced (sparse fieldsets
+// drop them on purpose)
+function checkSchema(value, schemaOrRef, at, problems, partial = false) {
+  openapiChecker.check(value, schemaOrRef, at, { errors: problems }, partial);
+}
+
+function normalizeToSchema(value, schemaOrRef) {
+  const schema = resolveRef(schemaOrRef);
+  const types = schemaTypes(schema);
+
+  if (types.includes('boolean') && (value === 0 || value === 1)) return value === 1;
+  if (types.includes('object') && !types.includes('string') && typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => normalizeToSchema(item, schema.items)) : value;
+  }
+  if (value && typeof value === 'object' && schema.properties) {
+    const required = new Set(schema.required || []);
+    const normalized = {};
+    Object.entries(value).forEach(([name, property]) => {
+      const propertySchema = schema.properties[name];
+      if (!propertySchema) {
+        normalized[name] = property;
+        return;
+      }
+      // An optional property that can't be null is left out instead
+      if (property === null && !required.has(name) && !schemaTypes(resolveRef(propertySchema)).includes('null')) {
+        return;
+      }
+      normalized[name] = normalizeToSchema(property, propertySchema);
+    });
+    return normalized;
+  }
+  return value;
+}
+
+// Query and path parameters arrive as strings; lists are comma-separated
+// (style: form, explode: false)
+function coerceParameter(value, schema) {
+  const types = schemaTypes(resolveRef(schema));
+  if (Array.isArray(value)) value = value.join(',');
+  if (types.includes('array')) return splitList(value);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && ['true', 'false', '1', '0'].includes(value)) {
+    return value === 'true' || value === '1';
+  }
+  return value;
+}
+
+function findOperation(operationId) {
+  for (const methods of Object.values(openapi.paths)) {
+    for (const operation of Object.values(methods)) {
+      if (operation.operationId === operationId) return operation;
+    }
+  }
+  throw new Error(`openapi.json has no operation ${operationId}`);
+}
+
+function responseSchema(operation, status) {
+  const response = resolveRef(operation.responses[String(status)] || operation.responses.default);
+  const content = response && response.content && response.content['application/json'];
+  return content ? content.schema : null;
+}
+
+// Middleware that validates the request against the operation and the
+// response on its way out
+function validateOperation(operationId) {
+  const operation = findOperation(operationId);
+
+  return (req, res, next) => {
+    const parameters = (operation.parameters || []).map(resolveRef);
+    const problems = [];
+
+    parameters.forEach(parameter => {
+      const raw = (parameter.in === 'path' ? req.params : req.query)[parameter.name];
+      if (raw === undefined) {
+        if (parameter.required) problems.push(`${parameter.in}.${parameter.name}: is required`);
+        return;
+      }
+      checkSchema(coerceParameter(raw, parameter.schema), parameter.schema, `${parameter.in}.${parameter.name}`, problems);
+    });
+    Object.keys(req.query || {}).forEach(name => {
+      if (!parameters.some(p => p.in === 'query' && p.name === name)) {
+        problems.push(`query.${name}: unknown parameter`);
+      }
+    });
+    if (operation.requestBody) {
+      checkSchema(req.body, operation.requestBody.content['application/json'].schema, 'body', problems);
+    }
+
+    if (problems.length > 0) {
+      res.status(400).json({
+        error: 'Invalid request',
+        details: problems.slice(0, MAX_REPORTED_ERRORS),
+        total_errors: problems.length,
+      });
+      return;
+    }
+
+    const send = res.json.bind(res);
+    res.json = body => {
+      const schema = responseSchema(operation, res.statusCode);
+      if (!schema) return send(body);
+
+      const normalized = normalizeToSchema(body, schema);
+      const mismatches = [];
+      checkSchema(normalized, schema, 'response', mismatches, !!(req.query && req.query.fields));
+      if (mismatches.length > 0) {
+        console.error(`${operationId}: response ${res.statusCode} does not match openapi.json:`, mismatches.slice(0, 10));
+        if (STRICT_RESPONSES) {
+          res.status(500);
+          return send({
+            error: 'Response does not match the API specification',
+            details: mismatches.slice(0, MAX_REPORTED_ERRORS),
+            total_errors: mismatches.length,
+          });
+        }
+      }
+      return send(normalized);
+    };
+    next();
+  };
+}
+
+// API Routes
+
+// The document the validation above runs against
+app.get('/api/openapi.json', validateOperation('getOpenApiDocument'), (req, res) => {
+  res.json(openapi);
+});
+
+// Get benchmark runs
+app.get('/api/benchmark/runs', validateOperation('listRuns'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      columns: await columnNames('benchmark_runs'),
+      timeColumn: 'timestamp',
+      defaultSort: '-timestamp',
+    });
+    await sendPage(req, res, { source: 'benchmark_runs', list, tieBreaker: ['rowid'] });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Get model performance for a specific run or latest
+async function sendModelPerformance(req, res) {
+  const { runId } = req.params;
+
+  try {
+    const list = parseListQuery(req.query, {
+      columns: await columnNames('model_performance'),
+      timeColumn: 'timestamp',
+      defaultSort: 'provider,model',
+    });
+    const byRun = runId && runId !== 'latest'
+      ? { where: ['run_id = ?'], params: [runId] }
+      : { where: [`run_id = ${LATEST_RUN_ID}`], params: [] };
+    await sendPage(req, res, { source: 'model_performance', ...byRun, list, tieBreaker: ['rowid'] });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+app.get('/api/benchmark/performance', validateOperation('listLatestModelPerformance'), sendModelPerformance);
+app.get('/api/benchmark/performance/:runId', validateOperation('listModelPerformance'), sendModelPerformance);
+
+// Get test results for a specific run
+app.get('/api/benchmark/results/:runId', validateOperation('listTestResults'), async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    const list = parseListQuery(req.query, {
+      columns: await columnNames('test_results'),
+      timeColumn: 'timestamp',
+      defaultSort: '-timestamp',
+    });
+    await sendPage(req, res, {
+      source: 'test_results',
+      where: ['run_id = ?'],
+      params: [runId],
+      list,
+      tieBreaker: ['rowid'],
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
+// Selects the trends of one run. The AgentX exporter records trends without
+// a run id, at the run's time in whole UTC seconds, so without a run_id
+// column a run's trends are those recorded from its start until the next run.
+async function trendsOfRun(runId, columns) {
+  const run = runId && runId !== 'latest'
+    ? await dbGet('SELECT run_id, timestamp FROM benchmark_runs WHERE run_id = ?', [runId])
+    : await dbGet(`SELECT run_id, timestamp FROM benchmark_runs WHERE run_id = ${LATEST_RUN_ID}`);
+  if (!run) return { where: ['0'], params: [] };
+  if (columns.includes('run_id')) return { where: ['run_id = ?'], params: [run.run_id] };
+
+  const wholeSecond = "julianday(strftime('%Y-%m-%d %H:%M:%S', ?))";
+  const next = await dbGet(
+    'SELECT timestamp FROM benchmark_runs WHERE julianday(timestamp) > julianday(?) ORDER BY julianday(timestamp) LIMIT 1',
+    [run.timestamp]
+  );
+  return next
+    ? { where: [`julianday(recorded_at) >= ${wholeSecond}`, `julianday(recorded_at) < ${wholeSecond}`], params: [run.timestamp, next.timestamp] }
+    : { where: [`julianday(recorded_at) >= ${wholeSecond}`], params: [run.timestamp] };
+}
+
+// Get performance trends for a specific run or latest, largest increase first
+// like the JSONIC mode
+async function sendPerformanceTrends(req, res) {
+  try {
+    const columns = await columnNames('performance_trends');
+    const list = parseListQuery(req.query, {
+      columns,
+      timeColumn: 'recorded_at',
+      defaultSort: '-change_percentage',
+    });
+    const byRun = await trendsOfRun(req.params.runId, columns);
+    await sendPage(req, res, { source: 'performance_trends', ...byRun, list, tieBreaker: ['rowid'] });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+app.get('/api/benchmark/trends', validateOperation('listLatestPerformanceTrends'), sendPerformanceTrends);
+app.get('/api/benchmark/trends/:runId', validateOperation('listPerformanceTrends'), sendPerformanceTrends);
+
+const CATEGORY_COLUMNS = [
+  'category', 'provider', 'model', 'avg_ttft_ms', 'avg_total_time_ms', 'success_rate', 'total_tests',
+];
+
 // Get category performance
-app.get('/api/benchmark/categories/:runId?', (req, res) => {
+async function sendCategoryPerformance(req, res) {
   const { runId } = req.params;
-  
-  let query;
-  let params = [];
-  
-  if (runId && runId !== 'latest') {
-    query = `
-      SELECT 
-        category,
-        provider,
-        model,
-        AVG(time_to_first_token_ms) as avg_ttft_ms,
-        AVG(total_time_ms) as avg_total_time_ms,
-        SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as success_rate,
-        COUNT(*) as total_tests
-      FROM test_results
-      WHERE run_id = ?
-      GROUP BY category, provider, model
-      ORDER BY category, provider, model
-    `;
-    params = [runId];
-  } else {
-    query = `
+
+  try {
+    // Filters select test results; sort, fields and paging apply to the groups
+    const list = parseListQuery(req.query, {
+      columns: CATEGORY_COLUMNS,
+      filterColumns: await columnNames('test_results'),
+      timeColumn: 'timestamp',
+      defaultSort: 'category,provider,model',
+    });
+    const conditions = [runId && runId !== 'latest' ? 'run_id = ?' : `run_id = ${LATEST_RUN_ID}`, ...list.where];
+    const source = `(
       SELECT 
         category,
         provider,
@@ -162,27 +599,26 @@ app.get('/api/benchmark/categories/:runId?', (req, res) => {
         SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as success_rate,
         COUNT(*) as total_tests
       FROM test_results
-      WHERE run_id = (
-        SELECT run_id FROM benchmark_runs 
-        ORDER BY timestamp DESC 
-        LIMIT 1
-      )
+      WHERE ${conditions.join(' AND ')}
       GROUP BY category, provider, model
-      ORDER BY category, provider, model
-    `;
+    ) AS categories`;
+
+    await sendPage(req, res, {
+      source,
+      sourceParams: [...(runId && runId !== 'latest' ? [runId] : []), ...list.params],
+      list: { ...list, where: [], params: [] },
+      tieBreaker: ['category', 'provider', 'model'],
+    });
+  } catch (err) {
+    sendError(res, err);
   }
-  
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows);
-  });
-});
+}
+
+app.get('/api/benchmark/categories', validateOperation('listLatestCategoryPerformance'), sendCategoryPerformance);
+app.get('/api/benchmark/categories/:runId', validateOperation('listCategoryPerformance'), sendCategoryPerformance);
 
 // Get summary statistics
-app.get('/api/benchmark/stats', (req, res) => {
+app.get('/api/benchmark/stats', validateOperation('getStats'), (req, res) => {
   const queries = {
     totalRuns: `SELECT COUNT(*) as count FROM benchmark_runs`,
     totalTests: `SELECT SUM(total_runs) as count FROM benchmark_runs`,
@@ -211,21 +647,557 @@ app.get('/api/benchmark/stats', (req, res) => {
   });
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', database: DB_PATH });
+// Ingestion
+
+const INGEST_TABLES = ['benchmark_runs', 'test_results', 'model_performance'];
+
+function requireIngestToken(req, res, next) {
+  if (!INGEST_TOKEN) {
+    res.status(503).json({ error: 'Ingestion is disabled: INGEST_TOKEN is not set' });
+    return;
+  }
+
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const provided = Buffer.from(match ? match[1].trim() : '');
+  const expected = Buffer.from(INGEST_TOKEN);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    res.status(401).json({ error: 'Invalid or missing bearer token' });
+    return;
+  }
+  next();
+}
+
+function columnKind(type) {
+  const upper = (type || '').toUpperCase();
+  if (upper.includes('INT') || upper.includes('REAL') || upper.includes('FLOA') ||
+      upper.includes('DOUB') || upper.includes('NUM') || upper.includes('BOOL')) {
+    return 'number';
+  }
+  if (upper.includes('CHAR') || upper.includes('TEXT') || upper.includes('CLOB') ||
+      upper.includes('DATE') || upper.includes('TIME')) {
+    return 'string';
+  }
+  return 'any';
+}
+
+// Returns the row ready for insertion (booleans as 0/1, objects as JSON) and
+// any validation errors. Primary keys are assigned by the database.
+function validateRow(row, columns, label) {
+  const errors = [];
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [`${label}: expected an object`] };
+  }
+
+  const known = new Set(columns.map(c => c.name));
+  Object.keys(row).forEach(field => {
+    if (!known.has(field)) errors.push(`${label}: unknown field "${field}"`);
+  });
+
+  const values = {};
+  columns.forEach(column => {
+    if (column.pk) return;
+    let value = row[column.name];
+
+    if (value === undefined || value === null) {
+      if (column.notnull && column.dflt_value === null) {
+        errors.push(`${label}: "${column.name}" is required`);
+      }
+      return;
+    }
+
+    const kind = columnKind(column.type);
+    if (typeof value === 'boolean' && kind !== 'string') {
+      value = value ? 1 : 0;
+    } else if (typeof value === 'object' && kind !== 'number') {
+      value = JSON.stringify(value);
+    }
+
+    if (kind === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+      errors.push(`${label}: "${column.name}" must be a number`);
+      return;
+    }
+    if (kind === 'string' && typeof value !== 'string') {
+      errors.push(`${label}: "${column.name}" must be a string`);
+      return;
+    }
+    values[column.name] = value;
+  });
+
+  return { errors, values };
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((acc, v) => acc + v, 0) / values.length : 0;
+}
+
+// Like meanScore in src/utils/statistics.ts: unscored tests (0 or missing) are
+// left out, and null when none was scored
+function averageScore(values) {
+  const scored = values.map(Number).filter(v => Number.isFinite(v) && v > 0);
+  return scored.length > 0 ? average(scored) : null;
+}
+
+// Same aggregation as the AgentX exporter: timings, throughput and quality
+// are averaged over the successful tests only, scores over those that were scored
+function computeModelPerformance(runId, results) {
+  const groups = new Map();
+  results.forEach(result => {
+    const key = `${result.provider}/${result.model}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const successful = group.filter(r => r.success === true || r.success === 1);
+    const pick = field => successful.map(r => Number(r[field]) || 0);
+    const ttft = pick('time_to_first_token_ms');
+    const tokens = group.reduce((acc, r) => acc + (Number(r.tokens_generated) || 0), 0);
+    const cost = group.reduce((acc, r) => acc + (Number(r.estimated_cost_usd) || 0), 0);
+
+    return {
+      run_id: runId,
+      provider: group[0].provider,
+      model: group[0].model,
+      timestamp: new Date().toISOString(),
+      total_tests: group.length,
+      successful_tests: successful.length,
+      failed_tests: group.length - successful.length,
+      success_rate: (successful.length / group.length) * 100,
+      avg_ttft_ms: average(ttft),
+      min_ttft_ms: ttft.length > 0 ? ttft.reduce((min, v) => Math.min(min, v), Infinity) : 0,
+      max_ttft_ms: ttft.reduce((max, v) => Math.max(max, v), 0),
+      avg_total_time_ms: average(pick('total_time_ms')),
+      avg_tokens_per_second: average(pick('tokens_per_second')),
+      total_tokens_generated: tokens,
+      avg_quality_score: averageScore(successful.map(r => r.quality_score)) ?? 0,
+      avg_accuracy_score: averageScore(successful.map(r => r.accuracy_score)),
+      avg_relevance_score: averageScore(successful.map(r => r.relevance_score)),
+      avg_completeness_score: averageScore(successful.map(r => r.completeness_score)),
+      avg_coherence_score: averageScore(successful.map(r => r.coherence_score)),
+      total_cost_usd: cost,
+      avg_cost_per_test: cost / group.length,
+      cost_per_1k_tokens: tokens > 0 ? (cost / tokens) * 1000 : 0,
+    };
+  });
+}
+
+// Statements of an ingestion, which run on the write connection
+const write = {
+  run: (sql, params) => dbRun(sql, params, writeDb),
+  get: (sql, params) => dbGet(sql, params, writeDb),
+  all: (sql, params) => dbAll(sql, params, writeDb),
+};
+
+async function insertRow(table, values) {
+  const columns = Object.keys(values);
+  const placeholders = columns.map(() => '?').join(', ');
+  await write.run(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`,
+    columns.map(c => values[c])
+  );
+}
+
+// The rows are exported to public/data/database.json later, so they are also
+// checked against its schema (src/schema/databaseSchema.js); fields it
+// doesn't know are the table check's business
+function checkExportRows(runRow, results) {
+  return [
+    ...databaseSchema.checkRow('benchmark_runs', runRow, 'run'),
+    ...results.flatMap((row, index) => databaseSchema.checkRow('test_results', row, `test_results[${index}]`)),
+  ];
+}
+
+function rejectPayload(res, errors) {
+  res.status(400).json({
+    error: 'Invalid payload',
+    details: errors.slice(0, MAX_REPORTED_ERRORS),
+    total_errors: errors.length,
+  });
+}
+
+// Validation errors found once the write has started; the transaction is
+// rolled back and the request answered like any other invalid payload
+class PayloadError extends Error {
+  constructor(errors) {
+    super('Invalid payload');
+    this.errors = errors;
+  }
+}
+
+// Ingestions share the write connection, so they are queued to keep two
+// from interleaving inside the same transaction
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+// Push a complete run: { run, test_results, model_performance? }. The
+// payload's shape is checked against openapi.json, the rows against the
+// database schema.
+app.post('/api/benchmark/runs', requireIngestToken, validateOperation('ingestRun'), async (req, res) => {
+  const { run, test_results: testResults, model_performance: modelPerformance } = req.body;
+
+  try {
+    const [runColumns, resultColumns, performanceColumns] = await Promise.all(INGEST_TABLES.map(getTableSchema));
+    const errors = [];
+
+    // Results may omit run_id; a different one is a mistake in the payload
+    const results = testResults.map((result, index) => {
+      if (result.run_id !== undefined && result.run_id !== run.run_id) {
+        errors.push(`test_results[${index}]: run_id does not match run.run_id`);
+      }
+      return { ...result, run_id: run.run_id };
+    });
+
+    const successful = results.filter(r => (r.success === true || r.success === 1)).length;
+    const runRow = {
+      name: run.run_id,
+      timestamp: new Date().toISOString(),
+      iterations: results.reduce((max, r) => Math.max(max, Number(r.iteration) || 1), 1),
+      total_runs: results.length,
+      successful_runs: successful,
+      failed_runs: results.length - successful,
+      ...run,
+    };
+
+    const validatedRun = validateRow(runRow, runColumns, 'run');
+    const validatedResults = results.map((row, index) => validateRow(row, resultColumns, `test_results[${index}]`));
+    [validatedRun, ...validatedResults].forEach(v => errors.push(...v.errors));
+    errors.push(...checkExportRows(runRow, results));
+    if (errors.length > 0) {
+      rejectPayload(res, errors);
+      return;
+    }
+
+    const computedPerformance = !modelPerformance || modelPerformance.length === 0;
+    let performanceRows;
+    if (computedPerformance) {
+      // Only keep the aggregates this database has columns for
+      const available = new Set(performanceColumns.map(c => c.name));
+      performanceRows = computeModelPerformance(run.run_id, results).map(row =>
+        Object.fromEntries(Object.entries(row).filter(([field]) => available.has(field)))
+      );
+    } else {
+      performanceRows = modelPerformance.map((row, index) => {
+        if (row.run_id !== undefined && row.run_id !== run.run_id) {
+          errors.push(`model_performance[${index}]: run_id does not match run.run_id`);
+        }
+        return { ...row, run_id: run.run_id };
+      });
+      performanceRows.forEach((row, index) => {
+        errors.push(...databaseSchema.checkRow('model_performance', row, `model_performance[${index}]`));
+      });
+    }
+
+    const validatedPerformance = performanceRows.map((row, index) =>
+      validateRow(row, performanceColumns, `model_performance[${index}]`)
+    );
+    validatedPerformance.forEach(v => errors.push(...v.errors));
+    if (errors.length > 0) {
+      rejectPayload(res, errors);
+      return;
+    }
+
+    await enqueueWrite(async () => {
+      const existing = await write.get('SELECT run_id FROM benchmark_runs WHERE run_id = ?', [run.run_id]);
+      if (existing) {
+        const conflict = new Error(`Run ${run.run_id} already exists`);
+        conflict.status = 409;
+        throw conflict;
+      }
+
+      await write.run('BEGIN IMMEDIATE');
+      try {
+        await insertRow('benchmark_runs', validatedRun.values);
+        for (const { values } of validatedResults) {
+          await insertRow('test_results', values);
+        }
+        for (const { values } of validatedPerformance) {
+          await insertRow('model_performance', values);
+        }
+        await write.run('COMMIT');
+      } catch (err) {
+        await write.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    });
+
+    console.log(`Ingested run ${run.run_id}: ${validatedResults.length} results, ${validatedPerformance.length} model rows`);
+    // Tell subscribers now rather than at the next poll
+    if (pollTimer) checkForChanges();
+    res.status(201).json({
+      run_id: run.run_id,
+      test_results: validatedResults.length,
+      model_performance: validatedPerformance.length,
+      computed_model_performance: computedPerformance,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// Start server on all interfaces
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`API Server running on http://0.0.0.0:${PORT}`);
-  console.log(`Available at: http://localhost:${PORT} and http://<your-ip>:${PORT}`);
-  console.log(`Database: ${DB_PATH}`);
+// Append results to a run that is still executing: { run?, test_results?, complete? }.
+// The first batch creates the run row from `run`; after every batch its
+// counts are recomputed from the stored results, so total_runs grows with
+// the run. `complete: true` aggregates model_performance, which marks the
+// run finished; later batches are rejected.
+app.post('/api/benchmark/runs/:runId/results', requireIngestToken, validateOperation('appendTestResults'), async (req, res) => {
+  const { runId } = req.params;
+  const { run = {}, test_results: testResults = [], complete = false } = req.body;
+
+  if (testResults.length === 0 && !complete) {
+    rejectPayload(res, ['test_results: nothing to append']);
+    return;
+  }
+
+  try {
+    const [runColumns, resultColumns, performanceColumns] = await Promise.all(INGEST_TABLES.map(getTableSchema));
+    const errors = [];
+    if (run.run_id !== undefined && run.run_id !== runId) {
+      errors.push('run: run_id does not match the URL');
+    }
+
+    const results = testResults.map((result, index) => {
+      if (result.run_id !== undefined && result.run_id !== runId) {
+        errors.push(`test_results[${index}]: run_id does not match the URL`);
+      }
+      return { ...result, run_id: runId };
+    });
+
+    // Only used when this batch creates the run
+    const runRow = {
+      name: runId,
+      timestamp: new Date().toISOString(),
+      iterations: 1,
+      total_runs: 0,
+      successful_runs: 0,
+      failed_runs: 0,
+      ...run,
+      run_id: runId,
+    };
+    const validatedRun = validateRow(runRow, runColumns, 'run');
+    const validatedResults = results.map((row, index) => validateRow(row, resultColumns, `test_results[${index}]`));
+    [validatedRun, ...validatedResults].forEach(v => errors.push(...v.errors));
+    errors.push(...checkExportRows(runRow, results));
+    if (errors.length > 0) {
+      rejectPayload(res, errors);
+      return;
+    }
+
+    const summary = await enqueueWrite(async () => {
+      const existing = await write.get('SELECT run_id FROM benchmark_runs WHERE run_id = ?', [runId]);
+      if (existing) {
+        const { count } = await write.get('SELECT COUNT(*) AS count FROM model_performance WHERE run_id = ?', [runId]);
+        if (count > 0) {
+          const conflict = new Error(`Run ${runId} is already complete`);
+          conflict.status = 409;
+          throw conflict;
+        }
+      }
+
+      await write.run('BEGIN IMMEDIATE');
+      try {
+        if (!existing) {
+          await insertRow('benchmark_runs', validatedRun.values);
+        }
+        for (const { values } of validatedResults) {
+          await insertRow('test_results', values);
+        }
+
+        const counts = {
+          total_runs: '(SELECT COUNT(*) FROM test_results WHERE run_id = ?)',
+          successful_runs: '(SELECT COUNT(*) FROM test_results WHERE run_id = ? AND success = 1)',
+          failed_runs: '(SELECT COUNT(*) FROM test_results WHERE run_id = ? AND success = 0)',
+          iterations: 'COALESCE((SELECT MAX(iteration) FROM test_results WHERE run_id = ?), iterations)',
+        };
+        const available = new Set(runColumns.map(c => c.name));
+        const updates = Object.entries(counts).filter(([column]) => available.has(column));
+        if (updates.length > 0) {
+          await write.run(
+            `UPDATE benchmark_runs SET ${updates.map(([column, sql]) => `${column} = ${sql}`).join(', ')} WHERE run_id = ?`,
+            [...updates.map(() => runId), runId]
+          );
+        }
+
+        let performanceRows = [];
+        if (complete) {
+          const stored = await write.all('SELECT * FROM test_results WHERE run_id = ?', [runId]);
+          if (stored.length === 0) {
+            throw new PayloadError([`complete: run ${runId} has no test results to aggregate`]);
+          }
+          const performanceAvailable = new Set(performanceColumns.map(c => c.name));
+          const validatedPerformance = computeModelPerformance(runId, stored).map((row, index) =>
+            validateRow(
+              Object.fromEntries(Object.entries(row).filter(([field]) => performanceAvailable.has(field))),
+              performanceColumns,
+              `model_performance[${index}]`
+            )
+          );
+          const performanceErrors = validatedPerformance.flatMap(v => v.errors);
+          if (performanceErrors.length > 0) {
+            throw new PayloadError(performanceErrors);
+          }
+          performanceRows = validatedPerformance.map(v => v.values);
+          for (const values of performanceRows) {
+            await insertRow('model_performance', values);
+          }
+        }
+
+        await write.run('COMMIT');
+        const { total } = await write.get('SELECT COUNT(*) AS total FROM test_results WHERE run_id = ?', [runId]);
+        return { total, modelPerformance: performanceRows.length };
+      } catch (err) {
+        await write.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    });
+
+    console.log(`Appended ${validatedResults.length} results to run ${runId}${complete ? ' (complete)' : ''}`);
+    if (pollTimer) checkForChanges();
+    res.status(201).json({
+      run_id: runId,
+      test_results: validatedResults.length,
+      total_results: summary.total,
+      complete,
+      model_performance: summary.modelPerformance,
+    });
+  } catch (err) {
+    if (err instanceof PayloadError) {
+      rejectPayload(res, err.errors);
+      return;
+    }
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Live updates
+//
+// GET /api/events is a server-sent event stream. The AgentX exporter writes
+// to the database directly, so changes are found by polling for rows with a
+// rowid above the last one seen rather than by hooking ingestion alone.
+// Polling only runs while a client is connected. Each event carries the
+// run and the number of new rows: `run`, `test_results` and
+// `model_performance` per run, `trends` without one.
+
+const EVENTS_POLL_MS = Number(process.env.EVENTS_POLL_MS) || 2000;
+const HEARTBEAT_MS = 25000;
+const WATCHED_TABLES = {
+  benchmark_runs: 'run',
+  test_results: 'test_results',
+  model_performance: 'model_performance',
+  performance_trends: 'trends',
+};
+
+const eventClients = new Set();
+let lastEventId = 0;
+let lastRowIds = null;
+let pollTimer = null;
+let checking = false;
+
+function broadcast(event, data) {
+  lastEventId++;
+  const message = `id: ${lastEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach(res => res.write(message));
+}
+
+async function maxRowIds() {
+  const ids = {};
+  for (const table of Object.keys(WATCHED_TABLES)) {
+    // Older databases have no performance_trends table
+    const row = await dbGet(`SELECT MAX(rowid) AS max FROM ${table}`).catch(() => null);
+    ids[table] = (row && row.max) || 0;
+  }
+  return ids;
+}
+
+async function checkForChanges() {
+  if (checking) return;
+  checking = true;
+  try {
+    const current = await maxRowIds();
+    if (lastRowIds) {
+      for (const [table, event] of Object.entries(WATCHED_TABLES)) {
+        if (current[table] <= lastRowIds[table]) continue;
+        const range = [lastRowIds[table], current[table]];
+        if (table === 'performance_trends') {
+          const { count } = await dbGet(`SELECT COUNT(*) AS count FROM ${table} WHERE rowid > ? AND rowid <= ?`, range);
+          broadcast(event, { count });
+        } else {
+          const rows = await dbAll(
+            `SELECT run_id, COUNT(*) AS count FROM ${table} WHERE rowid > ? AND rowid <= ? GROUP BY run_id`,
+            range
+          );
+          rows.forEach(row => broadcast(event, { run_id: row.run_id, count: row.count }));
+        }
+      }
+    }
+    lastRowIds = current;
+  } catch (err) {
+    console.error('Error checking for new rows:', err.message);
+  } finally {
+    checking = false;
+  }
+}
+
+app.get('/api/events', validateOperation('streamEvents'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  eventClients.add(res);
+  if (!pollTimer) {
+    // The first check only records where the tables stand
+    checkForChanges();
+    pollTimer = setInterval(checkForChanges, EVENTS_POLL_MS);
+  }
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+    if (eventClients.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+      lastRowIds = null;
+    }
+  });
+});
+
+// Health check
+app.get('/api/health', validateOperation('getHealth'), (req, res) => {
+  res.json({ status: 'ok', database: DB_PATH, ingestion: !!INGEST_TOKEN });
 });
 
+// Start server on all interfaces once the schemas are loaded
+Promise.all([import('./src/schema/jsonSchema.js'), import('./src/schema/databaseSchema.js')])
+  .then(([jsonSchemaModule, databaseSchemaModule]) => {
+    jsonSchema = jsonSchemaModule;
+    databaseSchema = databaseSchemaModule;
+    openapiChecker = jsonSchema.createSchemaChecker(openapi);
+
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`API Server running on http://0.0.0.0:${PORT}`);
+      console.log(`Available at: http://localhost:${PORT} and http://<your-ip>:${PORT}`);
+      console.log(`Database: ${DB_PATH}`);
+    });
+  })
+  .catch(err => {
+    console.error('Could not load the schemas:', err);
+    process.exit(1);
+  });
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down gracefully...');
+  if (writeDb) writeDb.close();
   db.close((err) => {
     if (err) {
       console.error(err.message);
@@ -4,6 +4,16 @@ import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools';
 import Dashboard from './Dashboard';
 import JsonicBenchmark from './JsonicBenchmark';
+import RunComparison from './RunComparison';
+import ResponseInspector from './ResponseInspector';
+import PromptCatalog from './PromptCatalog';
+import CostAnalytics from './CostAnalytics';
+import LiveRun from './LiveRun';
+import RunAggregation from './RunAggregation';
+import Leaderboard from './Leaderboard';
+import PricingTable from './PricingTable';
+import FailureAnalysis from './FailureAnalysis';
+import ResultImport from './ResultImport';
 import LoadingOverlay from './LoadingOverlay';
 import { setMigrationProgressCallback } from '../services/api-jsonic';
 import { performSimpleMigration } from '../services/simpleMigration';
@@ -130,6 +140,18 @@ export default function AppRouter() {
         
         <Routes>
           <Route path="/" element={isReady ? <Dashboard /> : null} />
+          <Route path="/runs/:runId" element={isReady ? <Dashboard /> : null} />
+          <Route path="/compare" element={isReady ? <RunComparison /> : null} />
+          <Route path="/inspect" element={isReady ? <ResponseInspector /> : null} />
+          <Route path="/prompts" element={isReady ? <PromptCatalog /> : null} />
+          <Route path="/costs" element={isReady ? <CostAnalytics /> : null} />
+          <Route path="/pricing" element={isReady ? <PricingTable /> : null} />
+          <Route path="/aggregate" element={isReady ? <RunAggregation /> : null} />
+          <Route path="/leaderboard" element={isReady ? <Leaderboard /> : null} />
+          <Route path="/failures" element={isReady ? <FailureAnalysis /> : null} />
+          <Route path="/import" element={isReady ? <ResultImport /> : null} />
+          <Route path="/live" element={isReady ? <LiveRun /> : null} />
+          <Route path="/live/:runId" element={isReady ? <LiveRun /> : null} />
           <Route path="/jsonic-bench" element={<JsonicBenchmark />} />
         </Routes>
         
@@ -0,0 +1,53 @@
+import { cn } from '../lib/utils';
+import {
+  COMPARISON_METRICS,
+  computeDelta,
+  formatDeltaLabel,
+  formatMetricValue,
+  type ComparisonMetricKey,
+  type MetricDelta,
+} from '../utils/runComparison';
+
+const DELTA_TEXT_CLASSES: Record<MetricDelta['status'], string> = {
+  improved: 'text-success-600',
+  regressed: 'text-error-600',
+  unchanged: 'text-gray-500 dark:text-gray-400',
+  missing: 'text-gray-400',
+};
+
+interface BaselineDeltaProps {
+  metric: ComparisonMetricKey;
+  value: number | null | undefined;
+  baseline: number | null | undefined;
+  suffix?: string;
+  className?: string;
+}
+
+// Compact "+4.2% vs baseline" label, colored by whether the change is an improvement
+export default function BaselineDelta({
+  metric,
+  value,
+  baseline,
+  suffix = 'vs baseline',
+  className,
+}: BaselineDeltaProps) {
+  const definition = COMPARISON_METRICS.find(m => m.key === metric)!;
+  const delta = computeDelta(definition, baseline ?? null, value ?? null);
+
+  if (delta.status === 'missing') {
+    return (
+      <span className={cn('text-xs', DELTA_TEXT_CLASSES.missing, className)}>
+        not in baseline
+      </span>
+    );
+  }
+
+  return (
+    <span
+      className={cn('text-xs font-medium', DELTA_TEXT_CLASSES[delta.status], className)}
+      title={`Baseline: ${formatMetricValue(definition, baseline ?? null)}`}
+    >
+      {formatDeltaLabel(definition, delta)} {suffix}
+    </span>
+  );
+}
@@ -1,12 +1,30 @@
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
 import type { CategoryPerformance } from '../types/benchmark';
 import { formatDuration, formatPercentage } from '../lib/utils';
+import { round, type ExportColumn, type ExportContext } from '../utils/tableExport';
+import BaselineDelta from './BaselineDelta';
+import ExportMenu from './ExportMenu';
 
 interface CategoryBreakdownProps {
   categories: CategoryPerformance[];
+  // Category performance of the pinned baseline run
+  baseline?: CategoryPerformance[];
+  // Run and filters named in exported files
+  exportContext?: ExportContext;
 }
 
-export default function CategoryBreakdown({ categories }: CategoryBreakdownProps) {
+// Per category and model, as the category performance is stored
+const EXPORT_COLUMNS: ExportColumn<CategoryPerformance>[] = [
+  { key: 'category', header: 'Category', value: c => c.category },
+  { key: 'provider', header: 'Provider', value: c => c.provider },
+  { key: 'model', header: 'Model', value: c => c.model },
+  { key: 'total_tests', header: 'Tests', value: c => c.total_tests },
+  { key: 'success_rate', header: 'Success Rate (%)', value: c => round(c.success_rate, 1) },
+  { key: 'avg_ttft_ms', header: 'Avg TTFT (ms)', value: c => round(c.avg_ttft_ms, 0) },
+  { key: 'avg_total_time_ms', header: 'Avg Total Time (ms)', value: c => round(c.avg_total_time_ms, 0) },
+];
+
+function aggregateCategories(categories: CategoryPerformance[]) {
   // Group by category and calculate averages
   const categoryData = categories.reduce((acc, cat) => {
     if (!acc[cat.category]) {
@@ -27,12 +45,19 @@ export default function CategoryBreakdown({ categories }: CategoryBreakdownProps
     return acc;
   }, {} as Record<string, any>);
 
-  const data = Object.values(categoryData).map((cat: any) => ({
+  return Object.values(categoryData).map((cat: any) => ({
     name: cat.category.charAt(0).toUpperCase() + cat.category.slice(1),
     value: cat.totalTests,
     avgTTFT: cat.avgTTFT / cat.count,
     successRate: cat.avgSuccessRate / cat.count,
   }));
+}
+
+export default function CategoryBreakdown({ categories, baseline, exportContext }: CategoryBreakdownProps) {
+  const data = aggregateCategories(categories);
+  const baselineByName = new Map(
+    aggregateCategories(baseline || []).map(cat => [cat.name, cat])
+  );
 
   const COLORS = [
     '#3b82f6', // blue
@@ -60,9 +85,20 @@ export default function CategoryBreakdown({ categories }: CategoryBreakdownProps
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
-      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-        Performance by Category
-      </h3>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Performance by Category
+        </h3>
+        <ExportMenu
+          table={{
+            view: 'category-performance',
+            title: 'Performance by Category',
+            rows: [...categories].sort((a, b) => a.category.localeCompare(b.category) || b.success_rate - a.success_rate),
+            columns: EXPORT_COLUMNS,
+            ...exportContext,
+          }}
+        />
+      </div>
       
       <ResponsiveContainer width="100%" height={300}>
         <PieChart>
@@ -94,9 +130,26 @@ export default function CategoryBreakdown({ categories }: CategoryBreakdownProps
               />
               <span className="text-gray-700 dark:text-gray-300">{cat.name}</span>
             </div>
-            <div className="text-gray-500 dark:text-gray-400">
+            <div className="text-gray-500 dark:text-gray-400 text-right">
               <span className="font-medium">{cat.value}</span> tests • 
               <span className="ml-1">{formatPercentage(cat.successRate)}</span>
+              {baseline && (
+                <div className="flex justify-end gap-2">
+                  <BaselineDelta
+                    metric="success_rate"
+                    value={cat.successRate}
+                    baseline={baselineByName.get(cat.name)?.successRate}
+                  />
+                  {baselineByName.has(cat.name) && (
+                    <BaselineDelta
+                      metric="ttft"
+                      value={cat.avgTTFT}
+                      baseline={baselineByName.get(cat.name)?.avgTTFT}
+                      suffix="TTFT"
+                    />
+                  )}
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -0,0 +1,486 @@
+import { useMemo, useState, type ReactNode } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  ScatterChart,
+  Scatter,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  ZAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { ArrowLeft, Calculator, CheckCircle, DollarSign, Star, Tags, TrendingUp } from 'lucide-react';
+import { format } from 'date-fns';
+import { fetchAllTestResults, fetchBenchmarkRuns, fetchModelPerformanceHistory, fetchPriceList } from '../services/api';
+import { cn, formatDuration } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import {
+  buildCumulativeSpend,
+  formatUsd,
+  parseMix,
+  projectMonthlySpend,
+  serializeMix,
+  summarizeModelCosts,
+  type ModelCostSummary,
+} from '../utils/costAnalytics';
+import { COST_MODES, repricePerformance, repriceResults, type CostMode } from '../utils/pricing';
+
+const PROVIDER_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6'];
+const DEFAULT_MONTHLY_REQUESTS = 100000;
+
+const TOOLTIP_STYLE = {
+  backgroundColor: 'rgba(31, 41, 55, 0.95)',
+  border: '1px solid rgba(75, 85, 99, 0.3)',
+  borderRadius: '6px',
+};
+
+function SummaryCard({ title, value, detail, icon }: {
+  title: string;
+  value: string;
+  detail?: string;
+  icon: ReactNode;
+}) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-600 dark:text-gray-400">{title}</p>
+          <p className="mt-2 text-3xl font-semibold text-gray-900 dark:text-white">{value}</p>
+          {detail && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate">{detail}</p>}
+        </div>
+        <div className="flex-shrink-0 p-3 bg-primary-50 dark:bg-primary-900/20 rounded-lg">{icon}</div>
+      </div>
+    </div>
+  );
+}
+
+function FrontierTooltip({ active, payload }: { active?: boolean; payload?: { payload: ModelCostSummary }[] }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="rounded-md px-3 py-2 text-xs text-gray-200" style={TOOLTIP_STYLE}>
+      <div className="font-medium">{point.provider}/{modelDisplayName(point.provider, point.model)}</div>
+      <div>{formatUsd(point.costPerSuccess)} per successful test</div>
+      <div>{formatDuration(point.avgTotalTimeMs)} avg response time</div>
+      {point.onFrontier && <div className="text-success-500">On the Pareto frontier</div>}
+    </div>
+  );
+}
+
+export default function CostAnalytics() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [logScale, setLogScale] = useState(true);
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  const { data: recordedPerformance = [], isLoading: perfLoading } = useQuery({
+    queryKey: ['modelPerformanceHistory'],
+    queryFn: fetchModelPerformanceHistory,
+  });
+
+  const { data: recordedResults = [], isLoading: resultsLoading } = useQuery({
+    queryKey: ['allTestResults'],
+    queryFn: fetchAllTestResults,
+  });
+
+  const { data: prices = [] } = useQuery({
+    queryKey: ['priceList'],
+    queryFn: fetchPriceList,
+  });
+
+  // ?prices= recomputes every cost from the price list instead of using the recorded estimates
+  const costMode = (COST_MODES.find(m => m.key === searchParams.get('prices'))?.key || 'recorded') as CostMode;
+  const { results, unpriced: unpricedModels } = useMemo(
+    () => repriceResults(recordedResults, prices, costMode),
+    [recordedResults, prices, costMode]
+  );
+  const performance = useMemo(
+    () => costMode === 'recorded' ? recordedPerformance : repricePerformance(recordedPerformance, results),
+    [recordedPerformance, results, costMode]
+  );
+
+  const summaries = useMemo(() => summarizeModelCosts(performance), [performance]);
+  const spend = useMemo(() => buildCumulativeSpend(runs, performance), [runs, performance]);
+  const categories = useMemo(() => [...new Set(results.map(r => r.category))].sort(), [results]);
+
+  // Projection inputs live in the URL so an estimate can be shared
+  const monthlyRequests = Number(searchParams.get('volume')) || DEFAULT_MONTHLY_REQUESTS;
+  const storedMix = parseMix(searchParams.get('mix'));
+  const mix = Object.keys(storedMix).length > 0
+    ? storedMix
+    : Object.fromEntries(categories.map(c => [c, 1]));
+  const totalWeight = Object.values(mix).reduce((acc, w) => acc + w, 0);
+  const projection = projectMonthlySpend(results, monthlyRequests, mix);
+
+  const updateParams = (updates: Record<string, string | null>) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  };
+
+  const setWeight = (category: string, weight: number) => {
+    updateParams({ mix: serializeMix({ ...mix, [category]: weight }) || null });
+  };
+
+  const totalSpend = summaries.reduce((acc, s) => acc + s.totalCost, 0);
+  const totalSuccessful = summaries.reduce((acc, s) => acc + s.successful, 0);
+  const priced = summaries.filter(s => s.costPerTest > 0);
+  const cheapestSuccess = priced.find(s => s.costPerSuccess !== null);
+  const bestQualityValue = [...priced]
+    .filter(s => s.costPerQualityPoint !== null)
+    .sort((a, b) => a.costPerQualityPoint! - b.costPerQualityPoint!)[0];
+
+  const plotted = priced.filter(s => s.costPerSuccess !== null);
+  const frontier = plotted.filter(s => s.onFrontier).sort((a, b) => a.avgTotalTimeMs - b.avgTotalTimeMs);
+  const dominated = plotted.filter(s => !s.onFrontier);
+  const unpriced = summaries.filter(s => !plotted.includes(s));
+
+  const isLoading = runsLoading || perfLoading || resultsLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <DollarSign className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Cost Analytics</h1>
+            </div>
+            <Link
+              to="/pricing"
+              className="ml-auto flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-700"
+            >
+              <Tags className="h-4 w-4" />
+              Pricing
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading cost data...</span>
+          </div>
+        ) : (
+          <>
+            {/* Cost mode */}
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden text-sm">
+                {COST_MODES.map(mode => (
+                  <button
+                    key={mode.key}
+                    onClick={() => updateParams({ prices: mode.key === 'recorded' ? null : mode.key })}
+                    title={mode.description}
+                    className={cn(
+                      'px-3 py-1',
+                      mode.key === costMode
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                    )}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {COST_MODES.find(m => m.key === costMode)!.description}
+                {costMode !== 'recorded' && '; input tokens are estimated from the prompt length'}
+              </span>
+            </div>
+            {unpricedModels.length > 0 && (
+              <div className="rounded-lg border border-warning-500/40 bg-warning-50 dark:bg-warning-500/10 p-4 text-sm text-warning-700 dark:text-warning-500">
+                No price {costMode === 'current' ? 'in effect today' : 'in effect at run time'} for{' '}
+                {unpricedModels.join(', ')}; their recorded costs are used.{' '}
+                <Link to="/pricing" className="font-medium underline">Add prices</Link>
+              </div>
+            )}
+
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <SummaryCard
+                title="Total Spend"
+                value={formatUsd(totalSpend)}
+                detail={`${runs.length} runs`}
+                icon={<DollarSign className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title="Cost per Successful Test"
+                value={formatUsd(totalSuccessful > 0 ? totalSpend / totalSuccessful : null)}
+                detail={`${totalSuccessful} successful tests`}
+                icon={<CheckCircle className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title="Cheapest per Success"
+                value={formatUsd(cheapestSuccess?.costPerSuccess ?? null)}
+                detail={cheapestSuccess ? `${cheapestSuccess.provider}/${modelDisplayName(cheapestSuccess.provider, cheapestSuccess.model)}` : undefined}
+                icon={<TrendingUp className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title="Best Cost per Quality Point"
+                value={formatUsd(bestQualityValue?.costPerQualityPoint ?? null)}
+                detail={bestQualityValue ? `${bestQualityValue.provider}/${modelDisplayName(bestQualityValue.provider, bestQualityValue.model)}` : 'No evaluated runs'}
+                icon={<Star className="h-6 w-6 text-primary-600" />}
+              />
+            </div>
+
+            {/* Per-model costs */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Cost by Model</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">All runs, cheapest per successful test first</p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead className="bg-gray-50 dark:bg-gray-900">
+                    <tr>
+                      {['Model', 'Total Spend', 'Tests', 'Per Test', 'Per Success', 'Per 1K Tokens', 'Quality', 'Per Quality Point', 'Avg Time'].map(heading => (
+                        <th
+                          key={heading}
+                          className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap"
+                        >
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                    {summaries.map(s => (
+                      <tr key={s.key} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-medium text-gray-900 dark:text-white">
+                              {modelDisplayName(s.provider, s.model)}
+                            </span>
+                            {s.onFrontier && (
+                              <span
+                                className="px-1.5 py-0.5 rounded-full text-[10px] font-medium bg-success-50 text-success-700"
+                                title="No other model is both cheaper per successful test and faster"
+                              >
+                                Pareto
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">{s.provider}</div>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatUsd(s.totalCost)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{s.successful}/{s.tests}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatUsd(s.costPerTest)}</td>
+                        <td className="px-4 py-2 text-sm font-medium text-gray-900 dark:text-white">{formatUsd(s.costPerSuccess)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatUsd(s.costPer1kTokens)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">
+                          {s.avgQuality !== null ? `${s.avgQuality.toFixed(0)}%` : '—'}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatUsd(s.costPerQualityPoint)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatDuration(s.avgTotalTimeMs)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              {/* Pareto frontier */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Cost vs Latency</h2>
+                  <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                    <input type="checkbox" checked={logScale} onChange={(e) => setLogScale(e.target.checked)} />
+                    Log scale
+                  </label>
+                </div>
+                <ResponsiveContainer width="100%" height={320}>
+                  <ScatterChart margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+                    <XAxis
+                      type="number"
+                      dataKey="avgTotalTimeMs"
+                      name="Avg response time"
+                      tickFormatter={(value: number) => formatDuration(value)}
+                      tick={{ fill: '#9ca3af' }}
+                      className="text-xs"
+                    />
+                    <YAxis
+                      type="number"
+                      dataKey="costPerSuccess"
+                      name="Cost per successful test"
+                      scale={logScale ? 'log' : 'auto'}
+                      domain={['auto', 'auto']}
+                      allowDataOverflow={logScale}
+                      tickFormatter={(value: number) => formatUsd(value)}
+                      tick={{ fill: '#9ca3af' }}
+                      width={70}
+                    />
+                    <ZAxis range={[60, 60]} />
+                    <Tooltip content={<FrontierTooltip />} />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    <Scatter name="Pareto frontier" data={frontier} fill="#10b981" line={{ stroke: '#10b981' }} lineType="joint" />
+                    <Scatter name="Dominated" data={dominated} fill="#9ca3af" />
+                  </ScatterChart>
+                </ResponsiveContainer>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Lower-left is better. Models on the frontier aren't beaten on both cost per successful test and latency by any other model.
+                  {unpriced.length > 0 && ` Not shown (no cost or no successful test): ${unpriced.map(s => s.model).join(', ')}.`}
+                </p>
+              </div>
+
+              {/* Cumulative spend */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Cumulative Spend by Provider</h2>
+                <ResponsiveContainer width="100%" height={320}>
+                  <LineChart data={spend.points} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+                    <XAxis
+                      dataKey="timestamp"
+                      type="number"
+                      scale="time"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(value: number) => format(new Date(value), 'MMM d')}
+                      tick={{ fill: '#9ca3af' }}
+                      className="text-xs"
+                    />
+                    <YAxis tickFormatter={(value: number) => formatUsd(value)} tick={{ fill: '#9ca3af' }} width={70} />
+                    <Tooltip
+                      labelFormatter={(value, payload) =>
+                        `${payload?.[0]?.payload.run_name || ''} · ${format(new Date(Number(value)), 'MMM d, HH:mm')}`
+                      }
+                      formatter={(value) => formatUsd(Number(value))}
+                      contentStyle={TOOLTIP_STYLE}
+                      labelStyle={{ color: '#d1d5db' }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    {spend.providers.map((provider, index) => (
+                      <Line
+                        key={provider}
+                        type="stepAfter"
+                        dataKey={provider}
+                        stroke={PROVIDER_COLORS[index % PROVIDER_COLORS.length]}
+                        strokeWidth={2}
+                        dot={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            {/* Projection calculator */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-2">
+                <Calculator className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Monthly Spend Projection</h2>
+              </div>
+              <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="space-y-4">
+                  <label className="block text-sm">
+                    <span className="text-gray-700 dark:text-gray-300">Requests per month</span>
+                    <input
+                      type="number"
+                      min={0}
+                      step={1000}
+                      value={monthlyRequests}
+                      onChange={(e) => updateParams({
+                        volume: Number(e.target.value) !== DEFAULT_MONTHLY_REQUESTS ? e.target.value : null,
+                      })}
+                      className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                    />
+                  </label>
+                  <div className="text-sm text-gray-700 dark:text-gray-300">Prompt mix</div>
+                  {categories.map(category => {
+                    const weight = mix[category] || 0;
+                    return (
+                      <label key={category} className="flex items-center gap-3 text-sm">
+                        <span className="w-24 text-gray-600 dark:text-gray-400 truncate">{category}</span>
+                        <input
+                          type="range"
+                          min={0}
+                          max={10}
+                          value={weight}
+                          onChange={(e) => setWeight(category, Number(e.target.value))}
+                          className="flex-1"
+                        />
+                        <span className="w-10 text-right text-xs text-gray-500 dark:text-gray-400">
+                          {totalWeight > 0 ? `${((weight / totalWeight) * 100).toFixed(0)}%` : '—'}
+                        </span>
+                      </label>
+                    );
+                  })}
+                  <button
+                    onClick={() => updateParams({ volume: null, mix: null })}
+                    className="text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    Reset
+                  </button>
+                </div>
+
+                <div className="lg:col-span-2 overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                    <thead className="bg-gray-50 dark:bg-gray-900">
+                      <tr>
+                        {['Model', 'Per Request', 'Per Month', 'Mix Coverage'].map(heading => (
+                          <th
+                            key={heading}
+                            className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                          >
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                      {projection.map(row => (
+                        <tr key={row.key} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                          <td className="px-4 py-2 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900 dark:text-white">
+                              {modelDisplayName(row.provider, row.model)}
+                            </div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">{row.provider}</div>
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatUsd(row.costPerRequest)}</td>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-900 dark:text-white">{formatUsd(row.monthlyCost)}</td>
+                          <td
+                            className={cn('px-4 py-2 text-sm', row.coverage < 100 ? 'text-warning-600' : 'text-gray-500 dark:text-gray-400')}
+                            title={row.coverage < 100 ? 'Categories this model was never tested on are priced at its overall average' : undefined}
+                          >
+                            {row.coverage.toFixed(0)}%
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    Based on the average {costMode === 'recorded' ? 'recorded' : 'recomputed'} cost per request in each category across all runs.
+                  </p>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
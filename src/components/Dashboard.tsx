@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useState, useEffect, useMemo } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { Link } from 'react-router-dom';
 import { 
   Activity, 
@@ -9,85 +9,262 @@ import {
   ChevronDown,
   ChevronUp,
   FileText,
+  Pin,
+  PinOff,
+  Trophy,
+  Upload,
   Zap
 } from 'lucide-react';
 import { 
   fetchBenchmarkRuns, 
   fetchModelPerformance, 
+  fetchModelPerformanceHistory,
   fetchPerformanceTrends,
-  fetchCategoryPerformance
+  fetchCategoryPerformance,
+  fetchTestResults,
+  fetchBaseline,
+  pinBaseline,
+  clearBaseline
 } from '../services/api';
 import MetricCard from './MetricCard';
 import PerformanceChart from './PerformanceChart';
+import PerformanceHistoryChart from './PerformanceHistoryChart';
 import ModelComparisonTable from './ModelComparisonTable';
+import QualityBreakdown from './QualityBreakdown';
 import CategoryBreakdown from './CategoryBreakdown';
 import RecentRuns from './RecentRuns';
 import TrendIndicators from './TrendIndicators';
 import TestResultsTable from './TestResultsTable';
 import PromptSummary from './PromptSummary';
+import RunReportActions from './RunReportActions';
+import RegressionSettings from './RegressionSettings';
+import { useDashboardParams } from '../hooks/useDashboardParams';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
+import { FEATURES } from '../config/database';
+import type { BaselineRun, BenchmarkRun, ModelPerformance } from '../types/benchmark';
+import { computeModelStatistics } from '../utils/statistics';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { describeFilters } from '../utils/tableExport';
+import type { RunReportInput } from '../utils/runReport';
+
+// With live updates the event stream refreshes the data; otherwise poll
+const REFETCH_INTERVAL = FEATURES.enableRealtime ? false : 60000;
 
 export default function Dashboard() {
   useEffect(() => {
     console.log('[DASHBOARD] Component mounted');
     console.log('[DASHBOARD] Using API from:', '../services/api');
   }, []);
-  const [isTestResultsExpanded, setIsTestResultsExpanded] = useState(false);
+  const queryClient = useQueryClient();
+  const liveStatus = useLiveUpdates();
+  const { runId, filters, setParam, setParams, shareableSearch } = useDashboardParams();
+  // Open the test results straight away when the link points at expanded rows
+  const [isTestResultsExpanded, setIsTestResultsExpanded] = useState(filters.expanded.length > 0);
   const [isPromptsExpanded, setIsPromptsExpanded] = useState(true);
   const [isModelComparisonExpanded, setIsModelComparisonExpanded] = useState(true);
-  const { data: runs, isLoading: runsLoading, error: runsError } = useQuery({
+  const [isQualityExpanded, setIsQualityExpanded] = useState(false);
+  const { data: runs, isLoading: runsLoading, error: runsError } = useQuery<BenchmarkRun[]>({
     queryKey: ['benchmarkRuns'],
     queryFn: () => {
       console.log('[DASHBOARD] Fetching benchmark runs...');
       return fetchBenchmarkRuns();
     },
-    refetchInterval: 60000, // Refresh every minute
-    onSuccess: (data) => {
+    refetchInterval: REFETCH_INTERVAL,
+    onSuccess: (data: BenchmarkRun[]) => {
       console.log('[DASHBOARD] Benchmark runs loaded:', data?.length || 0, 'runs');
     },
-    onError: (error) => {
+    onError: (error: unknown) => {
       console.error('[DASHBOARD] Failed to load benchmark runs:', error);
     }
   } as any);
 
-  const { data: performance, isLoading: perfLoading, error: perfError } = useQuery({
-    queryKey: ['modelPerformance'],
+  // The run comes from the route; without one the newest run is shown
+  const selectedRunIndex = runId && runs ? runs.findIndex(r => r.run_id === runId) : 0;
+  const latestRun = selectedRunIndex >= 0 ? runs?.[selectedRunIndex] : undefined;
+  const previousRun = selectedRunIndex >= 0 ? runs?.[selectedRunIndex + 1] : undefined;
+  const selectedRunId = latestRun?.run_id;
+
+  const { data: baseline } = useQuery<BaselineRun | null>({
+    queryKey: ['baseline'],
+    queryFn: fetchBaseline,
+  });
+  const baselineRun = baseline ? runs?.find(r => r.run_id === baseline.run_id) : undefined;
+  // Deltas go against the pinned baseline unless the URL asks for the previous run
+  const compareToBaseline = !!baselineRun &&
+    filters.compareTo !== 'previous' &&
+    baselineRun.run_id !== selectedRunId;
+  const baselineRunId = compareToBaseline ? baselineRun.run_id : undefined;
+
+  const baselineMutation = useMutation({
+    mutationFn: async (run: BenchmarkRun | null) => {
+      if (run) {
+        await pinBaseline(run.run_id, run.name);
+      } else {
+        await clearBaseline();
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['baseline'] });
+    },
+  });
+
+  const { data: allPerformance, isLoading: perfLoading, error: perfError } = useQuery<ModelPerformance[]>({
+    queryKey: ['modelPerformance', selectedRunId],
     queryFn: () => {
       console.log('[DASHBOARD] Fetching model performance...');
-      return fetchModelPerformance();
+      return fetchModelPerformance(selectedRunId);
     },
-    refetchInterval: 60000,
-    onSuccess: (data) => {
+    enabled: !!selectedRunId,
+    refetchInterval: REFETCH_INTERVAL,
+    onSuccess: (data: ModelPerformance[]) => {
       console.log('[DASHBOARD] Model performance loaded:', data?.length || 0, 'records');
     },
-    onError: (error) => {
+    onError: (error: unknown) => {
       console.error('[DASHBOARD] Failed to load model performance:', error);
     }
   } as any);
 
   const { data: trends, isLoading: trendsLoading } = useQuery({
-    queryKey: ['performanceTrends'],
-    queryFn: fetchPerformanceTrends,
-    refetchInterval: 60000,
+    queryKey: ['performanceTrends', selectedRunId],
+    queryFn: () => fetchPerformanceTrends(selectedRunId),
+    enabled: !!selectedRunId,
+    refetchInterval: REFETCH_INTERVAL,
+  });
+
+  const { data: allCategories } = useQuery({
+    queryKey: ['categoryPerformance', selectedRunId],
+    queryFn: () => fetchCategoryPerformance(selectedRunId),
+    enabled: !!selectedRunId,
+    refetchInterval: REFETCH_INTERVAL,
   });
 
-  const { data: categories } = useQuery({
-    queryKey: ['categoryPerformance'],
-    queryFn: () => fetchCategoryPerformance(),
-    refetchInterval: 60000,
+  const { data: allBaselinePerformance } = useQuery<ModelPerformance[]>({
+    queryKey: ['modelPerformance', baselineRunId],
+    queryFn: () => fetchModelPerformance(baselineRunId),
+    enabled: !!baselineRunId,
   });
 
-  const latestRun = runs?.[0];
+  const { data: allBaselineCategories } = useQuery({
+    queryKey: ['categoryPerformance', baselineRunId],
+    queryFn: () => fetchCategoryPerformance(baselineRunId),
+    enabled: !!baselineRunId,
+  });
+
+  // The run report compares with the previous run when no baseline is in use
+  const previousRunId = !compareToBaseline ? previousRun?.run_id : undefined;
+  const { data: allPreviousPerformance } = useQuery<ModelPerformance[]>({
+    queryKey: ['modelPerformance', previousRunId],
+    queryFn: () => fetchModelPerformance(previousRunId),
+    enabled: !!previousRunId,
+  });
+
+  const { data: performanceHistory } = useQuery<ModelPerformance[]>({
+    queryKey: ['modelPerformanceHistory'],
+    queryFn: fetchModelPerformanceHistory,
+    refetchInterval: REFETCH_INTERVAL,
+  });
+
+  // Raw results feed the percentiles and confidence intervals
+  const { data: testResults, error: resultsError } = useQuery({
+    queryKey: ['testResults', selectedRunId],
+    queryFn: () => fetchTestResults(selectedRunId!),
+    enabled: !!selectedRunId,
+  });
+  const statistics = useMemo(
+    () => (testResults ? computeModelStatistics(testResults) : undefined),
+    [testResults]
+  );
+
+  const matchesModelFilter = (item: { provider: string; model: string }) =>
+    (!filters.provider || item.provider === filters.provider) &&
+    (!filters.model || item.model === filters.model);
+
+  const performance = allPerformance?.filter(matchesModelFilter);
+  const filteredResults = testResults?.filter(r =>
+    matchesModelFilter(r) && (!filters.category || r.category === filters.category)
+  );
+  const categories = allCategories?.filter(c =>
+    matchesModelFilter(c) && (!filters.category || c.category === filters.category)
+  );
+  const baselinePerformance = baselineRunId
+    ? allBaselinePerformance?.filter(matchesModelFilter)
+    : undefined;
+  const baselineCategories = baselineRunId
+    ? allBaselineCategories?.filter(c =>
+      matchesModelFilter(c) && (!filters.category || c.category === filters.category)
+    )
+    : undefined;
+  // Exported views name the run and the filters they were taken with
+  const exportContext = {
+    runId: selectedRunId,
+    filters: { provider: filters.provider, model: filters.model, category: filters.category },
+  };
+  const providers = [...new Set((allPerformance || []).map(p => p.provider))].sort();
+  const models = [...new Set((allPerformance || [])
+    .filter(p => !filters.provider || p.provider === filters.provider)
+    .map(p => p.model))].sort();
+  const categoryNames = [...new Set((allCategories || []).map(c => c.category))].sort();
+
   const totalTests = latestRun?.total_runs || 0;
   const successRate = latestRun 
     ? (latestRun.successful_runs / latestRun.total_runs) * 100 
     : 0;
-  const avgTTFT = performance
+  const avgTTFT = performance && performance.length > 0
     ? performance.reduce((acc, p) => acc + p.avg_ttft_ms, 0) / performance.length
     : 0;
+  // Average TTFT change over the model-level trends of the selected run
+  const ttftTrends = (trends || []).filter(t =>
+    t.metric_name === 'avg_ttft_ms' && !t.category && !t.prompt_id && matchesModelFilter(t)
+  );
+  const ttftTrend = ttftTrends.length > 0
+    ? ttftTrends.reduce((acc, t) => acc + (t.change_percentage || 0), 0) / ttftTrends.length
+    : 0;
   const totalCost = performance
     ? performance.reduce((acc, p) => acc + p.total_cost_usd, 0)
     : 0;
 
+  // The metric cards compare against the baseline run, or else the previous run
+  const referenceRun = compareToBaseline ? baselineRun : previousRun;
+  const percentChange = (value: number, reference: number) =>
+    reference !== 0 ? ((value - reference) / reference) * 100 : 0;
+  const baselineAvgTTFT = baselinePerformance && baselinePerformance.length > 0
+    ? baselinePerformance.reduce((acc, p) => acc + p.avg_ttft_ms, 0) / baselinePerformance.length
+    : 0;
+  const baselineTotalCost = baselinePerformance
+    ? baselinePerformance.reduce((acc, p) => acc + p.total_cost_usd, 0)
+    : 0;
+  const report: RunReportInput | null = latestRun ? {
+    run: latestRun,
+    performance: performance || [],
+    categories: categories || [],
+    results: filteredResults || [],
+    trends: (trends || []).filter(t =>
+      matchesModelFilter(t) && (!filters.category || t.category === filters.category)
+    ),
+    reference: referenceRun ? {
+      label: compareToBaseline
+        ? `baseline ${referenceRun.name || referenceRun.run_id}`
+        : `previous run ${referenceRun.name || referenceRun.run_id}`,
+      run: referenceRun,
+      performance: compareToBaseline ? baselinePerformance : allPreviousPerformance?.filter(matchesModelFilter),
+    } : undefined,
+    filters: describeFilters(exportContext.filters),
+  } : null;
+  const trendLabel = compareToBaseline
+    ? `vs baseline ${baselineRun.name || baselineRun.run_id}`
+    : undefined;
+
+  if (runId && runs && selectedRunIndex < 0) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen">
+        <p className="text-gray-600 dark:text-gray-400">Benchmark run "{runId}" was not found.</p>
+        <Link to="/" className="mt-4 text-primary-600 hover:text-primary-700 font-medium">
+          Go to the latest run →
+        </Link>
+      </div>
+    );
+  }
+
   if (runsLoading || perfLoading) {
     return (
       <div className="flex flex-col items-center justify-center h-screen">
@@ -139,6 +316,24 @@ export default function Dashboard() {
                 <Zap className="h-4 w-4" />
                 <span className="font-medium">JSONIC Benchmarks</span>
               </Link>
+              <Link
+                to="/import"
+                className="flex items-center gap-1.5 text-sm text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+                title="Import results from other evaluation tools"
+              >
+                <Upload className="h-4 w-4" />
+                Import
+              </Link>
+              {liveStatus !== 'off' && (
+                <Link
+                  to="/live"
+                  className="flex items-center gap-1.5 text-sm text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+                  title={liveStatus === 'live' ? 'Receiving live updates from the API server. Watch the latest run' : 'Connecting to the API server…'}
+                >
+                  <span className={`h-2 w-2 rounded-full ${liveStatus === 'live' ? 'bg-success-500 animate-pulse' : 'bg-gray-400'}`} />
+                  {liveStatus === 'live' ? 'Live' : 'Connecting'}
+                </Link>
+              )}
               <div className="text-sm text-gray-500 dark:text-gray-400">
                 Last updated: {latestRun ? new Date(latestRun.timestamp).toLocaleString() : 'Never'}
               </div>
@@ -149,53 +344,150 @@ export default function Dashboard() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* View filters - kept in the URL so the view can be shared */}
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          {latestRun && (
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-2">
+              {latestRun.name || latestRun.run_id}
+              {latestRun.run_id !== runs?.[0]?.run_id && (
+                <Link to={`/${shareableSearch}`} className="ml-2 text-primary-600 hover:text-primary-700">
+                  (view latest)
+                </Link>
+              )}
+            </span>
+          )}
+          <select
+            value={filters.provider || 'all'}
+            onChange={(e) => setParams({ provider: e.target.value, model: null })}
+            className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+          >
+            <option value="all">All Providers</option>
+            {providers.map(provider => (
+              <option key={provider} value={provider}>{provider}</option>
+            ))}
+          </select>
+          <select
+            value={filters.model || 'all'}
+            onChange={(e) => setParam('model', e.target.value)}
+            className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+          >
+            <option value="all">All Models</option>
+            {models.map(model => (
+              <option key={model} value={model}>{modelDisplayName(filters.provider || '', model)}</option>
+            ))}
+          </select>
+          <select
+            value={filters.category || 'all'}
+            onChange={(e) => setParam('category', e.target.value)}
+            className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+          >
+            <option value="all">All Categories</option>
+            {categoryNames.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          {baselineRun && baselineRun.run_id !== selectedRunId && (
+            <select
+              value={compareToBaseline ? 'baseline' : 'previous'}
+              onChange={(e) => setParam('compare', e.target.value)}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+            >
+              <option value="baseline">Compare to baseline</option>
+              <option value="previous">Compare to previous run</option>
+            </select>
+          )}
+          {latestRun && (
+            baseline?.run_id === latestRun.run_id ? (
+              <button
+                onClick={() => baselineMutation.mutate(null)}
+                disabled={baselineMutation.isPending}
+                className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium bg-primary-50 text-primary-700 hover:bg-primary-100 disabled:opacity-50"
+                title="This run is the baseline; click to unpin it"
+              >
+                <PinOff className="h-4 w-4" />
+                Unpin baseline
+              </button>
+            ) : (
+              <button
+                onClick={() => baselineMutation.mutate(latestRun)}
+                disabled={baselineMutation.isPending}
+                className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                <Pin className="h-4 w-4" />
+                Pin as baseline
+              </button>
+            )
+          )}
+          {report && (
+            <RunReportActions
+              report={report}
+              unavailable={resultsError ? `Test results failed to load: ${resultsError.message}` : undefined}
+            />
+          )}
+        </div>
+
         {/* Metrics Overview */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <MetricCard
             title="Total Tests"
             value={totalTests}
             icon={<Activity className="h-5 w-5" />}
-            trend={runs && runs.length > 1 
-              ? ((runs[0].total_runs - runs[1].total_runs) / runs[1].total_runs) * 100
+            trend={latestRun && referenceRun
+              ? percentChange(latestRun.total_runs, referenceRun.total_runs)
               : 0}
             format="number"
+            trendLabel={trendLabel}
           />
           <MetricCard
             title="Success Rate"
             value={successRate}
             icon={<CheckCircle className="h-5 w-5" />}
-            trend={runs && runs.length > 1 
-              ? successRate - (runs[1].successful_runs / runs[1].total_runs) * 100
+            trend={referenceRun
+              ? successRate - (referenceRun.successful_runs / referenceRun.total_runs) * 100
               : 0}
             format="percentage"
             invertTrend={false}
+            trendLabel={trendLabel}
           />
           <MetricCard
             title="Avg TTFT"
             value={avgTTFT}
             icon={<Clock className="h-5 w-5" />}
-            trend={trends 
-              ? trends.find(t => t.metric_name === 'avg_ttft_ms')?.change_percentage || 0
-              : 0}
+            trend={compareToBaseline ? percentChange(avgTTFT, baselineAvgTTFT) : ttftTrend}
             format="duration"
             invertTrend={true}
+            trendLabel={trendLabel}
           />
-          <MetricCard
-            title="Total Cost"
-            value={totalCost}
-            icon={<DollarSign className="h-5 w-5" />}
-            trend={0}
-            format="currency"
-            invertTrend={true}
-          />
+          <Link to="/costs" className="block" title="Open cost analytics">
+            <MetricCard
+              title="Total Cost"
+              value={totalCost}
+              icon={<DollarSign className="h-5 w-5" />}
+              trend={compareToBaseline ? percentChange(totalCost, baselineTotalCost) : 0}
+              format="currency"
+              invertTrend={true}
+              trendLabel={trendLabel}
+            />
+          </Link>
         </div>
 
         {/* Performance Trends */}
-        {trends && !trendsLoading && (
-          <div className="mb-8">
-            <TrendIndicators trends={trends} />
-          </div>
-        )}
+        <div className="mb-8 space-y-4">
+          {/* The server's trends are the exporter's; the settings recompute JSONIC ones */}
+          {!FEATURES.useApiServer && (
+            <RegressionSettings runs={runs || []} baselineRunId={baseline?.run_id} />
+          )}
+          {trends && !trendsLoading && (
+            FEATURES.useApiServer && trends.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No regression data for this run: the server only has trends recorded by the exporter, and runs
+                pushed over HTTP have none.
+              </p>
+            ) : (
+              <TrendIndicators trends={trends.filter(matchesModelFilter)} />
+            )
+          )}
+        </div>
 
         {/* Charts Row */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
@@ -203,11 +495,21 @@ export default function Dashboard() {
             performance={performance || []} 
             title="Response Time by Model"
             metric="ttft"
+            statistics={statistics}
           />
           <PerformanceChart 
             performance={performance || []} 
             title="Success Rate by Model"
             metric="success"
+            statistics={statistics}
+          />
+        </div>
+
+        {/* Provider drift across all runs */}
+        <div className="mb-8">
+          <PerformanceHistoryChart
+            runs={runs || []}
+            performance={(performanceHistory || []).filter(matchesModelFilter)}
           />
         </div>
 
@@ -221,8 +523,48 @@ export default function Dashboard() {
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
                 Model Performance Comparison
               </h2>
+              <div className="flex items-center gap-3">
+                <Link
+                  to={selectedRunId ? `/leaderboard?run=${encodeURIComponent(selectedRunId)}` : '/leaderboard'}
+                  onClick={(e) => e.stopPropagation()}
+                  className="flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-700"
+                  title="Rank the models with your own weights"
+                >
+                  <Trophy className="h-4 w-4" />
+                  Leaderboard
+                </Link>
+                <button className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors">
+                  {isModelComparisonExpanded ? (
+                    <ChevronUp className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                  ) : (
+                    <ChevronDown className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+          {isModelComparisonExpanded && (
+            <ModelComparisonTable
+              performance={performance || []}
+              statistics={statistics}
+              baseline={baselinePerformance}
+              exportContext={exportContext}
+            />
+          )}
+        </div>
+
+        {/* Quality Breakdown - Collapsible */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 mb-8">
+          <div 
+            className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-750 transition-colors"
+            onClick={() => setIsQualityExpanded(!isQualityExpanded)}
+          >
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                Quality Breakdown
+              </h2>
               <button className="p-1 hover:bg-gray-200 dark:hover:bg-gray-700 rounded transition-colors">
-                {isModelComparisonExpanded ? (
+                {isQualityExpanded ? (
                   <ChevronUp className="h-5 w-5 text-gray-500 dark:text-gray-400" />
                 ) : (
                   <ChevronDown className="h-5 w-5 text-gray-500 dark:text-gray-400" />
@@ -230,15 +572,24 @@ export default function Dashboard() {
               </button>
             </div>
           </div>
-          {isModelComparisonExpanded && (
-            <ModelComparisonTable performance={performance || []} />
+          {isQualityExpanded && (
+            <QualityBreakdown
+              performance={performance || []}
+              results={filteredResults || []}
+              run={latestRun}
+            />
           )}
         </div>
 
         {/* Category Breakdown and Recent Runs */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-          <CategoryBreakdown categories={categories || []} />
-          <RecentRuns runs={runs || []} />
+          <CategoryBreakdown categories={categories || []} baseline={baselineCategories} exportContext={exportContext} />
+          <RecentRuns
+            runs={runs || []}
+            selectedRunId={selectedRunId}
+            linkSearch={shareableSearch}
+            baselineRunId={baseline?.run_id}
+          />
         </div>
 
         {/* Prompt Summary - Collapsible */}
@@ -0,0 +1,35 @@
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, exportTable, type TableExport } from '../utils/tableExport';
+
+interface ExportMenuProps<T> {
+  table: TableExport<T>;
+}
+
+// Download buttons for the rows a view currently shows
+export default function ExportMenu<T>({ table }: ExportMenuProps<T>) {
+  const empty = table.rows.length === 0;
+
+  return (
+    <div
+      className="flex items-center rounded-md border border-gray-300 dark:border-gray-600 text-xs font-medium"
+      // Views with a collapsible header shouldn't toggle when exporting
+      onClick={(e) => e.stopPropagation()}
+    >
+      <span className="flex items-center gap-1 px-2 py-1 text-gray-500 dark:text-gray-400" title={`Export ${table.title}`}>
+        <Download className="h-3.5 w-3.5" />
+        Export
+      </span>
+      {EXPORT_FORMATS.map(({ format, label, shortLabel }) => (
+        <button
+          key={format}
+          onClick={() => exportTable(table, format)}
+          disabled={empty}
+          className="px-2 py-1 border-l border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          title={empty ? 'Nothing to export' : `Download ${table.rows.length} rows as ${label}`}
+        >
+          {shortLabel}
+        </button>
+      ))}
+    </div>
+  );
+}
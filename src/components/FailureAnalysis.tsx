@@ -0,0 +1,468 @@
+import { useMemo, useState, type ReactNode } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { AlertOctagon, ArrowLeft, ChevronDown, ChevronUp, Cloud, Settings, XCircle, Bot } from 'lucide-react';
+import { format } from 'date-fns';
+import type { TestResult } from '../types/benchmark';
+import { fetchAllTestResults, fetchBenchmarkRuns } from '../services/api';
+import { cn, formatPercentage } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { modelKey } from '../utils/statistics';
+import {
+  FAILURE_CATEGORIES,
+  FAILURE_KINDS,
+  clusterFailures,
+  collectFailures,
+  failureTimeline,
+  failuresByModel,
+  type FailureCategory,
+  type FailureKind,
+} from '../utils/failureAnalysis';
+import TestResultRow from './TestResultRow';
+
+// Samples shown per cluster; the rest are reachable through the run's test results
+const MAX_SAMPLES = 10;
+
+const TOOLTIP_STYLE = {
+  backgroundColor: 'rgba(31, 41, 55, 0.95)',
+  border: '1px solid rgba(75, 85, 99, 0.3)',
+  borderRadius: '6px',
+};
+
+const CATEGORY_INFO = new Map(FAILURE_CATEGORIES.map(c => [c.key, c]));
+
+function SummaryCard({ title, value, detail, icon }: {
+  title: string;
+  value: string;
+  detail?: string;
+  icon: ReactNode;
+}) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-600 dark:text-gray-400">{title}</p>
+          <p className="mt-2 text-3xl font-semibold text-gray-900 dark:text-white">{value}</p>
+          {detail && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate">{detail}</p>}
+        </div>
+        <div className="flex-shrink-0 p-3 bg-primary-50 dark:bg-primary-900/20 rounded-lg">{icon}</div>
+      </div>
+    </div>
+  );
+}
+
+function CategoryBadge({ category }: { category: FailureCategory }) {
+  const info = CATEGORY_INFO.get(category)!;
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+      title={FAILURE_KINDS[info.kind]}
+    >
+      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: info.color }} />
+      {info.label}
+    </span>
+  );
+}
+
+export default function FailureAnalysis() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [expandedRows, setExpandedRows] = useState<Set<number>>(new Set());
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  const { data: allResults = [], isLoading: resultsLoading } = useQuery({
+    queryKey: ['allTestResults'],
+    queryFn: fetchAllTestResults,
+  });
+
+  // ?run=, ?model= and ?category= narrow everything; ?cluster= opens one cluster's samples
+  const runFilter = searchParams.get('run') || '';
+  const modelFilter = searchParams.get('model') || '';
+  const categoryFilter = (searchParams.get('category') || '') as FailureCategory | '';
+  const openCluster = searchParams.get('cluster') || '';
+
+  const updateParams = (updates: Record<string, string | null>) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  };
+
+  const modelResults = useMemo(
+    () => modelFilter ? allResults.filter(r => modelKey(r.provider, r.model) === modelFilter) : allResults,
+    [allResults, modelFilter]
+  );
+  const scopedResults = useMemo(
+    () => runFilter ? modelResults.filter(r => r.run_id === runFilter) : modelResults,
+    [modelResults, runFilter]
+  );
+
+  const failures = useMemo(
+    () => collectFailures(scopedResults).filter(f => !categoryFilter || f.category === categoryFilter),
+    [scopedResults, categoryFilter]
+  );
+  const clusters = useMemo(() => clusterFailures(failures), [failures]);
+  // The timeline always spans every run, so an outage in one run stands out against the others
+  const timeline = useMemo(() => failureTimeline(runs, modelResults), [runs, modelResults]);
+  const modelRows = useMemo(() => failuresByModel(scopedResults).filter(row => row.failures > 0), [scopedResults]);
+
+  const resultsByRun = useMemo(() => {
+    const byRun = new Map<string, TestResult[]>();
+    allResults.forEach(result => {
+      if (!byRun.has(result.run_id)) byRun.set(result.run_id, []);
+      byRun.get(result.run_id)!.push(result);
+    });
+    return byRun;
+  }, [allResults]);
+
+  const runNames = new Map(runs.map(run => [run.run_id, run.name || run.run_id]));
+  const models = [...new Map(allResults.map(r => [modelKey(r.provider, r.model), r])).entries()]
+    .sort(([a], [b]) => a.localeCompare(b));
+  const kindCounts = (kind: FailureKind) =>
+    failures.filter(f => CATEGORY_INFO.get(f.category)!.kind === kind).length;
+  const visibleCategories = FAILURE_CATEGORIES.filter(c =>
+    (!categoryFilter || c.key === categoryFilter) && timeline.some(point => point[c.key] > 0)
+  );
+  const tableCategories = FAILURE_CATEGORIES.filter(c => modelRows.some(row => row.counts[c.key] > 0));
+
+  const toggleRow = (id: number) => {
+    const next = new Set(expandedRows);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setExpandedRows(next);
+  };
+
+  const isLoading = runsLoading || resultsLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <AlertOctagon className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Failure Analysis</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={runFilter}
+            onChange={(e) => updateParams({ run: e.target.value || null, cluster: null })}
+            className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+          >
+            <option value="">All Runs</option>
+            {runs.map(run => (
+              <option key={run.run_id} value={run.run_id}>
+                {run.name || run.run_id} · {format(new Date(run.timestamp), 'MMM d, HH:mm')}
+              </option>
+            ))}
+          </select>
+          <select
+            value={modelFilter}
+            onChange={(e) => updateParams({ model: e.target.value || null, cluster: null })}
+            className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+          >
+            <option value="">All Models</option>
+            {models.map(([key, result]) => (
+              <option key={key} value={key}>{result.provider}/{modelDisplayName(result.provider, result.model)}</option>
+            ))}
+          </select>
+          <div className="flex flex-wrap items-center gap-1">
+            <button
+              onClick={() => updateParams({ category: null, cluster: null })}
+              className={cn(
+                'px-3 py-1 rounded-md text-sm font-medium transition-colors',
+                !categoryFilter
+                  ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
+                  : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+              )}
+            >
+              All
+            </button>
+            {FAILURE_CATEGORIES.map(category => (
+              <button
+                key={category.key}
+                onClick={() => updateParams({ category: category.key, cluster: null })}
+                className={cn(
+                  'flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium transition-colors',
+                  categoryFilter === category.key
+                    ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
+                    : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+                )}
+              >
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: category.color }} />
+                {category.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading test results...</span>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <SummaryCard
+                title="Failures"
+                value={String(failures.length)}
+                detail={`${formatPercentage(scopedResults.length > 0 ? (failures.length / scopedResults.length) * 100 : 0)} of ${scopedResults.length} tests`}
+                icon={<XCircle className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title={FAILURE_KINDS.provider}
+                value={String(kindCounts('provider'))}
+                detail="Timeouts, rate limits, 5xx and network errors"
+                icon={<Cloud className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title={FAILURE_KINDS.model}
+                value={String(kindCounts('model'))}
+                detail="Content filter and failed validation checks"
+                icon={<Bot className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title={FAILURE_KINDS.config}
+                value={String(kindCounts('config'))}
+                detail="Auth errors and invalid requests"
+                icon={<Settings className="h-6 w-6 text-primary-600" />}
+              />
+            </div>
+
+            {/* Failures over time */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Failures per Run</h2>
+              <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+                A provider-side spike confined to one run points at an outage; model-side failures that persist
+                across runs point at a regression. Click a bar to focus on that run.
+              </p>
+              {timeline.length === 0 ? (
+                <div className="p-8 text-center text-gray-500 dark:text-gray-400">No runs with test results.</div>
+              ) : (
+                <ResponsiveContainer width="100%" height={320}>
+                  <BarChart
+                    data={timeline}
+                    margin={{ top: 10, right: 30, left: 0, bottom: 20 }}
+                    onClick={(state) => {
+                      const index = Number(state?.activeTooltipIndex);
+                      const point = Number.isInteger(index) ? timeline[index] : undefined;
+                      if (point) updateParams({ run: point.run_id, cluster: null });
+                    }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+                    <XAxis
+                      dataKey="run_id"
+                      tickFormatter={(runId: string) => {
+                        const point = timeline.find(p => p.run_id === runId);
+                        return point ? format(new Date(point.timestamp), 'MMM d') : runId;
+                      }}
+                      tick={{ fill: '#9ca3af' }}
+                      className="text-xs"
+                    />
+                    <YAxis allowDecimals={false} tick={{ fill: '#9ca3af' }} width={40} />
+                    <Tooltip
+                      labelFormatter={(runId) => {
+                        const point = timeline.find(p => p.run_id === runId);
+                        return point
+                          ? `${point.run_name} · ${format(new Date(point.timestamp), 'MMM d, HH:mm')} · ${point.tests} tests`
+                          : String(runId);
+                      }}
+                      contentStyle={TOOLTIP_STYLE}
+                      labelStyle={{ color: '#d1d5db' }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    {visibleCategories.map(category => (
+                      <Bar
+                        key={category.key}
+                        dataKey={category.key}
+                        name={category.label}
+                        stackId="failures"
+                        fill={category.color}
+                        cursor="pointer"
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+
+            {/* Per model */}
+            {modelRows.length > 0 && (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+                <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Failures by Model</h2>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                    <thead className="bg-gray-50 dark:bg-gray-900">
+                      <tr>
+                        {['Model', 'Failures', ...tableCategories.map(c => c.label)].map(heading => (
+                          <th
+                            key={heading}
+                            className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap"
+                          >
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                      {modelRows.map(row => (
+                        <tr key={row.key} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                          <td className="px-4 py-2 whitespace-nowrap">
+                            <button
+                              onClick={() => updateParams({ model: row.key, cluster: null })}
+                              className="text-sm font-medium text-gray-900 dark:text-white hover:text-primary-600"
+                            >
+                              {modelDisplayName(row.provider, row.model)}
+                            </button>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">{row.provider}</div>
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200 whitespace-nowrap">
+                            {row.failures}/{row.tests}
+                            <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                              ({formatPercentage((row.failures / row.tests) * 100)})
+                            </span>
+                          </td>
+                          {tableCategories.map(category => (
+                            <td key={category.key} className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">
+                              {row.counts[category.key] || <span className="text-gray-300 dark:text-gray-600">0</span>}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Clusters */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Error Clusters ({clusters.length})</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Messages that only differ in ids, URLs, counts or durations are grouped together
+                </p>
+              </div>
+              {clusters.length === 0 ? (
+                <div className="p-8 text-center text-gray-500 dark:text-gray-400">No failures in this selection.</div>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {clusters.map(cluster => {
+                    const open = openCluster === cluster.key;
+                    return (
+                      <li key={cluster.key}>
+                        <button
+                          onClick={() => updateParams({ cluster: open ? null : cluster.key })}
+                          className="w-full px-6 py-4 text-left hover:bg-gray-50 dark:hover:bg-gray-700"
+                        >
+                          <div className="flex items-start justify-between gap-4">
+                            <div className="min-w-0 space-y-1">
+                              <div className="flex flex-wrap items-center gap-2">
+                                <CategoryBadge category={cluster.category} />
+                                <span className="text-xs text-gray-500 dark:text-gray-400">
+                                  {FAILURE_KINDS[CATEGORY_INFO.get(cluster.category)!.kind]}
+                                </span>
+                              </div>
+                              <div className="text-sm font-mono text-gray-900 dark:text-gray-200 break-words" title={cluster.example}>
+                                {cluster.message}
+                              </div>
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {cluster.models.length} model{cluster.models.length === 1 ? '' : 's'}
+                                {' ('}{cluster.models.slice(0, 4).map(m => modelDisplayName(m.provider, m.model)).join(', ')}
+                                {cluster.models.length > 4 && ', …'}{') · '}
+                                {cluster.runs.length} run{cluster.runs.length === 1 ? '' : 's'}
+                                {' · '}
+                                {format(new Date(cluster.firstSeen), 'MMM d')}
+                                {cluster.firstSeen.slice(0, 10) !== cluster.lastSeen.slice(0, 10) &&
+                                  ` – ${format(new Date(cluster.lastSeen), 'MMM d')}`}
+                              </div>
+                            </div>
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                              <span className="text-lg font-semibold text-gray-900 dark:text-white">{cluster.count}</span>
+                              {open ? <ChevronUp className="h-4 w-4 text-gray-400" /> : <ChevronDown className="h-4 w-4 text-gray-400" />}
+                            </div>
+                          </div>
+                        </button>
+                        {open && (
+                          <div className="pb-4">
+                            <div className="px-6 pb-2 flex flex-wrap gap-2 text-xs">
+                              {cluster.runs.map(run => (
+                                <Link
+                                  key={run.run_id}
+                                  to={`/runs/${encodeURIComponent(run.run_id)}?status=failed`}
+                                  className="px-2 py-0.5 rounded-full border border-gray-200 dark:border-gray-700 text-primary-600 hover:text-primary-700"
+                                >
+                                  {runNames.get(run.run_id) || run.run_id} ({run.count})
+                                </Link>
+                              ))}
+                            </div>
+                            <div className="overflow-x-auto">
+                              <table className="min-w-full">
+                                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                  {cluster.results.slice(0, MAX_SAMPLES).map(result => (
+                                    <TestResultRow
+                                      key={result.id}
+                                      result={result}
+                                      expanded={expandedRows.has(result.id)}
+                                      onToggle={() => toggleRow(result.id)}
+                                      runResults={resultsByRun.get(result.run_id) || []}
+                                    />
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                            {cluster.count > MAX_SAMPLES && (
+                              <p className="px-6 pt-2 text-xs text-gray-500 dark:text-gray-400">
+                                Showing the {MAX_SAMPLES} most recent of {cluster.count} tests.
+                              </p>
+                            )}
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
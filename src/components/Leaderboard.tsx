@@ -0,0 +1,331 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowDown, ArrowLeft, ArrowUp, Minus, Save, Trash2, Trophy } from 'lucide-react';
+import {
+  deleteWeightPreset,
+  fetchBenchmarkRuns,
+  fetchTestResults,
+  fetchWeightPresets,
+  saveWeightPreset,
+} from '../services/api';
+import { cn, formatCost, formatDuration, formatPercentage } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import {
+  BUILT_IN_PRESETS,
+  LEADERBOARD_METRICS,
+  rankModels,
+  rankModelsByCategory,
+  withMovement,
+  type LeaderboardEntry,
+  type LeaderboardMetric,
+  type LeaderboardWeights,
+} from '../utils/leaderboard';
+
+const MAX_WEIGHT = 5;
+
+function formatMetric(metric: LeaderboardMetric, value: number | null): string {
+  if (value === null) return '—';
+  switch (LEADERBOARD_METRICS.find(m => m.key === metric)!.format) {
+    case 'duration':
+      return formatDuration(value);
+    case 'rate':
+      return value.toFixed(1);
+    case 'percentage':
+      return formatPercentage(value);
+    case 'score':
+      return (value * 100).toFixed(0);
+    case 'currency':
+      return formatCost(value);
+  }
+}
+
+// Nothing to show when there is no earlier run to compare with
+function Movement({ entry, hasPrevious }: { entry: LeaderboardEntry; hasPrevious: boolean }) {
+  if (!hasPrevious) return null;
+  if (entry.movement === null) {
+    return <span className="text-xs font-medium text-primary-600" title="Not in the previous run">new</span>;
+  }
+  if (entry.movement === 0) {
+    return <Minus className="h-4 w-4 text-gray-400" />;
+  }
+  const up = entry.movement > 0;
+  return (
+    <span
+      className={cn('flex items-center text-xs font-medium', up ? 'text-success-500' : 'text-error-500')}
+      title={`${up ? 'Up' : 'Down'} ${Math.abs(entry.movement)} since the previous run`}
+    >
+      {up ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />}
+      {Math.abs(entry.movement)}
+    </span>
+  );
+}
+
+export default function Leaderboard() {
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [weights, setWeights] = useState<LeaderboardWeights>(BUILT_IN_PRESETS[0].weights);
+  const [presetName, setPresetName] = useState(BUILT_IN_PRESETS[0].name);
+  const [newPresetName, setNewPresetName] = useState('');
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  // ?run= picks the run; by default the newest. Movement is against the run before it.
+  const runIndex = Math.max(0, runs.findIndex(r => r.run_id === searchParams.get('run')));
+  const run = runs[runIndex];
+  const previousRun = runs[runIndex + 1];
+
+  const { data: results = [], isLoading: resultsLoading } = useQuery({
+    queryKey: ['testResults', run?.run_id],
+    queryFn: () => fetchTestResults(run!.run_id),
+    enabled: !!run,
+  });
+
+  const { data: previousResults = [] } = useQuery({
+    queryKey: ['testResults', previousRun?.run_id],
+    queryFn: () => fetchTestResults(previousRun!.run_id),
+    enabled: !!previousRun,
+  });
+
+  const { data: presets = BUILT_IN_PRESETS } = useQuery({
+    queryKey: ['weightPresets'],
+    queryFn: fetchWeightPresets,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: () => saveWeightPreset(newPresetName, weights),
+    onSuccess: preset => {
+      setPresetName(preset.name);
+      setNewPresetName('');
+      queryClient.invalidateQueries({ queryKey: ['weightPresets'] });
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (name: string) => deleteWeightPreset(name),
+    onSuccess: () => {
+      setPresetName('');
+      queryClient.invalidateQueries({ queryKey: ['weightPresets'] });
+    },
+  });
+
+  const ranking = useMemo(
+    () => withMovement(rankModels(results, weights), rankModels(previousResults, weights)),
+    [results, previousResults, weights]
+  );
+  const categoryRankings = useMemo(
+    () => rankModelsByCategory(results, weights, previousResults),
+    [results, previousResults, weights]
+  );
+
+  const selectedPreset = presets.find(p => p.name === presetName);
+  const applyPreset = (name: string) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    setPresetName(name);
+    setWeights({ ...BUILT_IN_PRESETS[0].weights, ...preset.weights });
+  };
+
+  const setWeight = (metric: LeaderboardMetric, value: number) => {
+    setWeights(prev => ({ ...prev, [metric]: value }));
+    // The weights no longer match a preset until they are saved again
+    setPresetName('');
+  };
+
+  const isLoading = runsLoading || resultsLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <Trophy className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Leaderboard</h1>
+            </div>
+            <select
+              value={run?.run_id || ''}
+              onChange={(e) => setSearchParams({ run: e.target.value }, { replace: true })}
+              className="ml-auto px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+            >
+              {runs.map(r => (
+                <option key={r.run_id} value={r.run_id}>{r.name || r.run_id}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Weights */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Weights</h2>
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={presetName}
+                onChange={(e) => applyPreset(e.target.value)}
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              >
+                <option value="" disabled>Custom</option>
+                {presets.map(preset => (
+                  <option key={preset.name} value={preset.name}>{preset.name}</option>
+                ))}
+              </select>
+              {selectedPreset && !selectedPreset.builtIn && (
+                <button
+                  onClick={() => deleteMutation.mutate(selectedPreset.name)}
+                  className="p-1.5 rounded-md text-gray-500 hover:text-error-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  title={`Delete preset "${selectedPreset.name}"`}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+              <input
+                type="text"
+                value={newPresetName}
+                onChange={(e) => setNewPresetName(e.target.value)}
+                placeholder="Preset name"
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+              <button
+                onClick={() => saveMutation.mutate()}
+                disabled={!newPresetName.trim() || saveMutation.isPending}
+                className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4" />
+                Save
+              </button>
+            </div>
+          </div>
+          {saveMutation.error && (
+            <p className="mb-3 text-sm text-error-500">{(saveMutation.error as Error).message}</p>
+          )}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-x-8 gap-y-3">
+            {LEADERBOARD_METRICS.map(metric => (
+              <label key={metric.key} className="flex items-center gap-3 text-sm">
+                <span className="w-28 text-gray-700 dark:text-gray-300">{metric.label}</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={MAX_WEIGHT}
+                  step={1}
+                  value={weights[metric.key]}
+                  onChange={(e) => setWeight(metric.key, Number(e.target.value))}
+                  className="flex-1"
+                />
+                <span className="w-4 text-right font-medium text-gray-900 dark:text-white">{weights[metric.key]}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading results...</span>
+          </div>
+        ) : ranking.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">No test results for this run.</div>
+        ) : (
+          <>
+            {/* Overall ranking */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Overall Ranking</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Each metric is scaled from worst (0) to best (100) among these models, then weighted
+                  {previousRun && <>; movement is since {previousRun.name || previousRun.run_id}</>}
+                </p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead className="bg-gray-50 dark:bg-gray-900">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">#</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Model</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Score</th>
+                      {LEADERBOARD_METRICS.filter(m => weights[m.key] > 0).map(metric => (
+                        <th key={metric.key} className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                          {metric.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {ranking.map(entry => (
+                      <tr key={entry.key} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-semibold text-gray-900 dark:text-white">{entry.rank}</span>
+                            <Movement entry={entry} hasPrevious={!!previousRun} />
+                          </div>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900 dark:text-white">{modelDisplayName(entry.provider, entry.model)}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">{entry.provider} · {entry.tests} tests</div>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <div className="flex items-center gap-2">
+                            <div className="w-24 h-2 rounded-full bg-gray-200 dark:bg-gray-700">
+                              <div className="h-2 rounded-full bg-primary-600" style={{ width: `${entry.score}%` }} />
+                            </div>
+                            <span className="text-sm font-medium text-gray-900 dark:text-white">{entry.score.toFixed(0)}</span>
+                          </div>
+                        </td>
+                        {LEADERBOARD_METRICS.filter(m => weights[m.key] > 0).map(metric => (
+                          <td
+                            key={metric.key}
+                            className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-white"
+                            title={entry.normalized[metric.key] !== null ? `${entry.normalized[metric.key]!.toFixed(0)} / 100` : 'No data'}
+                          >
+                            {formatMetric(metric.key, entry.metrics[metric.key])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Per-category rankings */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {categoryRankings.map(({ category, entries }) => (
+                <div key={category} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3 capitalize">{category.replace(/_/g, ' ')}</h3>
+                  <ol className="space-y-2">
+                    {entries.map(entry => (
+                      <li key={entry.key} className="flex items-center justify-between text-sm">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <span className="w-5 font-semibold text-gray-900 dark:text-white">{entry.rank}</span>
+                          <span className="truncate text-gray-700 dark:text-gray-300" title={entry.key}>
+                            {modelDisplayName(entry.provider, entry.model)}
+                          </span>
+                          <Movement entry={entry} hasPrevious={!!previousRun} />
+                        </div>
+                        <span className="font-medium text-gray-900 dark:text-white">{entry.score.toFixed(0)}</span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,383 @@
+import { useEffect, useMemo, useState, type ReactNode } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, CheckCircle, Clock, Gauge, Radio, Timer, Zap } from 'lucide-react';
+import { fetchBenchmarkRuns, fetchModelPerformance, fetchTestResults } from '../services/api';
+import { FEATURES } from '../config/database';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
+import { cn, formatDuration, formatPercentage, getStatusColor } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { formatRemaining, liveCellKey, summarizeLiveRun, type LiveCell, type LiveRunStatus } from '../utils/liveRun';
+import TestResultRow from './TestResultRow';
+
+// Polling interval while a run executes and the event stream is unavailable
+const LIVE_POLL_MS = 5000;
+const LATEST_RESULTS = 10;
+
+const STATUS_LABELS: Record<LiveRunStatus, string> = {
+  running: 'Running',
+  stalled: 'Stalled',
+  complete: 'Complete',
+};
+
+const STATUS_STYLES: Record<LiveRunStatus, string> = {
+  running: 'bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-400',
+  stalled: 'bg-warning-50 text-warning-700 dark:bg-warning-500/20 dark:text-warning-500',
+  complete: 'bg-success-50 text-success-700 dark:bg-success-500/20 dark:text-success-500',
+};
+
+function StatCard({ title, value, detail, icon }: {
+  title: string;
+  value: string;
+  detail?: string;
+  icon: ReactNode;
+}) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-600 dark:text-gray-400">{title}</p>
+          <p className="mt-2 text-3xl font-semibold text-gray-900 dark:text-white">{value}</p>
+          {detail && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate">{detail}</p>}
+        </div>
+        <div className="flex-shrink-0 p-3 bg-primary-50 dark:bg-primary-900/20 rounded-lg">{icon}</div>
+      </div>
+    </div>
+  );
+}
+
+function cellClass(cell: LiveCell): string {
+  if (cell.results.length === 0) return 'bg-gray-100 text-gray-400 dark:bg-gray-700/50 dark:text-gray-500';
+  if (cell.passed === cell.results.length) return 'bg-success-50 text-success-700 dark:bg-success-500/20 dark:text-success-500';
+  if (cell.passed === 0) return 'bg-error-50 text-error-700 dark:bg-error-500/20 dark:text-error-500';
+  return 'bg-warning-50 text-warning-700 dark:bg-warning-500/20 dark:text-warning-500';
+}
+
+function cellLabel(cell: LiveCell): string {
+  if (cell.expected === null || cell.expected === 1) {
+    return cell.results.length === 0 ? '…' : `${cell.passed}/${cell.results.length}`;
+  }
+  return `${cell.passed}/${cell.results.length} of ${cell.expected}`;
+}
+
+export default function LiveRun() {
+  const { runId: routeRunId } = useParams<{ runId: string }>();
+  const navigate = useNavigate();
+  const liveStatus = useLiveUpdates();
+  const [expandedRows, setExpandedRows] = useState<Set<number>>(new Set());
+  const [now, setNow] = useState(() => Date.now());
+  // Without the event stream the page polls until the run has finished
+  const [polling, setPolling] = useState(!FEATURES.enableRealtime);
+  const refetchInterval = polling ? LIVE_POLL_MS : false;
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+    refetchInterval,
+  });
+
+  // /live follows the newest run
+  const runId = routeRunId || runs[0]?.run_id;
+  const run = runs.find(r => r.run_id === runId);
+
+  const { data: results = [], isLoading: resultsLoading } = useQuery({
+    queryKey: ['testResults', runId],
+    queryFn: () => fetchTestResults(runId!),
+    enabled: !!runId,
+    refetchInterval,
+  });
+
+  const { data: performance = [] } = useQuery({
+    queryKey: ['modelPerformance', runId],
+    queryFn: () => fetchModelPerformance(runId),
+    enabled: !!runId,
+    refetchInterval,
+  });
+
+  const summary = useMemo(
+    () => (run ? summarizeLiveRun(run, results, performance.length > 0, now) : null),
+    [run, results, performance, now]
+  );
+  const status = summary?.status;
+
+  useEffect(() => {
+    setPolling(!FEATURES.enableRealtime && status !== 'complete');
+  }, [status]);
+
+  // Keeps the ETA and the stalled check moving between results
+  useEffect(() => {
+    if (status === 'complete') return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  const latest = useMemo(
+    () => [...results].sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime() || b.id - a.id)
+      .slice(0, LATEST_RESULTS),
+    [results]
+  );
+
+  const toggleRow = (id: number) => {
+    setExpandedRows(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const isLoading = runsLoading || (!!runId && resultsLoading);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <Radio className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Live Run</h1>
+            </div>
+            <div className="ml-auto flex items-center gap-4">
+              {liveStatus !== 'off' && (
+                <span className="flex items-center gap-1.5 text-sm text-gray-500 dark:text-gray-400">
+                  <span className={`h-2 w-2 rounded-full ${liveStatus === 'live' ? 'bg-success-500 animate-pulse' : 'bg-gray-400'}`} />
+                  {liveStatus === 'live' ? 'Live' : 'Connecting'}
+                </span>
+              )}
+              <select
+                value={runId || ''}
+                onChange={(e) => navigate(`/live/${e.target.value}`)}
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              >
+                {runs.map(r => (
+                  <option key={r.run_id} value={r.run_id}>{r.name || r.run_id}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading run...</span>
+          </div>
+        ) : !run || !summary ? (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+            {runId ? `Run ${runId} not found.` : 'No benchmark runs yet.'}
+          </div>
+        ) : (
+          <>
+            {/* Progress */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center gap-3">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{run.name || run.run_id}</h2>
+                  <span className={cn('px-2 py-0.5 rounded-full text-xs font-medium', STATUS_STYLES[summary.status])}>
+                    {STATUS_LABELS[summary.status]}
+                  </span>
+                </div>
+                {summary.status === 'complete' && (
+                  <Link to={`/runs/${run.run_id}`} className="text-sm text-primary-600 hover:text-primary-700">
+                    Open in dashboard
+                  </Link>
+                )}
+              </div>
+              <div className="h-3 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                <div
+                  className={cn(
+                    'h-full rounded-full transition-all duration-500',
+                    summary.status === 'stalled' ? 'bg-warning-500' : 'bg-primary-600',
+                    summary.progress === null && summary.status !== 'complete' && 'animate-pulse'
+                  )}
+                  style={{ width: `${summary.progress ?? (summary.status === 'complete' ? 100 : 0)}%` }}
+                />
+              </div>
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {summary.expected !== null
+                  ? `${summary.completed} of ${summary.expected} tests`
+                  : `${summary.completed} tests so far; the run has no config to size it`}
+                {summary.lastResultAt !== null && ` · last result ${new Date(summary.lastResultAt).toLocaleTimeString()}`}
+              </p>
+            </div>
+
+            {/* Running totals */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <StatCard
+                title="Success Rate"
+                value={summary.completed > 0 ? formatPercentage(summary.successRate) : '—'}
+                detail={`${summary.passed} of ${summary.completed} passed`}
+                icon={<CheckCircle className="h-6 w-6 text-primary-600" />}
+              />
+              <StatCard
+                title="Time Remaining"
+                value={summary.status === 'complete'
+                  ? 'Done'
+                  : summary.etaMs !== null ? formatRemaining(summary.etaMs) : '—'}
+                detail={summary.status === 'stalled'
+                  ? 'No results for a while'
+                  : summary.expected !== null ? `${summary.expected - summary.completed} tests to go` : undefined}
+                icon={<Timer className="h-6 w-6 text-primary-600" />}
+              />
+              <StatCard
+                title="Elapsed"
+                value={summary.startedAt !== null
+                  ? formatRemaining((summary.status === 'running' ? now : summary.lastResultAt!) - summary.startedAt)
+                  : '—'}
+                detail={summary.startedAt !== null ? `Started ${new Date(summary.startedAt).toLocaleTimeString()}` : undefined}
+                icon={<Clock className="h-6 w-6 text-primary-600" />}
+              />
+              <StatCard
+                title="Models"
+                value={String(summary.models.length)}
+                detail={`${summary.prompts.length} prompts`}
+                icon={<Zap className="h-6 w-6 text-primary-600" />}
+              />
+            </div>
+
+            {/* Per-model progress */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Models</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">TTFT and throughput averaged over the successful tests so far</p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead className="bg-gray-50 dark:bg-gray-900">
+                    <tr>
+                      {['Model', 'Progress', 'Success Rate', 'Avg TTFT', 'Tokens/s'].map(label => (
+                        <th key={label} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {summary.modelStats.map(stats => (
+                      <tr key={stats.key}>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900 dark:text-white">{modelDisplayName(stats.provider, stats.model)}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">{stats.provider}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                          {stats.expected !== null ? `${stats.completed}/${stats.expected}` : stats.completed}
+                        </td>
+                        <td className={cn('px-6 py-4 whitespace-nowrap text-sm font-medium', stats.completed > 0 && getStatusColor(stats.successRate))}>
+                          {stats.completed > 0 ? formatPercentage(stats.successRate) : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                          {stats.passed > 0 ? formatDuration(stats.avgTtftMs) : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                          {stats.passed > 0 ? stats.avgTokensPerSecond.toFixed(1) : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Prompt × model grid */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Results Grid</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Passed tests per prompt and model; grey cells are still pending</p>
+              </div>
+              <div className="overflow-x-auto p-6">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className="pr-4 pb-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Prompt
+                      </th>
+                      {summary.models.map(model => (
+                        <th key={model.key} className="px-1 pb-2 text-center text-xs font-medium text-gray-500 dark:text-gray-400" title={model.key}>
+                          {modelDisplayName(model.provider, model.model)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.prompts.map(prompt => (
+                      <tr key={prompt.id}>
+                        <td className="pr-4 py-1 whitespace-nowrap text-gray-900 dark:text-white" title={prompt.text}>
+                          {prompt.id}
+                          <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{prompt.category}</span>
+                        </td>
+                        {summary.models.map(model => {
+                          const cell = summary.cells.get(liveCellKey(prompt.id, model.key))!;
+                          const last = cell.results[cell.results.length - 1];
+                          return (
+                            <td key={model.key} className="px-1 py-1">
+                              <div
+                                className={cn('rounded px-2 py-1 text-center text-xs font-medium whitespace-nowrap', cellClass(cell))}
+                                title={last
+                                  ? `${last.success ? 'Passed' : `Failed: ${last.error_message || 'unknown error'}`} · TTFT ${formatDuration(last.time_to_first_token_ms)}`
+                                  : 'Pending'}
+                              >
+                                {cellLabel(cell)}
+                              </div>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Latest results */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-2">
+                <Gauge className="h-5 w-5 text-primary-600" />
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Latest Results</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead className="bg-gray-50 dark:bg-gray-900">
+                    <tr>
+                      {['Status', 'Model', 'Category', 'Prompt', 'TTFT', 'Total Time', 'Tokens', 'Cost', 'Actions'].map(label => (
+                        <th key={label} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                    {latest.map(result => (
+                      <TestResultRow
+                        key={result.id}
+                        result={result}
+                        expanded={expandedRows.has(result.id)}
+                        onToggle={() => toggleRow(result.id)}
+                        runResults={results}
+                      />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {latest.length === 0 && (
+                <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+                  Waiting for the first result...
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { parseInline, parseMarkdownBlocks, splitByKeywords } from '../utils/markdown';
+
+interface MarkdownViewProps {
+  content: string;
+  // Highlighted wherever they appear, e.g. the prompt's ExpectedKeywords
+  keywords?: string[];
+}
+
+function Highlighted({ text, keywords }: { text: string; keywords: string[] }) {
+  return (
+    <>
+      {splitByKeywords(text, keywords).map((part, index) => (
+        part.match
+          ? <mark key={index} className="bg-warning-50 text-warning-700 rounded px-0.5">{part.text}</mark>
+          : <span key={index}>{part.text}</span>
+      ))}
+    </>
+  );
+}
+
+function Inline({ text, keywords }: { text: string; keywords: string[] }) {
+  return (
+    <>
+      {parseInline(text).map((token, index) => {
+        switch (token.type) {
+          case 'code':
+            return (
+              <code key={index} className="px-1 py-0.5 rounded bg-gray-100 dark:bg-gray-700 font-mono text-xs">
+                <Highlighted text={token.content} keywords={keywords} />
+              </code>
+            );
+          case 'bold':
+            return <strong key={index}><Highlighted text={token.content} keywords={keywords} /></strong>;
+          case 'italic':
+            return <em key={index}><Highlighted text={token.content} keywords={keywords} /></em>;
+          default:
+            return <Highlighted key={index} text={token.content} keywords={keywords} />;
+        }
+      })}
+    </>
+  );
+}
+
+export default function MarkdownView({ content, keywords = [] }: MarkdownViewProps) {
+  const blocks = parseMarkdownBlocks(content);
+
+  return (
+    <div className="space-y-2 text-sm text-gray-800 dark:text-gray-200">
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'code':
+            return (
+              <pre
+                key={index}
+                className="p-3 rounded-md bg-gray-900 text-gray-100 text-xs font-mono overflow-x-auto"
+                title={block.language || undefined}
+              >
+                <Highlighted text={block.content} keywords={keywords} />
+              </pre>
+            );
+          case 'heading':
+            return (
+              <div
+                key={index}
+                className={block.level <= 2 ? 'text-base font-semibold' : 'text-sm font-semibold'}
+              >
+                <Inline text={block.content} keywords={keywords} />
+              </div>
+            );
+          case 'list': {
+            const ListTag = block.ordered ? 'ol' : 'ul';
+            return (
+              <ListTag key={index} className={block.ordered ? 'list-decimal pl-5' : 'list-disc pl-5'}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}><Inline text={item} keywords={keywords} /></li>
+                ))}
+              </ListTag>
+            );
+          }
+          default:
+            return (
+              <p key={index} className="whitespace-pre-wrap">
+                <Inline text={block.content} keywords={keywords} />
+              </p>
+            );
+        }
+      })}
+    </div>
+  );
+}
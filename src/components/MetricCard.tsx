@@ -10,6 +10,8 @@ interface MetricCardProps {
   trend?: number;
   format: 'number' | 'percentage' | 'duration' | 'currency';
   invertTrend?: boolean;
+  // What the trend is measured against, e.g. "vs baseline"
+  trendLabel?: string;
 }
 
 export default function MetricCard({
@@ -19,6 +21,7 @@ export default function MetricCard({
   trend = 0,
   format,
   invertTrend = false,
+  trendLabel,
 }: MetricCardProps) {
   const formatValue = () => {
     switch (format) {
@@ -74,6 +77,11 @@ export default function MetricCard({
           </div>
         )}
       </div>
+      {trendLabel && trend !== 0 && (
+        <div className="mt-1 text-right text-xs text-gray-500 dark:text-gray-400">
+          {trendLabel}
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
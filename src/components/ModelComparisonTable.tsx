@@ -1,21 +1,96 @@
 import type { ModelPerformance } from '../types/benchmark';
 import { cn, formatDuration, formatPercentage, formatTokens } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { isDifferenceSignificant, modelKey, type ModelStatisticsMap } from '../utils/statistics';
+import { round, type ExportColumn, type ExportContext } from '../utils/tableExport';
+import BaselineDelta from './BaselineDelta';
+import ExportMenu from './ExportMenu';
 
 interface ModelComparisonTableProps {
   performance: ModelPerformance[];
+  // Distributions computed from the raw test results of the same run
+  statistics?: ModelStatisticsMap;
+  // Performance of the pinned baseline run; every row shows its delta against it
+  baseline?: ModelPerformance[];
+  // Run and filters named in exported files
+  exportContext?: ExportContext;
 }
 
-export default function ModelComparisonTable({ performance }: ModelComparisonTableProps) {
+function NotSignificantMarker({ comparedTo }: { comparedTo: string }) {
+  return (
+    <span
+      className="ml-1 text-xs font-semibold text-gray-400"
+      title={`Difference from ${comparedTo} is not statistically significant (95% bootstrap CI)`}
+    >
+      ≈
+    </span>
+  );
+}
+
+const EXPORT_COLUMNS: ExportColumn<ModelPerformance>[] = [
+  { key: 'provider', header: 'Provider', value: p => p.provider },
+  { key: 'model', header: 'Model', value: p => p.model },
+  { key: 'display_name', header: 'Name', value: p => modelDisplayName(p.provider, p.model) },
+  { key: 'total_tests', header: 'Tests', value: p => p.total_tests },
+  { key: 'success_rate', header: 'Success Rate (%)', value: p => round(p.success_rate, 1) },
+  { key: 'avg_ttft_ms', header: 'Avg TTFT (ms)', value: p => round(p.avg_ttft_ms, 0) },
+  { key: 'min_ttft_ms', header: 'Min TTFT (ms)', value: p => round(p.min_ttft_ms, 0) },
+  { key: 'max_ttft_ms', header: 'Max TTFT (ms)', value: p => round(p.max_ttft_ms, 0) },
+  { key: 'avg_total_time_ms', header: 'Avg Total Time (ms)', value: p => round(p.avg_total_time_ms, 0) },
+  { key: 'avg_tokens_per_second', header: 'Throughput (tok/s)', value: p => round(p.avg_tokens_per_second, 1) },
+  { key: 'total_tokens_generated', header: 'Total Tokens', value: p => p.total_tokens_generated },
+  { key: 'cost_per_1k_tokens', header: 'Cost per 1K Tokens ($)', value: p => round(p.cost_per_1k_tokens, 6) },
+  { key: 'total_cost_usd', header: 'Total Cost ($)', value: p => round(p.total_cost_usd, 4) },
+  { key: 'avg_quality_score', header: 'Quality', value: p => round(p.avg_quality_score, 3) },
+];
+
+export default function ModelComparisonTable({ performance, statistics, baseline, exportContext }: ModelComparisonTableProps) {
+  const baselineByModel = new Map(
+    (baseline || []).map(perf => [modelKey(perf.provider, perf.model), perf])
+  );
   const sortedPerformance = [...performance].sort((a, b) => b.success_rate - a.success_rate);
 
+  // Compare every row with the row ranked directly above it
+  const notSignificant = (index: number, metric: 'ttft' | 'success') => {
+    if (!statistics || index === 0) return false;
+    const current = statistics[modelKey(sortedPerformance[index].provider, sortedPerformance[index].model)];
+    const above = statistics[modelKey(sortedPerformance[index - 1].provider, sortedPerformance[index - 1].model)];
+    if (!current || !above) return false;
+    return isDifferenceSignificant(current.samples[metric], above.samples[metric]) === false;
+  };
+
   const getBadgeColor = (successRate: number) => {
     if (successRate >= 95) return 'bg-success-50 text-success-700';
     if (successRate >= 80) return 'bg-warning-50 text-warning-700';
     return 'bg-error-50 text-error-700';
   };
 
+  // Percentiles and baseline values are exported when the table shows them
+  const exportColumns: ExportColumn<ModelPerformance>[] = [
+    ...EXPORT_COLUMNS,
+    ...(statistics ? [
+      { key: 'p50_ttft_ms', header: 'P50 TTFT (ms)', value: (p: ModelPerformance) => round(statistics[modelKey(p.provider, p.model)]?.ttft?.p50, 0) },
+      { key: 'p90_ttft_ms', header: 'P90 TTFT (ms)', value: (p: ModelPerformance) => round(statistics[modelKey(p.provider, p.model)]?.ttft?.p90, 0) },
+    ] : []),
+    ...(baseline ? [
+      { key: 'baseline_success_rate', header: 'Baseline Success Rate (%)', value: (p: ModelPerformance) => round(baselineByModel.get(modelKey(p.provider, p.model))?.success_rate, 1) },
+      { key: 'baseline_avg_ttft_ms', header: 'Baseline Avg TTFT (ms)', value: (p: ModelPerformance) => round(baselineByModel.get(modelKey(p.provider, p.model))?.avg_ttft_ms, 0) },
+    ] : []),
+  ];
+
   return (
     <div className="overflow-x-auto">
+      <div className="px-6 py-2 flex justify-end border-b border-gray-200 dark:border-gray-700">
+        <ExportMenu
+          table={{
+            view: 'model-performance',
+            title: 'Model Performance Comparison',
+            rows: sortedPerformance,
+            columns: exportColumns,
+            ...exportContext,
+          }}
+        />
+      </div>
       <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
         <thead className="bg-gray-50 dark:bg-gray-900">
           <tr>
@@ -43,70 +118,136 @@ export default function ModelComparisonTable({ performance }: ModelComparisonTab
           </tr>
         </thead>
         <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-          {sortedPerformance.map((model) => (
-            <tr key={`${model.provider}-${model.model}`} className="hover:bg-gray-50 dark:hover:bg-gray-700">
-              <td className="px-6 py-4 whitespace-nowrap">
-                <div>
-                  <div className="text-sm font-medium text-gray-900 dark:text-white">
-                    {model.model.replace(/-\d{8}$/, '')}
-                  </div>
-                  <div className="text-xs text-gray-500 dark:text-gray-400">
-                    {model.provider}
+          {sortedPerformance.map((model, index) => {
+            const stats = statistics?.[modelKey(model.provider, model.model)];
+            const modelAbove = index > 0 ? modelDisplayName(sortedPerformance[index - 1].provider, sortedPerformance[index - 1].model) : '';
+            const base = baseline ? baselineByModel.get(modelKey(model.provider, model.model)) : undefined;
+
+            return (
+              <tr key={`${model.provider}-${model.model}`} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900 dark:text-white">
+                      {modelDisplayName(model.provider, model.model)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {model.provider}
+                    </div>
+                    {baseline && !base && (
+                      <div className="text-xs text-gray-400">not in baseline</div>
+                    )}
                   </div>
-                </div>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <span className={cn(
-                  'inline-flex px-2 py-1 text-xs font-semibold rounded-full',
-                  getBadgeColor(model.success_rate)
-                )}>
-                  {formatPercentage(model.success_rate)}
-                </span>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                <div className="flex flex-col">
-                  <span>{formatDuration(model.avg_ttft_ms)}</span>
-                  <span className="text-xs text-gray-500">
-                    {formatDuration(model.min_ttft_ms)} - {formatDuration(model.max_ttft_ms)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={cn(
+                    'inline-flex px-2 py-1 text-xs font-semibold rounded-full',
+                    getBadgeColor(model.success_rate)
+                  )}>
+                    {formatPercentage(model.success_rate)}
                   </span>
-                </div>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                {model.avg_tokens_per_second.toFixed(1)} tok/s
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                {formatTokens(model.total_tokens_generated)}
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm">
-                <span className={cn(
-                  'font-medium',
-                  model.cost_per_1k_tokens < 0.002 ? 'text-success-600' : 
-                  model.cost_per_1k_tokens < 0.005 ? 'text-warning-600' : 'text-error-600'
-                )}>
-                  ${(model.cost_per_1k_tokens * 1000).toFixed(3)}
-                </span>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                {model.avg_quality_score > 0 ? (
-                  <div className="flex items-center">
-                    <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-2 w-16">
-                      <div 
-                        className="bg-primary-500 h-2 rounded-full"
-                        style={{ width: `${model.avg_quality_score * 100}%` }}
-                      />
+                  {notSignificant(index, 'success') && <NotSignificantMarker comparedTo={modelAbove} />}
+                  {stats?.successRate?.ciLower != null && stats.successRate.ciUpper != null && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      CI {formatPercentage(stats.successRate.ciLower)} – {formatPercentage(stats.successRate.ciUpper)}
                     </div>
-                    <span className="ml-2 text-xs text-gray-600 dark:text-gray-400">
-                      {(model.avg_quality_score * 100).toFixed(0)}%
+                  )}
+                  {base && (
+                    <BaselineDelta metric="success_rate" value={model.success_rate} baseline={base.success_rate} className="block mt-1" />
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+                  <div className="flex flex-col">
+                    <span>
+                      {formatDuration(model.avg_ttft_ms)}
+                      {notSignificant(index, 'ttft') && <NotSignificantMarker comparedTo={modelAbove} />}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {formatDuration(model.min_ttft_ms)} - {formatDuration(model.max_ttft_ms)}
                     </span>
+                    {stats?.ttft && (
+                      <span className="text-xs text-gray-500">
+                        p50 {formatDuration(stats.ttft.p50)} · p90 {formatDuration(stats.ttft.p90)} · p99 {formatDuration(stats.ttft.p99)}
+                      </span>
+                    )}
+                    {stats?.ttft && (
+                      <span className="text-xs text-gray-500">
+                        {stats.ttft.ciLower != null && stats.ttft.ciUpper != null
+                          ? `CI ${formatDuration(stats.ttft.ciLower)} – ${formatDuration(stats.ttft.ciUpper)} · σ ${formatDuration(stats.ttft.stdDev)}`
+                          : `n=${stats.ttft.n}, too few samples for a CI`}
+                      </span>
+                    )}
+                    {base && (
+                      <BaselineDelta metric="ttft" value={model.avg_ttft_ms} baseline={base.avg_ttft_ms} />
+                    )}
                   </div>
-                ) : (
-                  <span className="text-xs text-gray-400">N/A</span>
-                )}
-              </td>
-            </tr>
-          ))}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+                  {model.avg_tokens_per_second.toFixed(1)} tok/s
+                  {base && (
+                    <BaselineDelta
+                      metric="tokens_per_second"
+                      value={model.avg_tokens_per_second}
+                      baseline={base.avg_tokens_per_second}
+                      className="block"
+                    />
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+                  {formatTokens(model.total_tokens_generated)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  <span className={cn(
+                    'font-medium',
+                    model.cost_per_1k_tokens < 0.002 ? 'text-success-600' : 
+                    model.cost_per_1k_tokens < 0.005 ? 'text-warning-600' : 'text-error-600'
+                  )}>
+                    ${(model.cost_per_1k_tokens * 1000).toFixed(3)}
+                  </span>
+                  {base && (
+                    <BaselineDelta
+                      metric="cost"
+                      value={model.cost_per_1k_tokens}
+                      baseline={base.cost_per_1k_tokens}
+                      className="block"
+                    />
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  {model.avg_quality_score > 0 ? (
+                    <div className="flex items-center">
+                      <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-2 w-16">
+                        <div 
+                          className="bg-primary-500 h-2 rounded-full"
+                          style={{ width: `${model.avg_quality_score * 100}%` }}
+                        />
+                      </div>
+                      <span className="ml-2 text-xs text-gray-600 dark:text-gray-400">
+                        {(model.avg_quality_score * 100).toFixed(0)}%
+                      </span>
+                    </div>
+                  ) : (
+                    <span className="text-xs text-gray-400">N/A</span>
+                  )}
+                  {base && model.avg_quality_score > 0 && (
+                    <BaselineDelta
+                      metric="quality_score"
+                      value={model.avg_quality_score}
+                      baseline={base.avg_quality_score}
+                      className="block mt-1"
+                    />
+                  )}
+                </td>
+              </tr>
+            );
+          })}
         </tbody>
       </table>
+      {statistics && (
+        <div className="px-6 py-3 text-xs text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+          CI: 95% bootstrap confidence interval of the mean. ≈ marks a difference from the model
+          ranked above that is not statistically significant.
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -6,37 +6,54 @@ import {
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
+  ErrorBar,
 } from 'recharts';
 import type { ModelPerformance } from '../types/benchmark';
 import { formatDuration, formatPercentage } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { modelKey, type ModelStatisticsMap, type SampleSummary } from '../utils/statistics';
 
 interface PerformanceChartProps {
   performance: ModelPerformance[];
   title: string;
   metric: 'ttft' | 'throughput' | 'success' | 'cost';
+  // When given, bars show the sample mean with its bootstrap confidence interval
+  statistics?: ModelStatisticsMap;
 }
 
-export default function PerformanceChart({ performance, title, metric }: PerformanceChartProps) {
+// Centers the bar on the sample mean and returns the [below, above] error offsets
+function withConfidence(fallback: number, summary?: SampleSummary | null) {
+  if (!summary || summary.ciLower === null || summary.ciUpper === null) {
+    return { value: fallback };
+  }
+  return {
+    value: summary.mean,
+    error: [Math.max(0, summary.mean - summary.ciLower), Math.max(0, summary.ciUpper - summary.mean)],
+  };
+}
+
+export default function PerformanceChart({ performance, title, metric, statistics }: PerformanceChartProps) {
   const data = performance.map(p => {
-    const modelName = p.model.replace(/-\d{8}$/, '').replace('claude-3-5-', 'Claude ').replace('gemini-', 'Gemini ');
+    const modelName = modelDisplayName(p.provider, p.model);
+    const stats = statistics?.[modelKey(p.provider, p.model)];
     
     switch (metric) {
       case 'ttft':
         return {
           model: modelName,
-          value: p.avg_ttft_ms,
+          ...withConfidence(p.avg_ttft_ms, stats?.ttft),
           min: p.min_ttft_ms,
           max: p.max_ttft_ms,
         };
       case 'throughput':
         return {
           model: modelName,
-          value: p.avg_tokens_per_second,
+          ...withConfidence(p.avg_tokens_per_second, stats?.tokensPerSecond),
         };
       case 'success':
         return {
           model: modelName,
-          value: p.success_rate,
+          ...withConfidence(p.success_rate, stats?.successRate),
         };
       case 'cost':
         return {
@@ -117,7 +134,11 @@ export default function PerformanceChart({ performance, title, metric }: Perform
             dataKey="value" 
             fill="#3b82f6"
             radius={[4, 4, 0, 0]}
-          />
+          >
+            {statistics && (
+              <ErrorBar dataKey="error" width={4} strokeWidth={1.5} stroke="#1e3a8a" direction="y" />
+            )}
+          </Bar>
           {metric === 'ttft' && (
             <>
               <Bar 
@@ -0,0 +1,220 @@
+import { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { format } from 'date-fns';
+import type { BenchmarkRun, ModelPerformance } from '../types/benchmark';
+import { cn } from '../lib/utils';
+import { MODEL_GROUPINGS, groupModelPerformance, modelDisplayName, type ModelGrouping } from '../utils/modelRegistry';
+import {
+  HISTORY_METRICS,
+  buildTimeSeries,
+  listModelSeries,
+  type HistoryMetricKey,
+} from '../utils/timeSeries';
+
+const COLORS = [
+  '#3b82f6', // blue
+  '#10b981', // emerald
+  '#f59e0b', // amber
+  '#ef4444', // red
+  '#8b5cf6', // violet
+  '#ec4899', // pink
+  '#14b8a6', // teal
+  '#f97316', // orange
+  '#6366f1', // indigo
+  '#84cc16', // lime
+];
+
+interface PerformanceHistoryChartProps {
+  runs: BenchmarkRun[];
+  // Model performance of every run
+  performance: ModelPerformance[];
+}
+
+export default function PerformanceHistoryChart({ runs, performance }: PerformanceHistoryChartProps) {
+  const [metricKey, setMetricKey] = useState<HistoryMetricKey>('avg_ttft_ms');
+  const [hiddenModels, setHiddenModels] = useState<string[]>([]);
+  const [logScale, setLogScale] = useState(false);
+  const [showRunLabels, setShowRunLabels] = useState(true);
+  // One line per model by default, so a new snapshot continues the line of the previous one
+  const [grouping, setGrouping] = useState<ModelGrouping>('model');
+
+  const metric = HISTORY_METRICS.find(m => m.key === metricKey)!;
+  const grouped = useMemo(() => groupModelPerformance(performance, grouping), [performance, grouping]);
+  const series = useMemo(() => listModelSeries(grouped), [grouped]);
+  const data = useMemo(
+    () => buildTimeSeries(runs, grouped, metric, logScale),
+    [runs, grouped, metric, logScale]
+  );
+  const runNames = new Map(data.map(point => [point.timestamp, point.run_name]));
+
+  const toggleModel = (key: string) => {
+    setHiddenModels(hiddenModels.includes(key)
+      ? hiddenModels.filter(k => k !== key)
+      : [...hiddenModels, key]);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Performance History
+        </h3>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden">
+            {HISTORY_METRICS.map(m => (
+              <button
+                key={m.key}
+                onClick={() => setMetricKey(m.key)}
+                className={cn(
+                  'px-3 py-1',
+                  m.key === metricKey
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                )}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={grouping}
+            onChange={(e) => {
+              setGrouping(e.target.value as ModelGrouping);
+              setHiddenModels([]);
+            }}
+            className="px-2 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+            title="Group models by"
+          >
+            {MODEL_GROUPINGS.map(g => (
+              <option key={g.key} value={g.key}>By {g.label.toLowerCase()}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1 text-gray-600 dark:text-gray-400">
+            <input type="checkbox" checked={logScale} onChange={(e) => setLogScale(e.target.checked)} />
+            Log scale
+          </label>
+          <label className="flex items-center gap-1 text-gray-600 dark:text-gray-400">
+            <input type="checkbox" checked={showRunLabels} onChange={(e) => setShowRunLabels(e.target.checked)} />
+            Run labels
+          </label>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {series.map((s, index) => {
+          const hidden = hiddenModels.includes(s.key);
+          return (
+            <button
+              key={s.key}
+              onClick={() => toggleModel(s.key)}
+              className={cn(
+                'flex items-center px-2 py-1 rounded-full border text-xs',
+                hidden
+                  ? 'border-gray-200 dark:border-gray-700 text-gray-400'
+                  : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+              )}
+              title={hidden ? 'Show model' : 'Hide model'}
+            >
+              <span
+                className="w-2 h-2 rounded-full mr-1"
+                style={{ backgroundColor: hidden ? '#d1d5db' : COLORS[index % COLORS.length] }}
+              />
+              {s.provider}/{modelDisplayName(s.provider, s.model)}
+            </button>
+          );
+        })}
+        {series.length > 1 && (
+          <button
+            onClick={() => setHiddenModels(hiddenModels.length > 0 ? [] : series.map(s => s.key))}
+            className="px-2 py-1 text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {hiddenModels.length > 0 ? 'Show all' : 'Hide all'}
+          </button>
+        )}
+      </div>
+
+      {data.length < 2 ? (
+        <div className="p-8 text-center text-gray-500 dark:text-gray-400">
+          At least two runs are needed to plot a history.
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={360}>
+          <LineChart data={data} margin={{ top: showRunLabels ? 30 : 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+            <XAxis
+              dataKey="timestamp"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value: number) => format(new Date(value), 'MMM d')}
+              tick={{ fill: '#9ca3af' }}
+              className="text-xs"
+            />
+            <YAxis
+              scale={logScale ? 'log' : 'auto'}
+              domain={logScale ? ['auto', 'auto'] : [0, 'auto']}
+              allowDataOverflow={logScale}
+              tickFormatter={(value: number) => metric.format(value)}
+              label={{
+                value: metric.axisLabel,
+                angle: -90,
+                position: 'insideLeft',
+                style: { fill: '#9ca3af', fontSize: 12 }
+              }}
+              tick={{ fill: '#9ca3af' }}
+              width={80}
+            />
+            <Tooltip
+              labelFormatter={(value) => {
+                const timestamp = Number(value);
+                return `${runNames.get(timestamp) || ''} · ${format(new Date(timestamp), 'MMM d, HH:mm')}`;
+              }}
+              formatter={(value) => metric.format(Number(value))}
+              contentStyle={{
+                backgroundColor: 'rgba(31, 41, 55, 0.95)',
+                border: '1px solid rgba(75, 85, 99, 0.3)',
+                borderRadius: '6px',
+              }}
+              labelStyle={{ color: '#d1d5db' }}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {showRunLabels && data.map(point => (
+              <ReferenceLine
+                key={point.run_id}
+                x={point.timestamp}
+                stroke="#9ca3af"
+                strokeDasharray="2 4"
+                label={{ value: point.run_name, position: 'top', fill: '#9ca3af', fontSize: 10 }}
+              />
+            ))}
+            {series.map((s, index) => (
+              !hiddenModels.includes(s.key) && (
+                <Line
+                  key={s.key}
+                  type="monotone"
+                  dataKey={s.key}
+                  name={`${s.provider}/${modelDisplayName(s.provider, s.model)}`}
+                  stroke={COLORS[index % COLORS.length]}
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              )
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
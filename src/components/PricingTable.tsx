@@ -0,0 +1,306 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Pencil, Save, Tags, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { deletePriceEntry, fetchPriceList, savePriceEntry } from '../services/api';
+import { cn } from '../lib/utils';
+import { MODELS, PROVIDERS } from '../config/models';
+import { modelDisplayName, providerDisplayName } from '../utils/modelRegistry';
+import { findPrice, priceEntryKey, type PriceEntry } from '../utils/pricing';
+
+interface PriceForm {
+  provider: string;
+  model: string;
+  input: string;
+  output: string;
+  effectiveFrom: string;
+  note: string;
+}
+
+const EMPTY_FORM: PriceForm = {
+  provider: PROVIDERS[0].id,
+  model: '',
+  input: '',
+  output: '',
+  effectiveFrom: format(new Date(), 'yyyy-MM-dd'),
+  note: '',
+};
+
+function formatPrice(value: number): string {
+  return `$${value.toFixed(value < 1 ? 3 : 2)}`;
+}
+
+export default function PricingTable() {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState<PriceForm>(EMPTY_FORM);
+  const [providerFilter, setProviderFilter] = useState('');
+
+  const { data: prices = [], isLoading } = useQuery({
+    queryKey: ['priceList'],
+    queryFn: fetchPriceList,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: () => savePriceEntry({
+      provider: form.provider,
+      model: form.model,
+      input_per_mtok: form.input === '' ? NaN : Number(form.input),
+      output_per_mtok: form.output === '' ? NaN : Number(form.output),
+      effective_from: form.effectiveFrom,
+      note: form.note,
+    }),
+    onSuccess: () => {
+      setForm({ ...EMPTY_FORM, provider: form.provider });
+      queryClient.invalidateQueries({ queryKey: ['priceList'] });
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (entry: PriceEntry) => deletePriceEntry(entry),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['priceList'] }),
+  });
+
+  // The entry each model is priced with today
+  const today = format(new Date(), 'yyyy-MM-dd');
+  const current = useMemo(() => new Set(prices
+    .map(entry => findPrice(prices, entry.provider, entry.model, today))
+    .filter((entry): entry is PriceEntry => entry !== null)
+    .map(priceEntryKey)), [prices, today]);
+
+  const visible = providerFilter ? prices.filter(p => p.provider === providerFilter) : prices;
+  const providers = [...new Set(prices.map(p => p.provider))].sort();
+
+  const edit = (entry: PriceEntry) => {
+    setForm({
+      provider: entry.provider,
+      model: entry.model,
+      input: String(entry.input_per_mtok),
+      output: String(entry.output_per_mtok),
+      // A list price is overridden from today on rather than rewritten
+      effectiveFrom: entry.builtIn ? format(new Date(), 'yyyy-MM-dd') : entry.effective_from,
+      note: entry.builtIn ? '' : entry.note || '',
+    });
+  };
+
+  const update = (field: keyof PriceForm, value: string) => setForm(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <Tags className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Pricing</h1>
+            </div>
+            <Link to="/costs?prices=run_time" className="ml-auto text-sm font-medium text-primary-600 hover:text-primary-700">
+              Recompute costs
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Editor */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Add a Price</h2>
+          <p className="mt-1 mb-4 text-sm text-gray-500 dark:text-gray-400">
+            A price applies from its effective date until the next price of the same model. Snapshot ids are stored
+            under their model, so one entry covers every snapshot.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3 items-end">
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Provider</span>
+              <select
+                value={form.provider}
+                onChange={(e) => update('provider', e.target.value)}
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              >
+                {PROVIDERS.map(p => (
+                  <option key={p.id} value={p.id}>{p.displayName}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Model</span>
+              <input
+                type="text"
+                list="pricing-models"
+                value={form.model}
+                onChange={(e) => update('model', e.target.value)}
+                placeholder="e.g. gpt-4o"
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+              <datalist id="pricing-models">
+                {MODELS.filter(m => m.provider === form.provider).map(m => (
+                  <option key={m.id} value={m.id}>{m.displayName}</option>
+                ))}
+              </datalist>
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Input $/1M tokens</span>
+              <input
+                type="number"
+                min={0}
+                step="any"
+                value={form.input}
+                onChange={(e) => update('input', e.target.value)}
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Output $/1M tokens</span>
+              <input
+                type="number"
+                min={0}
+                step="any"
+                value={form.output}
+                onChange={(e) => update('output', e.target.value)}
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Effective from</span>
+              <input
+                type="date"
+                value={form.effectiveFrom}
+                onChange={(e) => update('effectiveFrom', e.target.value)}
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Note</span>
+              <input
+                type="text"
+                value={form.note}
+                onChange={(e) => update('note', e.target.value)}
+                placeholder="e.g. price cut"
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+            </label>
+          </div>
+          <div className="mt-4 flex items-center gap-3">
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={!form.model.trim() || saveMutation.isPending}
+              className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4" />
+              Save
+            </button>
+            {form.model && (
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {modelDisplayName(form.provider, form.model)}
+              </span>
+            )}
+            {saveMutation.error && (
+              <span className="text-sm text-error-500">{(saveMutation.error as Error).message}</span>
+            )}
+          </div>
+        </div>
+
+        {/* Price list */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Price List</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                List prices come from the model registry; your entries replace or extend them
+              </p>
+            </div>
+            <select
+              value={providerFilter}
+              onChange={(e) => setProviderFilter(e.target.value)}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+            >
+              <option value="">All Providers</option>
+              {providers.map(provider => (
+                <option key={provider} value={provider}>{providerDisplayName(provider)}</option>
+              ))}
+            </select>
+          </div>
+          {isLoading ? (
+            <div className="flex items-center justify-center p-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              <span className="ml-3 text-gray-600 dark:text-gray-400">Loading prices...</span>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-900">
+                  <tr>
+                    {['Model', 'Input / 1M', 'Output / 1M', 'Effective From', 'Source', ''].map(heading => (
+                      <th
+                        key={heading}
+                        className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {visible.map(entry => {
+                    const key = priceEntryKey(entry);
+                    const inEffect = current.has(key);
+                    return (
+                      <tr key={key} className={cn('hover:bg-gray-50 dark:hover:bg-gray-700', !inEffect && 'opacity-60')}>
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900 dark:text-white">
+                            {modelDisplayName(entry.provider, entry.model)}
+                          </div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">{entry.provider}/{entry.model}</div>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatPrice(entry.input_per_mtok)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{formatPrice(entry.output_per_mtok)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900 dark:text-gray-200">
+                          {entry.effective_from}
+                          {inEffect && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded-full text-[10px] font-medium bg-success-50 text-success-700">
+                              Current
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                          {entry.builtIn ? 'Model registry' : entry.note || 'Edited'}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right">
+                          <button
+                            onClick={() => edit(entry)}
+                            className="p-1.5 rounded-md text-gray-500 hover:text-primary-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                            title={entry.builtIn ? 'Add a new price for this model' : 'Edit this price'}
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </button>
+                          {!entry.builtIn && (
+                            <button
+                              onClick={() => deleteMutation.mutate(entry)}
+                              className="p-1.5 rounded-md text-gray-500 hover:text-error-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                              title="Delete this price"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
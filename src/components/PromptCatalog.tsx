@@ -0,0 +1,369 @@
+import { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { ArrowLeft, BookOpen, FileSearch, History, Search, Trophy } from 'lucide-react';
+import { format } from 'date-fns';
+import { fetchAllTestResults, fetchBenchmarkRuns } from '../services/api';
+import { cn, formatDuration } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import {
+  DEFINITION_FIELDS,
+  buildPromptCatalog,
+  formatDefinitionValue,
+  type CatalogPrompt,
+} from '../utils/promptCatalog';
+import { inspectorLink } from '../utils/responseInspector';
+
+function passRateClass(rate: number): string {
+  if (rate >= 80) return 'text-success-600';
+  if (rate >= 50) return 'text-warning-600';
+  return 'text-error-600';
+}
+
+function PromptDetail({ prompt }: { prompt: CatalogPrompt }) {
+  const latest = prompt.versions[prompt.versions.length - 1];
+  const chartData = prompt.history.map(stats => ({
+    ...stats,
+    label: format(new Date(stats.timestamp), 'MMM d, HH:mm'),
+  }));
+  // Marks the first run of every later version on the chart
+  const versionStarts = chartData.filter((point, index) =>
+    index > 0 && point.version !== chartData[index - 1].version
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <div className="flex items-center gap-2">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{prompt.id}</h2>
+              <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                {prompt.category}
+              </span>
+            </div>
+            <div className="mt-1 flex flex-wrap gap-x-4 text-sm text-gray-500 dark:text-gray-400">
+              <span className={passRateClass(prompt.passRate)}>{prompt.passRate.toFixed(0)}% pass rate</span>
+              <span>{prompt.totalTests} tests</span>
+              <span>{prompt.history.length} runs</span>
+              <span>{prompt.versions.length} {prompt.versions.length === 1 ? 'version' : 'versions'}</span>
+              <span>Last used {format(new Date(prompt.lastUsed), 'MMM d, HH:mm')}</span>
+            </div>
+          </div>
+          <Link
+            to={inspectorLink({ promptId: prompt.id, mode: 'models' })}
+            className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700 whitespace-nowrap"
+          >
+            <FileSearch className="h-4 w-4" />
+            Inspect responses
+          </Link>
+        </div>
+
+        <dl className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3 text-sm">
+          {DEFINITION_FIELDS.map(({ key, label }) => (
+            <div key={key} className={key === 'Text' || key === 'ExpectedAnswer' ? 'sm:col-span-2' : ''}>
+              <dt className="text-xs text-gray-500 dark:text-gray-400">{label}</dt>
+              <dd className={cn(
+                'text-gray-900 dark:text-gray-200',
+                key === 'Text' && 'p-3 mt-1 bg-gray-50 dark:bg-gray-900 rounded font-mono whitespace-pre-wrap'
+              )}>
+                {formatDefinitionValue(key, latest.definition[key])}
+              </dd>
+            </div>
+          ))}
+        </dl>
+        {latest.inferred && (
+          <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            The run metadata has no definition for this prompt; only the text recorded with the results is shown.
+          </p>
+        )}
+      </div>
+
+      {/* Pass rate history */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-4">Pass Rate by Run</h3>
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart data={chartData} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+            <XAxis dataKey="label" tick={{ fill: '#9ca3af' }} className="text-xs" />
+            <YAxis
+              domain={[0, 100]}
+              tickFormatter={(value: number) => `${value}%`}
+              tick={{ fill: '#9ca3af' }}
+              width={50}
+            />
+            <Tooltip
+              formatter={(value, _name, item) => [
+                `${Number(value).toFixed(0)}% (${item.payload.passed}/${item.payload.total})`,
+                `Pass rate · v${item.payload.version}`,
+              ]}
+              labelFormatter={(label, payload) => `${payload?.[0]?.payload.run_name || ''} · ${label}`}
+              contentStyle={{
+                backgroundColor: 'rgba(31, 41, 55, 0.95)',
+                border: '1px solid rgba(75, 85, 99, 0.3)',
+                borderRadius: '6px',
+              }}
+              labelStyle={{ color: '#d1d5db' }}
+            />
+            {versionStarts.map(point => (
+              <ReferenceLine
+                key={point.run_id}
+                x={point.label}
+                stroke="#f59e0b"
+                strokeDasharray="4 4"
+                label={{ value: `v${point.version}`, position: 'top', fill: '#f59e0b', fontSize: 10 }}
+              />
+            ))}
+            <Line type="monotone" dataKey="passRate" stroke="#3b82f6" strokeWidth={2} dot={{ r: 3 }} />
+          </LineChart>
+        </ResponsiveContainer>
+        {versionStarts.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Dashed lines mark runs where the prompt definition changed, so the pass rates on either side aren't strictly comparable.
+          </p>
+        )}
+      </div>
+
+      {/* Leaderboard */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-2">
+          <Trophy className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Model Leaderboard</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-900">
+              <tr>
+                {['#', 'Model', 'Pass Rate', 'Passed', 'Avg TTFT', 'Quality', 'Runs'].map(heading => (
+                  <th
+                    key={heading}
+                    className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+              {prompt.leaderboard.map((entry, index) => (
+                <tr key={entry.key} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{index + 1}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <Link
+                      to={inspectorLink({ promptId: prompt.id, mode: 'runs', model: entry.key })}
+                      className="text-sm font-medium text-gray-900 dark:text-white hover:text-primary-600"
+                      title="Compare this model's answers across runs"
+                    >
+                      {modelDisplayName(entry.provider, entry.model)}
+                    </Link>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{entry.provider}</div>
+                  </td>
+                  <td className={cn('px-4 py-2 text-sm font-medium', passRateClass(entry.passRate))}>
+                    {entry.passRate.toFixed(0)}%
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{entry.passed}/{entry.total}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">
+                    {entry.avgTtftMs > 0 ? formatDuration(entry.avgTtftMs) : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">
+                    {entry.avgQuality !== null ? `${entry.avgQuality.toFixed(0)}%` : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{entry.runs}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Definition history */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center gap-2">
+          <History className="h-5 w-5 text-gray-500 dark:text-gray-400" />
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Definition History</h3>
+        </div>
+        <ol className="divide-y divide-gray-200 dark:divide-gray-700">
+          {[...prompt.versions].reverse().map(version => (
+            <li key={version.version} className="px-6 py-4">
+              <div className="flex flex-wrap items-baseline gap-x-3 text-sm">
+                <span className="font-medium text-gray-900 dark:text-white">v{version.version}</span>
+                <span className="text-gray-500 dark:text-gray-400">
+                  since {format(new Date(version.firstSeen), 'MMM d, HH:mm')} · {version.runIds.length}{' '}
+                  {version.runIds.length === 1 ? 'run' : 'runs'}
+                </span>
+                {version.inferred && (
+                  <span className="text-xs text-gray-400">(from results)</span>
+                )}
+              </div>
+              {version.changes.length === 0 ? (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">First recorded definition</p>
+              ) : (
+                <table className="mt-2 text-xs w-full">
+                  <tbody>
+                    {version.changes.map(change => (
+                      <tr key={change.field} className="align-top">
+                        <td className="pr-3 py-0.5 text-gray-500 dark:text-gray-400 whitespace-nowrap">{change.label}</td>
+                        <td className="pr-3 py-0.5 text-error-700 line-through break-words">{change.before}</td>
+                        <td className="py-0.5 text-success-700 break-words">{change.after}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
+
+export default function PromptCatalog() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [search, setSearch] = useState('');
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  const { data: results = [], isLoading: resultsLoading } = useQuery({
+    queryKey: ['allTestResults'],
+    queryFn: fetchAllTestResults,
+  });
+
+  const catalog = useMemo(() => buildPromptCatalog(runs, results), [runs, results]);
+  const categories = [...new Set(catalog.map(p => p.category))].sort();
+  const category = searchParams.get('category') || '';
+
+  const query = search.trim().toLowerCase();
+  const visible = catalog.filter(p =>
+    (!category || p.category === category) &&
+    (!query || p.id.toLowerCase().includes(query) || p.text.toLowerCase().includes(query))
+  );
+  const selected = catalog.find(p => p.id === searchParams.get('prompt')) || visible[0];
+
+  const updateParams = (updates: Record<string, string | null>) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  };
+
+  const isLoading = runsLoading || resultsLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <BookOpen className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Prompt Catalog</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading prompts...</span>
+          </div>
+        ) : catalog.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 dark:text-gray-400">No prompts found in any run.</div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Prompt list */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 self-start">
+              <div className="p-4 space-y-2 border-b border-gray-200 dark:border-gray-700">
+                <div className="relative">
+                  <Search className="h-4 w-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search prompts..."
+                    className="w-full pl-8 pr-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                  />
+                </div>
+                <select
+                  value={category}
+                  onChange={(e) => updateParams({ category: e.target.value || null })}
+                  className="w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                >
+                  <option value="">All categories</option>
+                  {categories.map(c => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  {visible.length} of {catalog.length} prompts
+                </div>
+              </div>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700 max-h-[70vh] overflow-y-auto">
+                {visible.map(prompt => (
+                  <li key={prompt.id}>
+                    <button
+                      onClick={() => updateParams({ prompt: prompt.id })}
+                      className={cn(
+                        'w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700',
+                        prompt.id === selected?.id && 'bg-primary-50 dark:bg-primary-900/20'
+                      )}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{prompt.id}</span>
+                        <span className={cn('text-xs font-medium', passRateClass(prompt.passRate))}>
+                          {prompt.passRate.toFixed(0)}%
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 truncate">{prompt.text}</div>
+                      <div className="mt-1 text-xs text-gray-400">
+                        {prompt.category} · {prompt.history.length} runs
+                        {prompt.versions.length > 1 && ` · ${prompt.versions.length} versions`}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Selected prompt */}
+            <div className="lg:col-span-2">
+              {selected ? (
+                <PromptDetail prompt={selected} />
+              ) : (
+                <div className="p-8 text-center text-gray-500 dark:text-gray-400">No prompt matches the filters.</div>
+              )}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
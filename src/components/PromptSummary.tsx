@@ -1,8 +1,13 @@
 import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
 import { fetchTestResults } from '../services/api';
 import { FileText, Hash, Zap, Activity, BarChart, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
 import type { TestResult } from '../types/benchmark';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { round, type ExportColumn } from '../utils/tableExport';
+import { useDashboardParams } from '../hooks/useDashboardParams';
+import ExportMenu from './ExportMenu';
 
 interface PromptSummaryProps {
   runId?: string;
@@ -20,8 +25,23 @@ interface PromptStats {
   providers: string[];
 }
 
+const EXPORT_COLUMNS: ExportColumn<PromptStats>[] = [
+  { key: 'prompt_id', header: 'Prompt ID', value: p => p.prompt_id },
+  { key: 'category', header: 'Category', value: p => p.category },
+  { key: 'total_tests', header: 'Tests', value: p => p.total_tests },
+  { key: 'successful_tests', header: 'Passed', value: p => p.successful_tests },
+  { key: 'failed_tests', header: 'Failed', value: p => p.failed_tests },
+  { key: 'success_rate', header: 'Success Rate (%)', value: p => round((p.successful_tests / p.total_tests) * 100, 1) },
+  { key: 'avg_time_ms', header: 'Avg Time (ms)', value: p => round(p.avg_time_ms, 0) },
+  { key: 'avg_tokens', header: 'Avg Tokens', value: p => p.avg_tokens },
+  { key: 'models', header: 'Models', value: p => p.providers.join('; ') },
+  { key: 'prompt_text', header: 'Prompt', value: p => p.prompt_text },
+];
+
 export default function PromptSummary({ runId }: PromptSummaryProps) {
   const [expandedPrompt, setExpandedPrompt] = useState<string | null>(null);
+  // Same provider, model and category filters as the rest of the dashboard
+  const { filters } = useDashboardParams();
   
   const { data: testResults, isLoading } = useQuery({
     queryKey: ['testResults', runId],
@@ -34,7 +54,11 @@ export default function PromptSummary({ runId }: PromptSummaryProps) {
   if (testResults) {
     const promptMap = new Map<string, PromptStats>();
     
-    testResults.forEach((result: TestResult) => {
+    testResults.filter((result: TestResult) =>
+      (!filters.provider || result.provider === filters.provider) &&
+      (!filters.model || result.model === filters.model) &&
+      (!filters.category || result.category === filters.category)
+    ).forEach((result: TestResult) => {
       const key = result.prompt_id;
       if (!promptMap.has(key)) {
         promptMap.set(key, {
@@ -60,7 +84,7 @@ export default function PromptSummary({ runId }: PromptSummaryProps) {
       stats.avg_time_ms += result.total_time_ms || 0;
       stats.avg_tokens += result.tokens_generated || 0;
       
-      const providerKey = `${result.provider}/${result.model}`;
+      const providerKey = `${result.provider}/${modelDisplayName(result.provider, result.model)}`;
       if (!stats.providers.includes(providerKey)) {
         stats.providers.push(providerKey);
       }
@@ -119,8 +143,25 @@ export default function PromptSummary({ runId }: PromptSummaryProps) {
 
   return (
     <div className="p-4 space-y-3">
-      <div className="mb-4 text-sm text-gray-600 dark:text-gray-400">
-        <strong>{promptStats.length}</strong> unique prompts tested across <strong>{promptStats.reduce((acc, p) => acc + p.providers.length, 0)}</strong> model configurations
+      <div className="mb-4 flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+        <span>
+          <strong>{promptStats.length}</strong> unique prompts tested across <strong>{promptStats.reduce((acc, p) => acc + p.providers.length, 0)}</strong> model configurations
+        </span>
+        <div className="flex items-center gap-3">
+          <ExportMenu
+            table={{
+              view: 'prompts',
+              title: 'Test Prompts Overview',
+              rows: promptStats,
+              columns: EXPORT_COLUMNS,
+              runId,
+              filters: { provider: filters.provider, model: filters.model, category: filters.category },
+            }}
+          />
+          <Link to="/prompts" className="text-primary-600 hover:text-primary-700">
+            Browse all prompts
+          </Link>
+        </div>
       </div>
       
       {promptStats.map((prompt) => {
@@ -187,6 +228,13 @@ export default function PromptSummary({ runId }: PromptSummaryProps) {
                     {prompt.prompt_text}
                   </div>
                   
+                  <Link
+                    to={`/prompts?prompt=${encodeURIComponent(prompt.prompt_id)}`}
+                    className="inline-block text-xs text-primary-600 hover:text-primary-700"
+                  >
+                    Definition history and leaderboard
+                  </Link>
+
                   <div className="grid grid-cols-2 gap-4 mt-4">
                     <div>
                       <div className="text-xs text-gray-600 dark:text-gray-400 mb-1">Test Results</div>
@@ -0,0 +1,175 @@
+import {
+  RadarChart,
+  Radar,
+  PolarGrid,
+  PolarAngleAxis,
+  PolarRadiusAxis,
+  ResponsiveContainer,
+  Tooltip,
+} from 'recharts';
+import type { BenchmarkRun, ModelPerformance, TestResult } from '../types/benchmark';
+import { cn } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { modelKey } from '../utils/statistics';
+import {
+  QUALITY_DIMENSIONS,
+  VALIDATION_CHECKS,
+  buildValidationMatrix,
+  computeModelQuality,
+  type CheckSummary,
+  type MatrixCell,
+} from '../utils/qualityBreakdown';
+
+interface QualityBreakdownProps {
+  performance: ModelPerformance[];
+  results: TestResult[];
+  // Supplies the prompt definitions, to tell which checks are configured
+  run?: BenchmarkRun;
+}
+
+function checkClass(summary: CheckSummary): string {
+  if (!summary.applicable || summary.total === 0) return 'bg-gray-100 text-gray-400 dark:bg-gray-700';
+  if (summary.passed === summary.total) return 'bg-success-50 text-success-700';
+  if (summary.passed === 0) return 'bg-error-50 text-error-700';
+  return 'bg-warning-50 text-warning-700';
+}
+
+function CheckCell({ cell }: { cell?: MatrixCell }) {
+  if (!cell) {
+    return <span className="text-xs text-gray-300">—</span>;
+  }
+
+  const failedRuns = cell.results.filter(r => !r.success).length;
+  const tooltip = [
+    ...VALIDATION_CHECKS.map(c => {
+      const summary = cell.checks[c.key];
+      if (!summary.applicable) return `${c.label}: not configured`;
+      return `${c.label}: ${summary.passed}/${summary.total} passed`;
+    }),
+    failedRuns > 0 ? `${failedRuns} of ${cell.results.length} tests failed` : null,
+    ...cell.results.map(r => r.error_message).filter(Boolean),
+  ].filter(Boolean).join('\n');
+
+  return (
+    <div className="flex items-center gap-0.5" title={tooltip}>
+      {VALIDATION_CHECKS.map(c => (
+        <span
+          key={c.key}
+          className={cn('w-5 h-5 flex items-center justify-center rounded text-[10px] font-semibold', checkClass(cell.checks[c.key]))}
+        >
+          {c.short}
+        </span>
+      ))}
+      {failedRuns > 0 && <span className="ml-1 text-xs text-error-600">✕</span>}
+    </div>
+  );
+}
+
+export default function QualityBreakdown({ performance, results, run }: QualityBreakdownProps) {
+  const quality = computeModelQuality(performance, results);
+  const evaluated = quality.filter(q => q.evaluated);
+  const notEvaluated = quality.filter(q => !q.evaluated);
+
+  const models = [...new Map(results.map(r => [modelKey(r.provider, r.model), r])).values()]
+    .sort((a, b) => modelKey(a.provider, a.model).localeCompare(modelKey(b.provider, b.model)));
+  const matrix = buildValidationMatrix(results, run);
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Judge sub-scores */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Quality Sub-scores</h3>
+        {evaluated.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No model in this run was scored by the evaluator.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+            {evaluated.map(q => {
+              const data = QUALITY_DIMENSIONS.map(d => ({ dimension: d.label, value: q.scores[d.key] ?? 0 }));
+              return (
+                <div key={q.key} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">
+                    {modelDisplayName(q.provider, q.model)}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{q.provider}</div>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <RadarChart data={data} outerRadius="70%">
+                      <PolarGrid className="opacity-40" />
+                      <PolarAngleAxis dataKey="dimension" tick={{ fill: '#9ca3af', fontSize: 10 }} />
+                      <PolarRadiusAxis domain={[0, 100]} tick={false} axisLine={false} />
+                      <Radar dataKey="value" stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.35} />
+                      <Tooltip
+                        formatter={(value) => `${Number(value).toFixed(0)}%`}
+                        contentStyle={{
+                          backgroundColor: 'rgba(31, 41, 55, 0.95)',
+                          border: '1px solid rgba(75, 85, 99, 0.3)',
+                          borderRadius: '6px',
+                        }}
+                        labelStyle={{ color: '#d1d5db' }}
+                      />
+                    </RadarChart>
+                  </ResponsiveContainer>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        {notEvaluated.length > 0 && evaluated.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Not evaluated: {notEvaluated.map(q => modelDisplayName(q.provider, q.model)).join(', ')}
+          </p>
+        )}
+      </div>
+
+      {/* Validation checks */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Validation Checks</h3>
+        {matrix.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No test results for this run.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Prompt
+                  </th>
+                  {models.map(m => (
+                    <th
+                      key={modelKey(m.provider, m.model)}
+                      className="px-2 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 whitespace-nowrap"
+                      title={modelKey(m.provider, m.model)}
+                    >
+                      {modelDisplayName(m.provider, m.model)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                {matrix.map(row => (
+                  <tr key={row.prompt_id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900 dark:text-white">{row.prompt_id}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{row.category}</div>
+                    </td>
+                    {models.map(m => (
+                      <td key={modelKey(m.provider, m.model)} className="px-2 py-2">
+                        <CheckCell cell={row.cells[modelKey(m.provider, m.model)]} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              {VALIDATION_CHECKS.map(c => `${c.short} = ${c.label}`).join(' · ')}. Green: passed in every
+              iteration, amber: some, red: none, grey: not configured for the prompt. ✕ marks failed tests;
+              hover a cell for details.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,29 @@
-import { Clock, CheckCircle, XCircle, ChevronRight } from 'lucide-react';
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Clock, CheckCircle, XCircle, ChevronRight, GitCompare, Layers, Pin } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import type { BenchmarkRun } from '../types/benchmark';
 import { cn, formatPercentage } from '../lib/utils';
 
 interface RecentRunsProps {
   runs: BenchmarkRun[];
+  selectedRunId?: string;
+  // Query string appended to run links so the current filters carry over
+  linkSearch?: string;
+  baselineRunId?: string;
 }
 
-export default function RecentRuns({ runs }: RecentRunsProps) {
+export default function RecentRuns({ runs, selectedRunId, linkSearch = '', baselineRunId }: RecentRunsProps) {
+  const navigate = useNavigate();
+  const [showAll, setShowAll] = useState(false);
+  const [selectedRuns, setSelectedRuns] = useState<string[]>([]);
+
+  const toggleSelected = (runId: string) => {
+    setSelectedRuns(prev =>
+      prev.includes(runId) ? prev.filter(id => id !== runId) : [...prev, runId]
+    );
+  };
+
   const getStatusIcon = (run: BenchmarkRun) => {
     const successRate = (run.successful_runs / run.total_runs) * 100;
     if (successRate >= 95) {
@@ -28,24 +44,70 @@ export default function RecentRuns({ runs }: RecentRunsProps) {
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
-      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-        Recent Benchmark Runs
-      </h3>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Recent Benchmark Runs
+        </h3>
+        {selectedRuns.length >= 2 ? (
+          <div className="flex items-center gap-2">
+            <Link
+              to={`/aggregate?runs=${selectedRuns.join(',')}`}
+              className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium text-primary-700 hover:bg-primary-100 dark:text-primary-300 dark:hover:bg-primary-900"
+              title="Pool the results of the selected runs"
+            >
+              <Layers className="h-4 w-4" />
+              Pool {selectedRuns.length}
+            </Link>
+            <Link
+              to={`/compare?runs=${selectedRuns.join(',')}`}
+              className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium bg-primary-100 text-primary-700 hover:bg-primary-200 dark:bg-primary-900 dark:text-primary-300"
+            >
+              <GitCompare className="h-4 w-4" />
+              Compare {selectedRuns.length}
+            </Link>
+          </div>
+        ) : (
+          <Link
+            to="/aggregate"
+            className="flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-700"
+            title="Results of the last week pooled"
+          >
+            <Layers className="h-4 w-4" />
+            Weekly rollup
+          </Link>
+        )}
+      </div>
       
       <div className="space-y-3">
-        {runs.slice(0, 5).map((run, index) => (
+        {(showAll ? runs : runs.slice(0, 5)).map((run, index) => (
           <div
             key={run.id}
+            onClick={() => navigate(`/runs/${encodeURIComponent(run.run_id)}${linkSearch}`)}
             className={cn(
               'flex items-center justify-between p-3 rounded-lg border transition-colors hover:shadow-md cursor-pointer',
-              index === 0 ? getStatusColor(run) : 'border-gray-200 dark:border-gray-700 hover:border-primary-300'
+              (selectedRunId ? run.run_id === selectedRunId : index === 0)
+                ? getStatusColor(run)
+                : 'border-gray-200 dark:border-gray-700 hover:border-primary-300'
             )}
           >
             <div className="flex items-center space-x-3">
+              <input
+                type="checkbox"
+                checked={selectedRuns.includes(run.run_id)}
+                onChange={() => toggleSelected(run.run_id)}
+                onClick={(e) => e.stopPropagation()}
+                title="Select for comparison"
+              />
               {getStatusIcon(run)}
               <div>
                 <div className="font-medium text-gray-900 dark:text-white">
                   {run.name || `Benchmark #${run.id}`}
+                  {run.run_id === baselineRunId && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full bg-primary-50 text-primary-700">
+                      <Pin className="h-3 w-3 mr-1" />
+                      Baseline
+                    </span>
+                  )}
                 </div>
                 <div className="text-sm text-gray-500 dark:text-gray-400">
                   {formatDistanceToNow(new Date(run.timestamp), { addSuffix: true })}
@@ -69,8 +131,11 @@ export default function RecentRuns({ runs }: RecentRunsProps) {
       </div>
 
       {runs.length > 5 && (
-        <button className="mt-4 w-full py-2 text-sm text-primary-600 hover:text-primary-700 font-medium">
-          View all {runs.length} runs →
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="mt-4 w-full py-2 text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          {showAll ? 'Show fewer runs' : `View all ${runs.length} runs →`}
         </button>
       )}
     </div>
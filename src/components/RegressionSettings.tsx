@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Settings, ChevronDown, ChevronUp } from 'lucide-react';
+import type { BenchmarkRun } from '../types/benchmark';
+import { recomputePerformanceTrends } from '../services/api';
+import { loadRegressionConfig, saveRegressionConfig } from '../services/regressionService';
+import {
+  TREND_METRICS,
+  describeBaseline,
+  type BaselineStrategy,
+  type RegressionConfig,
+  type TrendMetric,
+} from '../utils/regressionEngine';
+
+interface RegressionSettingsProps {
+  runs: BenchmarkRun[];
+  // Preselected when switching to a pinned baseline
+  baselineRunId?: string;
+}
+
+export default function RegressionSettings({ runs, baselineRunId }: RegressionSettingsProps) {
+  const queryClient = useQueryClient();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [config, setConfig] = useState<RegressionConfig>(loadRegressionConfig);
+
+  const recompute = useMutation({
+    mutationFn: (next: RegressionConfig) => {
+      saveRegressionConfig(next);
+      return recomputePerformanceTrends(next);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['performanceTrends'] });
+    },
+  });
+
+  const setBaselineType = (type: BaselineStrategy['type']) => {
+    let baseline: BaselineStrategy;
+    if (type === 'rolling_median') {
+      baseline = { type, window: 3 };
+    } else if (type === 'pinned') {
+      baseline = { type, runId: baselineRunId || runs[runs.length - 1]?.run_id || '' };
+    } else {
+      baseline = { type };
+    }
+    setConfig({ ...config, baseline });
+  };
+
+  const setThreshold = (metric: TrendMetric, value: number) => {
+    setConfig({ ...config, thresholds: { ...config.thresholds, [metric]: value } });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+      <div
+        className="px-6 py-3 flex items-center justify-between cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-750"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <div className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+          <Settings className="h-4 w-4 mr-2" />
+          Regression detection: compared against {describeBaseline(config.baseline)}
+        </div>
+        {isExpanded ? (
+          <ChevronUp className="h-4 w-4 text-gray-500" />
+        ) : (
+          <ChevronDown className="h-4 w-4 text-gray-500" />
+        )}
+      </div>
+
+      {isExpanded && (
+        <div className="px-6 pb-4 space-y-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <label className="text-gray-600 dark:text-gray-400">Baseline</label>
+            <select
+              value={config.baseline.type}
+              onChange={(e) => setBaselineType(e.target.value as BaselineStrategy['type'])}
+              className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+            >
+              <option value="previous">Previous run</option>
+              <option value="rolling_median">Rolling median</option>
+              <option value="pinned">Pinned run</option>
+            </select>
+
+            {config.baseline.type === 'rolling_median' && (
+              <>
+                <label className="text-gray-600 dark:text-gray-400">of last</label>
+                <input
+                  type="number"
+                  min={1}
+                  value={config.baseline.window}
+                  onChange={(e) => setConfig({
+                    ...config,
+                    baseline: { type: 'rolling_median', window: Math.max(1, Number(e.target.value)) },
+                  })}
+                  className="w-16 px-2 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                />
+                <span className="text-gray-600 dark:text-gray-400">runs</span>
+              </>
+            )}
+
+            {config.baseline.type === 'pinned' && (
+              <select
+                value={config.baseline.runId}
+                onChange={(e) => setConfig({ ...config, baseline: { type: 'pinned', runId: e.target.value } })}
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              >
+                {runs.map(run => (
+                  <option key={run.run_id} value={run.run_id}>
+                    {run.name || run.run_id} ({run.run_id})
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+            {TREND_METRICS.map(({ metric, label }) => (
+              <label key={metric} className="flex items-center justify-between gap-2">
+                <span className="text-gray-600 dark:text-gray-400">{label} threshold</span>
+                <span className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    min={0}
+                    value={config.thresholds[metric]}
+                    onChange={(e) => setThreshold(metric, Math.max(0, Number(e.target.value)))}
+                    className="w-16 px-2 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                  />
+                  %
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => recompute.mutate(config)}
+              disabled={recompute.isPending}
+              className="px-3 py-1 rounded-md text-sm font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+            >
+              {recompute.isPending ? 'Recomputing...' : 'Apply and recompute'}
+            </button>
+            {recompute.isError && (
+              <span className="text-sm text-error-700">Failed to recompute trends</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
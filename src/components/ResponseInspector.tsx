@@ -0,0 +1,371 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, CheckCircle, FileSearch, XCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import type { BenchmarkRun, TestResult } from '../types/benchmark';
+import { fetchAllTestResults, fetchBenchmarkRuns } from '../services/api';
+import { cn, formatDuration, formatTokens } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { modelKey } from '../utils/statistics';
+import { expectedKeywords, findPromptDefinition } from '../utils/runMetadata';
+import { splitByKeywords } from '../utils/markdown';
+import { diffStats, diffWords, type DiffSegment } from '../utils/textDiff';
+import {
+  inspectorCandidates,
+  keywordCoverage,
+  resultKey,
+  type InspectorMode,
+  type InspectorView,
+} from '../utils/responseInspector';
+import MarkdownView from './MarkdownView';
+
+const DIFF_CLASSES = {
+  equal: '',
+  added: 'bg-success-50 text-success-700 dark:bg-green-900/30 dark:text-green-300',
+  removed: 'bg-error-50 text-error-700 line-through dark:bg-red-900/30 dark:text-red-300',
+};
+
+function RawResponse({ text, keywords }: { text: string; keywords: string[] }) {
+  return (
+    <pre className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap font-sans">
+      {splitByKeywords(text, keywords).map((part, index) => (
+        part.match
+          ? <mark key={index} className="bg-warning-50 text-warning-700 rounded px-0.5">{part.text}</mark>
+          : <span key={index}>{part.text}</span>
+      ))}
+    </pre>
+  );
+}
+
+function DiffResponse({ segments }: { segments: DiffSegment[] }) {
+  return (
+    <pre className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap font-sans">
+      {segments.map((segment, index) => (
+        <span key={index} className={DIFF_CLASSES[segment.op]}>{segment.text}</span>
+      ))}
+    </pre>
+  );
+}
+
+interface ResponseColumnProps {
+  result: TestResult;
+  run?: BenchmarkRun;
+  mode: InspectorMode;
+  view: InspectorView;
+  reference?: TestResult;
+}
+
+function ResponseColumn({ result, run, mode, view, reference }: ResponseColumnProps) {
+  const keywords = expectedKeywords(run, result.prompt_id);
+  const coverage = keywordCoverage(result.response, keywords);
+  const response = result.response || '';
+  const isReference = !reference;
+  const referenceText = reference ? reference.response || '' : null;
+  // One diff per (reference, response) pair feeds both the view and the similarity
+  const diff = useMemo(
+    () => (referenceText !== null && view === 'diff' ? diffWords(referenceText, response) : null),
+    [referenceText, response, view]
+  );
+  const similarity = diff ? diffStats(diff).similarity : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 flex flex-col min-w-0">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center justify-between gap-2">
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-gray-900 dark:text-white truncate">
+              {mode === 'models'
+                ? modelDisplayName(result.provider, result.model)
+                : run?.name || result.run_id}
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {mode === 'models'
+                ? result.provider
+                : run ? format(new Date(run.timestamp), 'MMM d, HH:mm') : result.run_id}
+              {' • '}Iteration {result.iteration}
+            </div>
+          </div>
+          {result.success
+            ? <CheckCircle className="h-5 w-5 text-success-500 flex-shrink-0" />
+            : <XCircle className="h-5 w-5 text-error-500 flex-shrink-0" />}
+        </div>
+        <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+          <span>TTFT {formatDuration(result.time_to_first_token_ms)}</span>
+          <span>{formatTokens(result.tokens_generated)} tokens</span>
+          {result.quality_score != null && <span>Quality {(result.quality_score * 100).toFixed(0)}%</span>}
+          {keywords.length > 0 && (
+            <span
+              className={coverage.missing.length > 0 ? 'text-error-600' : 'text-success-600'}
+              title={coverage.missing.length > 0 ? `Missing: ${coverage.missing.join(', ')}` : 'All expected keywords present'}
+            >
+              Keywords {coverage.found.length}/{keywords.length}
+            </span>
+          )}
+          {isReference && view === 'diff' && <span className="font-medium">Reference</span>}
+          {similarity !== null && <span>{similarity.toFixed(0)}% unchanged</span>}
+        </div>
+      </div>
+
+      <div className="p-4 overflow-x-auto">
+        {result.error_message && (
+          <div className="mb-3 p-2 rounded-md bg-error-50 text-error-700 text-xs whitespace-pre-wrap">
+            {result.error_message}
+          </div>
+        )}
+        {!response ? (
+          <span className="text-sm text-gray-400">No response recorded</span>
+        ) : view === 'rendered' ? (
+          <MarkdownView content={response} keywords={keywords} />
+        ) : diff ? (
+          <DiffResponse segments={diff} />
+        ) : (
+          <RawResponse text={response} keywords={keywords} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function ResponseInspector() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { data: runs = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  const { data: results = [], isLoading: resultsLoading } = useQuery({
+    queryKey: ['allTestResults'],
+    queryFn: fetchAllTestResults,
+  });
+
+  const runsById = new Map(runs.map(run => [run.run_id, run]));
+  const promptIds = [...new Set(results.map(r => r.prompt_id))].sort();
+  const promptId = searchParams.get('prompt') || promptIds[0] || '';
+  const mode: InspectorMode = searchParams.get('mode') === 'runs' ? 'runs' : 'models';
+  const view = (['rendered', 'diff', 'raw'] as InspectorView[])
+    .find(v => v === searchParams.get('view')) || 'diff';
+
+  const promptResults = results.filter(r => r.prompt_id === promptId);
+  // Runs are newest first, so the default run is the latest one that has this prompt
+  const promptRuns = runs.filter(run => promptResults.some(r => r.run_id === run.run_id));
+  const promptModels = [...new Set(promptResults.map(r => modelKey(r.provider, r.model)))].sort();
+  const modelLabels = new Map(promptResults.map(r =>
+    [modelKey(r.provider, r.model), `${r.provider}/${modelDisplayName(r.provider, r.model)}`]));
+
+  const target = mode === 'models'
+    ? searchParams.get('run') || promptRuns[0]?.run_id || ''
+    : searchParams.get('model') || promptModels[0] || '';
+  const candidates = inspectorCandidates(promptResults, runs, mode, target);
+
+  const requested = (searchParams.get('selected') || '').split(',').filter(Boolean);
+  const selectedKeys = requested.filter(key => candidates.some(c => resultKey(c) === key));
+  const columns = selectedKeys.length > 0
+    ? candidates.filter(c => selectedKeys.includes(resultKey(c)))
+    : candidates.slice(0, 2);
+  const reference = columns[0];
+
+  const definition = findPromptDefinition(runsById.get(reference?.run_id || promptRuns[0]?.run_id || ''), promptId);
+  const keywords = definition?.ExpectedKeywords || [];
+
+  const updateParams = (updates: Record<string, string | null>) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  };
+
+  const toggleColumn = (result: TestResult) => {
+    const current = columns.map(resultKey);
+    const key = resultKey(result);
+    const next = current.includes(key) ? current.filter(k => k !== key) : [...current, key];
+    updateParams({ selected: next.join(',') || null });
+  };
+
+  const isLoading = runsLoading || resultsLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <FileSearch className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Response Inspector</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading responses...</span>
+          </div>
+        ) : (
+          <>
+            {/* Selection */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+              <div className="flex flex-wrap items-center gap-3 text-sm">
+                <select
+                  value={promptId}
+                  onChange={(e) => updateParams({ prompt: e.target.value, run: null, model: null, selected: null })}
+                  className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                >
+                  {promptIds.map(id => (
+                    <option key={id} value={id}>{id}</option>
+                  ))}
+                </select>
+
+                <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden">
+                  {(['models', 'runs'] as InspectorMode[]).map(m => (
+                    <button
+                      key={m}
+                      onClick={() => updateParams({ mode: m, selected: null })}
+                      className={cn(
+                        'px-3 py-1',
+                        m === mode
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                      )}
+                    >
+                      {m === 'models' ? 'Across models' : 'Across runs'}
+                    </button>
+                  ))}
+                </div>
+
+                {mode === 'models' ? (
+                  <select
+                    value={target}
+                    onChange={(e) => updateParams({ run: e.target.value, selected: null })}
+                    className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                  >
+                    {promptRuns.map(run => (
+                      <option key={run.run_id} value={run.run_id}>
+                        {run.name || run.run_id} ({format(new Date(run.timestamp), 'MMM d, HH:mm')})
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <select
+                    value={target}
+                    onChange={(e) => updateParams({ model: e.target.value, selected: null })}
+                    className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+                  >
+                    {promptModels.map(model => (
+                      <option key={model} value={model}>{modelLabels.get(model)}</option>
+                    ))}
+                  </select>
+                )}
+
+                <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden ml-auto">
+                  {(['diff', 'rendered', 'raw'] as InspectorView[]).map(v => (
+                    <button
+                      key={v}
+                      onClick={() => updateParams({ view: v === 'diff' ? null : v })}
+                      className={cn(
+                        'px-3 py-1 capitalize',
+                        v === view
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                      )}
+                    >
+                      {v}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {definition && (
+                <div className="text-sm">
+                  <div className="text-gray-900 dark:text-white">{definition.Text}</div>
+                  {keywords.length > 0 && (
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <span className="text-xs text-gray-500 dark:text-gray-400">Expected keywords:</span>
+                      {keywords.map(keyword => (
+                        <mark key={keyword} className="px-2 py-0.5 rounded-full text-xs bg-warning-50 text-warning-700">
+                          {keyword}
+                        </mark>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-2">
+                {candidates.map(candidate => {
+                  const key = resultKey(candidate);
+                  const checked = columns.some(c => resultKey(c) === key);
+                  const run = runsById.get(candidate.run_id);
+                  return (
+                    <label
+                      key={key}
+                      className={cn(
+                        'flex items-center gap-2 px-2 py-1 rounded-md border text-xs cursor-pointer',
+                        checked
+                          ? 'border-primary-300 bg-primary-50 dark:bg-primary-900/20'
+                          : 'border-gray-200 dark:border-gray-700'
+                      )}
+                    >
+                      <input type="checkbox" checked={checked} onChange={() => toggleColumn(candidate)} />
+                      {mode === 'models'
+                        ? `${candidate.provider}/${modelDisplayName(candidate.provider, candidate.model)}`
+                        : `${run?.name || candidate.run_id}${run ? ` · ${format(new Date(run.timestamp), 'MMM d, HH:mm')}` : ''}`}
+                      {candidate.iteration > 1 && ` #${candidate.iteration}`}
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Side-by-side responses */}
+            {columns.length === 0 ? (
+              <div className="p-8 text-center text-gray-500 dark:text-gray-400">
+                No responses recorded for this prompt.
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <div
+                  className="grid gap-4"
+                  style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(300px, 1fr))` }}
+                >
+                  {columns.map((result, index) => (
+                    <ResponseColumn
+                      key={resultKey(result)}
+                      result={result}
+                      run={runsById.get(result.run_id)}
+                      mode={mode}
+                      view={view}
+                      reference={index > 0 ? reference : undefined}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+            {view === 'diff' && columns.length > 1 && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Word-level diff against the first column: <span className={DIFF_CLASSES.added}>added</span>,{' '}
+                <span className={DIFF_CLASSES.removed}>removed</span>.
+              </p>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,353 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, FileUp, Trash2, Upload } from 'lucide-react';
+import { deleteImportedRun, fetchImportedRuns, importResults, previewImport } from '../services/api';
+import { FEATURES } from '../config/database';
+import { cn } from '../lib/utils';
+import {
+  DEFAULT_MAPPINGS,
+  IMPORT_FORMATS,
+  detectFormat,
+  type ImportFormat,
+  type ImportMapping
+} from '../import/importAdapters';
+
+interface LoadedFile {
+  name: string;
+  text: string;
+}
+
+const EMPTY_MAPPING = JSON.stringify({ fields: {}, scale: {}, defaults: {} }, null, 2);
+
+export default function ResultImport() {
+  const queryClient = useQueryClient();
+  const [file, setFile] = useState<LoadedFile | null>(null);
+  const [format, setFormat] = useState<ImportFormat | ''>('');
+  const [mappingText, setMappingText] = useState(EMPTY_MAPPING);
+  const [runId, setRunId] = useState('');
+  const [runName, setRunName] = useState('');
+  const [dragging, setDragging] = useState(false);
+
+  const { data: importedRuns = [] } = useQuery({
+    queryKey: ['importedRuns'],
+    queryFn: fetchImportedRuns,
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: async () => {
+      if (!file) throw new Error('Choose a file first');
+      let mapping: ImportMapping;
+      try {
+        mapping = mappingText.trim() ? JSON.parse(mappingText) as ImportMapping : {};
+      } catch (error) {
+        throw new Error(`The mapping is not valid JSON: ${(error as Error).message}`);
+      }
+      if (runId.trim() || runName.trim()) {
+        mapping = {
+          ...mapping,
+          run: {
+            ...mapping.run,
+            ...(runId.trim() && { run_id: runId.trim() }),
+            ...(runName.trim() && { name: runName.trim() }),
+          },
+        };
+      }
+      return previewImport(file.text, { format: format || undefined, fileName: file.name, mapping });
+    },
+  });
+
+  const importMutation = useMutation({
+    mutationFn: importResults,
+    onSuccess: () => {
+      previewMutation.reset();
+      // Imported runs show up in every view
+      queryClient.invalidateQueries();
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteImportedRun,
+    onSuccess: () => queryClient.invalidateQueries(),
+  });
+
+  // Any change to the inputs invalidates the preview
+  const changed = () => {
+    previewMutation.reset();
+    importMutation.reset();
+  };
+
+  const loadFile = async (selected: File | undefined) => {
+    if (!selected) return;
+    setFile({ name: selected.name, text: await selected.text() });
+    changed();
+  };
+
+  const detected = file ? detectFormat(file.text, file.name) : null;
+  const activeFormat = format || detected || 'csv';
+  const preview = previewMutation.data;
+  const error = (previewMutation.error || importMutation.error) as Error | null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <Upload className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Import Results</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {FEATURES.useApiServer && (
+          <div className="rounded-lg border border-warning-500 bg-warning-50 p-4 text-sm text-warning-700">
+            Runs are read from the API server, so results imported here are not shown. Import them into the data
+            files with <code>npm run import-results</code> instead.
+          </div>
+        )}
+
+        {/* Source */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Results File</h2>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Results from other evaluation tools become runs next to the AgentX ones. They are kept in this browser;
+              to add them to the published data use <code>npm run import-results</code>.
+            </p>
+          </div>
+          <label
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={(e) => {
+              e.preventDefault();
+              setDragging(false);
+              loadFile(e.dataTransfer.files[0]);
+            }}
+            className={cn(
+              'flex flex-col items-center justify-center gap-2 p-8 rounded-lg border-2 border-dashed cursor-pointer transition-colors',
+              dragging
+                ? 'border-primary-500 bg-primary-50 dark:bg-gray-700'
+                : 'border-gray-300 dark:border-gray-600 hover:border-primary-400'
+            )}
+          >
+            <FileUp className="h-8 w-8 text-gray-400" />
+            <span className="text-sm text-gray-700 dark:text-gray-300">
+              {file ? file.name : 'Drop a .csv, .tsv or .jsonl file here, or click to choose one'}
+            </span>
+            {file && detected && (
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                Looks like {IMPORT_FORMATS.find(f => f.key === detected)?.label}
+              </span>
+            )}
+            <input
+              type="file"
+              accept=".csv,.tsv,.jsonl,.json,.txt"
+              className="hidden"
+              onChange={(e) => loadFile(e.target.files?.[0])}
+            />
+          </label>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Format</span>
+              <select
+                value={format}
+                onChange={(e) => {
+                  setFormat(e.target.value as ImportFormat | '');
+                  changed();
+                }}
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              >
+                <option value="">Detect automatically</option>
+                {IMPORT_FORMATS.map(f => (
+                  <option key={f.key} value={f.key}>{f.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Run id</span>
+              <input
+                type="text"
+                value={runId}
+                onChange={(e) => {
+                  setRunId(e.target.value);
+                  changed();
+                }}
+                placeholder="From the file, or generated"
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Run name</span>
+              <input
+                type="text"
+                value={runName}
+                onChange={(e) => {
+                  setRunName(e.target.value);
+                  changed();
+                }}
+                placeholder="Defaults to the file name"
+                className="mt-1 w-full px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {IMPORT_FORMATS.find(f => f.key === activeFormat)?.description}
+          </p>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <label className="block text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Field mapping</span>
+              <textarea
+                value={mappingText}
+                onChange={(e) => {
+                  setMappingText(e.target.value);
+                  changed();
+                }}
+                rows={12}
+                spellCheck={false}
+                className="mt-1 w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 font-mono text-xs"
+              />
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                Only the fields that differ from the default; a dotted path reads nested JSON values
+              </span>
+            </label>
+            <div className="text-sm">
+              <span className="text-gray-700 dark:text-gray-300">Default mapping for {activeFormat}</span>
+              <pre className="mt-1 p-3 rounded-md bg-gray-50 dark:bg-gray-900 text-xs text-gray-600 dark:text-gray-400 overflow-auto max-h-72">
+                {JSON.stringify(DEFAULT_MAPPINGS[activeFormat], null, 2)}
+              </pre>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => previewMutation.mutate()}
+              disabled={!file || previewMutation.isPending}
+              className="px-3 py-1 rounded-md text-sm font-medium border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              Preview
+            </button>
+            <button
+              onClick={() => preview && importMutation.mutate(preview)}
+              disabled={!preview || importMutation.isPending}
+              className="flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Upload className="h-4 w-4" />
+              Import
+            </button>
+            {importMutation.data && (
+              <span className="text-sm text-success-700">
+                Imported {importMutation.data.length} run{importMutation.data.length === 1 ? '' : 's'}
+              </span>
+            )}
+          </div>
+
+          {error && (
+            <pre className="p-3 rounded-md bg-error-50 text-xs text-error-700 whitespace-pre-wrap">{error.message}</pre>
+          )}
+        </div>
+
+        {/* Preview */}
+        {preview && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Preview</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {preview.data.test_results.length} results read as {IMPORT_FORMATS.find(f => f.key === preview.format)?.label}
+              </p>
+            </div>
+            {preview.warnings.length > 0 && (
+              <ul className="px-6 py-3 space-y-1 text-xs text-warning-700 bg-warning-50">
+                {preview.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-900">
+                  <tr>
+                    {['Model', 'Run', 'Tests', 'Success', 'Avg Time', 'Avg Quality', 'Cost'].map(heading => (
+                      <th
+                        key={heading}
+                        className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {preview.data.model_performance.map(perf => (
+                    <tr key={`${perf.run_id}/${perf.provider}/${perf.model}`}>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">{perf.provider}/{perf.model}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{perf.run_id}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{perf.total_tests}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{perf.success_rate.toFixed(1)}%</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{Math.round(perf.avg_total_time_ms)}ms</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">{(perf.avg_quality_score * 100).toFixed(1)}%</td>
+                      <td className="px-4 py-2 text-sm text-gray-900 dark:text-gray-200">${perf.total_cost_usd.toFixed(4)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Imported runs */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Imported Runs</h2>
+          </div>
+          {deleteMutation.error && (
+            <p className="px-6 py-3 text-sm text-error-700 bg-error-50">{deleteMutation.error.message}</p>
+          )}
+          {importedRuns.length === 0 ? (
+            <p className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">Nothing imported in this browser yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {importedRuns.map(run => {
+                const source = typeof run.metadata === 'object' ? run.metadata.Source : undefined;
+                return (
+                  <li key={run.run_id} className="px-6 py-3 flex items-center justify-between gap-4">
+                    <div>
+                      <Link to={`/runs/${run.run_id}`} className="text-sm font-medium text-primary-600 hover:text-primary-700">
+                        {run.name}
+                      </Link>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {run.run_id} · {run.total_runs} results
+                        {source && ` · ${source.format}, imported ${new Date(source.imported_at).toLocaleString()}`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => deleteMutation.mutate(run.run_id)}
+                      className="p-1.5 rounded-md text-gray-500 hover:text-error-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      title="Remove this run"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import { useMemo, type ReactNode } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertTriangle, ArrowLeft, CheckCircle, ChevronLeft, ChevronRight, Clock, Layers, ListChecks } from 'lucide-react';
+import { addDays, format, parseISO, subDays } from 'date-fns';
+import { fetchBenchmarkRuns, fetchRunAggregate } from '../services/api';
+import { formatDuration, formatPercentage } from '../lib/utils';
+import type { RunSelection } from '../utils/runAggregation';
+import ModelComparisonTable from './ModelComparisonTable';
+import CategoryBreakdown from './CategoryBreakdown';
+
+const DAY_FORMAT = 'yyyy-MM-dd';
+// Default window: the week up to the newest run
+const DEFAULT_DAYS = 7;
+
+function SummaryCard({ title, value, detail, icon }: {
+  title: string;
+  value: string;
+  detail?: string;
+  icon: ReactNode;
+}) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-600 dark:text-gray-400">{title}</p>
+          <p className="mt-2 text-3xl font-semibold text-gray-900 dark:text-white">{value}</p>
+          {detail && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate">{detail}</p>}
+        </div>
+        <div className="flex-shrink-0 p-3 bg-primary-50 dark:bg-primary-900/20 rounded-lg">{icon}</div>
+      </div>
+    </div>
+  );
+}
+
+export default function RunAggregation() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { data: allRuns = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  // ?runs=a,b pools those runs; otherwise every run between ?from and ?to (whole days)
+  const runsParam = searchParams.get('runs') || '';
+  const runIds = useMemo(() => runsParam.split(',').filter(Boolean), [runsParam]);
+  const newest = allRuns[0] ? new Date(allRuns[0].timestamp) : new Date();
+  const to = searchParams.get('to') || format(newest, DAY_FORMAT);
+  const from = searchParams.get('from') || format(subDays(parseISO(to), DEFAULT_DAYS - 1), DAY_FORMAT);
+
+  const selection = useMemo<RunSelection>(
+    () => runIds.length > 0
+      ? { runIds }
+      : { from: `${from}T00:00:00`, to: `${to}T23:59:59.999` },
+    [runIds, from, to]
+  );
+
+  const { data: aggregate, isLoading: aggregateLoading } = useQuery({
+    queryKey: ['runAggregate', selection],
+    queryFn: () => fetchRunAggregate(selection),
+    enabled: allRuns.length > 0,
+  });
+
+  const setRange = (nextFrom: string, nextTo: string) => {
+    setSearchParams({ from: nextFrom, to: nextTo }, { replace: true });
+  };
+
+  const shiftRange = (days: number) => {
+    setRange(
+      format(addDays(parseISO(from), days), DAY_FORMAT),
+      format(addDays(parseISO(to), days), DAY_FORMAT)
+    );
+  };
+
+  const successRate = aggregate && aggregate.totalTests > 0
+    ? (aggregate.successfulTests / aggregate.totalTests) * 100
+    : 0;
+  // Weighted by test count, like the pooled rows themselves
+  const pooledTtft = aggregate
+    ? aggregate.modelPerformance.reduce((acc, p) => acc + p.avg_ttft_ms * p.successful_tests, 0) /
+      Math.max(1, aggregate.modelPerformance.reduce((acc, p) => acc + p.successful_tests, 0))
+    : 0;
+
+  const isLoading = runsLoading || aggregateLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <Layers className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Pooled Runs</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Selection */}
+        <div className="flex flex-wrap items-center gap-3">
+          {runIds.length > 0 ? (
+            <>
+              <span className="text-sm text-gray-700 dark:text-gray-300">
+                {runIds.length} selected runs
+              </span>
+              <button
+                onClick={() => setSearchParams({}, { replace: true })}
+                className="text-sm text-primary-600 hover:text-primary-700"
+              >
+                Pool by date range instead
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => shiftRange(-DEFAULT_DAYS)}
+                className="p-1 rounded-md text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                title="Previous week"
+              >
+                <ChevronLeft className="h-5 w-5" />
+              </button>
+              <input
+                type="date"
+                value={from}
+                max={to}
+                onChange={(e) => e.target.value && setRange(e.target.value, to)}
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+              <span className="text-sm text-gray-500 dark:text-gray-400">to</span>
+              <input
+                type="date"
+                value={to}
+                min={from}
+                onChange={(e) => e.target.value && setRange(from, e.target.value)}
+                className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
+              />
+              <button
+                onClick={() => shiftRange(DEFAULT_DAYS)}
+                className="p-1 rounded-md text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                title="Next week"
+              >
+                <ChevronRight className="h-5 w-5" />
+              </button>
+            </>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Pooling runs...</span>
+          </div>
+        ) : !aggregate || aggregate.runs.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+            No runs in this selection.
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <SummaryCard
+                title="Runs Pooled"
+                value={String(aggregate.runs.length)}
+                detail={`${format(new Date(aggregate.runs[aggregate.runs.length - 1].timestamp), 'MMM d')} – ${format(new Date(aggregate.runs[0].timestamp), 'MMM d, yyyy')}`}
+                icon={<Layers className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title="Tests"
+                value={String(aggregate.totalTests)}
+                detail={`${aggregate.modelPerformance.length} models`}
+                icon={<ListChecks className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title="Success Rate"
+                value={formatPercentage(successRate)}
+                detail={`${aggregate.successfulTests} successful tests`}
+                icon={<CheckCircle className="h-6 w-6 text-primary-600" />}
+              />
+              <SummaryCard
+                title="Avg TTFT"
+                value={formatDuration(pooledTtft)}
+                detail="Over all successful tests"
+                icon={<Clock className="h-6 w-6 text-primary-600" />}
+              />
+            </div>
+
+            {/* Prompts that changed between the pooled runs */}
+            {aggregate.changedPrompts.length > 0 && (
+              <div className="rounded-lg border border-warning-500/40 bg-warning-50 dark:bg-warning-500/10 p-4">
+                <div className="flex items-center gap-2 text-warning-700 dark:text-warning-500 font-medium">
+                  <AlertTriangle className="h-5 w-5" />
+                  {aggregate.changedPrompts.length} prompt{aggregate.changedPrompts.length === 1 ? '' : 's'} changed
+                  between these runs, so their pooled results mix different tests
+                </div>
+                <ul className="mt-2 space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                  {aggregate.changedPrompts.map(prompt => (
+                    <li key={prompt.id}>
+                      <Link
+                        to={`/prompts?prompt=${encodeURIComponent(prompt.id)}`}
+                        className="font-medium text-primary-600 hover:text-primary-700"
+                      >
+                        {prompt.id}
+                      </Link>
+                      <span className="ml-2 text-gray-500 dark:text-gray-400">
+                        {prompt.versions.length} versions;{' '}
+                        {prompt.versions.slice(1).flatMap(v => v.changes.map(c => c.label.toLowerCase()))
+                          .filter((label, index, all) => all.indexOf(label) === index)
+                          .join(', ')} changed
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Model Comparison</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Recomputed over every pooled test, so runs with more tests weigh more
+                </p>
+              </div>
+              <ModelComparisonTable performance={aggregate.modelPerformance} />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <CategoryBreakdown categories={aggregate.categoryPerformance} />
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Pooled Runs</h3>
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {aggregate.runs.map(run => (
+                    <li key={run.run_id} className="py-2 flex items-center justify-between text-sm">
+                      <Link to={`/runs/${encodeURIComponent(run.run_id)}`} className="font-medium text-primary-600 hover:text-primary-700">
+                        {run.name || run.run_id}
+                      </Link>
+                      <span className="text-gray-500 dark:text-gray-400">
+                        {format(new Date(run.timestamp), 'MMM d, yyyy HH:mm')} • {run.total_runs} tests
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,295 @@
+import { useState } from 'react';
+import { useQuery, useQueries } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, GitCompare, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import type { BenchmarkRun } from '../types/benchmark';
+import { fetchBenchmarkRuns, fetchModelPerformance, fetchTestResults } from '../services/api';
+import { cn } from '../lib/utils';
+import {
+  MODEL_GROUPINGS,
+  groupModelPerformance,
+  groupTestResults,
+  modelDisplayName,
+  type ModelGrouping,
+} from '../utils/modelRegistry';
+import {
+  COMPARISON_METRICS,
+  buildModelComparison,
+  buildPromptComparison,
+  formatDeltaLabel,
+  formatMetricValue,
+  orderRunsForComparison,
+  type ComparisonMetric,
+  type ComparisonMetricKey,
+  type ComparisonRow,
+  type MetricDelta,
+} from '../utils/runComparison';
+
+const DELTA_CELL_CLASSES: Record<MetricDelta['status'], string> = {
+  improved: 'bg-success-50 text-success-700 dark:bg-green-900/30 dark:text-green-300',
+  regressed: 'bg-error-50 text-error-700 dark:bg-red-900/30 dark:text-red-300',
+  unchanged: 'text-gray-900 dark:text-gray-300',
+  missing: 'text-gray-400',
+};
+
+interface ComparisonTableProps {
+  rows: ComparisonRow[];
+  runs: BenchmarkRun[];
+  metric: ComparisonMetric;
+  showPrompt?: boolean;
+}
+
+function ComparisonTable({ rows, runs, metric, showPrompt = false }: ComparisonTableProps) {
+  if (rows.length === 0) {
+    return (
+      <div className="p-8 text-center text-gray-500 dark:text-gray-400">
+        No data available for the selected runs.
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+        <thead className="bg-gray-50 dark:bg-gray-900">
+          <tr>
+            {showPrompt && (
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                Prompt
+              </th>
+            )}
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              Model
+            </th>
+            {runs.map((run, index) => (
+              <th
+                key={run.run_id}
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+              >
+                {index === 0 ? 'Reference' : `Run ${index + 1}`}
+                <div className="normal-case font-normal text-gray-400">
+                  {format(new Date(run.timestamp), 'MMM d, HH:mm')}
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+          {rows.map(row => (
+            <tr key={row.key} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+              {showPrompt && (
+                <td className="px-6 py-3 whitespace-nowrap">
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">{row.prompt_id}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{row.category}</div>
+                </td>
+              )}
+              <td className="px-6 py-3 whitespace-nowrap">
+                <div className="text-sm font-medium text-gray-900 dark:text-white">
+                  {modelDisplayName(row.provider, row.model)}
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">{row.provider}</div>
+              </td>
+              {row.values.map((values, index) => {
+                const value = values ? values[metric.key] : null;
+                const delta = row.deltas[index]?.[metric.key];
+
+                return (
+                  <td
+                    key={index}
+                    className={cn(
+                      'px-6 py-3 whitespace-nowrap text-sm',
+                      delta ? DELTA_CELL_CLASSES[delta.status] : 'text-gray-900 dark:text-gray-300'
+                    )}
+                  >
+                    <div>{formatMetricValue(metric, value)}</div>
+                    {delta && delta.status !== 'missing' && (
+                      <div className="text-xs font-medium">{formatDeltaLabel(metric, delta)}</div>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function RunComparison() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [metricKey, setMetricKey] = useState<ComparisonMetricKey>('ttft');
+  // Snapshots of one model are compared as that model unless asked otherwise
+  const [grouping, setGrouping] = useState<ModelGrouping>('model');
+
+  const selectedIds = (searchParams.get('runs') || '').split(',').filter(Boolean);
+  const metric = COMPARISON_METRICS.find(m => m.key === metricKey) || COMPARISON_METRICS[0];
+
+  const { data: allRuns = [], isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+  });
+
+  const selectedRuns = orderRunsForComparison(
+    allRuns.filter(run => selectedIds.includes(run.run_id))
+  );
+
+  const performanceQueries = useQueries({
+    queries: selectedRuns.map(run => ({
+      queryKey: ['modelPerformance', run.run_id],
+      queryFn: () => fetchModelPerformance(run.run_id),
+    })),
+  });
+
+  const resultQueries = useQueries({
+    queries: selectedRuns.map(run => ({
+      queryKey: ['testResults', run.run_id],
+      queryFn: () => fetchTestResults(run.run_id),
+    })),
+  });
+
+  const isLoading = runsLoading ||
+    performanceQueries.some(q => q.isLoading) ||
+    resultQueries.some(q => q.isLoading);
+
+  const modelRows = buildModelComparison(
+    performanceQueries.map(q => groupModelPerformance(q.data || [], grouping))
+  );
+  const promptRows = buildPromptComparison(
+    resultQueries.map(q => groupTestResults(q.data || [], grouping))
+  );
+
+  const toggleRun = (runId: string) => {
+    const next = selectedIds.includes(runId)
+      ? selectedIds.filter(id => id !== runId)
+      : [...selectedIds, runId];
+    setSearchParams(next.length > 0 ? { runs: next.join(',') } : {});
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center gap-4 h-16">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span className="font-medium">Back to Dashboard</span>
+            </Link>
+            <div className="h-6 w-px bg-gray-300 dark:bg-gray-600" />
+            <div className="flex items-center gap-2">
+              <GitCompare className="h-6 w-6 text-primary-600" />
+              <h1 className="text-xl font-bold text-gray-900 dark:text-white">Compare Runs</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Run picker */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+            Select Runs ({selectedRuns.length} selected)
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+            {allRuns.map(run => (
+              <label
+                key={run.run_id}
+                className={cn(
+                  'flex items-center gap-3 p-2 rounded-md border cursor-pointer text-sm',
+                  selectedIds.includes(run.run_id)
+                    ? 'border-primary-300 bg-primary-50 dark:bg-primary-900/20'
+                    : 'border-gray-200 dark:border-gray-700'
+                )}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(run.run_id)}
+                  onChange={() => toggleRun(run.run_id)}
+                />
+                <div>
+                  <div className="font-medium text-gray-900 dark:text-white">
+                    {run.name || `Benchmark #${run.id}`}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {format(new Date(run.timestamp), 'MMM d, yyyy HH:mm')} • {run.run_id}
+                  </div>
+                </div>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {selectedRuns.length < 2 ? (
+          <div className="p-8 text-center text-gray-500 dark:text-gray-400">
+            <AlertCircle className="h-12 w-12 mx-auto mb-4 opacity-50" />
+            <p>Select at least two runs to compare. The oldest selected run is used as the reference.</p>
+          </div>
+        ) : isLoading ? (
+          <div className="flex items-center justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            <span className="ml-3 text-gray-600 dark:text-gray-400">Loading comparison...</span>
+          </div>
+        ) : (
+          <>
+            {/* Metric selector */}
+            <div className="flex flex-wrap items-center gap-2">
+              {COMPARISON_METRICS.map(m => (
+                <button
+                  key={m.key}
+                  onClick={() => setMetricKey(m.key)}
+                  className={cn(
+                    'px-3 py-1 rounded-md text-sm font-medium transition-colors',
+                    metricKey === m.key
+                      ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
+                      : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+                  )}
+                >
+                  {m.label}
+                </button>
+              ))}
+              <div className="h-6 w-px bg-gray-300 dark:bg-gray-600 mx-2" />
+              <span className="text-sm text-gray-500 dark:text-gray-400">Group by</span>
+              {MODEL_GROUPINGS.map(g => (
+                <button
+                  key={g.key}
+                  onClick={() => setGrouping(g.key)}
+                  className={cn(
+                    'px-3 py-1 rounded-md text-sm font-medium transition-colors',
+                    grouping === g.key
+                      ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
+                      : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
+                  )}
+                >
+                  {g.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Per-Model {metric.label}
+                </h2>
+              </div>
+              <ComparisonTable rows={modelRows} runs={selectedRuns} metric={metric} />
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Per-Prompt {metric.label}
+                </h2>
+              </div>
+              <ComparisonTable rows={promptRows} runs={selectedRuns} metric={metric} showPrompt />
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
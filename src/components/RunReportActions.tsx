@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { FileDown, Printer } from 'lucide-react';
+import { downloadRunReport, printRunReport, type RunReportInput } from '../utils/runReport';
+
+interface RunReportActionsProps {
+  report: RunReportInput;
+  // Why the report can't be made, e.g. the test results failed to load
+  unavailable?: string;
+}
+
+// Run report as a self-contained HTML file, or printed (and saved as PDF) from a new window
+export default function RunReportActions({ report, unavailable }: RunReportActionsProps) {
+  const [error, setError] = useState<string | null>(null);
+
+  const print = () => {
+    try {
+      setError(null);
+      printRunReport(report);
+    } catch (e) {
+      setError((e as Error).message);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex items-center rounded-md border border-gray-300 dark:border-gray-600 text-sm font-medium">
+        <button
+          onClick={() => downloadRunReport(report)}
+          disabled={!!unavailable}
+          className="flex items-center gap-1 px-3 py-1 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          title={unavailable || 'Download a self-contained HTML report of this run with the current filters'}
+        >
+          <FileDown className="h-4 w-4" />
+          Report
+        </button>
+        <button
+          onClick={print}
+          disabled={!!unavailable}
+          className="flex items-center gap-1 px-3 py-1 border-l border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          title={unavailable || 'Open the report for printing or saving as PDF'}
+        >
+          <Printer className="h-4 w-4" />
+          PDF
+        </button>
+      </div>
+      {error && <span className="text-sm text-error-500">{error}</span>}
+    </div>
+  );
+}
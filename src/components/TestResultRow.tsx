@@ -0,0 +1,234 @@
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronUp, CheckCircle, XCircle, Clock, Code, FileText, FileSearch, Hash } from 'lucide-react';
+import type { TestResult } from '../types/benchmark';
+import { cn, formatDuration, formatCost, formatTokens } from '../lib/utils';
+import { modelDisplayName } from '../utils/modelRegistry';
+import { inspectorLink, resultKey } from '../utils/responseInspector';
+import { modelKey } from '../utils/statistics';
+import { QUALITY_DIMENSIONS, VALIDATION_CHECKS } from '../utils/qualityBreakdown';
+
+interface TestResultRowProps {
+  result: TestResult;
+  expanded: boolean;
+  onToggle: () => void;
+  // The other results of the run, for the "compare with other models" link
+  runResults: TestResult[];
+}
+
+const getStatusIcon = (success: boolean) => {
+  return success
+    ? <CheckCircle className="h-5 w-5 text-success-500" />
+    : <XCircle className="h-5 w-5 text-error-500" />;
+};
+
+const getCategoryIcon = (category: string) => {
+  const icons: Record<string, React.ReactElement> = {
+    math: <Hash className="h-4 w-4" />,
+    coding: <Code className="h-4 w-4" />,
+    technical: <FileText className="h-4 w-4" />,
+    reasoning: <Clock className="h-4 w-4" />,
+  };
+  return icons[category] || <FileText className="h-4 w-4" />;
+};
+
+const getCategoryColor = (category: string) => {
+  const colors: Record<string, string> = {
+    math: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+    coding: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300',
+    technical: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+    reasoning: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
+    creative: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-300',
+    mcp_tools: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300',
+  };
+  return colors[category] || 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300';
+};
+
+/**
+ * One row of the test results table plus, when expanded, the prompt,
+ * response, scores and inspector links. Rendered inside a <tbody> with
+ * nine columns.
+ */
+export default function TestResultRow({ result, expanded, onToggle, runResults }: TestResultRowProps) {
+  return (
+    <>
+      <tr className="hover:bg-gray-50 dark:hover:bg-gray-700">
+        <td className="px-6 py-4 whitespace-nowrap">
+          {getStatusIcon(result.success)}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap">
+          <div>
+            <div className="text-sm font-medium text-gray-900 dark:text-white">
+              {modelDisplayName(result.provider, result.model)}
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {result.provider} • Iteration {result.iteration}
+            </div>
+          </div>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap">
+          <span className={cn(
+            'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium',
+            getCategoryColor(result.category)
+          )}>
+            {getCategoryIcon(result.category)}
+            <span className="ml-1">{result.category}</span>
+          </span>
+        </td>
+        <td className="px-6 py-4">
+          <div className="max-w-xs truncate text-sm text-gray-900 dark:text-gray-300">
+            {result.prompt_text || result.prompt_id}
+          </div>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+          {formatDuration(result.time_to_first_token_ms)}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+          {formatDuration(result.total_time_ms)}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+          <div>
+            <div>{formatTokens(result.tokens_generated)}</div>
+            <div className="text-xs text-gray-500">
+              {result.tokens_per_second?.toFixed(1)} tok/s
+            </div>
+          </div>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+          {formatCost(result.estimated_cost_usd)}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap">
+          <button
+            onClick={onToggle}
+            className="text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300"
+          >
+            {expanded ? (
+              <ChevronUp className="h-5 w-5" />
+            ) : (
+              <ChevronDown className="h-5 w-5" />
+            )}
+          </button>
+        </td>
+      </tr>
+      
+      {/* Expanded row with response details */}
+      {expanded && (
+        <tr>
+          <td colSpan={9} className="px-6 py-4 bg-gray-50 dark:bg-gray-900">
+            <div className="space-y-4">
+              <div>
+                <h4 className="font-medium text-sm text-gray-700 dark:text-gray-300 mb-2">
+                  Full Prompt:
+                </h4>
+                <div className="bg-white dark:bg-gray-800 p-3 rounded-md border border-gray-200 dark:border-gray-700">
+                  <pre className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap">
+                    {result.prompt_text}
+                  </pre>
+                </div>
+              </div>
+              
+              {result.response && (
+                <div>
+                  <h4 className="font-medium text-sm text-gray-700 dark:text-gray-300 mb-2">
+                    Response:
+                  </h4>
+                  <div className="bg-white dark:bg-gray-800 p-3 rounded-md border border-gray-200 dark:border-gray-700">
+                    <pre className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap">
+                      {result.response}
+                    </pre>
+                  </div>
+                </div>
+              )}
+              
+              {result.error_message && (
+                <div>
+                  <h4 className="font-medium text-sm text-error-700 dark:text-error-300 mb-2">
+                    Error:
+                  </h4>
+                  <div className="bg-error-50 dark:bg-error-900/20 p-3 rounded-md border border-error-200 dark:border-error-800">
+                    <pre className="text-sm text-error-800 dark:text-error-200 whitespace-pre-wrap">
+                      {result.error_message}
+                    </pre>
+                  </div>
+                </div>
+              )}
+              
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div>
+                  <span className="text-gray-500 dark:text-gray-400">Timestamp:</span>
+                  <span className="ml-2 text-gray-900 dark:text-gray-200">
+                    {new Date(result.timestamp).toLocaleString()}
+                  </span>
+                </div>
+                {result.quality_score && (
+                  <div>
+                    <span className="text-gray-500 dark:text-gray-400">Quality Score:</span>
+                    <span className="ml-2 text-gray-900 dark:text-gray-200">
+                      {(result.quality_score * 100).toFixed(1)}%
+                    </span>
+                  </div>
+                )}
+              </div>
+
+              {/* Why the test scored or failed the way it did */}
+              <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                {QUALITY_DIMENSIONS.some(d => Number(result[d.resultField]) > 0) && (
+                  <div className="flex flex-wrap gap-x-3">
+                    {QUALITY_DIMENSIONS.map(d => (
+                      <span key={d.key}>
+                        <span className="text-gray-500 dark:text-gray-400">{d.label}:</span>
+                        <span className="ml-1 text-gray-900 dark:text-gray-200">
+                          {(Number(result[d.resultField] ?? 0) * 100).toFixed(0)}%
+                        </span>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {VALIDATION_CHECKS.filter(c => typeof result[c.key] === 'boolean').map(c => (
+                    <span
+                      key={c.key}
+                      className={cn(
+                        'inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium',
+                        result[c.key] ? 'bg-success-50 text-success-700' : 'bg-error-50 text-error-700'
+                      )}
+                    >
+                      {result[c.key] ? '✓' : '✕'} {c.label}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-4 text-sm">
+                <FileSearch className="h-4 w-4 text-gray-400" />
+                <Link
+                  to={inspectorLink({
+                    promptId: result.prompt_id,
+                    mode: 'models',
+                    runId: result.run_id,
+                    selected: [result, ...runResults.filter(other =>
+                      other.prompt_id === result.prompt_id &&
+                      modelKey(other.provider, other.model) !== modelKey(result.provider, result.model)
+                    ).slice(0, 1)].map(resultKey),
+                  })}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  Compare with other models
+                </Link>
+                <Link
+                  to={inspectorLink({
+                    promptId: result.prompt_id,
+                    mode: 'runs',
+                    model: modelKey(result.provider, result.model),
+                  })}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  Compare across runs
+                </Link>
+              </div>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
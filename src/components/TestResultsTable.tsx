@@ -1,75 +1,74 @@
-import { useState, useEffect } from 'react';
-import { ChevronDown, ChevronUp, CheckCircle, XCircle, Clock, Code, FileText, Hash } from 'lucide-react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
 import type { TestResult } from '../types/benchmark';
-import { cn, formatDuration, formatCost, formatTokens } from '../lib/utils';
-import { fetchTestResults } from '../services/api-jsonic';
-import { fetchTestResultsJsonic } from '../services/jsonicApi';
-import { fetchBenchmarkRunsJsonic } from '../services/jsonicApi';
+import { cn } from '../lib/utils';
+import { fetchBenchmarkRuns, fetchTestResults } from '../services/api';
+import { useDashboardParams, type SortOrder, type TestSortBy } from '../hooks/useDashboardParams';
+import { round, type ExportColumn } from '../utils/tableExport';
+import TestResultRow from './TestResultRow';
+import ExportMenu from './ExportMenu';
 
 interface TestResultsTableProps {
   runId?: string;
 }
 
+const EXPORT_COLUMNS: ExportColumn<TestResult>[] = [
+  { key: 'id', header: 'ID', value: r => r.id },
+  { key: 'run_id', header: 'Run', value: r => r.run_id },
+  { key: 'timestamp', header: 'Timestamp', value: r => r.timestamp },
+  { key: 'provider', header: 'Provider', value: r => r.provider },
+  { key: 'model', header: 'Model', value: r => r.model },
+  { key: 'category', header: 'Category', value: r => r.category },
+  { key: 'prompt_id', header: 'Prompt ID', value: r => r.prompt_id },
+  { key: 'iteration', header: 'Iteration', value: r => r.iteration },
+  { key: 'success', header: 'Success', value: r => r.success },
+  { key: 'time_to_first_token_ms', header: 'TTFT (ms)', value: r => round(r.time_to_first_token_ms, 0) },
+  { key: 'total_time_ms', header: 'Total Time (ms)', value: r => round(r.total_time_ms, 0) },
+  { key: 'tokens_generated', header: 'Tokens', value: r => r.tokens_generated },
+  { key: 'tokens_per_second', header: 'Throughput (tok/s)', value: r => round(r.tokens_per_second, 1) },
+  { key: 'quality_score', header: 'Quality', value: r => round(r.quality_score, 3) },
+  { key: 'estimated_cost_usd', header: 'Cost ($)', value: r => round(r.estimated_cost_usd, 6) },
+  { key: 'error_message', header: 'Error', value: r => r.error_message },
+  { key: 'prompt_text', header: 'Prompt', value: r => r.prompt_text },
+  { key: 'response', header: 'Response', value: r => r.response },
+];
+
 export default function TestResultsTable({ runId }: TestResultsTableProps) {
-  const [testResults, setTestResults] = useState<TestResult[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [expandedRows, setExpandedRows] = useState<Set<number>>(new Set());
-  const [filter, setFilter] = useState<string>('all');
-  const [sortBy, setSortBy] = useState<'time' | 'tokens' | 'category' | 'status'>('time');
-  const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
+  // Filters, sort order and expanded rows live in the URL so the view can be shared
+  const { filters, setParam, setParams, setSort, toggleExpanded } = useDashboardParams();
+  const { sortBy, sortOrder } = filters;
+  const expandedRows = new Set(filters.expanded);
 
-  useEffect(() => {
-    fetchTestResultsData();
-  }, [runId]);
+  // Without a run id, the most recent run's results
+  const { data: runs, isLoading: runsLoading } = useQuery({
+    queryKey: ['benchmarkRuns'],
+    queryFn: fetchBenchmarkRuns,
+    enabled: !runId,
+  });
+  const resultsRunId = runId ?? [...(runs || [])]
+    .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())[0]?.run_id;
 
-  const fetchTestResultsData = async () => {
-    try {
-      setLoading(true);
-      
-      // Use JSONIC API to fetch test results
-      let data: TestResult[];
-      if (runId) {
-        data = await fetchTestResults(runId);
-      } else {
-        // For latest results, get the most recent benchmark run
-        const runs = await fetchBenchmarkRunsJsonic();
-        if (runs && runs.length > 0) {
-          // Sort runs by timestamp and get the most recent
-          const sortedRuns = runs.sort((a, b) => 
-            new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
-          );
-          const latestRunId = sortedRuns[0].run_id;
-          data = await fetchTestResultsJsonic(latestRunId);
-        } else {
-          data = [];
-        }
-      }
-      
-      setTestResults(data);
-    } catch (error) {
-      console.error('Error fetching test results:', error);
-      // Try to use mock data if real data fails  
-      setTestResults(generateMockTestResults());
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Same query as the rest of the dashboard, so live updates refresh it while the run executes
+  const { data, isLoading: resultsLoading, error } = useQuery({
+    queryKey: ['testResults', resultsRunId],
+    queryFn: () => fetchTestResults(resultsRunId!),
+    enabled: !!resultsRunId,
+  });
+  const loading = runsLoading || resultsLoading;
+
+  const testResults = data || [];
 
   const toggleRow = (id: number) => {
-    const newExpanded = new Set(expandedRows);
-    if (newExpanded.has(id)) {
-      newExpanded.delete(id);
-    } else {
-      newExpanded.add(id);
-    }
-    setExpandedRows(newExpanded);
+    toggleExpanded(id);
   };
 
   const filteredResults = testResults.filter(result => {
-    if (filter === 'all') return true;
-    if (filter === 'success') return result.success;
-    if (filter === 'failed') return !result.success;
-    return result.category === filter;
+    if (filters.status === 'success' && !result.success) return false;
+    if (filters.status === 'failed' && result.success) return false;
+    if (filters.category && result.category !== filters.category) return false;
+    if (filters.provider && result.provider !== filters.provider) return false;
+    if (filters.model && result.model !== filters.model) return false;
+    return true;
   });
 
   const sortedResults = [...filteredResults].sort((a, b) => {
@@ -93,34 +92,6 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
 
   const categories = [...new Set(testResults.map(r => r.category))];
   
-  const getStatusIcon = (success: boolean) => {
-    return success 
-      ? <CheckCircle className="h-5 w-5 text-success-500" />
-      : <XCircle className="h-5 w-5 text-error-500" />;
-  };
-
-  const getCategoryIcon = (category: string) => {
-    const icons: Record<string, React.ReactElement> = {
-      math: <Hash className="h-4 w-4" />,
-      coding: <Code className="h-4 w-4" />,
-      technical: <FileText className="h-4 w-4" />,
-      reasoning: <Clock className="h-4 w-4" />,
-    };
-    return icons[category] || <FileText className="h-4 w-4" />;
-  };
-
-  const getCategoryColor = (category: string) => {
-    const colors: Record<string, string> = {
-      math: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
-      coding: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300',
-      technical: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
-      reasoning: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
-      creative: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-300',
-      mcp_tools: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300',
-    };
-    return colors[category] || 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300';
-  };
-
   if (loading) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-8">
@@ -132,6 +103,17 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
     );
   }
 
+  // No table and nothing to export rather than rows the run doesn't have
+  if (error) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-8">
+        <p className="text-center text-sm text-error-600 dark:text-error-400">
+          Could not load the test results: {(error as Error).message}
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
       <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
@@ -144,10 +126,10 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
             {/* Filter buttons */}
             <div className="flex items-center space-x-2">
               <button
-                onClick={() => setFilter('all')}
+                onClick={() => setParams({ status: null, category: null })}
                 className={cn(
                   'px-3 py-1 rounded-md text-sm font-medium transition-colors',
-                  filter === 'all' 
+                  filters.status === 'all' && !filters.category
                     ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
                     : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
                 )}
@@ -155,10 +137,10 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
                 All ({testResults.length})
               </button>
               <button
-                onClick={() => setFilter('success')}
+                onClick={() => setParam('status', 'success')}
                 className={cn(
                   'px-3 py-1 rounded-md text-sm font-medium transition-colors',
-                  filter === 'success'
+                  filters.status === 'success'
                     ? 'bg-success-100 text-success-700 dark:bg-success-900 dark:text-success-300'
                     : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
                 )}
@@ -166,22 +148,29 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
                 Success ({testResults.filter(r => r.success).length})
               </button>
               <button
-                onClick={() => setFilter('failed')}
+                onClick={() => setParam('status', 'failed')}
                 className={cn(
                   'px-3 py-1 rounded-md text-sm font-medium transition-colors',
-                  filter === 'failed'
+                  filters.status === 'failed'
                     ? 'bg-error-100 text-error-700 dark:bg-error-900 dark:text-error-300'
                     : 'text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700'
                 )}
               >
                 Failed ({testResults.filter(r => !r.success).length})
               </button>
+              <Link
+                to={runId ? `/failures?run=${encodeURIComponent(runId)}` : '/failures'}
+                className="text-sm font-medium text-primary-600 hover:text-primary-700"
+                title="Cluster the failures of this run by cause"
+              >
+                Analyze failures
+              </Link>
             </div>
 
             {/* Category filter */}
             <select
-              value={filter}
-              onChange={(e) => setFilter(e.target.value)}
+              value={filters.category || 'all'}
+              onChange={(e) => setParam('category', e.target.value)}
               className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
             >
               <option value="all">All Categories</option>
@@ -190,13 +179,28 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
               ))}
             </select>
 
+            <ExportMenu
+              table={{
+                view: 'test-results',
+                title: 'Detailed Test Results',
+                rows: sortedResults,
+                columns: EXPORT_COLUMNS,
+                runId: runId || testResults[0]?.run_id,
+                filters: {
+                  provider: filters.provider,
+                  model: filters.model,
+                  category: filters.category,
+                  status: filters.status,
+                },
+              }}
+            />
+
             {/* Sort options */}
             <select
               value={`${sortBy}-${sortOrder}`}
               onChange={(e) => {
                 const [by, order] = e.target.value.split('-');
-                setSortBy(by as any);
-                setSortOrder(order as any);
+                setSort(by as TestSortBy, order as SortOrder);
               }}
               className="px-3 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm"
             >
@@ -246,129 +250,13 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
           </thead>
           <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
             {sortedResults.map((result) => (
-              <>
-                <tr key={result.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    {getStatusIcon(result.success)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div>
-                      <div className="text-sm font-medium text-gray-900 dark:text-white">
-                        {result.model.replace(/-\d{8}$/, '')}
-                      </div>
-                      <div className="text-xs text-gray-500 dark:text-gray-400">
-                        {result.provider} • Iteration {result.iteration}
-                      </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={cn(
-                      'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium',
-                      getCategoryColor(result.category)
-                    )}>
-                      {getCategoryIcon(result.category)}
-                      <span className="ml-1">{result.category}</span>
-                    </span>
-                  </td>
-                  <td className="px-6 py-4">
-                    <div className="max-w-xs truncate text-sm text-gray-900 dark:text-gray-300">
-                      {result.prompt_text || result.prompt_id}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                    {formatDuration(result.time_to_first_token_ms)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                    {formatDuration(result.total_time_ms)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                    <div>
-                      <div>{formatTokens(result.tokens_generated)}</div>
-                      <div className="text-xs text-gray-500">
-                        {result.tokens_per_second?.toFixed(1)} tok/s
-                      </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                    {formatCost(result.estimated_cost_usd)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <button
-                      onClick={() => toggleRow(result.id)}
-                      className="text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300"
-                    >
-                      {expandedRows.has(result.id) ? (
-                        <ChevronUp className="h-5 w-5" />
-                      ) : (
-                        <ChevronDown className="h-5 w-5" />
-                      )}
-                    </button>
-                  </td>
-                </tr>
-                
-                {/* Expanded row with response details */}
-                {expandedRows.has(result.id) && (
-                  <tr>
-                    <td colSpan={9} className="px-6 py-4 bg-gray-50 dark:bg-gray-900">
-                      <div className="space-y-4">
-                        <div>
-                          <h4 className="font-medium text-sm text-gray-700 dark:text-gray-300 mb-2">
-                            Full Prompt:
-                          </h4>
-                          <div className="bg-white dark:bg-gray-800 p-3 rounded-md border border-gray-200 dark:border-gray-700">
-                            <pre className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap">
-                              {result.prompt_text}
-                            </pre>
-                          </div>
-                        </div>
-                        
-                        {result.response && (
-                          <div>
-                            <h4 className="font-medium text-sm text-gray-700 dark:text-gray-300 mb-2">
-                              Response:
-                            </h4>
-                            <div className="bg-white dark:bg-gray-800 p-3 rounded-md border border-gray-200 dark:border-gray-700">
-                              <pre className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap">
-                                {result.response}
-                              </pre>
-                            </div>
-                          </div>
-                        )}
-                        
-                        {result.error_message && (
-                          <div>
-                            <h4 className="font-medium text-sm text-error-700 dark:text-error-300 mb-2">
-                              Error:
-                            </h4>
-                            <div className="bg-error-50 dark:bg-error-900/20 p-3 rounded-md border border-error-200 dark:border-error-800">
-                              <pre className="text-sm text-error-800 dark:text-error-200 whitespace-pre-wrap">
-                                {result.error_message}
-                              </pre>
-                            </div>
-                          </div>
-                        )}
-                        
-                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                          <div>
-                            <span className="text-gray-500 dark:text-gray-400">Timestamp:</span>
-                            <span className="ml-2 text-gray-900 dark:text-gray-200">
-                              {new Date(result.timestamp).toLocaleString()}
-                            </span>
-                          </div>
-                          {result.quality_score && (
-                            <div>
-                              <span className="text-gray-500 dark:text-gray-400">Quality Score:</span>
-                              <span className="ml-2 text-gray-900 dark:text-gray-200">
-                                {(result.quality_score * 100).toFixed(1)}%
-                              </span>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    </td>
-                  </tr>
-                )}
-              </>
+              <TestResultRow
+                key={result.id}
+                result={result}
+                expanded={expandedRows.has(result.id)}
+                onToggle={() => toggleRow(result.id)}
+                runResults={testResults}
+              />
             ))}
           </tbody>
         </table>
@@ -382,42 +270,3 @@ export default function TestResultsTable({ runId }: TestResultsTableProps) {
     </div>
   );
 }
-
-// Mock data generator for testing
-function generateMockTestResults(): TestResult[] {
-  const categories = ['math', 'coding', 'reasoning', 'technical', 'creative', 'mcp_tools'];
-  const prompts = {
-    math: 'Calculate the factorial of 12',
-    coding: 'Write a Python function to reverse a linked list',
-    reasoning: 'If all birds can fly and penguins are birds, can penguins fly?',
-    technical: 'Explain the difference between TCP and UDP protocols',
-    creative: 'Write a haiku about machine learning',
-    mcp_tools: 'List all virtual machines with more than 16GB RAM'
-  };
-  
-  return Array.from({ length: 20 }, (_, i) => {
-    const category = categories[i % categories.length];
-    const success = Math.random() > 0.15;
-    
-    return {
-      id: i + 1,
-      run_id: `bench-${Date.now()}`,
-      timestamp: new Date(Date.now() - Math.random() * 86400000).toISOString(),
-      provider: ['anthropic', 'gemini', 'ollama'][i % 3],
-      model: ['claude-3-5-haiku-20241022', 'gemini-2.0-flash-exp', 'llama2'][i % 3],
-      prompt_id: `${category}_test`,
-      prompt_text: prompts[category as keyof typeof prompts],
-      category,
-      iteration: (i % 3) + 1,
-      time_to_first_token_ms: 500 + Math.random() * 3000,
-      total_time_ms: 1000 + Math.random() * 5000,
-      tokens_generated: 50 + Math.floor(Math.random() * 500),
-      tokens_per_second: 20 + Math.random() * 30,
-      quality_score: success ? 0.7 + Math.random() * 0.3 : undefined,
-      success,
-      error_message: !success ? 'Rate limit exceeded' : undefined,
-      response: success ? `This is a sample response for ${category} prompt...` : undefined,
-      estimated_cost_usd: Math.random() * 0.01,
-    };
-  });
-}
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { TrendingUp, TrendingDown, AlertTriangle } from 'lucide-react';
 import type { PerformanceTrend } from '../types/benchmark';
+import { TREND_METRICS } from '../utils/regressionEngine';
+import { modelDisplayName } from '../utils/modelRegistry';
 
 interface TrendIndicatorsProps {
   trends: PerformanceTrend[];
@@ -8,14 +10,30 @@ interface TrendIndicatorsProps {
 export default function TrendIndicators({ trends }: TrendIndicatorsProps) {
   // Find significant trends
   const regressions = trends.filter(t => t.is_regression);
-  const improvements = trends.filter(t => !t.is_regression && t.change_percentage && t.change_percentage < -10);
+  const improvements = trends.filter(t =>
+    t.is_improvement ?? (!t.is_regression && t.change_percentage && t.change_percentage < -10)
+  );
   
   if (regressions.length === 0 && improvements.length === 0) {
     return null;
   }
 
   const formatModelName = (provider: string, model: string) => {
-    return `${provider}/${model.replace(/-\d{8}$/, '')}`;
+    return `${provider}/${modelDisplayName(provider, model)}`;
+  };
+
+  const formatScope = (trend: PerformanceTrend) => {
+    const metric = TREND_METRICS.find(m => m.metric === trend.metric_name)?.label || trend.metric_name;
+    const scope = trend.prompt_id ? ` (${trend.prompt_id})` : trend.category ? ` (${trend.category})` : '';
+    return `${metric}${scope}`;
+  };
+
+  // Latency metrics read as slower/faster, everything else as worse/better
+  const formatChange = (trend: PerformanceTrend, regression: boolean) => {
+    const amount = `${Math.abs(trend.change_percentage || 0).toFixed(1)}%`;
+    const isLatency = trend.metric_name === 'avg_ttft_ms' || trend.metric_name === 'avg_total_time_ms';
+    if (isLatency) return `${amount} ${regression ? 'slower' : 'faster'}`;
+    return `${amount} ${regression ? 'worse' : 'better'}`;
   };
 
   return (
@@ -32,11 +50,11 @@ export default function TrendIndicators({ trends }: TrendIndicatorsProps) {
                 {regressions.slice(0, 3).map((trend, idx) => (
                   <div key={idx} className="flex items-center justify-between text-sm">
                     <span className="text-error-700 dark:text-error-300">
-                      {formatModelName(trend.provider, trend.model)} - {trend.metric_name}
+                      {formatModelName(trend.provider, trend.model)} - {formatScope(trend)}
                     </span>
                     <span className="font-medium text-error-800 dark:text-error-200">
                       <TrendingDown className="inline h-4 w-4 mr-1" />
-                      {Math.abs(trend.change_percentage || 0).toFixed(1)}% slower
+                      {formatChange(trend, true)}
                     </span>
                   </div>
                 ))}
@@ -58,11 +76,11 @@ export default function TrendIndicators({ trends }: TrendIndicatorsProps) {
                 {improvements.slice(0, 3).map((trend, idx) => (
                   <div key={idx} className="flex items-center justify-between text-sm">
                     <span className="text-success-700 dark:text-success-300">
-                      {formatModelName(trend.provider, trend.model)} - {trend.metric_name}
+                      {formatModelName(trend.provider, trend.model)} - {formatScope(trend)}
                     </span>
                     <span className="font-medium text-success-800 dark:text-success-200">
                       <TrendingUp className="inline h-4 w-4 mr-1" />
-                      {Math.abs(trend.change_percentage || 0).toFixed(1)}% faster
+                      {formatChange(trend, false)}
                     </span>
                   </div>
                 ))}
@@ -29,8 +29,10 @@ export const DB_CONFIG = {
 export const FEATURES = {
   // Enable JSONIC database
   useJsonic: DB_CONFIG.mode === 'jsonic',
-  // Enable real-time updates (requires JSONIC)
-  enableRealtime: false,
+  // Read runs and results from server.cjs instead of the bundled data
+  useApiServer: import.meta.env.VITE_USE_API_SERVER === 'true',
+  // Live updates over the server's /api/events stream (requires the API server)
+  enableRealtime: import.meta.env.VITE_USE_API_SERVER === 'true',
   // Enable data caching
   enableCache: true,
   // Cache TTL in milliseconds
@@ -0,0 +1,163 @@
+// Known providers and models. Raw ids from the benchmark are matched against
+// these entries by src/utils/modelRegistry.ts; anything not listed still
+// works, it just falls back to its id with the snapshot suffix removed.
+
+export interface ProviderDefinition {
+  id: string;
+  displayName: string;
+  // Other spellings of the provider id seen in exports
+  aliases?: string[];
+}
+
+export interface ModelDefinition {
+  // Logical model id, without snapshot date or version suffix
+  id: string;
+  provider: string;
+  displayName: string;
+  // Models of one generation, used to aggregate e.g. all GPT-4o variants
+  family: string;
+  // Tokens
+  contextWindow: number;
+  // YYYY-MM-DD of the first release
+  releaseDate: string;
+  // List price in USD per million tokens at the time of writing
+  pricing?: { input: number; output: number };
+  // Raw ids that don't reduce to `id` by stripping the snapshot suffix
+  aliases?: string[];
+}
+
+export const PROVIDERS: ProviderDefinition[] = [
+  { id: 'openai', displayName: 'OpenAI' },
+  { id: 'anthropic', displayName: 'Anthropic' },
+  { id: 'gemini', displayName: 'Google Gemini', aliases: ['google', 'google-ai'] },
+  { id: 'ollama', displayName: 'Ollama' },
+];
+
+export const MODELS: ModelDefinition[] = [
+  // OpenAI
+  {
+    id: 'gpt-3.5-turbo', provider: 'openai', displayName: 'GPT-3.5 Turbo', family: 'GPT-3.5',
+    contextWindow: 16385, releaseDate: '2023-03-01', pricing: { input: 0.5, output: 1.5 },
+  },
+  {
+    id: 'gpt-4', provider: 'openai', displayName: 'GPT-4', family: 'GPT-4',
+    contextWindow: 8192, releaseDate: '2023-03-14', pricing: { input: 30, output: 60 },
+  },
+  {
+    id: 'gpt-4-turbo', provider: 'openai', displayName: 'GPT-4 Turbo', family: 'GPT-4',
+    contextWindow: 128000, releaseDate: '2024-04-09', pricing: { input: 10, output: 30 },
+    aliases: ['gpt-4-turbo-preview', 'gpt-4-1106-preview', 'gpt-4-0125-preview'],
+  },
+  {
+    id: 'gpt-4o', provider: 'openai', displayName: 'GPT-4o', family: 'GPT-4o',
+    contextWindow: 128000, releaseDate: '2024-05-13', pricing: { input: 2.5, output: 10 },
+    aliases: ['chatgpt-4o-latest'],
+  },
+  {
+    id: 'gpt-4o-mini', provider: 'openai', displayName: 'GPT-4o mini', family: 'GPT-4o',
+    contextWindow: 128000, releaseDate: '2024-07-18', pricing: { input: 0.15, output: 0.6 },
+  },
+  {
+    id: 'gpt-4.1', provider: 'openai', displayName: 'GPT-4.1', family: 'GPT-4.1',
+    contextWindow: 1047576, releaseDate: '2025-04-14', pricing: { input: 2, output: 8 },
+  },
+  {
+    id: 'gpt-4.1-mini', provider: 'openai', displayName: 'GPT-4.1 mini', family: 'GPT-4.1',
+    contextWindow: 1047576, releaseDate: '2025-04-14', pricing: { input: 0.4, output: 1.6 },
+  },
+  {
+    id: 'gpt-4.1-nano', provider: 'openai', displayName: 'GPT-4.1 nano', family: 'GPT-4.1',
+    contextWindow: 1047576, releaseDate: '2025-04-14', pricing: { input: 0.1, output: 0.4 },
+  },
+  {
+    id: 'gpt-5', provider: 'openai', displayName: 'GPT-5', family: 'GPT-5',
+    contextWindow: 400000, releaseDate: '2025-08-07', pricing: { input: 1.25, output: 10 },
+  },
+  {
+    id: 'gpt-5-mini', provider: 'openai', displayName: 'GPT-5 mini', family: 'GPT-5',
+    contextWindow: 400000, releaseDate: '2025-08-07', pricing: { input: 0.25, output: 2 },
+  },
+  {
+    id: 'gpt-5-nano', provider: 'openai', displayName: 'GPT-5 nano', family: 'GPT-5',
+    contextWindow: 400000, releaseDate: '2025-08-07', pricing: { input: 0.05, output: 0.4 },
+  },
+  {
+    id: 'o1', provider: 'openai', displayName: 'o1', family: 'OpenAI o-series',
+    contextWindow: 200000, releaseDate: '2024-12-17', pricing: { input: 15, output: 60 },
+  },
+  {
+    id: 'o3-mini', provider: 'openai', displayName: 'o3-mini', family: 'OpenAI o-series',
+    contextWindow: 200000, releaseDate: '2025-01-31', pricing: { input: 1.1, output: 4.4 },
+  },
+
+  // Anthropic
+  {
+    id: 'claude-3-haiku', provider: 'anthropic', displayName: 'Claude 3 Haiku', family: 'Claude 3',
+    contextWindow: 200000, releaseDate: '2024-03-07', pricing: { input: 0.25, output: 1.25 },
+  },
+  {
+    id: 'claude-3-sonnet', provider: 'anthropic', displayName: 'Claude 3 Sonnet', family: 'Claude 3',
+    contextWindow: 200000, releaseDate: '2024-02-29', pricing: { input: 3, output: 15 },
+  },
+  {
+    id: 'claude-3-opus', provider: 'anthropic', displayName: 'Claude 3 Opus', family: 'Claude 3',
+    contextWindow: 200000, releaseDate: '2024-02-29', pricing: { input: 15, output: 75 },
+  },
+  {
+    id: 'claude-3-5-haiku', provider: 'anthropic', displayName: 'Claude 3.5 Haiku', family: 'Claude 3.5',
+    contextWindow: 200000, releaseDate: '2024-10-22', pricing: { input: 0.8, output: 4 },
+  },
+  {
+    id: 'claude-3-5-sonnet', provider: 'anthropic', displayName: 'Claude 3.5 Sonnet', family: 'Claude 3.5',
+    contextWindow: 200000, releaseDate: '2024-06-20', pricing: { input: 3, output: 15 },
+  },
+  {
+    id: 'claude-3-7-sonnet', provider: 'anthropic', displayName: 'Claude 3.7 Sonnet', family: 'Claude 3.7',
+    contextWindow: 200000, releaseDate: '2025-02-24', pricing: { input: 3, output: 15 },
+  },
+  {
+    id: 'claude-sonnet-4', provider: 'anthropic', displayName: 'Claude Sonnet 4', family: 'Claude 4',
+    contextWindow: 200000, releaseDate: '2025-05-22', pricing: { input: 3, output: 15 },
+    aliases: ['claude-4-sonnet'],
+  },
+  {
+    id: 'claude-opus-4', provider: 'anthropic', displayName: 'Claude Opus 4', family: 'Claude 4',
+    contextWindow: 200000, releaseDate: '2025-05-22', pricing: { input: 15, output: 75 },
+    aliases: ['claude-4-opus'],
+  },
+  {
+    id: 'claude-opus-4-1', provider: 'anthropic', displayName: 'Claude Opus 4.1', family: 'Claude 4',
+    contextWindow: 200000, releaseDate: '2025-08-05', pricing: { input: 15, output: 75 },
+  },
+
+  // Google
+  {
+    id: 'gemini-1.5-flash', provider: 'gemini', displayName: 'Gemini 1.5 Flash', family: 'Gemini 1.5',
+    contextWindow: 1048576, releaseDate: '2024-05-24', pricing: { input: 0.075, output: 0.3 },
+  },
+  {
+    id: 'gemini-1.5-pro', provider: 'gemini', displayName: 'Gemini 1.5 Pro', family: 'Gemini 1.5',
+    contextWindow: 2097152, releaseDate: '2024-05-24', pricing: { input: 1.25, output: 5 },
+  },
+  {
+    id: 'gemini-2.0-flash', provider: 'gemini', displayName: 'Gemini 2.0 Flash', family: 'Gemini 2.0',
+    contextWindow: 1048576, releaseDate: '2025-02-05', pricing: { input: 0.1, output: 0.4 },
+    aliases: ['gemini-2.0-flash-exp'],
+  },
+  {
+    id: 'gemini-2.0-flash-lite', provider: 'gemini', displayName: 'Gemini 2.0 Flash-Lite', family: 'Gemini 2.0',
+    contextWindow: 1048576, releaseDate: '2025-02-25', pricing: { input: 0.075, output: 0.3 },
+  },
+  {
+    id: 'gemini-2.5-flash', provider: 'gemini', displayName: 'Gemini 2.5 Flash', family: 'Gemini 2.5',
+    contextWindow: 1048576, releaseDate: '2025-06-17', pricing: { input: 0.3, output: 2.5 },
+  },
+  {
+    id: 'gemini-2.5-flash-lite', provider: 'gemini', displayName: 'Gemini 2.5 Flash-Lite', family: 'Gemini 2.5',
+    contextWindow: 1048576, releaseDate: '2025-07-22', pricing: { input: 0.1, output: 0.4 },
+  },
+  {
+    id: 'gemini-2.5-pro', provider: 'gemini', displayName: 'Gemini 2.5 Pro', family: 'Gemini 2.5',
+    contextWindow: 1048576, releaseDate: '2025-06-17', pricing: { input: 1.25, output: 10 },
+  },
+];
@@ -0,0 +1,106 @@
+import { useCallback } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+
+export type TestSortBy = 'time' | 'tokens' | 'category' | 'status';
+export type SortOrder = 'asc' | 'desc';
+export type StatusFilter = 'all' | 'success' | 'failed';
+// null means "use the baseline when one is pinned"
+export type CompareTo = 'previous' | 'baseline' | null;
+
+export interface DashboardFilters {
+  provider: string | null;
+  model: string | null;
+  category: string | null;
+  status: StatusFilter;
+  sortBy: TestSortBy;
+  sortOrder: SortOrder;
+  expanded: number[];
+  compareTo: CompareTo;
+}
+
+type FilterKey = 'provider' | 'model' | 'category' | 'status' | 'sort' | 'expanded' | 'compare';
+
+const SORT_KEYS: TestSortBy[] = ['time', 'tokens', 'category', 'status'];
+
+function parseSort(value: string | null): { sortBy: TestSortBy; sortOrder: SortOrder } {
+  const [by, order] = (value || '').split('-');
+  return {
+    sortBy: SORT_KEYS.includes(by as TestSortBy) ? by as TestSortBy : 'time',
+    sortOrder: order === 'asc' ? 'asc' : 'desc',
+  };
+}
+
+/**
+ * Dashboard view state that lives in the URL so a link opens the exact
+ * same view: `/runs/:runId?provider=…&model=…&category=…&status=…&sort=…&expanded=…&compare=…`
+ */
+export function useDashboardParams() {
+  const { runId } = useParams<{ runId?: string }>();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const status = searchParams.get('status');
+  const compare = searchParams.get('compare');
+  const filters: DashboardFilters = {
+    provider: searchParams.get('provider'),
+    model: searchParams.get('model'),
+    category: searchParams.get('category'),
+    status: status === 'success' || status === 'failed' ? status : 'all',
+    ...parseSort(searchParams.get('sort')),
+    expanded: (searchParams.get('expanded') || '')
+      .split(',')
+      .map(Number)
+      .filter(id => Number.isFinite(id) && id > 0),
+    compareTo: compare === 'previous' || compare === 'baseline' ? compare : null,
+  };
+
+  // Updates several keys at once; separate calls in one handler would overwrite each other
+  const setParams = useCallback((updates: Partial<Record<FilterKey, string | null>>) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '' || value === 'all') {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const setParam = useCallback((key: FilterKey, value: string | null) => {
+    setParams({ [key]: value });
+  }, [setParams]);
+
+  const setSort = useCallback((sortBy: TestSortBy, sortOrder: SortOrder) => {
+    setParam('sort', sortBy === 'time' && sortOrder === 'desc' ? null : `${sortBy}-${sortOrder}`);
+  }, [setParam]);
+
+  const toggleExpanded = useCallback((id: number) => {
+    const current = new Set(filters.expanded);
+    if (current.has(id)) {
+      current.delete(id);
+    } else {
+      current.add(id);
+    }
+    setParam('expanded', Array.from(current).join(','));
+  }, [filters.expanded, setParam]);
+
+  // Filters carried over when switching runs; expanded rows are run-specific
+  const shareableSearch = (() => {
+    const next = new URLSearchParams(searchParams);
+    next.delete('expanded');
+    const query = next.toString();
+    return query ? `?${query}` : '';
+  })();
+
+  return {
+    runId,
+    filters,
+    setParam,
+    setParams,
+    setSort,
+    toggleExpanded,
+    shareableSearch,
+  };
+}
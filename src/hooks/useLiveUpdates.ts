@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient, type QueryKey } from '@tanstack/react-query';
+import { FEATURES } from '../config/database';
+import { subscribeToBenchmarkEvents } from '../services/api';
+import type { BenchmarkEvent, BenchmarkEventType } from '../services/generated/benchmarkApi';
+
+export type LiveStatus = 'off' | 'connecting' | 'live';
+
+// Query keys that hold data an event may have changed. Keys with a run id
+// match that run's queries; the rest match every run.
+function affectedQueries(type: BenchmarkEventType, event: BenchmarkEvent): QueryKey[] {
+  switch (type) {
+    case 'run':
+      return [['benchmarkRuns'], ['modelPerformanceHistory'], ['allTestResults'], ['runAggregate']];
+    case 'test_results':
+      return [
+        ['benchmarkRuns'],
+        ['testResults', event.run_id],
+        ['categoryPerformance', event.run_id],
+        ['allTestResults'],
+        ['runAggregate'],
+        ['performanceTrends'],
+      ];
+    case 'model_performance':
+      return [['modelPerformance', event.run_id], ['modelPerformanceHistory']];
+    case 'trends':
+      // Trend events carry no run id, and trends are scoped to runs by time
+      return [['performanceTrends']];
+  }
+}
+
+/**
+ * Keeps react-query data current from the server's event stream when
+ * FEATURES.enableRealtime is on. Without it the caller's polling applies.
+ */
+export function useLiveUpdates(): LiveStatus {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState<LiveStatus>(FEATURES.enableRealtime ? 'connecting' : 'off');
+
+  useEffect(() => {
+    if (!FEATURES.enableRealtime) return;
+    let connectedBefore = false;
+
+    return subscribeToBenchmarkEvents(
+      (type, event) => {
+        affectedQueries(type, event).forEach(queryKey => queryClient.invalidateQueries({ queryKey }));
+      },
+      connected => {
+        setStatus(connected ? 'live' : 'connecting');
+        if (!connected) return;
+        // Events sent while the connection was down are not replayed
+        if (connectedBefore) queryClient.invalidateQueries();
+        connectedBefore = true;
+      }
+    );
+  }, [queryClient]);
+
+  return status;
+}
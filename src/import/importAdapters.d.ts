@@ -0,0 +1,54 @@
+import type { DatabaseExport } from '../schema/databaseSchema';
+import type { ModelPerformance, TestResult } from '../types/benchmark';
+
+export type ImportFormat = 'csv' | 'jsonl' | 'openai-evals';
+
+export interface ImportFormatInfo {
+  key: ImportFormat;
+  label: string;
+  description: string;
+}
+
+// Field mapping config; entries not given fall back to the format's default
+export interface ImportMapping {
+  // CSV only; tab for .tsv files, comma otherwise
+  delimiter?: string;
+  run?: { run_id?: string; name?: string; timestamp?: string };
+  // Target field -> source column or dotted path; null/"" unmaps a default
+  fields?: Partial<Record<keyof TestResult, string | null>>;
+  // Multipliers applied to numeric fields, e.g. seconds -> ms
+  scale?: Partial<Record<keyof TestResult, number>>;
+  defaults?: Partial<Record<keyof TestResult, string | number | boolean>>;
+}
+
+export interface ConvertOptions {
+  format?: ImportFormat;
+  fileName?: string;
+  mapping?: ImportMapping;
+  importedAt?: string;
+  idOffset?: number;
+}
+
+export interface ConvertResult {
+  format: ImportFormat;
+  data: DatabaseExport;
+  warnings: string[];
+}
+
+export declare class ImportError extends Error {
+  problems: string[];
+  constructor(message: string, problems?: string[]);
+}
+
+export declare const IMPORT_FORMATS: ImportFormatInfo[];
+export declare const DEFAULT_MAPPINGS: Record<ImportFormat, Required<Pick<ImportMapping, 'fields' | 'scale' | 'defaults'>>>;
+export declare const MAPPABLE_FIELDS: string[];
+
+export declare function detectFormat(text: string, fileName?: string): ImportFormat;
+export declare function parseCsv(text: string, delimiter?: string): Record<string, string>[];
+export declare function parseJsonl(text: string): unknown[];
+export declare function readOpenAiEvals(text: string): Record<string, unknown>[];
+export declare function readPath(record: unknown, path: string): unknown;
+export declare function resolveMapping(format: ImportFormat, config?: ImportMapping): Required<ImportMapping>;
+export declare function summarizeModelPerformance(results: TestResult[], runId: string): ModelPerformance[];
+export declare function convertResults(text: string, options?: ConvertOptions): ConvertResult;
@@ -0,0 +1,606 @@
+// Converts results from other evaluation tools into the export shape of
+// public/data/database.json (benchmark_runs / test_results /
+// model_performance), so they show up on the dashboard next to AgentX
+// runs. Plain JavaScript like src/schema/databaseSchema.js: the same
+// adapters back scripts/import-results.js and the importer page. Types
+// are in importAdapters.d.ts.
+//
+// Each format has a default field mapping (target field -> source column,
+// or a dotted path into a JSON record). A mapping config only needs the
+// entries that differ:
+//
+//   {
+//     "run": { "run_id": "vendor-eval-2025-10", "name": "Vendor eval" },
+//     "fields": { "total_time_ms": "latency_s", "prompt_text": "question" },
+//     "scale": { "total_time_ms": 1000 },
+//     "defaults": { "provider": "anthropic", "category": "reasoning" }
+//   }
+
+import { DATABASE_SCHEMA_VERSION, prepareDatabase } from '../schema/databaseSchema.js';
+
+export const IMPORT_FORMATS = [
+  {
+    key: 'csv',
+    label: 'CSV',
+    description: 'One row per test; the header row names the columns'
+  },
+  {
+    key: 'jsonl',
+    label: 'JSONL traces',
+    description: 'One JSON object per request, e.g. exported from a tracing tool'
+  },
+  {
+    key: 'openai-evals',
+    label: 'OpenAI evals log',
+    description: 'The record file oaieval writes: a spec line followed by sampling and match events'
+  }
+];
+
+export const DEFAULT_MAPPINGS = {
+  csv: {
+    fields: {
+      run_id: 'run_id',
+      timestamp: 'timestamp',
+      provider: 'provider',
+      model: 'model',
+      prompt_id: 'prompt_id',
+      prompt_text: 'prompt',
+      category: 'category',
+      iteration: 'iteration',
+      time_to_first_token_ms: 'ttft_ms',
+      total_time_ms: 'latency_ms',
+      tokens_generated: 'output_tokens',
+      tokens_per_second: 'tokens_per_second',
+      quality_score: 'score',
+      success: 'success',
+      error_message: 'error',
+      response: 'response',
+      estimated_cost_usd: 'cost_usd'
+    },
+    scale: {},
+    defaults: {}
+  },
+  jsonl: {
+    fields: {
+      run_id: 'run_id',
+      timestamp: 'timestamp',
+      provider: 'provider',
+      model: 'model',
+      prompt_id: 'id',
+      prompt_text: 'input',
+      category: 'metadata.category',
+      time_to_first_token_ms: 'ttft_ms',
+      total_time_ms: 'latency_ms',
+      tokens_generated: 'usage.completion_tokens',
+      quality_score: 'score',
+      success: 'success',
+      error_message: 'error',
+      response: 'output',
+      estimated_cost_usd: 'cost'
+    },
+    scale: {},
+    defaults: {}
+  },
+  // Applied to the samples reassembled from the event log (see readOpenAiEvals).
+  // Evals grade answers right or wrong rather than scoring them, so an
+  // incorrect or ungraded sample is a failed test.
+  'openai-evals': {
+    fields: {
+      run_id: 'run_id',
+      timestamp: 'created_at',
+      model: 'model',
+      prompt_id: 'sample_id',
+      prompt_text: 'prompt',
+      category: 'eval_name',
+      success: 'correct',
+      error_message: 'error',
+      response: 'response'
+    },
+    scale: {},
+    defaults: { provider: 'openai', success: false }
+  }
+};
+
+// Fields a mapping can fill, with how the source value is read
+const FIELD_TYPES = {
+  run_id: 'string',
+  timestamp: 'timestamp',
+  provider: 'string',
+  model: 'string',
+  prompt_id: 'string',
+  prompt_text: 'string',
+  category: 'string',
+  iteration: 'integer',
+  time_to_first_token_ms: 'number',
+  total_time_ms: 'number',
+  tokens_generated: 'integer',
+  tokens_per_second: 'number',
+  quality_score: 'number',
+  accuracy_score: 'number',
+  relevance_score: 'number',
+  completeness_score: 'number',
+  coherence_score: 'number',
+  passed_keywords: 'boolean',
+  passed_patterns: 'boolean',
+  passed_length: 'boolean',
+  passed_format: 'boolean',
+  success: 'boolean',
+  error_message: 'string',
+  response: 'string',
+  estimated_cost_usd: 'number'
+};
+
+export const MAPPABLE_FIELDS = Object.keys(FIELD_TYPES);
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'pass', 'passed', 'ok', 'success', 'correct'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'fail', 'failed', 'error', 'incorrect', ''];
+
+// Longer lists of row problems are cut to this many
+const MAX_ROW_ERRORS = 50;
+
+export class ImportError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  ${problems.slice(0, MAX_ROW_ERRORS).join('\n  ')}` : message);
+    this.name = 'ImportError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Guesses the format from the file name and first line: .csv/.tsv files
+ * are CSV, JSONL whose first record is an evals spec or event is an
+ * OpenAI evals log, any other JSONL is a trace export.
+ */
+export function detectFormat(text, fileName = '') {
+  if (/\.(csv|tsv)$/i.test(fileName)) return 'csv';
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '');
+  if (!firstLine) return 'csv';
+  try {
+    const record = JSON.parse(firstLine);
+    if (record && (record.spec || (record.sample_id !== undefined && record.type && record.data))) {
+      return 'openai-evals';
+    }
+    return 'jsonl';
+  } catch {
+    return 'csv';
+  }
+}
+
+/**
+ * Parses CSV with a header row into one object per row. Quoted fields may
+ * contain the delimiter, doubled quotes and line breaks.
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ImportError('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(header.map((name, index) => [name, values[index] ?? '']))
+  );
+}
+
+export function parseJsonl(text) {
+  const records = [];
+  const problems = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      problems.push(`line ${index + 1}: ${error.message}`);
+    }
+  });
+  if (problems.length > 0) {
+    throw new ImportError('Invalid JSONL', problems);
+  }
+  return records;
+}
+
+// Chat prompts are a list of messages; they're flattened to "role: content" lines
+function promptText(prompt) {
+  if (Array.isArray(prompt)) {
+    return prompt
+      .map(message => (message && typeof message === 'object' ? `${message.role}: ${message.content}` : String(message)))
+      .join('\n');
+  }
+  return prompt == null ? '' : String(prompt);
+}
+
+/**
+ * Reassembles the samples of an oaieval record file. The file starts with
+ * a spec (model, eval name, run id), then has one event per step of each
+ * sample; the sampling event carries prompt and completion, the match
+ * event whether the answer was correct.
+ */
+export function readOpenAiEvals(text) {
+  const records = parseJsonl(text);
+  const spec = records.find(record => record.spec)?.spec || {};
+  const model = (spec.completion_fns || [])[0] || spec.model || '';
+  const samples = new Map();
+
+  records.filter(record => record.sample_id !== undefined && record.type).forEach(event => {
+    const id = String(event.sample_id);
+    if (!samples.has(id)) {
+      samples.set(id, {
+        run_id: event.run_id || spec.run_id,
+        eval_name: spec.eval_name || spec.base_eval || '',
+        model,
+        sample_id: id,
+        created_at: event.created_at || spec.created_at
+      });
+    }
+    const sample = samples.get(id);
+    const data = event.data || {};
+    if (event.type === 'sampling') {
+      sample.prompt = promptText(data.prompt);
+      sample.response = Array.isArray(data.sampled) ? data.sampled[0] : data.sampled;
+      if (data.error) sample.error = String(data.error);
+    } else if (event.type === 'match') {
+      sample.correct = data.correct;
+      sample.expected = data.expected;
+      // Incorrect answers cluster under one message in the failure analysis
+      if (data.correct === false && !sample.error) sample.error = 'Incorrect answer';
+    } else if (event.type === 'metrics' && data.score !== undefined && sample.correct === undefined) {
+      sample.correct = data.score;
+    }
+  });
+  return Array.from(samples.values());
+}
+
+// Reads "usage.completion_tokens" or "choices.0.text" from a record
+export function readPath(record, path) {
+  if (!path) return undefined;
+  if (Object.prototype.hasOwnProperty.call(record, path)) return record[path];
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * The format's default mapping with the config on top. Fields set to
+ * null or "" in the config are left unmapped.
+ */
+export function resolveMapping(format, config = {}) {
+  const base = DEFAULT_MAPPINGS[format];
+  if (!base) {
+    throw new ImportError(`Unknown import format "${format}"; expected one of ${Object.keys(DEFAULT_MAPPINGS).join(', ')}`);
+  }
+  const unknown = Object.keys(config.fields || {}).filter(field => !FIELD_TYPES[field]);
+  if (unknown.length > 0) {
+    throw new ImportError('Mapping names unknown fields', unknown.map(field => `fields.${field}`));
+  }
+
+  const fields = { ...base.fields, ...(config.fields || {}) };
+  Object.keys(fields).forEach(field => {
+    if (!fields[field]) delete fields[field];
+  });
+  return {
+    delimiter: config.delimiter,
+    run: config.run || {},
+    fields,
+    scale: { ...base.scale, ...(config.scale || {}) },
+    defaults: { ...base.defaults, ...(config.defaults || {}) }
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function convertValue(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'number') return value !== 0;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      throw new Error(`"${value}" is not a yes/no value`);
+    }
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'boolean' ? Number(value) : Number(String(value).trim());
+      if (!Number.isFinite(number)) throw new Error(`"${value}" is not a number`);
+      return type === 'integer' ? Math.round(number) : number;
+    }
+    case 'timestamp': {
+      if (typeof value === 'number') {
+        // Epoch seconds or milliseconds
+        return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+      }
+      const text = String(value).trim();
+      if (/^\d+(\.\d+)?$/.test(text)) return convertValue(Number(text), 'timestamp');
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) throw new Error(`"${value}" is not a date`);
+      return date.toISOString();
+    }
+    default:
+      return value;
+  }
+}
+
+// Short stable id for a prompt that has no id of its own
+function promptHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `prompt-${hash.toString(16).padStart(8, '0')}`;
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'results';
+}
+
+// One record as a test result, before ids and run defaults are filled in
+function convertRecord(record, mapping, at, problems) {
+  const values = {};
+  Object.entries(mapping.fields).forEach(([field, path]) => {
+    let value = readPath(record, path);
+    if (isBlank(value)) value = mapping.defaults[field];
+    if (isBlank(value)) return;
+    try {
+      value = convertValue(value, FIELD_TYPES[field]);
+      if (mapping.scale[field] && typeof value === 'number') value *= mapping.scale[field];
+      values[field] = value;
+    } catch (error) {
+      problems.push(`${at}: ${field} (from "${path}"): ${error.message}`);
+    }
+  });
+  // Defaults for fields the mapping doesn't cover at all
+  Object.entries(mapping.defaults).forEach(([field, value]) => {
+    if (values[field] === undefined && !isBlank(value) && FIELD_TYPES[field]) {
+      values[field] = convertValue(value, FIELD_TYPES[field]);
+    }
+  });
+
+  if (!values.model) {
+    problems.push(`${at}: no model (mapped from "${mapping.fields.model || ''}")`);
+  }
+  if (!values.provider) {
+    problems.push(`${at}: no provider; map a column or set defaults.provider`);
+  }
+  return values;
+}
+
+/**
+ * AgentX's per-model aggregation (see aggregateModelPerformance in
+ * src/utils/runAggregation.ts): timings, throughput and scores over the
+ * successful tests, counts and cost over all of them.
+ */
+export function summarizeModelPerformance(results, runId) {
+  const groups = new Map();
+  results.forEach(result => {
+    const key = `${result.provider}/${result.model}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  });
+
+  // Same rules as mean and meanScore in src/utils/statistics.ts: unscored (0 or missing) tests are left out
+  const average = values => (values.length > 0 ? values.reduce((acc, v) => acc + v, 0) / values.length : 0);
+  const averageScore = values => {
+    const scored = values.filter(value => typeof value === 'number' && value > 0);
+    return scored.length > 0 ? average(scored) : null;
+  };
+
+  return Array.from(groups.values()).map(group => {
+    const successful = group.filter(r => r.success);
+    const ttft = successful.map(r => r.time_to_first_token_ms);
+    const tokens = group.reduce((acc, r) => acc + r.tokens_generated, 0);
+    const cost = group.reduce((acc, r) => acc + r.estimated_cost_usd, 0);
+    return {
+      run_id: runId,
+      provider: group[0].provider,
+      model: group[0].model,
+      timestamp: group[group.length - 1].timestamp,
+      total_tests: group.length,
+      successful_tests: successful.length,
+      failed_tests: group.length - successful.length,
+      success_rate: (successful.length / group.length) * 100,
+      avg_ttft_ms: average(ttft),
+      min_ttft_ms: ttft.length > 0 ? ttft.reduce((min, v) => Math.min(min, v), Infinity) : 0,
+      max_ttft_ms: ttft.reduce((max, v) => Math.max(max, v), 0),
+      avg_total_time_ms: average(successful.map(r => r.total_time_ms)),
+      avg_tokens_per_second: average(successful.map(r => r.tokens_per_second)),
+      total_tokens_generated: tokens,
+      avg_quality_score: averageScore(successful.map(r => r.quality_score)) ?? 0,
+      avg_accuracy_score: averageScore(successful.map(r => r.accuracy_score)),
+      avg_relevance_score: averageScore(successful.map(r => r.relevance_score)),
+      avg_completeness_score: averageScore(successful.map(r => r.completeness_score)),
+      avg_coherence_score: averageScore(successful.map(r => r.coherence_score)),
+      total_cost_usd: cost,
+      avg_cost_per_test: cost / group.length,
+      cost_per_1k_tokens: tokens > 0 ? (cost / tokens) * 1000 : 0
+    };
+  });
+}
+
+function readRecords(text, format, mapping, fileName) {
+  if (format === 'csv') {
+    const delimiter = mapping.delimiter || (/\.tsv$/i.test(fileName) ? '\t' : ',');
+    return parseCsv(text, delimiter);
+  }
+  if (format === 'openai-evals') return readOpenAiEvals(text);
+  return parseJsonl(text);
+}
+
+/**
+ * Converts a file of results into a validated export. Results without a
+ * run id of their own go into one run named after the file. `idOffset`
+ * keeps the new rows' ids clear of existing ones when merging.
+ *
+ * Throws an ImportError listing the problem rows when anything can't be
+ * converted; nothing is imported partially.
+ */
+export function convertResults(text, options = {}) {
+  const fileName = options.fileName || '';
+  const format = options.format || detectFormat(text, fileName);
+  const mapping = resolveMapping(format, options.mapping);
+  const importedAt = options.importedAt || new Date().toISOString();
+  const idOffset = options.idOffset || 0;
+  let runTimestamp;
+  try {
+    runTimestamp = mapping.run.timestamp ? convertValue(mapping.run.timestamp, 'timestamp') : undefined;
+  } catch (error) {
+    throw new ImportError(`run.timestamp: ${error.message}`);
+  }
+
+  const records = readRecords(text, format, mapping, fileName);
+  if (records.length === 0) {
+    throw new ImportError(`No ${format} records found in ${fileName || 'the input'}`);
+  }
+
+  const warnings = [];
+  Object.entries(options.mapping?.fields || {}).forEach(([field, path]) => {
+    if (path && !records.some(record => !isBlank(readPath(record, path)))) {
+      warnings.push(`fields.${field}: "${path}" is empty or missing in every record`);
+    }
+  });
+
+  const problems = [];
+  const fallbackRunId = mapping.run.run_id ||
+    `import-${slug(fileName || format)}-${Math.floor(new Date(importedAt).getTime() / 1000)}`;
+  const results = records.map((record, index) => {
+    const at = format === 'csv' ? `row ${index + 2}` : `record ${index + 1}`;
+    const values = convertRecord(record, mapping, at, problems);
+    const totalTime = values.total_time_ms ?? 0;
+    const tokens = values.tokens_generated ?? 0;
+    const promptTextValue = values.prompt_text ?? '';
+    return {
+      id: idOffset + index + 1,
+      run_id: mapping.run.run_id || values.run_id || fallbackRunId,
+      timestamp: values.timestamp || runTimestamp || importedAt,
+      provider: values.provider,
+      model: values.model,
+      prompt_id: values.prompt_id || promptHash(promptTextValue),
+      prompt_text: promptTextValue,
+      category: values.category || 'imported',
+      iteration: values.iteration ?? 1,
+      time_to_first_token_ms: values.time_to_first_token_ms ?? totalTime,
+      total_time_ms: totalTime,
+      tokens_generated: tokens,
+      tokens_per_second: values.tokens_per_second ?? (totalTime > 0 ? tokens / (totalTime / 1000) : 0),
+      quality_score: values.quality_score ?? null,
+      accuracy_score: values.accuracy_score ?? null,
+      relevance_score: values.relevance_score ?? null,
+      completeness_score: values.completeness_score ?? null,
+      coherence_score: values.coherence_score ?? null,
+      passed_keywords: values.passed_keywords ?? null,
+      passed_patterns: values.passed_patterns ?? null,
+      passed_length: values.passed_length ?? null,
+      passed_format: values.passed_format ?? null,
+      // Without a success column a result succeeded unless it carries an error
+      success: values.success ?? !values.error_message,
+      error_message: values.error_message || '',
+      response: values.response || '',
+      estimated_cost_usd: values.estimated_cost_usd ?? 0
+    };
+  });
+  if (problems.length > 0) {
+    throw new ImportError(`${problems.length} problem(s) converting the records`, problems);
+  }
+
+  const byRun = new Map();
+  results.forEach(result => {
+    if (!byRun.has(result.run_id)) byRun.set(result.run_id, []);
+    byRun.get(result.run_id).push(result);
+  });
+
+  const runs = [];
+  const performance = [];
+  Array.from(byRun.entries()).forEach(([runId, runResults], index) => {
+    runResults.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+    const successful = runResults.filter(r => r.success).length;
+    const iterations = runResults.reduce((max, r) => Math.max(max, r.iteration), 1);
+    const name = mapping.run.name ||
+      (byRun.size > 1 ? `${fileName || format} (${runId})` : fileName || runId);
+    const prompts = new Map();
+    runResults.forEach(r => {
+      if (!prompts.has(r.prompt_id)) {
+        prompts.set(r.prompt_id, {
+          ID: r.prompt_id,
+          Text: r.prompt_text,
+          Category: r.category,
+          ExpectedKeywords: null,
+          ExpectedPatterns: null,
+          ExpectedAnswer: '',
+          MinLength: 0,
+          MaxResponseTimeMs: 0,
+          FormatCheck: ''
+        });
+      }
+    });
+    const targets = new Map(runResults.map(r => [`${r.provider}/${r.model}`, { Provider: r.provider, Model: r.model }]));
+
+    runs.push({
+      id: idOffset + index + 1,
+      run_id: runId,
+      name,
+      timestamp: runTimestamp || runResults[runResults.length - 1].timestamp,
+      iterations,
+      total_runs: runResults.length,
+      successful_runs: successful,
+      failed_runs: runResults.length - successful,
+      metadata: {
+        Name: name,
+        Iterations: iterations,
+        Prompts: Array.from(prompts.values()),
+        Targets: Array.from(targets.values()),
+        Source: { format, file: fileName || undefined, imported_at: importedAt }
+      }
+    });
+    performance.push(...summarizeModelPerformance(runResults, runId));
+  });
+
+  const prepared = prepareDatabase({
+    schema_version: DATABASE_SCHEMA_VERSION,
+    benchmark_runs: runs,
+    model_performance: performance.map((row, index) => ({ id: idOffset + index + 1, ...row })),
+    test_results: results,
+    performance_trends: [],
+    baselines: []
+  }, `${format} import`);
+
+  return { format, data: prepared.data, warnings: [...warnings, ...prepared.warnings] };
+}
@@ -0,0 +1,46 @@
+import type {
+  BaselineRun,
+  BenchmarkRun,
+  ModelPerformance,
+  PerformanceTrend,
+  TestResult
+} from '../types/benchmark';
+
+// public/data/database.json at the current schema version
+export interface DatabaseExport {
+  schema_version: number;
+  benchmark_runs: BenchmarkRun[];
+  model_performance: ModelPerformance[];
+  test_results: TestResult[];
+  performance_trends?: PerformanceTrend[];
+  baselines?: BaselineRun[];
+}
+
+export interface DatabaseMigration {
+  from: number;
+  description: string;
+  migrate(data: Record<string, unknown>): Record<string, unknown>;
+}
+
+export interface ValidationReport {
+  valid: boolean;
+  errors: string[];
+  warnings: string[];
+}
+
+export declare const DATABASE_SCHEMA_VERSION: number;
+export declare const MAX_REPORTED_PROBLEMS: number;
+export declare const DATABASE_SCHEMA: Record<string, unknown>;
+export declare const MIGRATIONS: DatabaseMigration[];
+
+export declare function migrateDatabase(data: unknown): { data: DatabaseExport; applied: string[] };
+export declare function validateDatabase(data: unknown): ValidationReport;
+export declare function prepareDatabase(
+  data: unknown,
+  source?: string
+): { data: DatabaseExport; applied: string[]; warnings: string[] };
+export declare function checkRow(
+  collection: 'benchmark_runs' | 'model_performance' | 'test_results' | 'performance_trends' | 'baselines',
+  row: Record<string, unknown>,
+  at?: string
+): string[];
@@ -0,0 +1,362 @@
+// Versioned schema of public/data/database.json and the migrations that
+// bring older exports up to it. Plain JavaScript so the build script
+// (scripts/build-database.js) and the app's loader validate against the
+// same definition; types are in databaseSchema.d.ts.
+//
+// Bump DATABASE_SCHEMA_VERSION together with a new entry in MIGRATIONS
+// whenever the shape of the export changes.
+
+import { createSchemaChecker, schemaTypes } from './jsonSchema.js';
+
+export const DATABASE_SCHEMA_VERSION = 3;
+
+// Longer lists of problems are cut to this many when reported
+export const MAX_REPORTED_PROBLEMS = 50;
+
+const nullableNumber = { type: ['number', 'null'] };
+const nullableBoolean = { type: ['boolean', 'null'] };
+
+export const DATABASE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://github.com/codenotary/agentx-benchmark-ui/database.schema.json',
+  title: 'AgentX benchmark database export',
+  type: 'object',
+  required: ['schema_version', 'benchmark_runs', 'model_performance', 'test_results'],
+  properties: {
+    schema_version: { type: 'integer', const: DATABASE_SCHEMA_VERSION },
+    benchmark_runs: { type: 'array', items: { $ref: '#/$defs/BenchmarkRun' } },
+    model_performance: { type: 'array', items: { $ref: '#/$defs/ModelPerformance' } },
+    test_results: { type: 'array', items: { $ref: '#/$defs/TestResult' } },
+    performance_trends: { type: 'array', items: { $ref: '#/$defs/PerformanceTrend' } },
+    baselines: { type: 'array', items: { $ref: '#/$defs/BaselineRun' } }
+  },
+  additionalProperties: false,
+  $defs: {
+    BenchmarkRun: {
+      type: 'object',
+      required: ['run_id', 'name', 'timestamp', 'iterations', 'total_runs', 'successful_runs', 'failed_runs'],
+      properties: {
+        id: { type: 'integer' },
+        run_id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        timestamp: { type: 'string', minLength: 1 },
+        iterations: { type: 'integer', minimum: 0 },
+        total_runs: { type: 'integer', minimum: 0 },
+        successful_runs: { type: 'integer', minimum: 0 },
+        failed_runs: { type: 'integer', minimum: 0 },
+        // The benchmark config; its prompts are read by the prompt catalog
+        metadata: {
+          type: ['object', 'null'],
+          properties: {
+            Name: { type: 'string' },
+            Iterations: { type: 'integer' },
+            Prompts: { type: ['array', 'null'], items: { type: 'object', required: ['ID'] } },
+            Targets: { type: ['array', 'null'], items: { type: 'object', required: ['Provider', 'Model'] } }
+          }
+        }
+      },
+      additionalProperties: false
+    },
+    ModelPerformance: {
+      type: 'object',
+      required: [
+        'run_id', 'provider', 'model', 'timestamp', 'total_tests', 'successful_tests', 'failed_tests',
+        'success_rate', 'avg_ttft_ms', 'min_ttft_ms', 'max_ttft_ms', 'avg_total_time_ms',
+        'avg_tokens_per_second', 'total_tokens_generated', 'avg_quality_score', 'total_cost_usd',
+        'avg_cost_per_test', 'cost_per_1k_tokens'
+      ],
+      properties: {
+        id: { type: 'integer' },
+        run_id: { type: 'string', minLength: 1 },
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        timestamp: { type: 'string', minLength: 1 },
+        total_tests: { type: 'integer', minimum: 0 },
+        successful_tests: { type: 'integer', minimum: 0 },
+        failed_tests: { type: 'integer', minimum: 0 },
+        success_rate: { type: 'number', minimum: 0, maximum: 100 },
+        avg_ttft_ms: { type: 'number', minimum: 0 },
+        min_ttft_ms: { type: 'number', minimum: 0 },
+        max_ttft_ms: { type: 'number', minimum: 0 },
+        avg_total_time_ms: { type: 'number', minimum: 0 },
+        avg_tokens_per_second: { type: 'number', minimum: 0 },
+        total_tokens_generated: { type: 'integer', minimum: 0 },
+        avg_quality_score: { type: 'number' },
+        avg_accuracy_score: nullableNumber,
+        avg_relevance_score: nullableNumber,
+        avg_completeness_score: nullableNumber,
+        avg_coherence_score: nullableNumber,
+        total_cost_usd: { type: 'number', minimum: 0 },
+        avg_cost_per_test: { type: 'number', minimum: 0 },
+        cost_per_1k_tokens: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    TestResult: {
+      type: 'object',
+      required: [
+        'run_id', 'timestamp', 'provider', 'model', 'prompt_id', 'prompt_text', 'category', 'iteration',
+        'time_to_first_token_ms', 'total_time_ms', 'tokens_generated', 'tokens_per_second', 'success',
+        'estimated_cost_usd'
+      ],
+      properties: {
+        id: { type: 'integer' },
+        run_id: { type: 'string', minLength: 1 },
+        timestamp: { type: 'string', minLength: 1 },
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        prompt_id: { type: 'string' },
+        prompt_text: { type: 'string' },
+        category: { type: 'string' },
+        iteration: { type: 'integer', minimum: 0 },
+        time_to_first_token_ms: { type: 'number', minimum: 0 },
+        total_time_ms: { type: 'number', minimum: 0 },
+        tokens_generated: { type: 'integer', minimum: 0 },
+        tokens_per_second: { type: 'number', minimum: 0 },
+        quality_score: nullableNumber,
+        accuracy_score: nullableNumber,
+        relevance_score: nullableNumber,
+        completeness_score: nullableNumber,
+        coherence_score: nullableNumber,
+        // null when the prompt doesn't configure the check
+        passed_keywords: nullableBoolean,
+        passed_patterns: nullableBoolean,
+        passed_length: nullableBoolean,
+        passed_format: nullableBoolean,
+        success: { type: 'boolean' },
+        error_message: { type: ['string', 'null'] },
+        response: { type: ['string', 'null'] },
+        estimated_cost_usd: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    PerformanceTrend: {
+      type: 'object',
+      required: ['provider', 'model', 'metric_name', 'metric_value', 'recorded_at', 'is_regression'],
+      properties: {
+        id: { type: 'integer' },
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        metric_name: { type: 'string', minLength: 1 },
+        metric_value: { type: 'number' },
+        recorded_at: { type: 'string', minLength: 1 },
+        category: { type: ['string', 'null'] },
+        prompt_id: { type: ['string', 'null'] },
+        previous_value: nullableNumber,
+        change_percentage: nullableNumber,
+        is_regression: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    BaselineRun: {
+      type: 'object',
+      required: ['run_id', 'pinned_at', 'source'],
+      properties: {
+        run_id: { type: 'string', minLength: 1 },
+        label: { type: 'string' },
+        pinned_at: { type: 'string', minLength: 1 },
+        source: { type: 'string', enum: ['build', 'user'] }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+// Fields the schema doesn't know are collected as warnings rather than
+// errors, so an extra upstream column doesn't break the build
+const checker = createSchemaChecker(DATABASE_SCHEMA);
+
+// Columns SQLite stores as 0/1
+const BOOLEAN_FIELDS = {
+  test_results: ['success', 'passed_keywords', 'passed_patterns', 'passed_length', 'passed_format'],
+  performance_trends: ['is_regression']
+};
+
+const JUDGE_SCORES = ['accuracy_score', 'relevance_score', 'completeness_score', 'coherence_score'];
+const VALIDATION_CHECKS = ['passed_keywords', 'passed_patterns', 'passed_length', 'passed_format'];
+
+function mapRows(data, collection, fn) {
+  if (Array.isArray(data[collection])) {
+    data[collection] = data[collection].map(row => (row && typeof row === 'object' ? fn(row) : row));
+  }
+}
+
+// Numeric text ("12.5") becomes a number wherever the schema expects one
+function coerceNumbers(row, definition) {
+  const result = { ...row };
+  Object.entries(definition.properties).forEach(([field, schema]) => {
+    const value = result[field];
+    const types = schemaTypes(schema);
+    if (typeof value === 'string' && value.trim() !== '' && (types.includes('number') || types.includes('integer'))) {
+      const number = Number(value);
+      if (Number.isFinite(number)) result[field] = number;
+    }
+  });
+  return result;
+}
+
+/**
+ * Ordered upgrades; each takes an export at version `from` and returns it
+ * at `from + 1`. Exports written before the schema was versioned have no
+ * schema_version and count as version 1.
+ */
+export const MIGRATIONS = [
+  {
+    from: 1,
+    description: 'Decode raw SQLite values: 0/1 booleans, metadata JSON text, numeric text',
+    migrate(data) {
+      const result = { ...data };
+      // Derived from test_results by the old db-to-json.js exporter; the app computes it itself
+      delete result.category_performance;
+
+      mapRows(result, 'benchmark_runs', run => {
+        const row = coerceNumbers(run, DATABASE_SCHEMA.$defs.BenchmarkRun);
+        if (typeof row.metadata === 'string') {
+          try {
+            row.metadata = row.metadata.trim() ? JSON.parse(row.metadata) : null;
+          } catch {
+            // Left as text; validation reports it
+          }
+        }
+        return row;
+      });
+      mapRows(result, 'model_performance', row => coerceNumbers(row, DATABASE_SCHEMA.$defs.ModelPerformance));
+      mapRows(result, 'performance_trends', row => coerceNumbers(row, DATABASE_SCHEMA.$defs.PerformanceTrend));
+      mapRows(result, 'test_results', row => coerceNumbers(row, DATABASE_SCHEMA.$defs.TestResult));
+
+      Object.entries(BOOLEAN_FIELDS).forEach(([collection, fields]) => {
+        mapRows(result, collection, row => {
+          const decoded = { ...row };
+          fields.forEach(field => {
+            if (decoded[field] === 0 || decoded[field] === 1) decoded[field] = decoded[field] === 1;
+          });
+          return decoded;
+        });
+      });
+      return result;
+    }
+  },
+  {
+    from: 2,
+    description: 'Add LLM-judge sub-scores and validation checks missing from older runners',
+    migrate(data) {
+      const result = { ...data };
+      mapRows(result, 'test_results', row => {
+        const upgraded = { ...row };
+        [...JUDGE_SCORES, ...VALIDATION_CHECKS].forEach(field => {
+          if (upgraded[field] === undefined) upgraded[field] = null;
+        });
+        return upgraded;
+      });
+      mapRows(result, 'model_performance', row => {
+        const upgraded = { ...row };
+        JUDGE_SCORES.forEach(score => {
+          if (upgraded[`avg_${score}`] === undefined) upgraded[`avg_${score}`] = null;
+        });
+        return upgraded;
+      });
+      if (!Array.isArray(result.performance_trends)) result.performance_trends = [];
+      if (!Array.isArray(result.baselines)) result.baselines = [];
+      return result;
+    }
+  }
+];
+
+/**
+ * Brings an export up to DATABASE_SCHEMA_VERSION. Returns the upgraded
+ * copy and the descriptions of the migrations that ran; the input is not
+ * modified. Throws for exports newer than this build understands.
+ */
+export function migrateDatabase(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Database export must be a JSON object');
+  }
+
+  let version = data.schema_version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown database schema_version ${JSON.stringify(data.schema_version)}`);
+  }
+  if (version > DATABASE_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema_version ${version} is newer than this build supports (${DATABASE_SCHEMA_VERSION})`
+    );
+  }
+
+  let result = data;
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.from !== version) continue;
+    result = migration.migrate(result);
+    applied.push(`${migration.from} → ${migration.from + 1}: ${migration.description}`);
+    version = migration.from + 1;
+  }
+  // schema_version first, so it's the first thing seen in database.json
+  const { schema_version: _previous, ...rows } = result;
+  return { data: { schema_version: version, ...rows }, applied };
+}
+
+// Checks JSON Schema can't express: references between collections
+function checkReferences(data, report) {
+  const rows = collection => (Array.isArray(data[collection]) ? data[collection] : []);
+  const runIds = new Set();
+  rows('benchmark_runs').forEach((run, index) => {
+    if (!run || !run.run_id) return;
+    if (runIds.has(run.run_id)) report.errors.push(`benchmark_runs[${index}].run_id: duplicate run ${run.run_id}`);
+    runIds.add(run.run_id);
+  });
+
+  ['model_performance', 'test_results', 'baselines'].forEach(collection => {
+    rows(collection).forEach((row, index) => {
+      if (row && row.run_id && !runIds.has(row.run_id)) {
+        report.errors.push(`${collection}[${index}].run_id: no benchmark run ${row.run_id}`);
+      }
+    });
+  });
+}
+
+/**
+ * Validates a (migrated) export against DATABASE_SCHEMA. `errors` would
+ * render as NaN or missing data and should stop the build or the load;
+ * `warnings` list fields the schema doesn't know, which are kept as is.
+ */
+export function validateDatabase(data) {
+  const report = { errors: [], unknown: new Set() };
+  checker.check(data, DATABASE_SCHEMA, '$', report);
+  checkReferences(data, report);
+  return {
+    valid: report.errors.length === 0,
+    errors: report.errors,
+    warnings: [...report.unknown].map(field => `${field}: not in schema version ${DATABASE_SCHEMA_VERSION}`)
+  };
+}
+
+// Migrates and validates in one step; throws with the first problems when the export is unusable
+export function prepareDatabase(data, source = 'database export') {
+  const migrated = migrateDatabase(data);
+  const { errors, warnings } = validateDatabase(migrated.data);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_PROBLEMS);
+    const more = errors.length > shown.length ? `\n  … and ${errors.length - shown.length} more` : '';
+    throw new Error(`Invalid ${source} (${errors.length} problem(s)):\n  ${shown.join('\n  ')}${more}`);
+  }
+  return { data: migrated.data, applied: migrated.applied, warnings };
+}
+
+/**
+ * Checks one row about to be stored in `collection` (e.g. 'test_results')
+ * against its definition, so rows the API server ingests export cleanly
+ * later. 0/1 are accepted for booleans, as SQLite stores them; fields the
+ * schema doesn't know are left to the caller. Returns the errors.
+ */
+export function checkRow(collection, row, at = collection) {
+  let decoded = row;
+  if (row && typeof row === 'object' && !Array.isArray(row)) {
+    decoded = { ...row };
+    (BOOLEAN_FIELDS[collection] || []).forEach(field => {
+      if (decoded[field] === 0 || decoded[field] === 1) decoded[field] = decoded[field] === 1;
+    });
+  }
+  const report = { errors: [], unknown: new Set() };
+  checker.check(decoded, DATABASE_SCHEMA.properties[collection].items, at, report);
+  return report.errors;
+}
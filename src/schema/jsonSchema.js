@@ -0,0 +1,88 @@
+// The subset of JSON Schema this project's schemas use. Shared by the
+// database export schema (databaseSchema.js) and the API server, which
+// checks requests and responses against openapi.json, so both report
+// problems the same way. Plain JavaScript so Node loads it as is.
+
+export function schemaTypes(schema) {
+  return schema.type === undefined ? [] : [].concat(schema.type);
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Returns `resolveRef` and `check` for schemas whose local references
+ * ('#/$defs/TestResult', '#/components/schemas/TestResult') point into
+ * `root`. `check` adds the problems it finds to `report.errors`. Properties
+ * a closed schema (additionalProperties: false) doesn't list are collected
+ * in `report.unknown`, with array indexes dropped, when it is given, and
+ * are errors otherwise. With `partial`, required properties are not
+ * enforced (sparse fieldsets drop them on purpose).
+ */
+export function createSchemaChecker(root) {
+  function resolveRef(node) {
+    while (node && node.$ref) {
+      node = node.$ref.slice(2).split('/').reduce((acc, key) => acc[key], root);
+    }
+    return node;
+  }
+
+  function check(value, schemaOrRef, at, report, partial = false) {
+    const schema = resolveRef(schemaOrRef);
+    const types = schemaTypes(schema);
+    const actual = jsonType(value);
+
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      report.errors.push(`${at}: must be ${types.join(' or ')}, got ${actual}`);
+      return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      report.errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      report.errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (actual === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      report.errors.push(`${at}: must not be empty`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) report.errors.push(`${at}: must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) report.errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+
+    if (actual === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        report.errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => check(item, schema.items, `${at}[${index}]`, report, partial));
+      }
+    }
+
+    if (actual === 'object') {
+      const properties = schema.properties || {};
+      if (!partial) {
+        (schema.required || []).forEach(name => {
+          if (value[name] === undefined) report.errors.push(`${at}.${name}: is required`);
+        });
+      }
+      Object.entries(value).forEach(([name, property]) => {
+        if (properties[name]) {
+          if (property !== undefined) check(property, properties[name], `${at}.${name}`, report, partial);
+        } else if (schema.additionalProperties === false) {
+          if (report.unknown) {
+            report.unknown.add(`${at.replace(/\[\d+\]/g, '[]')}.${name}`);
+          } else {
+            report.errors.push(`${at}.${name}: is not allowed`);
+          }
+        }
+      });
+    }
+  }
+
+  return { resolveRef, check };
+}
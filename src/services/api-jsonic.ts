@@ -3,27 +3,57 @@ import type {
   ModelPerformance,
   TestResult,
   PerformanceTrend,
-  CategoryPerformance
+  CategoryPerformance,
+  BaselineRun,
+  ListQuery
 } from '../types/benchmark';
 
 // Import JSONIC database functions
 import {
   fetchBenchmarkRunsJsonic,
   fetchModelPerformanceJsonic,
+  fetchModelPerformanceHistoryJsonic,
   fetchTestResultsJsonic,
+  fetchAllTestResultsJsonic,
   fetchPerformanceTrendsJsonic,
   fetchCategoryPerformanceJsonic,
+  fetchRunAggregateJsonic,
   fetchStatsJsonic
 } from './jsonicApi';
 
 // Import migration utilities - use Web Worker for mobile compatibility
 import { checkAndMigrateWorker } from './workerMigration';
 import { jsonicService } from './jsonicService';
+import { recomputePerformanceTrends as recomputeTrends } from './regressionService';
+import type { RegressionConfig } from '../utils/regressionEngine';
+import type { RunAggregate, RunSelection } from '../utils/runAggregation';
+import { once } from './persistedCollection';
+import { clearBaselineRun, getBaselineRun, pinBaselineRun, restoreBaseline } from './baselineService';
+import { deleteWeightPreset as removeWeightPreset, getWeightPresets, restorePresets, saveWeightPreset as storeWeightPreset } from './presetService';
+import type { LeaderboardWeights, WeightPreset } from '../utils/leaderboard';
+import { deletePriceEntry as removePriceEntry, getPriceList, restorePrices, savePriceEntry as storePriceEntry } from './pricingService';
+import type { PriceEntry } from '../utils/pricing';
+import { convertImport, deleteImportedRun as removeImportedRun, getImportedRuns, importRuns, restoreImports } from './importService';
+import type { ConvertOptions, ConvertResult } from '../import/importAdapters';
 
 // Track initialization
 let initialized = false;
 let initializationPromise: Promise<boolean> | null = null;
 
+// Trends are derived from raw results once per session (or when the config changes)
+let trendsPromise: Promise<number> | null = null;
+
+// State saved in the browser is written back once after the data is loaded
+const ensureBaselineRestored = once(restoreBaseline);
+const ensurePresetsRestored = once(restorePresets);
+const ensurePricesRestored = once(restorePrices);
+
+// Imported runs are restored with the data, before anything reads it.
+// Unreadable imports shouldn't keep the dashboard from loading.
+const ensureImportsRestored = once(() => restoreImports().catch(error => {
+  console.error('[API-JSONIC] Failed to restore imported runs:', error);
+}));
+
 // Progress callback for migration
 let migrationProgressCallback: ((progress: any) => void) | undefined;
 
@@ -56,6 +86,7 @@ async function ensureInitialized() {
 
   const success = await initializationPromise;
   if (success) {
+    await ensureImportsRestored();
     initialized = true;
   }
 }
@@ -74,46 +105,186 @@ export async function fetchBenchmarkRuns(): Promise<BenchmarkRun[]> {
   }
 }
 
-export async function fetchModelPerformance(runId?: string): Promise<ModelPerformance[]> {
+export async function fetchModelPerformance(runId?: string, query?: ListQuery): Promise<ModelPerformance[]> {
   try {
     await ensureInitialized();
-    return await fetchModelPerformanceJsonic(runId);
+    return await fetchModelPerformanceJsonic(runId, query);
   } catch (error) {
     console.error('Failed to fetch model performance from JSONIC:', error);
     throw error;
   }
 }
 
-export async function fetchTestResults(runId: string): Promise<TestResult[]> {
+export async function fetchModelPerformanceHistory(): Promise<ModelPerformance[]> {
+  try {
+    await ensureInitialized();
+    return await fetchModelPerformanceHistoryJsonic();
+  } catch (error) {
+    console.error('Failed to fetch model performance history from JSONIC:', error);
+    throw error;
+  }
+}
+
+export async function fetchTestResults(runId: string, query?: ListQuery): Promise<TestResult[]> {
   try {
     await ensureInitialized();
-    return await fetchTestResultsJsonic(runId);
+    return await fetchTestResultsJsonic(runId, query);
   } catch (error) {
     console.error('Failed to fetch test results from JSONIC:', error);
     throw error;
   }
 }
 
-export async function fetchPerformanceTrends(): Promise<PerformanceTrend[]> {
+export async function fetchAllTestResults(): Promise<TestResult[]> {
   try {
     await ensureInitialized();
-    return await fetchPerformanceTrendsJsonic();
+    return await fetchAllTestResultsJsonic();
+  } catch (error) {
+    console.error('Failed to fetch all test results from JSONIC:', error);
+    throw error;
+  }
+}
+
+async function ensureTrendsComputed() {
+  if (!trendsPromise) {
+    trendsPromise = recomputeTrends().catch(error => {
+      trendsPromise = null;
+      throw error;
+    });
+  }
+  await trendsPromise;
+}
+
+export async function recomputePerformanceTrends(config?: RegressionConfig): Promise<number> {
+  await ensureInitialized();
+  trendsPromise = recomputeTrends(config);
+  return trendsPromise;
+}
+
+export async function fetchPerformanceTrends(runId?: string, query?: ListQuery): Promise<PerformanceTrend[]> {
+  try {
+    await ensureInitialized();
+    await ensureTrendsComputed();
+    return await fetchPerformanceTrendsJsonic(runId, query);
   } catch (error) {
     console.error('Failed to fetch performance trends from JSONIC:', error);
     throw error;
   }
 }
 
-export async function fetchCategoryPerformance(runId?: string): Promise<CategoryPerformance[]> {
+export async function fetchBaseline(): Promise<BaselineRun | null> {
+  try {
+    await ensureInitialized();
+    await ensureBaselineRestored();
+    return await getBaselineRun();
+  } catch (error) {
+    console.error('Failed to fetch baseline from JSONIC:', error);
+    throw error;
+  }
+}
+
+export async function pinBaseline(runId: string, label?: string): Promise<BaselineRun> {
+  await ensureInitialized();
+  await ensureBaselineRestored();
+  return pinBaselineRun(runId, label);
+}
+
+export async function clearBaseline(): Promise<void> {
+  await ensureInitialized();
+  await ensureBaselineRestored();
+  return clearBaselineRun();
+}
+
+export async function fetchWeightPresets(): Promise<WeightPreset[]> {
+  try {
+    await ensureInitialized();
+    await ensurePresetsRestored();
+    return await getWeightPresets();
+  } catch (error) {
+    console.error('Failed to fetch weight presets from JSONIC:', error);
+    throw error;
+  }
+}
+
+export async function saveWeightPreset(name: string, weights: LeaderboardWeights): Promise<WeightPreset> {
+  await ensureInitialized();
+  await ensurePresetsRestored();
+  return storeWeightPreset(name, weights);
+}
+
+export async function deleteWeightPreset(name: string): Promise<void> {
+  await ensureInitialized();
+  await ensurePresetsRestored();
+  return removeWeightPreset(name);
+}
+
+export async function fetchPriceList(): Promise<PriceEntry[]> {
   try {
     await ensureInitialized();
-    return await fetchCategoryPerformanceJsonic(runId);
+    await ensurePricesRestored();
+    return await getPriceList();
+  } catch (error) {
+    console.error('Failed to fetch price list from JSONIC:', error);
+    throw error;
+  }
+}
+
+export async function savePriceEntry(entry: PriceEntry): Promise<PriceEntry> {
+  await ensureInitialized();
+  await ensurePricesRestored();
+  return storePriceEntry(entry);
+}
+
+export async function deletePriceEntry(entry: Pick<PriceEntry, 'provider' | 'model' | 'effective_from'>): Promise<void> {
+  await ensureInitialized();
+  await ensurePricesRestored();
+  return removePriceEntry(entry);
+}
+
+export async function fetchImportedRuns(): Promise<BenchmarkRun[]> {
+  await ensureInitialized();
+  return getImportedRuns();
+}
+
+export async function previewImport(text: string, options: ConvertOptions): Promise<ConvertResult> {
+  await ensureInitialized();
+  return convertImport(text, options);
+}
+
+// Trends are recomputed on the next read so they include (or drop) the imported runs
+export async function importResults(converted: ConvertResult): Promise<BenchmarkRun[]> {
+  await ensureInitialized();
+  const runs = await importRuns(converted);
+  trendsPromise = null;
+  return runs;
+}
+
+export async function deleteImportedRun(runId: string): Promise<void> {
+  await ensureInitialized();
+  await removeImportedRun(runId);
+  trendsPromise = null;
+}
+
+export async function fetchCategoryPerformance(runId?: string, query?: ListQuery): Promise<CategoryPerformance[]> {
+  try {
+    await ensureInitialized();
+    return await fetchCategoryPerformanceJsonic(runId, query);
   } catch (error) {
     console.error('Failed to fetch category performance from JSONIC:', error);
     throw error;
   }
 }
 
+export async function fetchRunAggregate(selection: RunSelection): Promise<RunAggregate> {
+  try {
+    await ensureInitialized();
+    return await fetchRunAggregateJsonic(selection);
+  } catch (error) {
+    console.error('Failed to aggregate runs from JSONIC:', error);
+    throw error;
+  }
+}
+
 export async function fetchStats() {
   try {
     await ensureInitialized();
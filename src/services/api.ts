@@ -3,10 +3,24 @@ import type {
   ModelPerformance,
   TestResult,
   PerformanceTrend,
-  CategoryPerformance
+  CategoryPerformance,
+  BaselineRun,
+  ListQuery
 } from '../types/benchmark';
 
 import * as jsonicApi from './api-jsonic';
+import {
+  createBenchmarkApi,
+  type ApiPage,
+  type BenchmarkEvent,
+  type BenchmarkEventType
+} from './generated/benchmarkApi';
+import { FEATURES } from '../config/database';
+import type { RegressionConfig } from '../utils/regressionEngine';
+import { aggregateRuns, selectRuns, type RunAggregate, type RunSelection } from '../utils/runAggregation';
+import type { LeaderboardWeights, WeightPreset } from '../utils/leaderboard';
+import type { PriceEntry } from '../utils/pricing';
+import type { ConvertOptions, ConvertResult } from '../import/importAdapters';
 
 // Use the current hostname when accessing remotely
 const API_BASE = import.meta.env.VITE_API_URL || 
@@ -14,38 +28,241 @@ const API_BASE = import.meta.env.VITE_API_URL ||
     ? 'http://localhost:3001/api'
     : `${window.location.protocol}//${window.location.hostname}:3001/api`);
 
+// With VITE_USE_API_SERVER=true runs, results, aggregates and the trends the
+// exporter recorded come from server.cjs through the client generated from
+// openapi.json. Recomputed trends, baselines, leaderboard presets, the price
+// list and imported results live in the browser, always in JSONIC.
+const USE_API_SERVER = FEATURES.useApiServer;
+
+const serverApi = createBenchmarkApi({ baseUrl: API_BASE.replace(/\/api\/?$/, '') });
+
 console.log('=== Database Configuration ===');
 console.log('API_BASE:', API_BASE);
 console.log('Current hostname:', window.location.hostname);
-console.log('Using JSONIC database');
+console.log(USE_API_SERVER ? 'Using API server' : 'Using JSONIC database');
 console.log('==============================');
 
+const SERVER_PAGE_SIZE = 1000;
+
+// The server pages its lists; like the JSONIC functions, return every
+// matching row unless the query asks for a single page
+async function readAllPages<T>(
+  query: ListQuery | undefined,
+  fetchPage: (page: { limit: number; cursor?: string }) => Promise<ApiPage<T>>
+): Promise<T[]> {
+  if (query?.limit !== undefined) {
+    return (await fetchPage({ limit: query.limit, cursor: query.cursor })).items;
+  }
+  const items: T[] = [];
+  let cursor = query?.cursor;
+  do {
+    const page = await fetchPage({ limit: SERVER_PAGE_SIZE, cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor ?? undefined;
+  } while (cursor);
+  return items;
+}
+
+function toList(value?: string | string[]): string[] | undefined {
+  return value === undefined || Array.isArray(value) ? value : value.split(',');
+}
+
+function toServerQuery(query: ListQuery = {}) {
+  return {
+    provider: toList(query.provider),
+    model: toList(query.model),
+    category: toList(query.category),
+    prompt_id: toList(query.prompt_id),
+    success: query.success,
+    from: query.from,
+    to: query.to,
+    sort: query.sort,
+    fields: query.fields,
+  };
+}
+
 export async function fetchBenchmarkRuns(): Promise<BenchmarkRun[]> {
+  if (USE_API_SERVER) {
+    console.log('Fetching benchmark runs from API server');
+    return await readAllPages(undefined, page => serverApi.listRuns(page));
+  }
   console.log('Fetching benchmark runs from JSONIC');
   return await jsonicApi.fetchBenchmarkRuns();
 }
 
-export async function fetchModelPerformance(runId?: string): Promise<ModelPerformance[]> {
+export async function fetchModelPerformance(runId?: string, query?: ListQuery): Promise<ModelPerformance[]> {
+  if (USE_API_SERVER) {
+    console.log('Fetching model performance from API server');
+    return await readAllPages(query, page => runId
+      ? serverApi.listModelPerformance(runId, { ...toServerQuery(query), ...page })
+      : serverApi.listLatestModelPerformance({ ...toServerQuery(query), ...page }));
+  }
   console.log('Fetching model performance from JSONIC');
-  return await jsonicApi.fetchModelPerformance(runId);
+  return await jsonicApi.fetchModelPerformance(runId, query);
 }
 
-export async function fetchTestResults(runId: string): Promise<TestResult[]> {
+export async function fetchModelPerformanceHistory(): Promise<ModelPerformance[]> {
+  if (USE_API_SERVER) {
+    const runs = await fetchBenchmarkRuns();
+    return (await Promise.all(runs.map(run => fetchModelPerformance(run.run_id)))).flat();
+  }
+  console.log('Fetching model performance history from JSONIC');
+  return await jsonicApi.fetchModelPerformanceHistory();
+}
+
+export async function fetchTestResults(runId: string, query?: ListQuery): Promise<TestResult[]> {
+  if (USE_API_SERVER) {
+    console.log('Fetching test results from API server');
+    return await readAllPages(query, page =>
+      serverApi.listTestResults(runId, { ...toServerQuery(query), ...page })
+    );
+  }
   console.log('Fetching test results from JSONIC');
-  return await jsonicApi.fetchTestResults(runId);
+  return await jsonicApi.fetchTestResults(runId, query);
 }
 
-export async function fetchPerformanceTrends(): Promise<PerformanceTrend[]> {
+export async function fetchAllTestResults(): Promise<TestResult[]> {
+  if (USE_API_SERVER) {
+    const runs = await fetchBenchmarkRuns();
+    return (await Promise.all(runs.map(run => fetchTestResults(run.run_id)))).flat();
+  }
+  console.log('Fetching all test results from JSONIC');
+  return await jsonicApi.fetchAllTestResults();
+}
+
+export async function fetchPerformanceTrends(runId?: string, query?: ListQuery): Promise<PerformanceTrend[]> {
+  if (USE_API_SERVER) {
+    console.log('Fetching performance trends from API server');
+    return await readAllPages(query, page => runId
+      ? serverApi.listPerformanceTrends(runId, { ...toServerQuery(query), ...page })
+      : serverApi.listLatestPerformanceTrends({ ...toServerQuery(query), ...page }));
+  }
   console.log('Fetching performance trends from JSONIC');
-  return await jsonicApi.fetchPerformanceTrends();
+  return await jsonicApi.fetchPerformanceTrends(runId, query);
+}
+
+// The regression engine runs over the JSONIC data; the server's trends are the exporter's
+export async function recomputePerformanceTrends(config?: RegressionConfig): Promise<number> {
+  if (USE_API_SERVER) {
+    throw new Error('Trends are read from the API server and cannot be recomputed in the browser');
+  }
+  console.log('Recomputing performance trends in JSONIC');
+  return await jsonicApi.recomputePerformanceTrends(config);
+}
+
+export async function fetchBaseline(): Promise<BaselineRun | null> {
+  console.log('Fetching baseline from JSONIC');
+  return await jsonicApi.fetchBaseline();
+}
+
+export async function pinBaseline(runId: string, label?: string): Promise<BaselineRun> {
+  console.log('Pinning baseline run in JSONIC');
+  return await jsonicApi.pinBaseline(runId, label);
+}
+
+export async function clearBaseline(): Promise<void> {
+  console.log('Clearing baseline run in JSONIC');
+  return await jsonicApi.clearBaseline();
+}
+
+export async function fetchWeightPresets(): Promise<WeightPreset[]> {
+  console.log('Fetching leaderboard presets from JSONIC');
+  return await jsonicApi.fetchWeightPresets();
 }
 
-export async function fetchCategoryPerformance(runId?: string): Promise<CategoryPerformance[]> {
+export async function saveWeightPreset(name: string, weights: LeaderboardWeights): Promise<WeightPreset> {
+  console.log('Saving leaderboard preset in JSONIC');
+  return await jsonicApi.saveWeightPreset(name, weights);
+}
+
+export async function deleteWeightPreset(name: string): Promise<void> {
+  console.log('Deleting leaderboard preset in JSONIC');
+  return await jsonicApi.deleteWeightPreset(name);
+}
+
+export async function fetchPriceList(): Promise<PriceEntry[]> {
+  console.log('Fetching price list from JSONIC');
+  return await jsonicApi.fetchPriceList();
+}
+
+export async function savePriceEntry(entry: PriceEntry): Promise<PriceEntry> {
+  console.log('Saving price entry in JSONIC');
+  return await jsonicApi.savePriceEntry(entry);
+}
+
+export async function deletePriceEntry(entry: Pick<PriceEntry, 'provider' | 'model' | 'effective_from'>): Promise<void> {
+  console.log('Deleting price entry in JSONIC');
+  return await jsonicApi.deletePriceEntry(entry);
+}
+
+export async function fetchImportedRuns(): Promise<BenchmarkRun[]> {
+  console.log('Fetching imported runs from JSONIC');
+  return await jsonicApi.fetchImportedRuns();
+}
+
+export async function previewImport(text: string, options: ConvertOptions): Promise<ConvertResult> {
+  console.log('Converting results for import');
+  return await jsonicApi.previewImport(text, options);
+}
+
+export async function importResults(converted: ConvertResult): Promise<BenchmarkRun[]> {
+  console.log('Importing results into JSONIC');
+  return await jsonicApi.importResults(converted);
+}
+
+export async function deleteImportedRun(runId: string): Promise<void> {
+  console.log('Deleting imported run from JSONIC');
+  return await jsonicApi.deleteImportedRun(runId);
+}
+
+export async function fetchCategoryPerformance(runId?: string, query?: ListQuery): Promise<CategoryPerformance[]> {
+  if (USE_API_SERVER) {
+    console.log('Fetching category performance from API server');
+    return await readAllPages(query, page => runId
+      ? serverApi.listCategoryPerformance(runId, { ...toServerQuery(query), ...page })
+      : serverApi.listLatestCategoryPerformance({ ...toServerQuery(query), ...page }));
+  }
   console.log('Fetching category performance from JSONIC');
-  return await jsonicApi.fetchCategoryPerformance(runId);
+  return await jsonicApi.fetchCategoryPerformance(runId, query);
+}
+
+// Pools the results of several runs and recomputes their performance in the browser
+export async function fetchRunAggregate(selection: RunSelection): Promise<RunAggregate> {
+  if (USE_API_SERVER) {
+    console.log('Aggregating runs from API server');
+    const runs = selectRuns(await fetchBenchmarkRuns(), selection);
+    const results = await Promise.all(runs.map(run => fetchTestResults(run.run_id)));
+    return aggregateRuns(runs, results.flat());
+  }
+  console.log('Aggregating runs from JSONIC');
+  return await jsonicApi.fetchRunAggregate(selection);
+}
+
+const EVENT_TYPES: BenchmarkEventType[] = ['run', 'test_results', 'model_performance', 'trends'];
+
+// Subscribes to the server's /api/events stream. EventSource reconnects on
+// its own; onConnection reports each change. Returns the unsubscribe function.
+export function subscribeToBenchmarkEvents(
+  onEvent: (type: BenchmarkEventType, event: BenchmarkEvent) => void,
+  onConnection?: (connected: boolean) => void
+): () => void {
+  console.log('Subscribing to live updates from API server');
+  const source = new EventSource(`${API_BASE}/events`);
+  EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, message => {
+      onEvent(type, JSON.parse((message as MessageEvent<string>).data));
+    });
+  });
+  source.onopen = () => onConnection?.(true);
+  source.onerror = () => onConnection?.(false);
+  return () => source.close();
 }
 
 export async function fetchStats() {
+  if (USE_API_SERVER) {
+    console.log('Fetching stats from API server');
+    return await serverApi.getStats();
+  }
   console.log('Fetching stats from JSONIC');
   return await jsonicApi.fetchStats();
 }
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { fetchBaselineJsonic, saveBaselineJsonic } from './jsonicApi';
+import type { BaselineRun } from '../types/benchmark';
+import { isRecord, persistedCollection } from './persistedCollection';
+
+function isBaselineRun(item: unknown): item is BaselineRun {
+  return isRecord(item) && typeof item.run_id === 'string' && typeof item.pinned_at === 'string';
+}
+
+/**
+ * The selection as a list of at most one baseline: empty when the user
+ * cleared it. Without a stored selection the default embedded by the
+ * build is kept.
+ */
+const storedBaseline = persistedCollection<BaselineRun>({
+  key: 'baseline_run',
+  label: 'BASELINE',
+  description: 'baseline selection',
+  isValid: isBaselineRun,
+  restore: ([baseline]) => saveBaselineJsonic(baseline ?? null)
+});
+
+export const restoreBaseline = storedBaseline.restore;
+
+export async function pinBaselineRun(runId: string, label?: string): Promise<BaselineRun> {
+  const baseline: BaselineRun = {
+    run_id: runId,
+    label,
+    pinned_at: new Date().toISOString(),
+    source: 'user',
+  };
+  await saveBaselineJsonic(baseline);
+  storedBaseline.save([baseline]);
+  return baseline;
+}
+
+export async function clearBaselineRun(): Promise<void> {
+  await saveBaselineJsonic(null);
+  storedBaseline.save([]);
+}
+
+export async function getBaselineRun(): Promise<BaselineRun | null> {
+  return fetchBaselineJsonic();
+}
@@ -0,0 +1,513 @@
+// This file is auto-generated from openapi.json by scripts/generate-api-client.js
+// DO NOT EDIT MANUALLY - run `npm run generate-api-client` after changing the spec
+
+export interface ApiError {
+  error: string;
+  details?: string[];
+  total_errors?: number;
+}
+
+export interface Health {
+  status: string;
+  database: string;
+  // Whether POST /api/benchmark/runs is enabled
+  ingestion: boolean;
+}
+
+export interface RunPromptDefinition {
+  ID: string;
+  Text: string;
+  Category: string;
+  ExpectedKeywords: string[] | null;
+  ExpectedPatterns: string[] | null;
+  ExpectedAnswer: string;
+  MinLength: number;
+  MaxResponseTimeMs: number;
+  FormatCheck: string;
+}
+
+export interface RunTarget {
+  Provider: string;
+  Model: string;
+  Config?: Record<string, unknown>;
+}
+
+// The benchmark config the run was started with
+export interface RunMetadata {
+  Name: string;
+  Iterations: number;
+  Timeout?: number;
+  Prompts: RunPromptDefinition[];
+  Targets?: RunTarget[];
+  Evaluator?: Record<string, unknown> | null;
+}
+
+export interface BenchmarkRun {
+  id: number;
+  run_id: string;
+  name: string;
+  timestamp: string;
+  iterations: number;
+  total_runs: number;
+  successful_runs: number;
+  failed_runs: number;
+  metadata?: RunMetadata;
+}
+
+export interface ModelPerformance {
+  id: number;
+  run_id: string;
+  provider: string;
+  model: string;
+  timestamp: string;
+  total_tests: number;
+  successful_tests: number;
+  failed_tests: number;
+  // Percentage, 0..100
+  success_rate: number;
+  avg_ttft_ms: number;
+  min_ttft_ms: number;
+  max_ttft_ms: number;
+  avg_total_time_ms: number;
+  avg_tokens_per_second: number;
+  total_tokens_generated: number;
+  avg_quality_score: number;
+  avg_accuracy_score?: number | null;
+  avg_relevance_score?: number | null;
+  avg_completeness_score?: number | null;
+  avg_coherence_score?: number | null;
+  total_cost_usd: number;
+  avg_cost_per_test: number;
+  cost_per_1k_tokens: number;
+}
+
+export interface TestResult {
+  id: number;
+  run_id: string;
+  timestamp: string;
+  provider: string;
+  model: string;
+  prompt_id: string;
+  prompt_text: string;
+  category: string;
+  iteration: number;
+  time_to_first_token_ms: number;
+  total_time_ms: number;
+  tokens_generated: number;
+  tokens_per_second: number;
+  quality_score?: number;
+  accuracy_score?: number | null;
+  relevance_score?: number | null;
+  completeness_score?: number | null;
+  coherence_score?: number | null;
+  passed_keywords?: boolean | null;
+  passed_patterns?: boolean | null;
+  passed_length?: boolean | null;
+  passed_format?: boolean | null;
+  success: boolean;
+  error_message?: string;
+  response?: string;
+  estimated_cost_usd: number;
+}
+
+export interface PerformanceTrend {
+  id?: number;
+  provider: string;
+  model: string;
+  category?: string | null;
+  prompt_id?: string | null;
+  metric_name: string;
+  metric_value: number;
+  recorded_at: string;
+  previous_value?: number;
+  change_percentage?: number;
+  is_regression: boolean;
+}
+
+export interface CategoryPerformance {
+  category: string;
+  provider: string;
+  model: string;
+  avg_ttft_ms: number;
+  avg_total_time_ms: number;
+  // Percentage, 0..100
+  success_rate: number;
+  total_tests: number;
+}
+
+export interface Stats {
+  totalRuns?: Count;
+  totalTests?: Count;
+  avgSuccessRate?: {
+    rate: number | null;
+  };
+  modelCount?: Count;
+  latestRun?: BenchmarkRun;
+}
+
+export interface Count {
+  count: number | null;
+}
+
+export interface IngestRequest {
+  // A benchmark_runs row; the name defaults to the run id, counts and timestamp are derived from the results when omitted
+  run: {
+    run_id: string;
+    [field: string]: unknown;
+  };
+  // test_results rows; run_id may be omitted
+  test_results: Record<string, unknown>[];
+  // model_performance rows; aggregated from the results when omitted or empty
+  model_performance?: Record<string, unknown>[];
+}
+
+export interface IngestResponse {
+  run_id: string;
+  // Number of results stored
+  test_results: number;
+  // Number of model_performance rows stored
+  model_performance: number;
+  computed_model_performance: boolean;
+}
+
+export interface AppendResultsRequest {
+  // A benchmark_runs row; only used by the batch that creates the run
+  run?: Record<string, unknown>;
+  // test_results rows; run_id may be omitted
+  test_results?: Record<string, unknown>[];
+  // Aggregate model_performance and close the run
+  complete?: boolean;
+}
+
+export interface AppendResultsResponse {
+  run_id: string;
+  // Number of results stored by this batch
+  test_results: number;
+  // Number of results the run has now
+  total_results: number;
+  complete: boolean;
+  // Number of model_performance rows stored
+  model_performance: number;
+}
+
+export type BenchmarkEventType = 'run' | 'test_results' | 'model_performance' | 'trends';
+
+// Data of an /api/events event
+export interface BenchmarkEvent {
+  // The run the new rows belong to; absent for trends
+  run_id?: string;
+  // Number of new rows
+  count: number;
+}
+
+export interface ListRunsQuery {
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListLatestModelPerformanceQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListModelPerformanceQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListTestResultsQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Comma-separated values; a row matches any of them
+  category?: string[];
+  // Comma-separated values; a row matches any of them
+  prompt_id?: string[];
+  success?: boolean;
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListLatestPerformanceTrendsQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Comma-separated values; a row matches any of them
+  category?: string[];
+  // Comma-separated values; a row matches any of them
+  prompt_id?: string[];
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListPerformanceTrendsQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Comma-separated values; a row matches any of them
+  category?: string[];
+  // Comma-separated values; a row matches any of them
+  prompt_id?: string[];
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListLatestCategoryPerformanceQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Comma-separated values; a row matches any of them
+  category?: string[];
+  // Comma-separated values; a row matches any of them
+  prompt_id?: string[];
+  success?: boolean;
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ListCategoryPerformanceQuery {
+  // Comma-separated values; a row matches any of them
+  provider?: string[];
+  // Comma-separated values; a row matches any of them
+  model?: string[];
+  // Comma-separated values; a row matches any of them
+  category?: string[];
+  // Comma-separated values; a row matches any of them
+  prompt_id?: string[];
+  success?: boolean;
+  // Inclusive lower bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  from?: string;
+  // Inclusive upper bound on the row timestamp (recorded_at for trends); timestamps without an offset are UTC
+  to?: string;
+  // Comma-separated fields, `-` prefix for descending, e.g. `-total_time_ms`
+  sort?: string;
+  // Sparse fieldset, comma-separated
+  fields?: string[];
+  // Page size
+  limit?: number;
+  // The X-Next-Cursor of the previous page
+  cursor?: string;
+}
+
+export interface ApiPage<T> {
+  items: T[];
+  // X-Total-Count: matching rows over all pages
+  total: number;
+  // X-Next-Cursor; null on the last page
+  nextCursor: string | null;
+}
+
+export interface BenchmarkApiOptions {
+  // Server origin, e.g. http://localhost:3001
+  baseUrl: string;
+  // Bearer token, only needed for ingestion
+  token?: string;
+  fetch?: typeof fetch;
+}
+
+export class BenchmarkApiError extends Error {
+  readonly status: number;
+  readonly details: string[];
+
+  constructor(status: number, body: ApiError | null) {
+    super(body?.error || `Request failed with status ${status}`);
+    this.name = 'BenchmarkApiError';
+    this.status = status;
+    this.details = body?.details || [];
+  }
+}
+
+type QueryValue = string | number | boolean | string[] | undefined;
+
+// Lists are sent comma-separated (style: form, explode: false)
+function toSearch(query: object): string {
+  const params = new URLSearchParams();
+  (Object.entries(query) as [string, QueryValue][]).forEach(([name, value]) => {
+    if (value === undefined) return;
+    params.set(name, Array.isArray(value) ? value.join(',') : String(value));
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+async function readPage<T>(response: Response): Promise<ApiPage<T>> {
+  const items: T[] = await response.json();
+  return {
+    items,
+    total: Number(response.headers.get('X-Total-Count') ?? items.length),
+    nextCursor: response.headers.get('X-Next-Cursor'),
+  };
+}
+
+export function createBenchmarkApi(options: BenchmarkApiOptions) {
+  const baseUrl = options.baseUrl.replace(/\/+$/, '');
+  const fetchImpl = options.fetch || globalThis.fetch.bind(globalThis);
+
+  async function request(method: string, url: string, query: object, body?: unknown): Promise<Response> {
+    const headers: Record<string, string> = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+    const response = await fetchImpl(`${baseUrl}${url}${toSearch(query)}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const error: ApiError | null = await response.json().catch(() => null);
+      throw new BenchmarkApiError(response.status, error);
+    }
+    return response;
+  }
+
+  return {
+    // GET /api/openapi.json: This document
+    async getOpenApiDocument(): Promise<Record<string, unknown>> {
+      return (await request('GET', `/api/openapi.json`, {})).json();
+    },
+
+    // GET /api/health: Server health
+    async getHealth(): Promise<Health> {
+      return (await request('GET', `/api/health`, {})).json();
+    },
+
+    // GET /api/benchmark/runs: Benchmark runs, newest first
+    async listRuns(query: ListRunsQuery = {}): Promise<ApiPage<BenchmarkRun>> {
+      return readPage<BenchmarkRun>(await request('GET', `/api/benchmark/runs`, query));
+    },
+
+    // POST /api/benchmark/runs: Push a complete run
+    async ingestRun(body: IngestRequest): Promise<IngestResponse> {
+      return (await request('POST', `/api/benchmark/runs`, {}, body)).json();
+    },
+
+    // POST /api/benchmark/runs/{runId}/results: Append results to a run in progress
+    async appendTestResults(runId: string, body: AppendResultsRequest): Promise<AppendResultsResponse> {
+      return (await request('POST', `/api/benchmark/runs/${encodeURIComponent(runId)}/results`, {}, body)).json();
+    },
+
+    // GET /api/benchmark/performance: Model performance of the latest run
+    async listLatestModelPerformance(query: ListLatestModelPerformanceQuery = {}): Promise<ApiPage<ModelPerformance>> {
+      return readPage<ModelPerformance>(await request('GET', `/api/benchmark/performance`, query));
+    },
+
+    // GET /api/benchmark/performance/{runId}: Model performance of one run
+    async listModelPerformance(runId: string, query: ListModelPerformanceQuery = {}): Promise<ApiPage<ModelPerformance>> {
+      return readPage<ModelPerformance>(await request('GET', `/api/benchmark/performance/${encodeURIComponent(runId)}`, query));
+    },
+
+    // GET /api/benchmark/results/{runId}: Test results of one run
+    async listTestResults(runId: string, query: ListTestResultsQuery = {}): Promise<ApiPage<TestResult>> {
+      return readPage<TestResult>(await request('GET', `/api/benchmark/results/${encodeURIComponent(runId)}`, query));
+    },
+
+    // GET /api/benchmark/trends: Metric changes recorded for the latest run, largest increase first
+    async listLatestPerformanceTrends(query: ListLatestPerformanceTrendsQuery = {}): Promise<ApiPage<PerformanceTrend>> {
+      return readPage<PerformanceTrend>(await request('GET', `/api/benchmark/trends`, query));
+    },
+
+    // GET /api/benchmark/trends/{runId}: Metric changes recorded for one run, largest increase first
+    async listPerformanceTrends(runId: string, query: ListPerformanceTrendsQuery = {}): Promise<ApiPage<PerformanceTrend>> {
+      return readPage<PerformanceTrend>(await request('GET', `/api/benchmark/trends/${encodeURIComponent(runId)}`, query));
+    },
+
+    // GET /api/benchmark/categories: Per-category aggregates of the latest run
+    async listLatestCategoryPerformance(query: ListLatestCategoryPerformanceQuery = {}): Promise<ApiPage<CategoryPerformance>> {
+      return readPage<CategoryPerformance>(await request('GET', `/api/benchmark/categories`, query));
+    },
+
+    // GET /api/benchmark/categories/{runId}: Per-category aggregates of one run
+    async listCategoryPerformance(runId: string, query: ListCategoryPerformanceQuery = {}): Promise<ApiPage<CategoryPerformance>> {
+      return readPage<CategoryPerformance>(await request('GET', `/api/benchmark/categories/${encodeURIComponent(runId)}`, query));
+    },
+
+    // GET /api/benchmark/stats: Summary statistics over all runs
+    async getStats(): Promise<Stats> {
+      return (await request('GET', `/api/benchmark/stats`, {})).json();
+    },
+  };
+}
+
+export type BenchmarkApi = ReturnType<typeof createBenchmarkApi>;
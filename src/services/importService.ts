@@ -0,0 +1,99 @@
+import type { BenchmarkRun, ModelPerformance, TestResult } from '../types/benchmark';
+import {
+  deleteRunJsonic,
+  fetchAllTestResultsJsonic,
+  fetchBenchmarkRunsJsonic,
+  fetchModelPerformanceHistoryJsonic,
+  storeImportedRunJsonic
+} from './jsonicApi';
+import { convertResults, type ConvertOptions, type ConvertResult } from '../import/importAdapters';
+import { isRecord, persistedCollection } from './persistedCollection';
+
+// A run converted from another tool's results, with its rows
+export interface ImportedRun {
+  run: BenchmarkRun;
+  model_performance: ModelPerformance[];
+  test_results: TestResult[];
+}
+
+function isImportedRun(item: unknown): item is ImportedRun {
+  return isRecord(item) &&
+    isRecord(item.run) &&
+    typeof item.run.run_id === 'string' &&
+    Array.isArray(item.model_performance) &&
+    Array.isArray(item.test_results);
+}
+
+// localStorage holds about 5 MB per site, a few thousand results
+const storedImports = persistedCollection<ImportedRun>({
+  key: 'imported_runs',
+  label: 'IMPORT',
+  description: 'imported runs',
+  isValid: isImportedRun,
+  quotaHint: 'import fewer results, remove earlier imports, or add them to the data files with npm run import-results',
+  restore: async imports => {
+    for (const imported of imports) {
+      await storeImportedRunJsonic(imported.run, imported.model_performance, imported.test_results);
+    }
+  }
+});
+
+export const restoreImports = storedImports.restore;
+
+function loadStoredImports(): ImportedRun[] {
+  return storedImports.load() ?? [];
+}
+
+export function getImportedRuns(): BenchmarkRun[] {
+  return loadStoredImports().map(imported => imported.run);
+}
+
+// An import never mixes into an existing run
+async function checkRunIds(incoming: BenchmarkRun[], existing?: BenchmarkRun[]): Promise<void> {
+  const taken = new Set((existing ?? await fetchBenchmarkRunsJsonic()).map(run => run.run_id));
+  const clashes = incoming.filter(run => taken.has(run.run_id));
+  if (clashes.length > 0) {
+    throw new Error(`Run id already in use: ${clashes.map(run => run.run_id).join(', ')}; set another run id`);
+  }
+}
+
+function maxId(rows: { id?: number }[]): number {
+  return rows.reduce((max, row) => Math.max(max, row.id ?? 0), 0);
+}
+
+// Converts a file for preview; ids start above those of the loaded data
+export async function convertImport(text: string, options: ConvertOptions): Promise<ConvertResult> {
+  const [runs, performance, results] = await Promise.all([
+    fetchBenchmarkRunsJsonic(),
+    fetchModelPerformanceHistoryJsonic(),
+    fetchAllTestResultsJsonic()
+  ]);
+  const converted = convertResults(text, {
+    ...options,
+    idOffset: Math.max(maxId(runs), maxId(performance), maxId(results))
+  });
+  await checkRunIds(converted.data.benchmark_runs, runs);
+  return converted;
+}
+
+export async function importRuns(converted: ConvertResult): Promise<BenchmarkRun[]> {
+  const { benchmark_runs, model_performance, test_results } = converted.data;
+  await checkRunIds(benchmark_runs);
+  const imports = benchmark_runs.map(run => ({
+    run,
+    model_performance: model_performance.filter(perf => perf.run_id === run.run_id),
+    test_results: test_results.filter(test => test.run_id === run.run_id)
+  }));
+
+  // Stored first: when the browser is out of space nothing is half-imported
+  storedImports.save([...loadStoredImports(), ...imports]);
+  for (const imported of imports) {
+    await storeImportedRunJsonic(imported.run, imported.model_performance, imported.test_results);
+  }
+  return benchmark_runs;
+}
+
+export async function deleteImportedRun(runId: string): Promise<void> {
+  storedImports.save(loadStoredImports().filter(imported => imported.run.run_id !== runId));
+  await deleteRunJsonic(runId);
+}
@@ -3,10 +3,17 @@ import type {
   ModelPerformance,
   TestResult,
   PerformanceTrend,
-  CategoryPerformance
+  CategoryPerformance,
+  BaselineRun,
+  ListQuery,
+  Page
 } from '../types/benchmark';
 
 import { jsonicService } from './jsonicService';
+import { applyListQuery } from '../utils/listQuery';
+import { aggregateRuns, selectRuns, type RunAggregate, type RunSelection } from '../utils/runAggregation';
+import type { WeightPreset } from '../utils/leaderboard';
+import type { PriceEntry } from '../utils/pricing';
 
 // Helper to create document with type tagging
 function createDocument(type: string, data: any, runId?: string): any {
@@ -33,7 +40,31 @@ export async function storeTestResult(test: TestResult, runId: string): Promise<
   return await jsonicService.insert(doc);
 }
 
-export async function fetchBenchmarkRunsJsonic(): Promise<BenchmarkRun[]> {
+// Runs converted from other tools' results are stored and removed as a whole
+export async function storeImportedRunJsonic(
+  run: BenchmarkRun,
+  performance: ModelPerformance[],
+  results: TestResult[]
+): Promise<void> {
+  await storeBenchmarkRun(run);
+  for (const perf of performance) {
+    await storeModelPerformance(perf, run.run_id);
+  }
+  for (const test of results) {
+    await storeTestResult(test, run.run_id);
+  }
+}
+
+export async function deleteRunJsonic(runId: string): Promise<void> {
+  await jsonicService.deleteMany({ _type: 'benchmark_run', run_id: runId });
+  await jsonicService.deleteMany({ _type: 'model_performance', run_id: runId });
+  await jsonicService.deleteMany({ _type: 'test_result', run_id: runId });
+}
+
+// The list queries below accept the same ListQuery as the REST API (see
+// src/utils/listQuery.ts); the *Page variants also return the total and cursor
+
+export async function fetchBenchmarkRunsPageJsonic(query?: ListQuery): Promise<Page<BenchmarkRun>> {
   // Use MongoDB-like query with native sorting (v3.3 format)
   const docs = await jsonicService.findDocuments(
     { _type: 'benchmark_run' },
@@ -45,10 +76,21 @@ export async function fetchBenchmarkRunsJsonic(): Promise<BenchmarkRun[]> {
     return runData as BenchmarkRun;
   });
 
-  return runs;
+  return applyListQuery(runs, query, { filters: [], timeField: 'timestamp', defaultSort: '-timestamp', key: ['run_id'] });
+}
+
+export async function fetchBenchmarkRunsJsonic(query?: ListQuery): Promise<BenchmarkRun[]> {
+  return (await fetchBenchmarkRunsPageJsonic(query)).items;
+}
+
+// Average of two optional scores; a missing side leaves the other one as is
+function averageScores(a?: number | null, b?: number | null): number | null {
+  if (a == null) return b ?? null;
+  if (b == null) return a;
+  return (a + b) / 2;
 }
 
-export async function fetchModelPerformanceJsonic(runId?: string): Promise<ModelPerformance[]> {
+export async function fetchModelPerformancePageJsonic(runId?: string, query?: ListQuery): Promise<Page<ModelPerformance>> {
   let latestRunId = runId;
   
   // If no runId specified or 'latest', find the latest run
@@ -93,6 +135,10 @@ export async function fetchModelPerformanceJsonic(runId?: string): Promise<Model
         total_tokens_generated: existing.total_tokens_generated + perf.total_tokens_generated,
         avg_tokens_per_second: (existing.avg_tokens_per_second + perf.avg_tokens_per_second) / 2,
         avg_quality_score: (existing.avg_quality_score + perf.avg_quality_score) / 2,
+        avg_accuracy_score: averageScores(existing.avg_accuracy_score, perf.avg_accuracy_score),
+        avg_relevance_score: averageScores(existing.avg_relevance_score, perf.avg_relevance_score),
+        avg_completeness_score: averageScores(existing.avg_completeness_score, perf.avg_completeness_score),
+        avg_coherence_score: averageScores(existing.avg_coherence_score, perf.avg_coherence_score),
         cost_per_1k_tokens: perf.cost_per_1k_tokens, // Keep latest
         success_rate: ((existing.successful_tests + perf.successful_tests) / 
                       (existing.total_tests + perf.total_tests)) * 100
@@ -100,37 +146,75 @@ export async function fetchModelPerformanceJsonic(runId?: string): Promise<Model
     }
   });
   
-  return Array.from(uniqueModels.values());
+  return applyListQuery(Array.from(uniqueModels.values()), query, {
+    filters: ['provider', 'model'],
+    timeField: 'timestamp',
+    defaultSort: 'provider,model',
+    key: ['provider', 'model'],
+  });
+}
+
+export async function fetchModelPerformanceJsonic(runId?: string, query?: ListQuery): Promise<ModelPerformance[]> {
+  return (await fetchModelPerformancePageJsonic(runId, query)).items;
+}
+
+export async function fetchModelPerformanceHistoryJsonic(): Promise<ModelPerformance[]> {
+  // Model performance of every run, used for the time-series charts
+  const runs = await fetchBenchmarkRunsJsonic();
+  const perRun = await Promise.all(runs.map(run => fetchModelPerformanceJsonic(run.run_id)));
+  return perRun.flat();
 }
 
-export async function fetchTestResultsJsonic(runId: string): Promise<TestResult[]> {
-  // Use MongoDB-like query with filtering, sorting, and limit (v3.3 format)
+export async function fetchTestResultsPageJsonic(runId: string, query?: ListQuery): Promise<Page<TestResult>> {
+  // Use MongoDB-like query with filtering and sorting (v3.3 format)
   const docs = await jsonicService.findDocuments(
     { _type: 'test_result', _runId: runId },
-    { sort: { timestamp: -1 }, limit: 500 }
+    { sort: { timestamp: -1 } }
   );
   
+  // `id` is the result's own id from the export (it shadows the JSONIC document id)
   const tests: TestResult[] = docs.map(doc => {
-    const { id, _type, _runId, _timestamp, ...testData } = doc;
+    const { _type, _runId, _timestamp, ...testData } = doc;
     return testData as TestResult;
   });
   
-  return tests;
+  return applyListQuery(tests, query, {
+    filters: ['provider', 'model', 'category', 'prompt_id', 'success'],
+    timeField: 'timestamp',
+    defaultSort: '-timestamp',
+    key: ['id'],
+  });
 }
 
-export async function fetchPerformanceTrendsJsonic(): Promise<PerformanceTrend[]> {
-  // Calculate date 7 days ago
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const isoDate = sevenDaysAgo.toISOString();
-  
-  // Use MongoDB-like query with $gte operator for date comparison (v3.3 format)
+export async function fetchTestResultsJsonic(runId: string, query?: ListQuery): Promise<TestResult[]> {
+  return (await fetchTestResultsPageJsonic(runId, query)).items;
+}
+
+export async function fetchAllTestResultsJsonic(): Promise<TestResult[]> {
+  // Every test result across all runs - used for history-wide analysis
+  const runs = await fetchBenchmarkRunsJsonic();
+  const perRun = await Promise.all(runs.map(run => fetchTestResultsJsonic(run.run_id)));
+  return perRun.flat();
+}
+
+export async function fetchPerformanceTrendsPageJsonic(runId?: string, query?: ListQuery): Promise<Page<PerformanceTrend>> {
+  let targetRunId = runId;
+
+  if (!runId || runId === 'latest') {
+    const runs = await fetchBenchmarkRunsJsonic();
+    if (runs.length > 0) {
+      targetRunId = runs[0].run_id;
+    }
+  }
+
+  if (!targetRunId) {
+    return { items: [], total: 0, nextCursor: null };
+  }
+
+  // Trends are stored per run by the regression engine
   const docs = await jsonicService.findDocuments(
-    {
-      _type: 'performance_trend',
-      recorded_at: { $gte: isoDate }
-    },
-    { sort: { recorded_at: -1 }, limit: 100 }
+    { _type: 'performance_trend', _runId: targetRunId },
+    { sort: { change_percentage: -1 } }
   );
   
   const trends: PerformanceTrend[] = docs.map(doc => {
@@ -138,10 +222,114 @@ export async function fetchPerformanceTrendsJsonic(): Promise<PerformanceTrend[]
     return trendData as PerformanceTrend;
   });
   
-  return trends;
+  return applyListQuery(trends, query, {
+    filters: ['provider', 'model', 'category', 'prompt_id'],
+    timeField: 'recorded_at',
+    defaultSort: '-change_percentage',
+    key: ['run_id', 'provider', 'model', 'category', 'prompt_id', 'metric_name'],
+  });
+}
+
+export async function fetchPerformanceTrendsJsonic(runId?: string, query?: ListQuery): Promise<PerformanceTrend[]> {
+  return (await fetchPerformanceTrendsPageJsonic(runId, query)).items;
+}
+
+// Replaces all stored trends with the given ones (output of the regression engine)
+export async function replacePerformanceTrendsJsonic(trends: PerformanceTrend[]): Promise<number> {
+  await jsonicService.deleteMany({ _type: 'performance_trend' });
+
+  if (trends.length === 0) {
+    return 0;
+  }
+
+  const docs = trends.map(trend => createDocument('performance_trend', trend, trend.run_id));
+  const ids = await jsonicService.insertMany(docs);
+  return ids?.length ?? docs.length;
+}
+
+export async function fetchBaselineJsonic(): Promise<BaselineRun | null> {
+  const docs = await jsonicService.findDocuments(
+    { _type: 'baseline' },
+    { sort: { pinned_at: -1 }, limit: 1 }
+  );
+
+  if (docs.length === 0) {
+    return null;
+  }
+
+  const [doc] = docs;
+  return {
+    run_id: doc.run_id,
+    label: doc.label,
+    pinned_at: doc.pinned_at,
+    source: doc.source
+  };
+}
+
+// Only one golden baseline is kept; null removes it
+export async function saveBaselineJsonic(baseline: BaselineRun | null): Promise<void> {
+  await jsonicService.deleteMany({ _type: 'baseline' });
+
+  if (baseline) {
+    await jsonicService.insert(createDocument('baseline', baseline, baseline.run_id));
+  }
+}
+
+export async function fetchWeightPresetsJsonic(): Promise<WeightPreset[]> {
+  const docs = await jsonicService.findDocuments(
+    { _type: 'weight_preset' },
+    { sort: { name: 1 } }
+  );
+
+  return docs.map(doc => ({
+    name: doc.name,
+    weights: doc.weights,
+    saved_at: doc.saved_at
+  }));
+}
+
+// Presets are keyed by name; saving under an existing name replaces it
+export async function saveWeightPresetJsonic(preset: WeightPreset): Promise<void> {
+  await jsonicService.deleteMany({ _type: 'weight_preset', name: preset.name });
+  await jsonicService.insert(createDocument('weight_preset', preset));
+}
+
+export async function deleteWeightPresetJsonic(name: string): Promise<void> {
+  await jsonicService.deleteMany({ _type: 'weight_preset', name });
+}
+
+export async function fetchPriceEntriesJsonic(): Promise<PriceEntry[]> {
+  const docs = await jsonicService.findDocuments(
+    { _type: 'price_entry' },
+    { sort: { provider: 1, model: 1, effective_from: -1 } }
+  );
+
+  return docs.map(doc => ({
+    provider: doc.provider,
+    model: doc.model,
+    input_per_mtok: doc.input_per_mtok,
+    output_per_mtok: doc.output_per_mtok,
+    effective_from: doc.effective_from,
+    note: doc.note
+  }));
 }
 
-export async function fetchCategoryPerformanceJsonic(runId?: string): Promise<CategoryPerformance[]> {
+// Prices are keyed by model and effective date; saving the same pair replaces it
+export async function savePriceEntryJsonic(entry: PriceEntry): Promise<void> {
+  await deletePriceEntryJsonic(entry);
+  await jsonicService.insert(createDocument('price_entry', entry));
+}
+
+export async function deletePriceEntryJsonic(entry: Pick<PriceEntry, 'provider' | 'model' | 'effective_from'>): Promise<void> {
+  await jsonicService.deleteMany({
+    _type: 'price_entry',
+    provider: entry.provider,
+    model: entry.model,
+    effective_from: entry.effective_from
+  });
+}
+
+export async function fetchCategoryPerformancePageJsonic(runId?: string, query: ListQuery = {}): Promise<Page<CategoryPerformance>> {
   // Get test results for the run
   let targetRunId = runId;
   
@@ -153,10 +341,12 @@ export async function fetchCategoryPerformanceJsonic(runId?: string): Promise<Ca
   }
   
   if (!targetRunId) {
-    return [];
+    return { items: [], total: 0, nextCursor: null };
   }
   
-  const testResults = await fetchTestResultsJsonic(targetRunId);
+  // Filters select the test results; sort, fields and paging apply to the groups
+  const { sort, fields, limit, cursor, ...filters } = query;
+  const testResults = await fetchTestResultsJsonic(targetRunId, filters);
   
   // Group by category, provider, and model to calculate averages
   const categoryMap = new Map<string, CategoryPerformance>();
@@ -202,7 +392,22 @@ export async function fetchCategoryPerformanceJsonic(runId?: string): Promise<Ca
     });
   });
   
-  return results;
+  return applyListQuery(results, { sort, fields, limit, cursor }, {
+    filters: [],
+    defaultSort: 'category,provider,model',
+    key: ['category', 'provider', 'model'],
+  });
+}
+
+export async function fetchCategoryPerformanceJsonic(runId?: string, query?: ListQuery): Promise<CategoryPerformance[]> {
+  return (await fetchCategoryPerformancePageJsonic(runId, query)).items;
+}
+
+// Model and category performance pooled over several runs (see src/utils/runAggregation.ts)
+export async function fetchRunAggregateJsonic(selection: RunSelection): Promise<RunAggregate> {
+  const runs = selectRuns(await fetchBenchmarkRunsJsonic(), selection);
+  const perRun = await Promise.all(runs.map(run => fetchTestResultsJsonic(run.run_id)));
+  return aggregateRuns(runs, perRun.flat());
 }
 
 export async function fetchStatsJsonic() {
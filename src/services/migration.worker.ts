@@ -2,6 +2,7 @@
 // This runs in a separate thread to avoid blocking the main UI thread
 
 import { jsonicService } from './jsonicService';
+import type { BaselineRun } from '../types/benchmark';
 
 // Post messages back to the main thread
 const postProgress = (progress: any) => {
@@ -33,7 +34,8 @@ const performMigration = async () => {
       (jsonData.benchmark_runs?.length || 0) +
       (jsonData.model_performance?.length || 0) +
       (jsonData.test_results?.length || 0) +
-      (jsonData.performance_trends?.length || 0);
+      (jsonData.performance_trends?.length || 0) +
+      (jsonData.baselines?.length || 0);
 
     console.log(`🔧 WORKER: Processing ${totalDocs} documents`);
 
@@ -114,6 +116,14 @@ const performMigration = async () => {
       console.log(`🔧 WORKER: Migrated ${docs.length} performance trends`);
     }
 
+    if (jsonData.baselines) {
+      const docs = jsonData.baselines.map((baseline: BaselineRun) =>
+        createDocument('baseline', baseline, baseline.run_id)
+      );
+      await insertBatch(docs);
+      console.log(`🔧 WORKER: Migrated ${docs.length} baselines`);
+    }
+
     postProgress({
       phase: 'complete',
       current: totalDocs,
@@ -0,0 +1,98 @@
+/**
+ * State the user creates in the browser (baseline, weight presets, prices,
+ * imported runs) is kept in JSONIC for the session and in localStorage between sessions;
+ * see "Browser Storage" in the README. A collection is read back and
+ * written into the freshly loaded database once per session.
+ */
+
+export interface PersistedCollectionOptions<T> {
+  key: string;
+  // Log prefix, e.g. 'PRESETS'
+  label: string;
+  // Plural noun for messages, e.g. 'weight presets'
+  description: string;
+  // Items that no longer match are dropped when read
+  isValid: (item: unknown) => item is T;
+  // What to try instead when the browser is out of storage
+  quotaHint?: string;
+  // Writes the items saved in an earlier session into the database
+  restore: (items: T[]) => Promise<void>;
+}
+
+export interface PersistedCollection<T> {
+  // Items saved in this browser; null when nothing was ever saved
+  load(): T[] | null;
+  save(items: T[]): void;
+  restore(): Promise<void>;
+}
+
+export function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function isQuotaExceeded(error: unknown): boolean {
+  return error instanceof DOMException && (error.name === 'QuotaExceededError' || error.code === 22);
+}
+
+export function persistedCollection<T>(options: PersistedCollectionOptions<T>): PersistedCollection<T> {
+  const { key, label, description, isValid, quotaHint } = options;
+
+  function load(): T[] | null {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored === null) return null;
+      const parsed: unknown = JSON.parse(stored);
+      if (!Array.isArray(parsed)) {
+        console.warn(`[${label}] Ignoring stored ${description}: not a list`);
+        return null;
+      }
+      const items = parsed.filter(isValid);
+      if (items.length < parsed.length) {
+        console.warn(`[${label}] Dropped ${parsed.length - items.length} unreadable stored ${description}`);
+      }
+      return items;
+    } catch (error) {
+      console.warn(`[${label}] Failed to read stored ${description}:`, error);
+      return null;
+    }
+  }
+
+  function save(items: T[]): void {
+    try {
+      localStorage.setItem(key, JSON.stringify(items));
+    } catch (error) {
+      if (isQuotaExceeded(error)) {
+        throw new Error(`Not enough browser storage to save the ${description}${quotaHint ? `; ${quotaHint}` : ''}`);
+      }
+      throw error;
+    }
+  }
+
+  async function restore(): Promise<void> {
+    const items = load();
+    if (items === null) return;
+    await options.restore(items);
+    if (items.length > 0) {
+      console.log(`[${label}] Restored ${items.length} ${description}`);
+    }
+  }
+
+  return { load, save, restore };
+}
+
+/**
+ * Wraps a task so it runs once and every caller awaits the same promise.
+ * A failed run is forgotten, so the next call tries again.
+ */
+export function once<T>(task: () => Promise<T>): () => Promise<T> {
+  let promise: Promise<T> | null = null;
+  return () => {
+    if (!promise) {
+      promise = task().catch(error => {
+        promise = null;
+        throw error;
+      });
+    }
+    return promise;
+  };
+}
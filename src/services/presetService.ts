@@ -0,0 +1,54 @@
+import { deleteWeightPresetJsonic, fetchWeightPresetsJsonic, saveWeightPresetJsonic } from './jsonicApi';
+import { BUILT_IN_PRESETS, type LeaderboardWeights, type WeightPreset } from '../utils/leaderboard';
+import { isRecord, persistedCollection } from './persistedCollection';
+
+function isWeightPreset(item: unknown): item is WeightPreset {
+  return isRecord(item) && typeof item.name === 'string' && isRecord(item.weights);
+}
+
+const storedPresets = persistedCollection<WeightPreset>({
+  key: 'leaderboard_presets',
+  label: 'PRESETS',
+  description: 'weight presets',
+  isValid: isWeightPreset,
+  restore: async presets => {
+    for (const preset of presets) {
+      await saveWeightPresetJsonic(preset);
+    }
+  }
+});
+
+export const restorePresets = storedPresets.restore;
+
+async function storePresets(): Promise<void> {
+  storedPresets.save(await fetchWeightPresetsJsonic());
+}
+
+function isBuiltIn(name: string): boolean {
+  return BUILT_IN_PRESETS.some(preset => preset.name.toLowerCase() === name.trim().toLowerCase());
+}
+
+// Built-in presets first, then the user's in name order
+export async function getWeightPresets(): Promise<WeightPreset[]> {
+  return [...BUILT_IN_PRESETS, ...await fetchWeightPresetsJsonic()];
+}
+
+export async function saveWeightPreset(name: string, weights: LeaderboardWeights): Promise<WeightPreset> {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('A preset needs a name');
+  }
+  if (isBuiltIn(trimmed)) {
+    throw new Error(`"${trimmed}" is a built-in preset; save under another name`);
+  }
+
+  const preset: WeightPreset = { name: trimmed, weights, saved_at: new Date().toISOString() };
+  await saveWeightPresetJsonic(preset);
+  await storePresets();
+  return preset;
+}
+
+export async function deleteWeightPreset(name: string): Promise<void> {
+  await deleteWeightPresetJsonic(name);
+  await storePresets();
+}
@@ -0,0 +1,68 @@
+import { deletePriceEntryJsonic, fetchPriceEntriesJsonic, savePriceEntryJsonic } from './jsonicApi';
+import { mergePriceList, registryPrices, type PriceEntry } from '../utils/pricing';
+import { resolveModel } from '../utils/modelRegistry';
+import { isRecord, persistedCollection } from './persistedCollection';
+
+function isPriceEntry(item: unknown): item is PriceEntry {
+  return isRecord(item)
+    && typeof item.provider === 'string'
+    && typeof item.model === 'string'
+    && typeof item.input_per_mtok === 'number'
+    && typeof item.output_per_mtok === 'number'
+    && typeof item.effective_from === 'string';
+}
+
+const storedPrices = persistedCollection<PriceEntry>({
+  key: 'pricing_table',
+  label: 'PRICING',
+  description: 'price entries',
+  isValid: isPriceEntry,
+  restore: async entries => {
+    for (const entry of entries) {
+      await savePriceEntryJsonic(entry);
+    }
+  }
+});
+
+export const restorePrices = storedPrices.restore;
+
+async function storePrices(): Promise<void> {
+  storedPrices.save(await fetchPriceEntriesJsonic());
+}
+
+// Registry list prices with the user's entries on top
+export async function getPriceList(): Promise<PriceEntry[]> {
+  return mergePriceList(registryPrices(), await fetchPriceEntriesJsonic());
+}
+
+export async function savePriceEntry(entry: PriceEntry): Promise<PriceEntry> {
+  if (!entry.provider.trim() || !entry.model.trim()) {
+    throw new Error('A price needs a provider and a model');
+  }
+  if (![entry.input_per_mtok, entry.output_per_mtok].every(price => Number.isFinite(price) && price >= 0)) {
+    throw new Error('Prices must be zero or more');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.effective_from) || isNaN(Date.parse(entry.effective_from))) {
+    throw new Error('The effective date must be a valid YYYY-MM-DD date');
+  }
+
+  // Stored under the logical model so a snapshot id prices every snapshot of it
+  const { provider, id } = resolveModel(entry.provider, entry.model);
+  const saved: PriceEntry = {
+    provider,
+    model: id,
+    input_per_mtok: entry.input_per_mtok,
+    output_per_mtok: entry.output_per_mtok,
+    effective_from: entry.effective_from,
+    note: entry.note?.trim() || undefined,
+  };
+  await savePriceEntryJsonic(saved);
+  await storePrices();
+  return saved;
+}
+
+// Deleting a user entry that overrides a list price brings the list price back
+export async function deletePriceEntry(entry: Pick<PriceEntry, 'provider' | 'model' | 'effective_from'>): Promise<void> {
+  await deletePriceEntryJsonic(entry);
+  await storePrices();
+}
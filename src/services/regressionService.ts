@@ -0,0 +1,56 @@
+import {
+  fetchAllTestResultsJsonic,
+  fetchBenchmarkRunsJsonic,
+  replacePerformanceTrendsJsonic
+} from './jsonicApi';
+import {
+  computePerformanceTrends,
+  DEFAULT_REGRESSION_CONFIG,
+  type RegressionConfig
+} from '../utils/regressionEngine';
+
+const CONFIG_KEY = 'regression_config';
+
+export function loadRegressionConfig(): RegressionConfig {
+  try {
+    const stored = localStorage.getItem(CONFIG_KEY);
+    if (!stored) return DEFAULT_REGRESSION_CONFIG;
+
+    const parsed = JSON.parse(stored) as Partial<RegressionConfig>;
+    return {
+      baseline: parsed.baseline || DEFAULT_REGRESSION_CONFIG.baseline,
+      thresholds: { ...DEFAULT_REGRESSION_CONFIG.thresholds, ...parsed.thresholds },
+      scopes: parsed.scopes || DEFAULT_REGRESSION_CONFIG.scopes,
+    };
+  } catch (error) {
+    console.warn('[REGRESSION] Failed to read stored config, using defaults:', error);
+    return DEFAULT_REGRESSION_CONFIG;
+  }
+}
+
+export function saveRegressionConfig(config: RegressionConfig): void {
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+}
+
+/**
+ * Recomputes performance trends for the whole run history and stores them
+ * as `performance_trend` documents, replacing whatever was imported.
+ */
+export async function recomputePerformanceTrends(
+  config: RegressionConfig = loadRegressionConfig()
+): Promise<number> {
+  const startTime = performance.now();
+  const [runs, results] = await Promise.all([
+    fetchBenchmarkRunsJsonic(),
+    fetchAllTestResultsJsonic()
+  ]);
+
+  const trends = computePerformanceTrends(runs, results, config);
+  const stored = await replacePerformanceTrendsJsonic(trends);
+
+  console.log(
+    `[REGRESSION] Computed ${trends.length} trends (${trends.filter(t => t.is_regression).length} regressions) ` +
+    `in ${(performance.now() - startTime).toFixed(2)}ms`
+  );
+  return stored;
+}
@@ -0,0 +1,214 @@
+/**
+ * Loads the per-run shards written by scripts/build-database.js.
+ * Shard files are named by a hash of their contents, so a shard that is
+ * already in the OPFS cache never needs to be downloaded again; only runs
+ * added or changed since the last visit go over the network. Shards the
+ * in-memory database already holds are not read at all.
+ */
+
+import type {
+  BaselineRun,
+  BenchmarkRun,
+  ModelPerformance,
+  PerformanceTrend,
+  TestResult
+} from '../types/benchmark';
+import type { DatabaseExport } from '../schema/databaseSchema';
+
+interface ShardEntry {
+  file: string;
+  hash: string;
+  bytes: number;
+  documents: number;
+}
+
+export interface ShardManifest {
+  version: string;
+  // Schema version of the data in the shards (src/schema/databaseSchema.js)
+  schema_version?: number;
+  // Changes whenever any shard changes
+  hash: string;
+  generated_at: string;
+  runs: (ShardEntry & { run_id: string; timestamp: string })[];
+  shared: ShardEntry;
+}
+
+interface RunShard {
+  run_id: string;
+  benchmark_run: BenchmarkRun;
+  model_performance: ModelPerformance[];
+  test_results: TestResult[];
+}
+
+interface SharedShard {
+  performance_trends: PerformanceTrend[];
+  baselines: BaselineRun[];
+}
+
+export interface ShardProgress {
+  loaded: number;
+  total: number;
+  downloaded: number;
+}
+
+const CACHE_DIR = 'benchmark-shards';
+// Browsers open about six connections per host over HTTP/1.1
+const MAX_CONCURRENT_DOWNLOADS = 6;
+// Names of the cached shard files, so stale ones can be removed without listing the directory
+const CACHED_SHARDS_KEY = 'cached_shards';
+
+async function openCache(): Promise<FileSystemDirectoryHandle | null> {
+  try {
+    const root = await navigator.storage.getDirectory();
+    return await root.getDirectoryHandle(CACHE_DIR, { create: true });
+  } catch (error) {
+    console.warn('[SHARDS] OPFS not available, shards will not be cached:', error);
+    return null;
+  }
+}
+
+function cacheName(file: string): string {
+  return file.replace(/\//g, '_');
+}
+
+async function readCached(cache: FileSystemDirectoryHandle, file: string): Promise<string | null> {
+  try {
+    const handle = await cache.getFileHandle(cacheName(file));
+    return await (await handle.getFile()).text();
+  } catch {
+    return null;
+  }
+}
+
+async function writeCached(cache: FileSystemDirectoryHandle, file: string, text: string): Promise<boolean> {
+  try {
+    const handle = await cache.getFileHandle(cacheName(file), { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(text);
+    await writable.close();
+    return true;
+  } catch (error) {
+    console.warn(`[SHARDS] Failed to cache ${file}:`, error);
+    return false;
+  }
+}
+
+// Drops cached shards the manifest no longer lists (changed or removed runs).
+// Shards that were skipped this time stay cached if they were before.
+async function pruneCache(cache: FileSystemDirectoryHandle, listed: Set<string>, inCache: Set<string>): Promise<void> {
+  let cached: string[] = [];
+  try {
+    cached = JSON.parse(localStorage.getItem(CACHED_SHARDS_KEY) || '[]');
+  } catch {
+    // Unreadable list; stale files stay until the cache is cleared
+  }
+  for (const name of cached.filter(name => !listed.has(name))) {
+    await cache.removeEntry(name).catch(() => undefined);
+  }
+  const keep = new Set([...cached.filter(name => listed.has(name)), ...inCache]);
+  localStorage.setItem(CACHED_SHARDS_KEY, JSON.stringify([...keep]));
+}
+
+async function loadShard<T>(basePath: string, file: string, cache: FileSystemDirectoryHandle | null): Promise<{ shard: T; downloaded: boolean; cached: boolean }> {
+  const cachedText = cache ? await readCached(cache, file) : null;
+  if (cachedText) {
+    try {
+      return { shard: JSON.parse(cachedText) as T, downloaded: false, cached: true };
+    } catch {
+      console.warn(`[SHARDS] Cached ${file} is corrupt, downloading it again`);
+    }
+  }
+
+  const response = await fetch(`${basePath}data/${file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch shard ${file}: ${response.status}`);
+  }
+  const text = await response.text();
+  const shard = JSON.parse(text) as T;
+  const cached = cache ? await writeCached(cache, file, text) : false;
+  return { shard, downloaded: true, cached };
+}
+
+// Like Promise.all over items.map(task), with at most `limit` tasks running at once
+async function mapConcurrent<T, R>(items: T[], limit: number, task: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export async function fetchShardManifest(): Promise<ShardManifest | null> {
+  const basePath = import.meta.env.BASE_URL || '/';
+  const response = await fetch(`${basePath}data/manifest.json`, { cache: 'no-cache' });
+  if (!response.ok) {
+    console.log(`[SHARDS] No shard manifest (${response.status}), using database.json`);
+    return null;
+  }
+  try {
+    // The dev server answers unknown paths with index.html
+    return await response.json() as ShardManifest;
+  } catch {
+    console.log('[SHARDS] Shard manifest is not valid JSON, using database.json');
+    return null;
+  }
+}
+
+// Shards the database already holds: run shard hashes by run id, and the shared shard's hash
+export interface LoadedShards {
+  runs: Record<string, string>;
+  shared: string | null;
+}
+
+/**
+ * Reads the shards of `manifest` that `loaded` doesn't already hold, from
+ * the OPFS cache or, for new and changed runs, the network. Downloads run
+ * concurrently. The result only holds the data of the shards read.
+ */
+export async function loadShards(
+  manifest: ShardManifest,
+  loaded: LoadedShards,
+  onProgress?: (progress: ShardProgress) => void
+): Promise<DatabaseExport> {
+  const basePath = import.meta.env.BASE_URL || '/';
+  const runs = manifest.runs.filter(run => loaded.runs[run.run_id] !== run.hash);
+  const readShared = loaded.shared !== manifest.shared.hash;
+  const total = runs.length + (readShared ? 1 : 0);
+
+  const cache = await openCache();
+  const inCache = new Set<string>();
+
+  let downloaded = 0;
+  let done = 0;
+  const read = async <T>(entry: ShardEntry): Promise<T> => {
+    const result = await loadShard<T>(basePath, entry.file, cache);
+    if (result.cached) inCache.add(cacheName(entry.file));
+    if (result.downloaded) downloaded++;
+    onProgress?.({ loaded: ++done, total, downloaded });
+    return result.shard;
+  };
+
+  const [shared, runShards] = await Promise.all([
+    readShared ? read<SharedShard>(manifest.shared) : null,
+    mapConcurrent(runs, MAX_CONCURRENT_DOWNLOADS, run => read<RunShard>(run))
+  ]);
+
+  if (cache) {
+    await pruneCache(cache, new Set([...manifest.runs, manifest.shared].map(entry => cacheName(entry.file))), inCache);
+  }
+
+  console.log(`[SHARDS] Read ${total} of ${manifest.runs.length + 1} shards, ${downloaded} downloaded, ${total - downloaded} from cache`);
+  return {
+    schema_version: manifest.schema_version ?? 1,
+    benchmark_runs: runShards.map(shard => shard.benchmark_run),
+    model_performance: runShards.flatMap(shard => shard.model_performance),
+    test_results: runShards.flatMap(shard => shard.test_results),
+    performance_trends: shared?.performance_trends ?? [],
+    baselines: shared?.baselines ?? []
+  };
+}
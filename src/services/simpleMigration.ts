@@ -4,6 +4,10 @@
  */
 
 import { jsonicService } from './jsonicService';
+import { deleteRunJsonic } from './jsonicApi';
+import { fetchShardManifest, loadShards, type LoadedShards, type ShardManifest } from './shardLoader';
+import { prepareDatabase, type DatabaseExport } from '../schema/databaseSchema';
+import type { BaselineRun } from '../types/benchmark';
 
 // Declare the extended database interface with insert_many
 interface ExtendedDatabase {
@@ -19,7 +23,56 @@ interface ExtendedDatabase {
   findOne(filter?: any): Promise<any>;
 }
 
-export async function performSimpleMigration(
+// Records which shards the in-memory database holds, so loading again
+// (a second mount, or a newer manifest) only inserts new and changed runs
+const SHARD_STATE_TYPE = 'shard_state';
+
+async function readLoadedShards(): Promise<LoadedShards | null> {
+  const state = await jsonicService.findOne({ _type: SHARD_STATE_TYPE });
+  return state ? { runs: state.runs || {}, shared: state.shared ?? null } : null;
+}
+
+async function writeLoadedShards(manifest: ShardManifest): Promise<void> {
+  await jsonicService.deleteMany({ _type: SHARD_STATE_TYPE });
+  await jsonicService.insert({
+    _type: SHARD_STATE_TYPE,
+    runs: Object.fromEntries(manifest.runs.map(run => [run.run_id, run.hash])),
+    shared: manifest.shared.hash
+  });
+}
+
+// Removes what changed shards loaded before; runs imported in the browser aren't in `loaded`
+async function dropStaleShards(manifest: ShardManifest, loaded: LoadedShards): Promise<void> {
+  const listed = new Map(manifest.runs.map(run => [run.run_id, run.hash]));
+  const stale = Object.entries(loaded.runs)
+    .filter(([runId, hash]) => listed.get(runId) !== hash)
+    .map(([runId]) => runId);
+  for (const runId of stale) {
+    await deleteRunJsonic(runId);
+  }
+  if (loaded.shared && loaded.shared !== manifest.shared.hash) {
+    await jsonicService.deleteMany({ _shard: loaded.shared });
+  }
+  if (stale.length > 0) {
+    console.log(`Replacing ${stale.length} changed or removed runs`);
+  }
+}
+
+// Concurrent calls (e.g. an effect run twice) share one load
+let migrationPromise: Promise<boolean> | null = null;
+
+export function performSimpleMigration(
+  onProgress?: Parameters<typeof migrate>[0]
+): Promise<boolean> {
+  if (!migrationPromise) {
+    migrationPromise = migrate(onProgress).finally(() => {
+      migrationPromise = null;
+    });
+  }
+  return migrationPromise;
+}
+
+async function migrate(
   onProgress?: (progress: any) => void
 ): Promise<boolean> {
   try {
@@ -35,20 +88,18 @@ export async function performSimpleMigration(
     });
 
     await jsonicService.initialize();
-    
-    // Check if data already exists
     const stats = await jsonicService.getStats();
-    if (stats && stats.document_count > 0) {
-      console.log(`Database already contains ${stats.document_count} documents, skipping migration`);
+    const skip = (message: string) => {
+      console.log(message);
       onProgress?.({
         phase: 'complete',
-        current: stats.document_count,
-        total: stats.document_count,
-        message: `Database ready with ${stats.document_count} documents`,
+        current: stats.documentCount,
+        total: stats.documentCount,
+        message: `Database ready with ${stats.documentCount} documents`,
         percentage: 100
       });
       return true;
-    }
+    };
 
     onProgress?.({
       phase: 'loading',
@@ -58,21 +109,67 @@ export async function performSimpleMigration(
       percentage: 10
     });
 
-    // Fetch the data
-    const basePath = import.meta.env.BASE_URL || '/';
-    const response = await fetch(`${basePath}data/database.json`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch database: ${response.status}`);
+    // Per-run shards when the build has them: only runs the database doesn't
+    // hold yet are read, and only those missing from the OPFS cache downloaded
+    const manifest = await fetchShardManifest().catch(error => {
+      console.warn('Shard manifest failed to load, falling back to database.json:', error);
+      return null;
+    });
+    const loaded = manifest ? await readLoadedShards() : null;
+
+    let rawData: unknown = null;
+    let shardTag: string | undefined;
+    if (manifest && (loaded || !(stats?.documentCount > 0))) {
+      const current = loaded ?? { runs: {}, shared: null };
+      rawData = await loadShards(manifest, current, ({ loaded: done, total, downloaded }) => {
+        onProgress?.({
+          phase: 'loading',
+          current: done,
+          total,
+          message: `Loading runs... (${done}/${total}, ${downloaded} downloaded)`,
+          percentage: 10 + (done / total) * 10
+        });
+      }).catch(error => {
+        console.warn('Sharded load failed, falling back to database.json:', error);
+        return null;
+      });
+      if (rawData) {
+        await dropStaleShards(manifest, current);
+        shardTag = manifest.shared.hash;
+      }
     }
 
-    const jsonData = await response.json();
+    if (!rawData) {
+      // Loaded before (from database.json, or by the worker migration)
+      if (stats?.documentCount > 0) {
+        return skip(`Database already contains ${stats.documentCount} documents, skipping migration`);
+      }
+
+      const basePath = import.meta.env.BASE_URL || '/';
+      const response = await fetch(`${basePath}data/database.json`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch database: ${response.status}`);
+      }
+
+      rawData = await response.json();
+    }
+
+    // Older exports are upgraded; one that still doesn't match the schema
+    // stops here instead of rendering as NaN
+    const prepared = prepareDatabase(rawData, 'benchmark data');
+    prepared.applied.forEach(migration => console.log(`Migrated ${migration}`));
+    if (prepared.warnings.length > 0) {
+      console.warn('Fields not in the database schema:', prepared.warnings);
+    }
+    const jsonData: DatabaseExport = prepared.data;
     
     const totalDocs = 
       (jsonData.benchmark_runs?.length || 0) +
       (jsonData.model_performance?.length || 0) +
       (jsonData.test_results?.length || 0) +
-      (jsonData.performance_trends?.length || 0);
+      (jsonData.performance_trends?.length || 0) +
+      (jsonData.baselines?.length || 0);
 
     console.log(`Loading ${totalDocs} documents into JSONIC using batch insert...`);
     
@@ -197,8 +294,15 @@ export async function performSimpleMigration(
       console.log(`Batch loaded ${testDocs.length} test results`);
     }
 
+    // Trends and the default baseline from the shared shard are tagged with its
+    // hash so a newer one can replace them. Trends recomputed in the browser and
+    // a baseline pinned by the user take precedence over the build's.
+    const sharedDoc = (type: string, doc: object, runId?: string) =>
+      shardTag ? { ...addMetadata(type, doc, runId), _shard: shardTag } : addMetadata(type, doc, runId);
+
     // Process performance trends using batch insert
-    if (jsonData.performance_trends && jsonData.performance_trends.length > 0) {
+    if (jsonData.performance_trends && jsonData.performance_trends.length > 0 &&
+        await jsonicService.count({ _type: 'performance_trend' }) === 0) {
       onProgress?.({
         phase: 'migrating',
         current: processed,
@@ -208,7 +312,7 @@ export async function performSimpleMigration(
       });
 
       const trendDocs = jsonData.performance_trends.map((trend: any) => 
-        addMetadata('performance_trend', trend)
+        sharedDoc('performance_trend', trend)
       );
       
       if (db.insert_many) {
@@ -227,6 +331,22 @@ export async function performSimpleMigration(
       }
     }
 
+    // Default baseline embedded by scripts/build-database.js
+    if (jsonData.baselines && jsonData.baselines.length > 0 &&
+        await jsonicService.count({ _type: 'baseline' }) === 0) {
+      const baselineDocs = jsonData.baselines.map((baseline: BaselineRun) =>
+        sharedDoc('baseline', baseline, baseline.run_id)
+      );
+      const promises = baselineDocs.map((doc: Record<string, unknown>) => jsonicService.insert(doc));
+      await Promise.all(promises);
+      processed += baselineDocs.length;
+      console.log(`Loaded ${baselineDocs.length} baseline selection(s)`);
+    }
+
+    if (manifest && shardTag) {
+      await writeLoadedShards(manifest);
+    }
+
     // Verify the data
     const finalStats = await jsonicService.getStats();
     console.log('Migration complete. Final stats:', finalStats);
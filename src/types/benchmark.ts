@@ -7,7 +7,8 @@ export interface BenchmarkRun {
   total_runs: number;
   successful_runs: number;
   failed_runs: number;
-  metadata?: string;
+  // Benchmark config; a JSON string or an object depending on the exporter (see parseRunMetadata)
+  metadata?: string | RunMetadata;
 }
 
 export interface ModelPerformance {
@@ -27,6 +28,11 @@ export interface ModelPerformance {
   avg_tokens_per_second: number;
   total_tokens_generated: number;
   avg_quality_score: number;
+  // LLM-judge sub-scores (0..1); null or 0 when the run had no evaluator
+  avg_accuracy_score?: number | null;
+  avg_relevance_score?: number | null;
+  avg_completeness_score?: number | null;
+  avg_coherence_score?: number | null;
   total_cost_usd: number;
   avg_cost_per_test: number;
   cost_per_1k_tokens: number;
@@ -47,6 +53,16 @@ export interface TestResult {
   tokens_generated: number;
   tokens_per_second: number;
   quality_score?: number;
+  // LLM-judge sub-scores (0..1)
+  accuracy_score?: number | null;
+  relevance_score?: number | null;
+  completeness_score?: number | null;
+  coherence_score?: number | null;
+  // Validation checks configured per prompt (ExpectedKeywords, ExpectedPatterns, MinLength, FormatCheck)
+  passed_keywords?: boolean | null;
+  passed_patterns?: boolean | null;
+  passed_length?: boolean | null;
+  passed_format?: boolean | null;
   success: boolean;
   error_message?: string;
   response?: string;
@@ -62,6 +78,14 @@ export interface PerformanceTrend {
   previous_value?: number;
   change_percentage?: number;
   is_regression: boolean;
+  // Set by the client-side regression engine (src/utils/regressionEngine.ts)
+  run_id?: string;
+  category?: string | null;
+  prompt_id?: string | null;
+  is_improvement?: boolean;
+  baseline_type?: 'previous' | 'rolling_median' | 'pinned';
+  baseline_run_ids?: string[];
+  threshold_percentage?: number;
 }
 
 export interface CategoryPerformance {
@@ -72,4 +96,69 @@ export interface CategoryPerformance {
   avg_total_time_ms: number;
   success_rate: number;
   total_tests: number;
-}
\ No newline at end of file
+}
+export interface BaselineRun {
+  run_id: string;
+  label?: string;
+  pinned_at: string;
+  // 'build' when embedded by scripts/build-database.js, 'user' when pinned in the UI
+  source: 'build' | 'user';
+}
+
+// Prompt definition as recorded in a run's metadata (benchmark config)
+export interface RunPromptDefinition {
+  ID: string;
+  Text: string;
+  Category: string;
+  ExpectedKeywords: string[] | null;
+  ExpectedPatterns: string[] | null;
+  ExpectedAnswer: string;
+  MinLength: number;
+  MaxResponseTimeMs: number;
+  FormatCheck: string;
+}
+
+export interface RunTarget {
+  Provider: string;
+  Model: string;
+  Config?: Record<string, unknown>;
+}
+
+export interface RunMetadata {
+  Name: string;
+  Iterations: number;
+  Timeout?: number;
+  Prompts: RunPromptDefinition[];
+  Targets?: RunTarget[];
+  Evaluator?: Record<string, unknown> | null;
+  // Set on runs converted from another tool's results (src/import/importAdapters.js)
+  Source?: { format: string; file?: string; imported_at: string };
+}
+
+// Filters, sort, sparse fieldset and paging shared by the REST API (server.cjs)
+// and the JSONIC fetch functions, so both modes answer a query the same way
+export interface ListQuery {
+  // A list matches any of its values
+  provider?: string | string[];
+  model?: string | string[];
+  category?: string | string[];
+  prompt_id?: string | string[];
+  success?: boolean;
+  // Inclusive date range on the row's timestamp (recorded_at for trends)
+  // read as UTC when it has no offset
+  from?: string;
+  to?: string;
+  // Comma-separated fields, '-' prefix for descending, e.g. '-timestamp,model'
+  sort?: string;
+  fields?: string[];
+  limit?: number;
+  // Opaque, taken from Page.nextCursor (or the X-Next-Cursor header)
+  cursor?: string;
+}
+
+export interface Page<T> {
+  items: T[];
+  // Rows matching the filters, across all pages (X-Total-Count)
+  total: number;
+  nextCursor: string | null;
+}
@@ -0,0 +1,231 @@
+import type { BenchmarkRun, ModelPerformance, TestResult } from '../types/benchmark';
+import { groupBy, isScored, modelKey } from './statistics';
+import { runTimestamp } from './timeSeries';
+
+export interface ModelCostSummary {
+  key: string;
+  provider: string;
+  model: string;
+  totalCost: number;
+  tests: number;
+  successful: number;
+  costPerTest: number;
+  // null when no test succeeded
+  costPerSuccess: number | null;
+  costPer1kTokens: number;
+  // 0..100; null when the model was never scored
+  avgQuality: number | null;
+  costPerQualityPoint: number | null;
+  avgTotalTimeMs: number;
+  onFrontier: boolean;
+}
+
+export interface SpendPoint {
+  timestamp: number;
+  run_id: string;
+  run_name: string;
+  // Cumulative spend per provider, keyed by provider name
+  [provider: string]: number | string;
+}
+
+export interface ProjectionRow {
+  key: string;
+  provider: string;
+  model: string;
+  monthlyCost: number;
+  costPerRequest: number;
+  // Share of the mix (0..100) priced from the model's own results in that category
+  coverage: number;
+}
+
+/**
+ * Dollar amounts here are often fractions of a cent, which formatCost
+ * would render per 1K requests; this keeps the plain value readable.
+ */
+export function formatUsd(usd: number | null): string {
+  if (usd === null || !Number.isFinite(usd)) return '—';
+  if (usd === 0) return '$0';
+  if (usd >= 100) return `$${usd.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (usd >= 1) return `$${usd.toFixed(2)}`;
+  return `$${usd.toPrecision(2)}`;
+}
+
+/**
+ * Models that no other model beats on both cost per successful test and
+ * latency. Cost per success is used because failed tests are cheap, which
+ * would otherwise put unreliable models on the frontier. Models without any
+ * recorded cost are left out: their cost is unknown, not zero.
+ */
+export function paretoFrontier(summaries: ModelCostSummary[]): Set<string> {
+  const priced = summaries.filter(s => s.costPerSuccess && s.avgTotalTimeMs > 0);
+  return new Set(
+    priced
+      .filter(candidate => !priced.some(other =>
+        other.key !== candidate.key &&
+        other.costPerSuccess! <= candidate.costPerSuccess! &&
+        other.avgTotalTimeMs <= candidate.avgTotalTimeMs &&
+        (other.costPerSuccess! < candidate.costPerSuccess! || other.avgTotalTimeMs < candidate.avgTotalTimeMs)
+      ))
+      .map(s => s.key)
+  );
+}
+
+/**
+ * Cost figures per provider/model, summed over every run's model_performance.
+ */
+export function summarizeModelCosts(performance: ModelPerformance[]): ModelCostSummary[] {
+  const groups = groupBy(performance, perf => modelKey(perf.provider, perf.model));
+
+  const summaries = Array.from(groups.entries()).map(([key, rows]) => {
+    const tests = rows.reduce((acc, r) => acc + (r.total_tests || 0), 0);
+    const successful = rows.reduce((acc, r) => acc + (r.successful_tests || 0), 0);
+    const totalCost = rows.reduce((acc, r) => acc + (r.total_cost_usd || 0), 0);
+    const tokens = rows.reduce((acc, r) => acc + (r.total_tokens_generated || 0), 0);
+    // Quality is only averaged over runs that had an evaluator
+    const scored = rows.filter(r => isScored(r.avg_quality_score));
+    const scoredTests = scored.reduce((acc, r) => acc + r.total_tests, 0);
+    const avgQuality = scoredTests > 0
+      ? (scored.reduce((acc, r) => acc + r.avg_quality_score * r.total_tests, 0) / scoredTests) * 100
+      : null;
+    const costPerTest = tests > 0 ? totalCost / tests : 0;
+
+    return {
+      key,
+      provider: rows[0].provider,
+      model: rows[0].model,
+      totalCost,
+      tests,
+      successful,
+      costPerTest,
+      costPerSuccess: successful > 0 ? totalCost / successful : null,
+      costPer1kTokens: tokens > 0 ? (totalCost / tokens) * 1000 : 0,
+      avgQuality,
+      costPerQualityPoint: avgQuality ? costPerTest / avgQuality : null,
+      avgTotalTimeMs: tests > 0
+        ? rows.reduce((acc, r) => acc + (r.avg_total_time_ms || 0) * r.total_tests, 0) / tests
+        : 0,
+      onFrontier: false,
+    };
+  });
+
+  const frontier = paretoFrontier(summaries);
+  return summaries
+    .map(s => ({ ...s, onFrontier: frontier.has(s.key) }))
+    .sort((a, b) => (a.costPerSuccess ?? Infinity) - (b.costPerSuccess ?? Infinity));
+}
+
+/**
+ * Running total of spend per provider, one point per run (oldest first).
+ */
+export function buildCumulativeSpend(runs: BenchmarkRun[], performance: ModelPerformance[]): {
+  providers: string[];
+  points: SpendPoint[];
+} {
+  const providers = [...new Set(performance.map(p => p.provider))].sort();
+  const totals: Record<string, number> = Object.fromEntries(providers.map(p => [p, 0]));
+
+  const points = [...runs]
+    .sort((a, b) => runTimestamp(a) - runTimestamp(b))
+    .filter(run => performance.some(p => p.run_id === run.run_id))
+    .map(run => {
+      performance
+        .filter(p => p.run_id === run.run_id)
+        .forEach(p => {
+          totals[p.provider] += p.total_cost_usd || 0;
+        });
+      return {
+        timestamp: runTimestamp(run),
+        run_id: run.run_id,
+        run_name: run.name || run.run_id,
+        ...totals,
+      };
+    });
+
+  return { providers, points };
+}
+
+/**
+ * Average cost of one request per provider/model and category, from the
+ * raw results. The '*' entry holds the model's average over all categories.
+ */
+export function costByCategory(results: TestResult[]): Map<string, Record<string, number>> {
+  const sums = new Map<string, Record<string, { cost: number; count: number }>>();
+  results.forEach(result => {
+    const key = modelKey(result.provider, result.model);
+    if (!sums.has(key)) sums.set(key, {});
+    const byCategory = sums.get(key)!;
+    [result.category, '*'].forEach(category => {
+      if (!byCategory[category]) byCategory[category] = { cost: 0, count: 0 };
+      byCategory[category].cost += result.estimated_cost_usd || 0;
+      byCategory[category].count++;
+    });
+  });
+
+  const averages = new Map<string, Record<string, number>>();
+  sums.forEach((byCategory, key) => {
+    averages.set(key, Object.fromEntries(
+      Object.entries(byCategory).map(([category, { cost, count }]) => [category, cost / count])
+    ));
+  });
+  return averages;
+}
+
+/**
+ * Estimated monthly spend per model for a request volume split over
+ * categories. Categories a model was never tested on are priced at its
+ * overall average, which the coverage figure reports.
+ */
+export function projectMonthlySpend(
+  results: TestResult[],
+  monthlyRequests: number,
+  mix: Record<string, number>
+): ProjectionRow[] {
+  const weights = Object.entries(mix).filter(([, weight]) => weight > 0);
+  const totalWeight = weights.reduce((acc, [, weight]) => acc + weight, 0);
+  const models = new Map(results.map(r => [modelKey(r.provider, r.model), r]));
+
+  return Array.from(costByCategory(results).entries())
+    .filter(([, byCategory]) => byCategory['*'] > 0)
+    .map(([key, byCategory]) => {
+      let costPerRequest = byCategory['*'];
+      let coverage = 100;
+      if (totalWeight > 0) {
+        costPerRequest = 0;
+        coverage = 0;
+        weights.forEach(([category, weight]) => {
+          const share = weight / totalWeight;
+          const known = byCategory[category] !== undefined;
+          costPerRequest += share * (known ? byCategory[category] : byCategory['*']);
+          if (known) coverage += share * 100;
+        });
+      }
+      const sample = models.get(key)!;
+      return {
+        key,
+        provider: sample.provider,
+        model: sample.model,
+        costPerRequest,
+        monthlyCost: costPerRequest * monthlyRequests,
+        coverage,
+      };
+    })
+    .sort((a, b) => a.monthlyCost - b.monthlyCost);
+}
+
+// Mix is kept in the URL as "category:weight,category:weight"
+export function parseMix(value: string | null): Record<string, number> {
+  if (!value) return {};
+  return Object.fromEntries(
+    value.split(',')
+      .map(part => part.split(':'))
+      .filter(([category, weight]) => category && Number.isFinite(Number(weight)))
+      .map(([category, weight]) => [category, Math.max(0, Number(weight))])
+  );
+}
+
+export function serializeMix(mix: Record<string, number>): string {
+  return Object.entries(mix)
+    .filter(([, weight]) => weight > 0)
+    .map(([category, weight]) => `${category}:${weight}`)
+    .join(',');
+}
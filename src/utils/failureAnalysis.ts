@@ -0,0 +1,251 @@
+import type { BenchmarkRun, TestResult } from '../types/benchmark';
+import { groupBy, modelKey } from './statistics';
+import { runTimestamp } from './timeSeries';
+
+export type FailureCategory =
+  | 'timeout'
+  | 'rate_limit'
+  | 'server_error'
+  | 'network'
+  | 'content_filter'
+  | 'validation'
+  | 'auth'
+  | 'invalid_request'
+  | 'other';
+
+// Who a failure points at: the provider's service, the model's answer, or our own setup
+export type FailureKind = 'provider' | 'model' | 'config' | 'unknown';
+
+export const FAILURE_CATEGORIES: {
+  key: FailureCategory;
+  label: string;
+  kind: FailureKind;
+  color: string;
+}[] = [
+  { key: 'timeout', label: 'Timeout', kind: 'provider', color: '#f59e0b' },
+  { key: 'rate_limit', label: 'Rate limit', kind: 'provider', color: '#f97316' },
+  { key: 'server_error', label: '5xx / overloaded', kind: 'provider', color: '#ef4444' },
+  { key: 'network', label: 'Network', kind: 'provider', color: '#ec4899' },
+  { key: 'content_filter', label: 'Content filter', kind: 'model', color: '#8b5cf6' },
+  { key: 'validation', label: 'Validation', kind: 'model', color: '#3b82f6' },
+  { key: 'auth', label: 'Auth', kind: 'config', color: '#14b8a6' },
+  { key: 'invalid_request', label: 'Invalid request', kind: 'config', color: '#10b981' },
+  { key: 'other', label: 'Other', kind: 'unknown', color: '#9ca3af' },
+];
+
+export const FAILURE_KINDS: Record<FailureKind, string> = {
+  provider: 'Provider-side',
+  model: 'Model behaviour',
+  config: 'Configuration',
+  unknown: 'Unclassified',
+};
+
+// What precedes an HTTP status code in error messages: "status 503", "HTTP/1.1 503",
+// "Error code: 529", "status_code=429". A bare number (max_tokens 512, 400ms) is not one.
+const STATUS_PREFIX = String.raw`\b(?:status(?:[ _]?code)?|http(?:\/[\d.]+)?|code|error)\W{0,3}`;
+
+function statusCode(codes: string): RegExp {
+  return new RegExp(`${STATUS_PREFIX}(?:${codes})\\b`);
+}
+
+// Standalone numbers only, so model ids like claude-3-opus keep their digits
+const VARIABLE_NUMBER = new RegExp(String.raw`(?<![\w.-])(?<!${STATUS_PREFIX})\d+(\.\d+)?(ms|s)?(?![\w-])`, 'gi');
+
+// Checked in order against the lower-cased error message; the first match wins
+const CATEGORY_PATTERNS: [FailureCategory, RegExp[]][] = [
+  ['rate_limit', [statusCode('429'), /rate.?limit|too many requests|quota|resource.?exhausted/]],
+  ['timeout', [statusCode('408|504'), /timed? ?out|deadline exceeded/]],
+  ['server_error', [statusCode('5\\d\\d'), /overloaded|unavailable|internal (server )?error|bad gateway/]],
+  ['content_filter', [/content.?(filter|policy|management)|safety|blocked|recitation|moderation|flagged/]],
+  ['auth', [statusCode('401|403'), /unauthori[sz]ed|forbidden|api.?key|authenticat|permission/]],
+  ['invalid_request', [statusCode('400|404|422'), /invalid|not found|unsupported|unprocessable|context.?length|maximum context|bad request/]],
+  ['network', [/connection (refused|reset)|\beof\b|no such host|dns|network|tls|socket/]],
+];
+
+const CHECK_LABELS: [keyof TestResult, string][] = [
+  ['passed_keywords', 'keywords'],
+  ['passed_patterns', 'patterns'],
+  ['passed_length', 'length'],
+  ['passed_format', 'format'],
+];
+
+const MAX_MESSAGE_LENGTH = 200;
+
+export interface Failure {
+  result: TestResult;
+  category: FailureCategory;
+  // Normalized message the failure is clustered by
+  message: string;
+}
+
+export interface FailureCluster {
+  key: string;
+  category: FailureCategory;
+  message: string;
+  // One raw message from the cluster, before normalization
+  example: string;
+  count: number;
+  // Newest first
+  results: TestResult[];
+  models: { key: string; provider: string; model: string; count: number }[];
+  runs: { run_id: string; count: number }[];
+  firstSeen: string;
+  lastSeen: string;
+}
+
+export type FailureTimelinePoint = {
+  run_id: string;
+  run_name: string;
+  timestamp: number;
+  tests: number;
+} & Record<FailureCategory, number>;
+
+export interface ModelFailureRow {
+  key: string;
+  provider: string;
+  model: string;
+  tests: number;
+  failures: number;
+  counts: Record<FailureCategory, number>;
+}
+
+function emptyCounts(): Record<FailureCategory, number> {
+  return Object.fromEntries(FAILURE_CATEGORIES.map(c => [c.key, 0])) as Record<FailureCategory, number>;
+}
+
+// Validation checks a result didn't pass; unconfigured checks are null and don't count
+export function failedChecks(result: TestResult): string[] {
+  return CHECK_LABELS
+    .filter(([field]) => result[field] != null && !result[field])
+    .map(([, label]) => label);
+}
+
+/**
+ * Replaces the parts of an error message that differ between otherwise
+ * identical errors (URLs, request ids, counts, durations) with
+ * placeholders, so they cluster together. Numbers reported as an HTTP
+ * status code are kept.
+ */
+export function normalizeErrorMessage(message: string): string {
+  const normalized = message
+    .trim()
+    .replace(/https?:\/\/[^\s"']+/g, '<url>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+    .replace(/\b(req|msg|chatcmpl|resp)[-_][A-Za-z0-9]+/g, '<id>')
+    .replace(VARIABLE_NUMBER, '<n>')
+    .replace(/\s+/g, ' ');
+  return normalized.length > MAX_MESSAGE_LENGTH ? `${normalized.slice(0, MAX_MESSAGE_LENGTH)}…` : normalized;
+}
+
+export function categorizeError(message: string): FailureCategory {
+  const lower = message.toLowerCase();
+  return CATEGORY_PATTERNS.find(([, patterns]) => patterns.some(pattern => pattern.test(lower)))?.[0] ?? 'other';
+}
+
+/**
+ * Why a result counts as a failure, or null when it doesn't: failed tests
+ * by their error message, and successful tests that missed one of the
+ * prompt's validation checks as "validation".
+ */
+export function classifyFailure(result: TestResult): Failure | null {
+  if (!result.success) {
+    const message = result.error_message?.trim();
+    return message
+      ? { result, category: categorizeError(message), message: normalizeErrorMessage(message) }
+      : { result, category: 'other', message: 'No error message' };
+  }
+  const checks = failedChecks(result);
+  return checks.length > 0
+    ? { result, category: 'validation', message: `Failed checks: ${checks.join(', ')}` }
+    : null;
+}
+
+export function collectFailures(results: TestResult[]): Failure[] {
+  return results
+    .map(classifyFailure)
+    .filter((failure): failure is Failure => failure !== null);
+}
+
+function countBy<T>(items: T[], keyOf: (item: T) => string): Map<string, { item: T; count: number }> {
+  const counts = new Map<string, { item: T; count: number }>();
+  items.forEach(item => {
+    const key = keyOf(item);
+    const entry = counts.get(key);
+    if (entry) entry.count++;
+    else counts.set(key, { item, count: 1 });
+  });
+  return counts;
+}
+
+// Failures with the same category and normalized message, largest cluster first
+export function clusterFailures(failures: Failure[]): FailureCluster[] {
+  const groups = groupBy(failures, failure => `${failure.category}|${failure.message}`);
+
+  return Array.from(groups.entries())
+    .map(([key, group]) => {
+      const results = group
+        .map(f => f.result)
+        .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+      return {
+        key,
+        category: group[0].category,
+        message: group[0].message,
+        example: group[0].result.error_message || group[0].message,
+        count: group.length,
+        results,
+        models: Array.from(countBy(results, r => modelKey(r.provider, r.model)).entries())
+          .map(([modelId, { item, count }]) => ({ key: modelId, provider: item.provider, model: item.model, count }))
+          .sort((a, b) => b.count - a.count),
+        runs: Array.from(countBy(results, r => r.run_id).entries())
+          .map(([runId, { count }]) => ({ run_id: runId, count }))
+          .sort((a, b) => b.count - a.count),
+        firstSeen: results[results.length - 1].timestamp,
+        lastSeen: results[0].timestamp,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+// Failures per category in each run, oldest run first, for a stacked chart
+export function failureTimeline(runs: BenchmarkRun[], results: TestResult[]): FailureTimelinePoint[] {
+  const byRun = new Map<string, TestResult[]>();
+  results.forEach(result => {
+    if (!byRun.has(result.run_id)) byRun.set(result.run_id, []);
+    byRun.get(result.run_id)!.push(result);
+  });
+
+  return runs
+    .filter(run => byRun.has(run.run_id))
+    .map(run => {
+      const runResults = byRun.get(run.run_id)!;
+      const counts = emptyCounts();
+      collectFailures(runResults).forEach(f => counts[f.category]++);
+      return {
+        run_id: run.run_id,
+        run_name: run.name || run.run_id,
+        timestamp: runTimestamp(run),
+        tests: runResults.length,
+        ...counts,
+      };
+    })
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Failure counts per provider/model and category, most failures first
+export function failuresByModel(results: TestResult[]): ModelFailureRow[] {
+  const rows = new Map<string, ModelFailureRow>();
+  results.forEach(result => {
+    const key = modelKey(result.provider, result.model);
+    if (!rows.has(key)) {
+      rows.set(key, { key, provider: result.provider, model: result.model, tests: 0, failures: 0, counts: emptyCounts() });
+    }
+    const row = rows.get(key)!;
+    row.tests++;
+    const failure = classifyFailure(result);
+    if (failure) {
+      row.failures++;
+      row.counts[failure.category]++;
+    }
+  });
+  return Array.from(rows.values()).sort((a, b) => b.failures - a.failures || a.key.localeCompare(b.key));
+}
@@ -0,0 +1,199 @@
+import type { TestResult } from '../types/benchmark';
+import { groupBy, meanOrNull, meanScore, modelKey } from './statistics';
+
+export type LeaderboardMetric =
+  | 'ttft'
+  | 'total_time'
+  | 'throughput'
+  | 'success_rate'
+  | 'accuracy'
+  | 'relevance'
+  | 'completeness'
+  | 'coherence'
+  | 'cost';
+
+// Relative weight of each metric in the composite score; 0 leaves it out
+export type LeaderboardWeights = Record<LeaderboardMetric, number>;
+
+export interface WeightPreset {
+  name: string;
+  weights: LeaderboardWeights;
+  saved_at: string;
+  // Presets shipped with the dashboard can't be overwritten or deleted
+  builtIn?: boolean;
+}
+
+export const LEADERBOARD_METRICS: {
+  key: LeaderboardMetric;
+  label: string;
+  higherIsBetter: boolean;
+  format: 'duration' | 'rate' | 'percentage' | 'score' | 'currency';
+}[] = [
+  { key: 'ttft', label: 'TTFT', higherIsBetter: false, format: 'duration' },
+  { key: 'total_time', label: 'Total Time', higherIsBetter: false, format: 'duration' },
+  { key: 'throughput', label: 'Tokens/s', higherIsBetter: true, format: 'rate' },
+  { key: 'success_rate', label: 'Success Rate', higherIsBetter: true, format: 'percentage' },
+  { key: 'accuracy', label: 'Accuracy', higherIsBetter: true, format: 'score' },
+  { key: 'relevance', label: 'Relevance', higherIsBetter: true, format: 'score' },
+  { key: 'completeness', label: 'Completeness', higherIsBetter: true, format: 'score' },
+  { key: 'coherence', label: 'Coherence', higherIsBetter: true, format: 'score' },
+  { key: 'cost', label: 'Cost per Success', higherIsBetter: false, format: 'currency' },
+];
+
+function weights(values: Partial<LeaderboardWeights>): LeaderboardWeights {
+  return {
+    ttft: 0,
+    total_time: 0,
+    throughput: 0,
+    success_rate: 0,
+    accuracy: 0,
+    relevance: 0,
+    completeness: 0,
+    coherence: 0,
+    cost: 0,
+    ...values,
+  };
+}
+
+export const BUILT_IN_PRESETS: WeightPreset[] = [
+  {
+    name: 'Balanced',
+    weights: weights({
+      ttft: 1, total_time: 1, throughput: 1, success_rate: 1,
+      accuracy: 1, relevance: 1, completeness: 1, coherence: 1, cost: 1,
+    }),
+    saved_at: '',
+    builtIn: true,
+  },
+  {
+    name: 'Chatbot',
+    weights: weights({ ttft: 3, success_rate: 2, relevance: 2, coherence: 2, accuracy: 1, cost: 1 }),
+    saved_at: '',
+    builtIn: true,
+  },
+  {
+    name: 'Batch summarisation',
+    weights: weights({ throughput: 2, success_rate: 2, accuracy: 2, completeness: 2, cost: 3 }),
+    saved_at: '',
+    builtIn: true,
+  },
+];
+
+export interface LeaderboardEntry {
+  key: string;
+  provider: string;
+  model: string;
+  tests: number;
+  // Raw metric values; null when the model has no data for a metric (e.g. no judge scores)
+  metrics: Record<LeaderboardMetric, number | null>;
+  // 0..100 per metric, relative to the other models in the same ranking
+  normalized: Record<LeaderboardMetric, number | null>;
+  // Weighted mean of the normalized metrics, 0..100
+  score: number;
+  rank: number;
+  // Places gained since the previous run (negative when dropped); null for a new model
+  movement: number | null;
+}
+
+export interface CategoryLeaderboard {
+  category: string;
+  entries: LeaderboardEntry[];
+}
+
+function modelMetrics(results: TestResult[]): Record<LeaderboardMetric, number | null> {
+  const successful = results.filter(r => r.success);
+  // Spend on failed tests is part of what a success costs, like on the cost page;
+  // a model with no successes has no cost to rank instead of the cheapest one
+  const spent = results.reduce((acc, r) => acc + (r.estimated_cost_usd || 0), 0);
+  return {
+    ttft: meanOrNull(successful.map(r => r.time_to_first_token_ms || 0)),
+    total_time: meanOrNull(successful.map(r => r.total_time_ms || 0)),
+    throughput: meanOrNull(successful.map(r => r.tokens_per_second || 0)),
+    success_rate: (successful.length / results.length) * 100,
+    accuracy: meanScore(successful.map(r => r.accuracy_score)),
+    relevance: meanScore(successful.map(r => r.relevance_score)),
+    completeness: meanScore(successful.map(r => r.completeness_score)),
+    coherence: meanScore(successful.map(r => r.coherence_score)),
+    cost: successful.length > 0 ? spent / successful.length : null,
+  };
+}
+
+/**
+ * Ranks the models in `results` by a weighted composite score. Each metric
+ * is scaled to 0..100 across the ranked models (best = 100, worst = 0, all
+ * equal = 100), then averaged with the given weights. A metric a model has
+ * no data for is left out of that model's average instead of counting as 0.
+ */
+export function rankModels(results: TestResult[], weights: LeaderboardWeights): LeaderboardEntry[] {
+  const groups = groupBy(results, result => modelKey(result.provider, result.model));
+
+  const entries = Array.from(groups.entries()).map(([key, group]) => ({
+    key,
+    provider: group[0].provider,
+    model: group[0].model,
+    tests: group.length,
+    metrics: modelMetrics(group),
+  }));
+
+  const ranges = new Map(LEADERBOARD_METRICS.map(({ key }) => {
+    const values = entries.map(e => e.metrics[key]).filter((v): v is number => v !== null);
+    return [key, { min: Math.min(...values), max: Math.max(...values) }];
+  }));
+
+  return entries
+    .map(entry => {
+      const normalized = {} as Record<LeaderboardMetric, number | null>;
+      let weighted = 0;
+      let totalWeight = 0;
+      LEADERBOARD_METRICS.forEach(({ key, higherIsBetter }) => {
+        const value = entry.metrics[key];
+        if (value === null) {
+          normalized[key] = null;
+          return;
+        }
+        const { min, max } = ranges.get(key)!;
+        const scaled = max > min ? ((value - min) / (max - min)) * 100 : 100;
+        normalized[key] = higherIsBetter ? scaled : 100 - scaled;
+        weighted += normalized[key]! * weights[key];
+        totalWeight += weights[key];
+      });
+      return {
+        ...entry,
+        normalized,
+        score: totalWeight > 0 ? weighted / totalWeight : 0,
+        rank: 0,
+        movement: null,
+      };
+    })
+    // Ties go to the model with more tests, then alphabetically
+    .sort((a, b) => b.score - a.score || b.tests - a.tests || a.key.localeCompare(b.key))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+// Fills in the rank movement against the same ranking of an earlier run
+export function withMovement(current: LeaderboardEntry[], previous: LeaderboardEntry[]): LeaderboardEntry[] {
+  const previousRanks = new Map(previous.map(entry => [entry.key, entry.rank]));
+  return current.map(entry => {
+    const before = previousRanks.get(entry.key);
+    return { ...entry, movement: before === undefined ? null : before - entry.rank };
+  });
+}
+
+/**
+ * The same ranking within each category. With `previousResults` every
+ * entry also gets its movement within the category since that run.
+ */
+export function rankModelsByCategory(
+  results: TestResult[],
+  weights: LeaderboardWeights,
+  previousResults: TestResult[] = []
+): CategoryLeaderboard[] {
+  const categories = [...new Set(results.map(r => r.category))].sort();
+  return categories.map(category => ({
+    category,
+    entries: withMovement(
+      rankModels(results.filter(r => r.category === category), weights),
+      rankModels(previousResults.filter(r => r.category === category), weights)
+    ),
+  }));
+}
@@ -0,0 +1,192 @@
+import type { ListQuery, Page } from '../types/benchmark';
+
+// In-memory counterpart of the query-string handling in server.cjs; keep the two in step
+
+export type ListFilter = 'provider' | 'model' | 'category' | 'prompt_id' | 'success';
+
+export interface ListQueryOptions {
+  // Filters the collection has fields for; any other filter is rejected
+  filters: ListFilter[];
+  // Field the from/to range applies to
+  timeField?: string;
+  // Used when the query has no sort, in the same syntax
+  defaultSort?: string;
+  // Fields that together identify a row, the tie-breaker of every sort
+  key: string[];
+}
+
+export const MAX_PAGE_SIZE = 1000;
+
+export class ListQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ListQueryError';
+  }
+}
+
+type CursorValue = string | number | null;
+
+// The cursor holds the sort values of the last row sent, key included,
+// base64url-encoded like the server does. The next page starts after that
+// row, so rows added while a client pages don't shift the page boundaries.
+export function encodeCursor(values: CursorValue[]): string {
+  const bytes = new TextEncoder().encode(JSON.stringify({ k: values }));
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join('')).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeCursor(cursor: string): CursorValue[] {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const { k } = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    if (Array.isArray(k) && k.every(v => v === null || ['number', 'string'].includes(typeof v))) return k;
+  } catch {
+    // Reported below
+  }
+  throw new ListQueryError('Invalid cursor');
+}
+
+// Timestamps without an offset are UTC, as SQLite's julianday() reads them on
+// the server; Date.parse would take them as local time
+const OFFSET_LESS = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)$/;
+
+export function parseTimestamp(value: unknown): number {
+  if (value === null || value === undefined) return NaN;
+  const text = String(value).trim();
+  const offsetLess = OFFSET_LESS.exec(text);
+  return Date.parse(offsetLess ? `${offsetLess[1]}T${offsetLess[2]}Z` : text);
+}
+
+function asList(value: string | string[]): string[] {
+  return (Array.isArray(value) ? value : value.split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function fieldOf(row: object, field: string): unknown {
+  return (row as Record<string, unknown>)[field];
+}
+
+// Same order as SQLite: missing values first, then numbers, then text
+function compareValues(a: unknown, b: unknown): number {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? -1 : 1;
+  if (typeof a === 'boolean') a = a ? 1 : 0;
+  if (typeof b === 'boolean') b = b ? 1 : 0;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+// A row's sort value as the cursor stores it, booleans as SQLite's 0/1
+function cursorValue(value: unknown): CursorValue {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return typeof value === 'number' ? value : String(value);
+}
+
+/**
+ * Applies filters, sort, sparse fieldset and paging to rows already in
+ * memory. Without a limit every matching row is returned in one page.
+ */
+export function applyListQuery<T extends object>(
+  rows: T[],
+  query: ListQuery = {},
+  options: ListQueryOptions
+): Page<T> {
+  const known = rows.length > 0 ? new Set(Object.keys(rows[0])) : null;
+  const checkField = (field: string, message: string) => {
+    if (known && !known.has(field)) throw new ListQueryError(`${message} "${field}"`);
+  };
+
+  let matching = rows;
+
+  (['provider', 'model', 'category', 'prompt_id'] as const).forEach(filter => {
+    const value = query[filter];
+    if (value === undefined) return;
+    if (!options.filters.includes(filter)) {
+      throw new ListQueryError(`Filter "${filter}" is not supported here`);
+    }
+    const allowed = new Set(asList(value));
+    matching = matching.filter(row => allowed.has(String(fieldOf(row, filter))));
+  });
+
+  if (query.success !== undefined) {
+    if (!options.filters.includes('success')) {
+      throw new ListQueryError('Filter "success" is not supported here');
+    }
+    matching = matching.filter(row => Boolean(fieldOf(row, 'success')) === query.success);
+  }
+
+  (['from', 'to'] as const).forEach(bound => {
+    const value = query[bound];
+    if (value === undefined) return;
+    if (!options.timeField) throw new ListQueryError(`Filter "${bound}" is not supported here`);
+    const limit = parseTimestamp(value);
+    if (Number.isNaN(limit)) throw new ListQueryError(`${bound} must be a date`);
+    const field = options.timeField;
+    matching = matching.filter(row => {
+      const time = parseTimestamp(fieldOf(row, field));
+      return bound === 'from' ? time >= limit : time <= limit;
+    });
+  });
+
+  const sortKeys = asList(query.sort || options.defaultSort || '').map(key => {
+    const descending = key.startsWith('-');
+    const field = descending ? key.slice(1) : key;
+    checkField(field, 'Cannot sort by');
+    return { field, descending };
+  });
+  // The key breaks ties, so a cursor points at exactly one row
+  const keys = [
+    ...sortKeys,
+    ...options.key
+      .filter(field => !sortKeys.some(key => key.field === field))
+      .map(field => ({ field, descending: false })),
+  ];
+  const compareKeys = (a: CursorValue[], b: CursorValue[]) => {
+    for (const [index, { descending }] of keys.entries()) {
+      const order = compareValues(a[index], b[index]);
+      if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+  };
+  // Time is sorted by value, since the exporter's timestamps carry different offsets
+  const sortValue = (row: T, field: string): CursorValue => {
+    if (field !== options.timeField) return cursorValue(fieldOf(row, field));
+    const time = parseTimestamp(fieldOf(row, field));
+    return Number.isNaN(time) ? null : time;
+  };
+  const sorted = matching
+    .map(row => ({ row, values: keys.map(({ field }) => sortValue(row, field)) }))
+    .sort((a, b) => compareKeys(a.values, b.values));
+
+  const limit = query.limit ?? matching.length;
+  if (query.limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+    throw new ListQueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  let start = 0;
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    if (after.length !== keys.length) throw new ListQueryError('Invalid cursor');
+    start = sorted.findIndex(entry => compareKeys(entry.values, after) > 0);
+    if (start === -1) start = sorted.length;
+  }
+  const page = sorted.slice(start, start + limit);
+  let items = page.map(entry => entry.row);
+
+  if (query.fields && query.fields.length > 0) {
+    const fields = query.fields;
+    fields.forEach(field => checkField(field, 'Unknown field'));
+    items = items.map(row =>
+      Object.fromEntries(fields.map(field => [field, fieldOf(row, field)])) as T
+    );
+  }
+
+  return {
+    items,
+    total: sorted.length,
+    nextCursor: start + page.length < sorted.length ? encodeCursor(page[page.length - 1].values) : null,
+  };
+}
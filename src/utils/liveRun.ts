@@ -0,0 +1,180 @@
+import type { BenchmarkRun, TestResult } from '../types/benchmark';
+import { parseRunMetadata } from './runMetadata';
+import { mean, modelKey } from './statistics';
+
+export type LiveRunStatus = 'running' | 'stalled' | 'complete';
+
+// An unfinished run that has produced no result for this long is shown as stalled
+export const STALLED_AFTER_MS = 10 * 60 * 1000;
+
+export interface LiveModel {
+  key: string;
+  provider: string;
+  model: string;
+}
+
+export interface LivePrompt {
+  id: string;
+  category: string;
+  text: string;
+}
+
+export interface LiveCell {
+  // Iterations the config asks for; null without run metadata
+  expected: number | null;
+  // Oldest first
+  results: TestResult[];
+  passed: number;
+}
+
+export interface LiveModelStats extends LiveModel {
+  expected: number | null;
+  completed: number;
+  passed: number;
+  successRate: number;
+  // Averaged over the successful tests, like the exporter does
+  avgTtftMs: number;
+  avgTokensPerSecond: number;
+}
+
+export interface LiveRunSummary {
+  status: LiveRunStatus;
+  // Tests the run will have once finished; null when the run has no metadata
+  expected: number | null;
+  completed: number;
+  passed: number;
+  successRate: number;
+  // 0..100; null when the expected total is unknown
+  progress: number | null;
+  startedAt: number | null;
+  lastResultAt: number | null;
+  // Estimated time until the last test lands; null until it can be estimated
+  etaMs: number | null;
+  prompts: LivePrompt[];
+  models: LiveModel[];
+  // Keyed by liveCellKey(promptId, modelKey)
+  cells: Map<string, LiveCell>;
+  modelStats: LiveModelStats[];
+}
+
+export function liveCellKey(promptId: string, key: string): string {
+  return `${promptId}|${key}`;
+}
+
+function resultTime(result: TestResult): number {
+  return new Date(result.timestamp).getTime();
+}
+
+/**
+ * Progress of a run from the results stored so far. benchmark_runs.total_runs
+ * only counts what has arrived while a run executes, so the expected total
+ * comes from the config in the run metadata: prompts × targets × iterations.
+ * `finished` is true once the run has model_performance rows, which are
+ * written when it completes.
+ */
+export function summarizeLiveRun(
+  run: BenchmarkRun,
+  results: TestResult[],
+  finished: boolean,
+  now: number = Date.now()
+): LiveRunSummary {
+  const metadata = parseRunMetadata(run.metadata);
+  const iterations = metadata?.Iterations || 1;
+  const ordered = [...results].sort((a, b) => resultTime(a) - resultTime(b) || a.id - b.id);
+
+  // Configured prompts and targets come first so pending cells show up
+  // before their first result
+  const prompts = new Map<string, LivePrompt>();
+  (metadata?.Prompts || []).forEach(p => prompts.set(p.ID, { id: p.ID, category: p.Category, text: p.Text }));
+  const models = new Map<string, LiveModel>();
+  (metadata?.Targets || []).forEach(t => {
+    const key = modelKey(t.Provider, t.Model);
+    models.set(key, { key, provider: t.Provider, model: t.Model });
+  });
+  const configured = prompts.size > 0 && models.size > 0;
+  ordered.forEach(r => {
+    if (!prompts.has(r.prompt_id)) {
+      prompts.set(r.prompt_id, { id: r.prompt_id, category: r.category, text: r.prompt_text });
+    }
+    const key = modelKey(r.provider, r.model);
+    if (!models.has(key)) models.set(key, { key, provider: r.provider, model: r.model });
+  });
+
+  const cells = new Map<string, LiveCell>();
+  prompts.forEach(prompt => {
+    models.forEach(model => {
+      cells.set(liveCellKey(prompt.id, model.key), {
+        expected: configured ? iterations : null,
+        results: [],
+        passed: 0,
+      });
+    });
+  });
+  ordered.forEach(r => {
+    const cell = cells.get(liveCellKey(r.prompt_id, modelKey(r.provider, r.model)))!;
+    cell.results.push(r);
+    if (r.success) cell.passed++;
+  });
+
+  const modelStats = Array.from(models.values()).map(model => {
+    const modelResults = ordered.filter(r => modelKey(r.provider, r.model) === model.key);
+    const successful = modelResults.filter(r => r.success);
+    return {
+      ...model,
+      expected: configured ? prompts.size * iterations : null,
+      completed: modelResults.length,
+      passed: successful.length,
+      successRate: modelResults.length > 0 ? (successful.length / modelResults.length) * 100 : 0,
+      avgTtftMs: mean(successful.map(r => r.time_to_first_token_ms || 0)),
+      avgTokensPerSecond: mean(successful.map(r => r.tokens_per_second || 0)),
+    };
+  });
+
+  const completed = ordered.length;
+  const passed = ordered.filter(r => r.success).length;
+  const expected = configured ? Math.max(prompts.size * models.size * iterations, completed) : null;
+  const startedAt = completed > 0 ? resultTime(ordered[0]) : null;
+  const lastResultAt = completed > 0 ? resultTime(ordered[completed - 1]) : null;
+
+  let status: LiveRunStatus;
+  if (finished || (expected !== null && completed >= expected)) {
+    status = 'complete';
+  } else if (lastResultAt !== null && now - lastResultAt > STALLED_AFTER_MS) {
+    status = 'stalled';
+  } else {
+    status = 'running';
+  }
+
+  // Average spacing between results so far, applied to the tests still to come
+  let etaMs: number | null = null;
+  if (status === 'complete') {
+    etaMs = 0;
+  } else if (expected !== null && completed > 1 && startedAt !== null && lastResultAt !== null) {
+    const msPerTest = (lastResultAt - startedAt) / (completed - 1);
+    etaMs = Math.max(0, lastResultAt + (expected - completed) * msPerTest - now);
+  }
+
+  return {
+    status,
+    expected,
+    completed,
+    passed,
+    successRate: completed > 0 ? (passed / completed) * 100 : 0,
+    progress: expected ? Math.min(100, (completed / expected) * 100) : null,
+    startedAt,
+    lastResultAt,
+    etaMs,
+    prompts: Array.from(prompts.values()),
+    models: Array.from(models.values()),
+    cells,
+    modelStats,
+  };
+}
+
+// Coarse wall-clock duration for ETAs, e.g. "4 min" or "1 h 20 min"
+export function formatRemaining(ms: number): string {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '< 1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
@@ -0,0 +1,128 @@
+// Minimal markdown parsing for model responses: fenced code, headings,
+// lists and paragraphs, with inline code, bold and italic.
+
+export type MarkdownBlock =
+  | { type: 'code'; language: string; content: string }
+  | { type: 'heading'; level: number; content: string }
+  | { type: 'list'; ordered: boolean; items: string[] }
+  | { type: 'paragraph'; content: string };
+
+export type InlineToken =
+  | { type: 'text'; content: string }
+  | { type: 'code'; content: string }
+  | { type: 'bold'; content: string }
+  | { type: 'italic'; content: string };
+
+const FENCE = /^```\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+export function parseMarkdownBlocks(text: string): MarkdownBlock[] {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks: MarkdownBlock[] = [];
+  let paragraph: string[] = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', content: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(FENCE);
+
+    if (fence) {
+      flushParagraph();
+      const content: string[] = [];
+      i++;
+      // An unterminated fence runs to the end, which is how truncated responses look
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        content.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', language: fence[1], content: content.join('\n') });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, content: heading[2] });
+      i++;
+      continue;
+    }
+
+    const unordered = UNORDERED_ITEM.test(line);
+    if (unordered || ORDERED_ITEM.test(line)) {
+      flushParagraph();
+      const pattern = unordered ? UNORDERED_ITEM : ORDERED_ITEM;
+      const items: string[] = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        items.push(lines[i].match(pattern)![1]);
+        i++;
+      }
+      blocks.push({ type: 'list', ordered: !unordered, items });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+    i++;
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+// Underscore emphasis is left out on purpose: it mangles snake_case identifiers
+const INLINE = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*\s][^*]*\*)/;
+
+export function parseInline(text: string): InlineToken[] {
+  return text
+    .split(INLINE)
+    .filter(part => part.length > 0)
+    .map((part): InlineToken => {
+      if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+        return { type: 'code', content: part.slice(1, -1) };
+      }
+      if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+        return { type: 'bold', content: part.slice(2, -2) };
+      }
+      if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+        return { type: 'italic', content: part.slice(1, -1) };
+      }
+      return { type: 'text', content: part };
+    });
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits text into pieces that do or don't match one of the keywords
+ * (case-insensitive), for highlighting expected keywords in responses.
+ */
+export function splitByKeywords(text: string, keywords: string[]): { text: string; match: boolean }[] {
+  const usable = keywords.filter(k => k.trim().length > 0);
+  if (usable.length === 0) return [{ text, match: false }];
+
+  // Longest first so overlapping keywords prefer the longer match
+  const pattern = new RegExp(
+    `(${[...usable].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`,
+    'gi'
+  );
+  const lowered = usable.map(k => k.toLowerCase());
+  return text
+    .split(pattern)
+    .filter(part => part.length > 0)
+    .map(part => ({ text: part, match: lowered.includes(part.toLowerCase()) }));
+}
@@ -0,0 +1,186 @@
+import type { ModelPerformance, TestResult } from '../types/benchmark';
+import { MODELS, PROVIDERS, type ModelDefinition } from '../config/models';
+import { isScored } from './statistics';
+
+export interface ResolvedModel {
+  // Canonical provider id, e.g. 'gemini' for 'google'
+  provider: string;
+  // Logical model id: the registry id, or the raw id without its snapshot suffix
+  id: string;
+  displayName: string;
+  family: string;
+  // The stripped suffix (date, version or 'latest'); null for an undated id
+  snapshot: string | null;
+  // null for models the registry doesn't know
+  definition: ModelDefinition | null;
+}
+
+// What to treat as one model when aggregating: every snapshot on its own,
+// all snapshots of the same model, or a whole family
+export type ModelGrouping = 'snapshot' | 'model' | 'family';
+
+export const MODEL_GROUPINGS: { key: ModelGrouping; label: string }[] = [
+  { key: 'snapshot', label: 'Snapshot' },
+  { key: 'model', label: 'Model' },
+  { key: 'family', label: 'Family' },
+];
+
+// Tried in order, first match wins: -20241022, @20241022, -2024-08-06, -latest, -001 / -0125
+const SNAPSHOT_PATTERNS = [/-(\d{8})$/, /@(\d{8})$/, /-(\d{4}-\d{2}-\d{2})$/, /-(latest)$/, /-(\d{3,4})$/];
+
+const providerIds = new Map<string, string>();
+PROVIDERS.forEach(provider => {
+  providerIds.set(provider.id, provider.id);
+  provider.aliases?.forEach(alias => providerIds.set(alias, provider.id));
+});
+
+const modelsById = new Map<string, ModelDefinition>();
+MODELS.forEach(model => {
+  modelsById.set(`${model.provider}/${model.id}`, model);
+  model.aliases?.forEach(alias => modelsById.set(`${model.provider}/${alias}`, model));
+});
+
+const resolved = new Map<string, ResolvedModel>();
+
+export function normalizeProvider(provider: string): string {
+  const lower = (provider || '').trim().toLowerCase();
+  return providerIds.get(lower) ?? lower;
+}
+
+export function providerDisplayName(provider: string): string {
+  const id = normalizeProvider(provider);
+  return PROVIDERS.find(p => p.id === id)?.displayName ?? provider;
+}
+
+// Splits a raw model id into its logical id and snapshot suffix
+export function stripSnapshot(model: string): { id: string; snapshot: string | null } {
+  for (const pattern of SNAPSHOT_PATTERNS) {
+    const match = model.match(pattern);
+    if (match) {
+      return { id: model.slice(0, match.index), snapshot: match[1] };
+    }
+  }
+  return { id: model, snapshot: null };
+}
+
+function lookup(provider: string, model: string): ModelDefinition | undefined {
+  const found = modelsById.get(`${provider}/${model}`);
+  if (found || provider) return found;
+  // Without a provider, accept a model id that's unique across providers
+  const matches = MODELS.filter(m => m.id === model || m.aliases?.includes(model));
+  return matches.length === 1 ? matches[0] : undefined;
+}
+
+/**
+ * Maps a raw provider/model pair from a benchmark run to its registry entry.
+ * Dated snapshots ("claude-3-5-sonnet-20241022", "gpt-4o-2024-08-06",
+ * "gemini-2.0-flash-001") resolve to the same logical model; ids the registry
+ * doesn't know fall back to the raw id without its snapshot suffix.
+ */
+export function resolveModel(provider: string, model: string): ResolvedModel {
+  const cacheKey = `${provider}/${model}`;
+  const cached = resolved.get(cacheKey);
+  if (cached) return cached;
+
+  const providerId = normalizeProvider(provider);
+  // Some exports prefix the id, e.g. "models/gemini-1.5-pro" or "openai/gpt-4o"
+  const raw = (model || '').trim().replace(/^.*\//, '');
+  const { id, snapshot } = stripSnapshot(raw);
+  const definition = lookup(providerId, raw) ?? lookup(providerId, id) ?? null;
+
+  const result: ResolvedModel = definition
+    ? {
+        provider: definition.provider,
+        id: definition.id,
+        displayName: definition.displayName,
+        family: definition.family,
+        snapshot: raw === definition.id || definition.aliases?.includes(raw) ? null : snapshot,
+        definition,
+      }
+    : { provider: providerId, id, displayName: id, family: id, snapshot, definition: null };
+
+  resolved.set(cacheKey, result);
+  return result;
+}
+
+export function modelDisplayName(provider: string, model: string): string {
+  return resolveModel(provider, model).displayName;
+}
+
+// Name of the group a model falls into, used as the model of aggregated rows
+export function groupModelName(provider: string, model: string, grouping: ModelGrouping): string {
+  if (grouping === 'snapshot') return model;
+  const entry = resolveModel(provider, model);
+  return grouping === 'family' ? entry.family : entry.id;
+}
+
+function weightedAverage(rows: ModelPerformance[], value: (row: ModelPerformance) => number | null | undefined): number | null {
+  let total = 0;
+  let weight = 0;
+  rows.forEach(row => {
+    const v = value(row);
+    if (isScored(v) && row.successful_tests > 0) {
+      total += v * row.successful_tests;
+      weight += row.successful_tests;
+    }
+  });
+  return weight > 0 ? total / weight : null;
+}
+
+function mergePerformance(rows: ModelPerformance[], model: string): ModelPerformance {
+  const total = rows.reduce((acc, r) => acc + r.total_tests, 0);
+  const successful = rows.reduce((acc, r) => acc + r.successful_tests, 0);
+  const tokens = rows.reduce((acc, r) => acc + (r.total_tokens_generated || 0), 0);
+  const cost = rows.reduce((acc, r) => acc + (r.total_cost_usd || 0), 0);
+  const withTtft = rows.filter(r => r.successful_tests > 0);
+
+  return {
+    ...rows[0],
+    model,
+    timestamp: rows.reduce((latest, r) =>
+      new Date(r.timestamp).getTime() > new Date(latest).getTime() ? r.timestamp : latest, rows[0].timestamp),
+    total_tests: total,
+    successful_tests: successful,
+    failed_tests: total - successful,
+    success_rate: total > 0 ? (successful / total) * 100 : 0,
+    avg_ttft_ms: weightedAverage(rows, r => r.avg_ttft_ms) ?? 0,
+    min_ttft_ms: withTtft.length > 0 ? Math.min(...withTtft.map(r => r.min_ttft_ms)) : 0,
+    max_ttft_ms: withTtft.length > 0 ? Math.max(...withTtft.map(r => r.max_ttft_ms)) : 0,
+    avg_total_time_ms: weightedAverage(rows, r => r.avg_total_time_ms) ?? 0,
+    avg_tokens_per_second: weightedAverage(rows, r => r.avg_tokens_per_second) ?? 0,
+    total_tokens_generated: tokens,
+    avg_quality_score: weightedAverage(rows, r => r.avg_quality_score) ?? 0,
+    avg_accuracy_score: weightedAverage(rows, r => r.avg_accuracy_score),
+    avg_relevance_score: weightedAverage(rows, r => r.avg_relevance_score),
+    avg_completeness_score: weightedAverage(rows, r => r.avg_completeness_score),
+    avg_coherence_score: weightedAverage(rows, r => r.avg_coherence_score),
+    total_cost_usd: cost,
+    avg_cost_per_test: total > 0 ? cost / total : 0,
+    cost_per_1k_tokens: tokens > 0 ? (cost / tokens) * 1000 : 0,
+  };
+}
+
+/**
+ * Merges ModelPerformance rows of the same run whose models fall into the
+ * same group, with `model` set to the group name. Per-run averages are
+ * weighted by each row's successful tests, so a snapshot that ran more
+ * tests counts for more; rows from different runs are never merged.
+ */
+export function groupModelPerformance(performance: ModelPerformance[], grouping: ModelGrouping): ModelPerformance[] {
+  if (grouping === 'snapshot') return performance;
+  const groups = new Map<string, { model: string; rows: ModelPerformance[] }>();
+  performance.forEach(row => {
+    const model = groupModelName(row.provider, row.model, grouping);
+    const key = `${row.run_id}|${normalizeProvider(row.provider)}|${model}`;
+    if (!groups.has(key)) groups.set(key, { model, rows: [] });
+    groups.get(key)!.rows.push(row);
+  });
+
+  return Array.from(groups.values()).map(({ model, rows }) => mergePerformance(rows, model));
+}
+
+// Relabels results with their group name, so anything keyed on provider/model pools the group
+export function groupTestResults(results: TestResult[], grouping: ModelGrouping): TestResult[] {
+  if (grouping === 'snapshot') return results;
+  return results.map(result => ({ ...result, model: groupModelName(result.provider, result.model, grouping) }));
+}
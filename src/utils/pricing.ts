@@ -0,0 +1,136 @@
+import type { ModelPerformance, TestResult } from '../types/benchmark';
+import { MODELS } from '../config/models';
+import { normalizeProvider, resolveModel } from './modelRegistry';
+import { modelKey } from './statistics';
+
+// One price of one model, in effect from `effective_from` until the next entry for the same model
+export interface PriceEntry {
+  provider: string;
+  // Logical model id, so every snapshot of a model shares its prices
+  model: string;
+  // USD per million tokens
+  input_per_mtok: number;
+  output_per_mtok: number;
+  // YYYY-MM-DD
+  effective_from: string;
+  note?: string;
+  // List prices from the model registry; a user entry for the same model and date replaces one
+  builtIn?: boolean;
+}
+
+// Recorded: what the runner wrote. Current: today's prices. Run time: the prices in effect when each test ran
+export type CostMode = 'recorded' | 'current' | 'run_time';
+
+export const COST_MODES: { key: CostMode; label: string; description: string }[] = [
+  { key: 'recorded', label: 'As recorded', description: 'Costs as estimated by the runner at run time' },
+  { key: 'current', label: "Today's prices", description: 'Every run recomputed with the prices in effect today' },
+  { key: 'run_time', label: 'Prices at run time', description: 'Every run recomputed with the prices in effect on its date' },
+];
+
+// Results only carry output tokens; the prompt is estimated at ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+export function priceEntryKey(entry: Pick<PriceEntry, 'provider' | 'model' | 'effective_from'>): string {
+  return `${modelKey(entry.provider, entry.model)}@${entry.effective_from}`;
+}
+
+// The registry's list price of every known model, taken to apply since its release
+export function registryPrices(): PriceEntry[] {
+  return MODELS
+    .filter(model => model.pricing)
+    .map(model => ({
+      provider: model.provider,
+      model: model.id,
+      input_per_mtok: model.pricing!.input,
+      output_per_mtok: model.pricing!.output,
+      effective_from: model.releaseDate,
+      note: 'List price',
+      builtIn: true,
+    }));
+}
+
+// User entries override built-in ones for the same model and date; sorted by model, newest price first
+export function mergePriceList(builtIn: PriceEntry[], user: PriceEntry[]): PriceEntry[] {
+  const entries = new Map<string, PriceEntry>();
+  [...builtIn, ...user].forEach(entry => entries.set(priceEntryKey(entry), entry));
+  return Array.from(entries.values()).sort((a, b) =>
+    a.provider.localeCompare(b.provider) ||
+    a.model.localeCompare(b.model) ||
+    b.effective_from.localeCompare(a.effective_from)
+  );
+}
+
+/**
+ * The price of a model on a given day: the entry with the latest
+ * effective date on or before it. Snapshots and provider aliases resolve
+ * through the model registry, so "claude-3-5-sonnet-20241022" is priced
+ * by the "claude-3-5-sonnet" entries. Null when no entry applies yet.
+ */
+export function findPrice(prices: PriceEntry[], provider: string, model: string, at: string): PriceEntry | null {
+  const { provider: providerId, id } = resolveModel(provider, model);
+  const day = at.slice(0, 10);
+  return prices
+    .filter(p => normalizeProvider(p.provider) === providerId && p.model === id && p.effective_from <= day)
+    .reduce<PriceEntry | null>((latest, p) => (!latest || p.effective_from > latest.effective_from ? p : latest), null);
+}
+
+export function estimateInputTokens(result: TestResult): number {
+  return Math.ceil((result.prompt_text || '').length / CHARS_PER_TOKEN);
+}
+
+// A request that produced no output most likely failed before the prompt was billed
+export function costOf(result: TestResult, price: PriceEntry): number {
+  const output = result.tokens_generated || 0;
+  if (output === 0) return 0;
+  return (estimateInputTokens(result) * price.input_per_mtok + output * price.output_per_mtok) / 1_000_000;
+}
+
+export interface RepricedResults {
+  results: TestResult[];
+  // provider/model keys without an applicable price; their recorded cost is kept
+  unpriced: string[];
+}
+
+export function repriceResults(
+  results: TestResult[],
+  prices: PriceEntry[],
+  mode: CostMode,
+  today: string = new Date().toISOString()
+): RepricedResults {
+  if (mode === 'recorded') return { results, unpriced: [] };
+
+  const unpriced = new Set<string>();
+  const repriced = results.map(result => {
+    const price = findPrice(prices, result.provider, result.model, mode === 'current' ? today : result.timestamp);
+    if (!price) {
+      unpriced.add(modelKey(result.provider, result.model));
+      return result;
+    }
+    return { ...result, estimated_cost_usd: costOf(result, price) };
+  });
+  return { results: repriced, unpriced: [...unpriced].sort() };
+}
+
+/**
+ * Replaces the cost columns of ModelPerformance rows with the sum of the
+ * given (repriced) results of the same run and model. Rows without any
+ * matching results keep their recorded cost.
+ */
+export function repricePerformance(performance: ModelPerformance[], results: TestResult[]): ModelPerformance[] {
+  const costs = new Map<string, number>();
+  results.forEach(result => {
+    const key = `${result.run_id}|${modelKey(result.provider, result.model)}`;
+    costs.set(key, (costs.get(key) || 0) + (result.estimated_cost_usd || 0));
+  });
+
+  return performance.map(row => {
+    const cost = costs.get(`${row.run_id}|${modelKey(row.provider, row.model)}`);
+    if (cost === undefined) return row;
+    return {
+      ...row,
+      total_cost_usd: cost,
+      avg_cost_per_test: row.total_tests > 0 ? cost / row.total_tests : 0,
+      cost_per_1k_tokens: row.total_tokens_generated > 0 ? (cost / row.total_tokens_generated) * 1000 : 0,
+    };
+  });
+}
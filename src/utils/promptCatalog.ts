@@ -0,0 +1,228 @@
+import type { BenchmarkRun, RunPromptDefinition, TestResult } from '../types/benchmark';
+import { groupBy, mean, meanScore, modelKey } from './statistics';
+import { parseRunMetadata } from './runMetadata';
+import { runTimestamp } from './timeSeries';
+
+export const DEFINITION_FIELDS: { key: keyof RunPromptDefinition; label: string }[] = [
+  { key: 'Text', label: 'Prompt' },
+  { key: 'Category', label: 'Category' },
+  { key: 'ExpectedKeywords', label: 'Expected keywords' },
+  { key: 'ExpectedPatterns', label: 'Expected patterns' },
+  { key: 'ExpectedAnswer', label: 'Expected answer' },
+  { key: 'MinLength', label: 'Minimum length' },
+  { key: 'MaxResponseTimeMs', label: 'Max response time' },
+  { key: 'FormatCheck', label: 'Format check' },
+];
+
+export interface DefinitionChange {
+  field: keyof RunPromptDefinition;
+  label: string;
+  before: string;
+  after: string;
+}
+
+export interface PromptVersion {
+  version: number;
+  definition: RunPromptDefinition;
+  // Runs that used this exact definition, oldest first
+  runIds: string[];
+  firstSeen: string;
+  // Differences from the previous version; empty for the first one
+  changes: DefinitionChange[];
+  // True when the run metadata had no definition and it was rebuilt from results
+  inferred: boolean;
+}
+
+export interface PromptRunStats {
+  run_id: string;
+  run_name: string;
+  timestamp: string;
+  version: number;
+  total: number;
+  passed: number;
+  passRate: number;
+}
+
+export interface PromptLeaderboardEntry {
+  key: string;
+  provider: string;
+  model: string;
+  total: number;
+  passed: number;
+  passRate: number;
+  avgTtftMs: number;
+  avgQuality: number | null;
+  runs: number;
+}
+
+export interface CatalogPrompt {
+  id: string;
+  category: string;
+  text: string;
+  versions: PromptVersion[];
+  history: PromptRunStats[];
+  leaderboard: PromptLeaderboardEntry[];
+  totalTests: number;
+  passRate: number;
+  lastUsed: string;
+}
+
+export function formatDefinitionValue(field: keyof RunPromptDefinition, value: unknown): string {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (field === 'MaxResponseTimeMs' && typeof value === 'number') {
+    return value > 0 ? `${(value / 1000).toFixed(1)}s` : '—';
+  }
+  if (field === 'MinLength' && value === 0) return '—';
+  return String(value);
+}
+
+// Compares on the formatted values, so null and [] keywords count as the same
+export function diffPromptDefinitions(
+  before: RunPromptDefinition,
+  after: RunPromptDefinition
+): DefinitionChange[] {
+  return DEFINITION_FIELDS
+    .map(({ key, label }) => ({
+      field: key,
+      label,
+      before: formatDefinitionValue(key, before[key]),
+      after: formatDefinitionValue(key, after[key]),
+    }))
+    .filter(change => change.before !== change.after);
+}
+
+function inferDefinition(result: TestResult): RunPromptDefinition {
+  return {
+    ID: result.prompt_id,
+    Text: result.prompt_text,
+    Category: result.category,
+    ExpectedKeywords: null,
+    ExpectedPatterns: null,
+    ExpectedAnswer: '',
+    MinLength: 0,
+    MaxResponseTimeMs: 0,
+    FormatCheck: '',
+  };
+}
+
+function buildLeaderboard(results: TestResult[]): PromptLeaderboardEntry[] {
+  const byModel = groupBy(results, result => modelKey(result.provider, result.model));
+
+  return Array.from(byModel.entries())
+    .map(([key, modelResults]) => {
+      const passed = modelResults.filter(r => r.success).length;
+      const successful = modelResults.filter(r => r.success);
+      const quality = meanScore(modelResults.map(r => r.quality_score));
+      return {
+        key,
+        provider: modelResults[0].provider,
+        model: modelResults[0].model,
+        total: modelResults.length,
+        passed,
+        passRate: (passed / modelResults.length) * 100,
+        avgTtftMs: mean(successful.map(r => r.time_to_first_token_ms || 0)),
+        avgQuality: quality !== null ? quality * 100 : null,
+        runs: new Set(modelResults.map(r => r.run_id)).size,
+      };
+    })
+    // Pass rate first; among equals the faster model ranks higher
+    .sort((a, b) =>
+      b.passRate - a.passRate ||
+      (b.avgQuality ?? 0) - (a.avgQuality ?? 0) ||
+      (a.avgTtftMs || Infinity) - (b.avgTtftMs || Infinity)
+    );
+}
+
+/**
+ * Every prompt that appears in any run, with the history of its definition
+ * (from the run metadata), its pass rate per run and a per-model leaderboard.
+ */
+export function buildPromptCatalog(runs: BenchmarkRun[], results: TestResult[]): CatalogPrompt[] {
+  const orderedRuns = [...runs].sort((a, b) => runTimestamp(a) - runTimestamp(b));
+  const resultsByPrompt = new Map<string, TestResult[]>();
+  results.forEach(result => {
+    if (!resultsByPrompt.has(result.prompt_id)) resultsByPrompt.set(result.prompt_id, []);
+    resultsByPrompt.get(result.prompt_id)!.push(result);
+  });
+
+  const versionsByPrompt = new Map<string, PromptVersion[]>();
+  const versionByRun = new Map<string, number>();
+
+  orderedRuns.forEach(run => {
+    const definitions = new Map(
+      (parseRunMetadata(run.metadata)?.Prompts || []).map(p => [p.ID, { definition: p, inferred: false }])
+    );
+    // Prompts with results but no recorded definition
+    results
+      .filter(r => r.run_id === run.run_id && !definitions.has(r.prompt_id))
+      .forEach(r => definitions.set(r.prompt_id, { definition: inferDefinition(r), inferred: true }));
+
+    definitions.forEach(({ definition, inferred }, promptId) => {
+      const versions = versionsByPrompt.get(promptId) || [];
+      const current = versions[versions.length - 1];
+      const changes = current ? diffPromptDefinitions(current.definition, definition) : [];
+
+      // An inferred definition only knows the text, so it can't tell other changes apart
+      const relevantChanges = current && (inferred || current.inferred)
+        ? changes.filter(c => c.field === 'Text' || c.field === 'Category')
+        : changes;
+
+      if (!current || relevantChanges.length > 0) {
+        versions.push({
+          version: versions.length + 1,
+          definition,
+          runIds: [run.run_id],
+          firstSeen: run.timestamp,
+          changes: relevantChanges,
+          inferred,
+        });
+      } else {
+        current.runIds.push(run.run_id);
+        if (current.inferred && !inferred) {
+          current.definition = definition;
+          current.inferred = false;
+        }
+      }
+      versionsByPrompt.set(promptId, versions);
+      versionByRun.set(`${run.run_id}:${promptId}`, versions[versions.length - 1].version);
+    });
+  });
+
+  return Array.from(versionsByPrompt.entries())
+    .map(([id, versions]) => {
+      const promptResults = resultsByPrompt.get(id) || [];
+      const latest = versions[versions.length - 1];
+
+      const history = orderedRuns
+        .map(run => {
+          const runResults = promptResults.filter(r => r.run_id === run.run_id);
+          const passed = runResults.filter(r => r.success).length;
+          return {
+            run_id: run.run_id,
+            run_name: run.name || run.run_id,
+            timestamp: run.timestamp,
+            version: versionByRun.get(`${run.run_id}:${id}`) || latest.version,
+            total: runResults.length,
+            passed,
+            passRate: runResults.length > 0 ? (passed / runResults.length) * 100 : 0,
+          };
+        })
+        .filter(stats => stats.total > 0);
+
+      const passed = promptResults.filter(r => r.success).length;
+      const lastRun = latest.runIds[latest.runIds.length - 1];
+      return {
+        id,
+        category: latest.definition.Category,
+        text: latest.definition.Text,
+        versions,
+        history,
+        leaderboard: buildLeaderboard(promptResults),
+        totalTests: promptResults.length,
+        passRate: promptResults.length > 0 ? (passed / promptResults.length) * 100 : 0,
+        lastUsed: orderedRuns.find(run => run.run_id === lastRun)?.timestamp || latest.firstSeen,
+      };
+    })
+    .sort((a, b) => a.category.localeCompare(b.category) || a.id.localeCompare(b.id));
+}
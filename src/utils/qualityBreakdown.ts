@@ -0,0 +1,148 @@
+import type { BenchmarkRun, ModelPerformance, TestResult } from '../types/benchmark';
+import { isScored, meanScore, modelKey } from './statistics';
+import { findPromptDefinition } from './runMetadata';
+
+export type QualityDimension = 'accuracy' | 'relevance' | 'completeness' | 'coherence';
+export type ValidationCheck = 'passed_keywords' | 'passed_patterns' | 'passed_length' | 'passed_format';
+
+export const QUALITY_DIMENSIONS: {
+  key: QualityDimension;
+  label: string;
+  resultField: keyof TestResult;
+  performanceField: keyof ModelPerformance;
+}[] = [
+  { key: 'accuracy', label: 'Accuracy', resultField: 'accuracy_score', performanceField: 'avg_accuracy_score' },
+  { key: 'relevance', label: 'Relevance', resultField: 'relevance_score', performanceField: 'avg_relevance_score' },
+  { key: 'completeness', label: 'Completeness', resultField: 'completeness_score', performanceField: 'avg_completeness_score' },
+  { key: 'coherence', label: 'Coherence', resultField: 'coherence_score', performanceField: 'avg_coherence_score' },
+];
+
+export const VALIDATION_CHECKS: { key: ValidationCheck; label: string; short: string }[] = [
+  { key: 'passed_keywords', label: 'Expected keywords', short: 'K' },
+  { key: 'passed_patterns', label: 'Expected patterns', short: 'P' },
+  { key: 'passed_length', label: 'Minimum length', short: 'L' },
+  { key: 'passed_format', label: 'Format check', short: 'F' },
+];
+
+export interface ModelQuality {
+  key: string;
+  provider: string;
+  model: string;
+  // Sub-scores as percentages (0..100); null when the model was not evaluated
+  scores: Record<QualityDimension, number | null>;
+  evaluated: boolean;
+}
+
+export interface CheckSummary {
+  passed: number;
+  total: number;
+  // False when the prompt definition doesn't configure this check
+  applicable: boolean;
+}
+
+export interface MatrixCell {
+  results: TestResult[];
+  checks: Record<ValidationCheck, CheckSummary>;
+}
+
+export interface MatrixRow {
+  prompt_id: string;
+  category: string;
+  cells: Record<string, MatrixCell>;
+}
+
+function score(value: unknown): number | null {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// The exporter writes 0 for every sub-score when no judge ran
+function hasScores(scores: Record<QualityDimension, number | null>): boolean {
+  return Object.values(scores).some(isScored);
+}
+
+/**
+ * Per-model sub-scores, taken from the model_performance averages and
+ * recomputed from the raw results when those are missing.
+ */
+export function computeModelQuality(performance: ModelPerformance[], results: TestResult[]): ModelQuality[] {
+  return performance.map(perf => {
+    const key = modelKey(perf.provider, perf.model);
+    const fromPerformance = {} as Record<QualityDimension, number | null>;
+    QUALITY_DIMENSIONS.forEach(d => {
+      fromPerformance[d.key] = score(perf[d.performanceField]);
+    });
+
+    let scores = fromPerformance;
+    if (!hasScores(fromPerformance)) {
+      const modelResults = results.filter(r => modelKey(r.provider, r.model) === key);
+      const fromResults = {} as Record<QualityDimension, number | null>;
+      QUALITY_DIMENSIONS.forEach(d => {
+        fromResults[d.key] = meanScore(modelResults.map(r => score(r[d.resultField])));
+      });
+      scores = fromResults;
+    }
+
+    const evaluated = hasScores(scores);
+    const percentages = {} as Record<QualityDimension, number | null>;
+    QUALITY_DIMENSIONS.forEach(d => {
+      const value = scores[d.key];
+      percentages[d.key] = evaluated && value !== null ? value * 100 : null;
+    });
+
+    return { key, provider: perf.provider, model: perf.model, scores: percentages, evaluated };
+  });
+}
+
+function isCheckConfigured(run: BenchmarkRun | undefined, promptId: string, check: ValidationCheck): boolean {
+  const definition = findPromptDefinition(run, promptId);
+  // Without the definition we can't tell, so the recorded result is shown
+  if (!definition) return true;
+
+  switch (check) {
+    case 'passed_keywords':
+      return (definition.ExpectedKeywords || []).length > 0;
+    case 'passed_patterns':
+      return (definition.ExpectedPatterns || []).length > 0;
+    case 'passed_length':
+      return definition.MinLength > 0;
+    case 'passed_format':
+      return !!definition.FormatCheck;
+  }
+}
+
+/**
+ * Prompt × model matrix of validation checks. Each cell counts how many
+ * iterations passed each check.
+ */
+export function buildValidationMatrix(results: TestResult[], run?: BenchmarkRun): MatrixRow[] {
+  const rows = new Map<string, MatrixRow>();
+
+  results.forEach(result => {
+    if (!rows.has(result.prompt_id)) {
+      rows.set(result.prompt_id, { prompt_id: result.prompt_id, category: result.category, cells: {} });
+    }
+    const row = rows.get(result.prompt_id)!;
+    const key = modelKey(result.provider, result.model);
+
+    if (!row.cells[key]) {
+      const checks = {} as Record<ValidationCheck, CheckSummary>;
+      VALIDATION_CHECKS.forEach(c => {
+        checks[c.key] = { passed: 0, total: 0, applicable: isCheckConfigured(run, result.prompt_id, c.key) };
+      });
+      row.cells[key] = { results: [], checks };
+    }
+
+    const cell = row.cells[key];
+    cell.results.push(result);
+    VALIDATION_CHECKS.forEach(c => {
+      const value = result[c.key];
+      if (typeof value !== 'boolean') return;
+      cell.checks[c.key].total++;
+      if (value) cell.checks[c.key].passed++;
+    });
+  });
+
+  return Array.from(rows.values()).sort((a, b) =>
+    a.category.localeCompare(b.category) || a.prompt_id.localeCompare(b.prompt_id)
+  );
+}
@@ -0,0 +1,238 @@
+import type { BenchmarkRun, PerformanceTrend, TestResult } from '../types/benchmark';
+import { meanOrNull, meanScore } from './statistics';
+
+export type TrendMetric =
+  | 'avg_ttft_ms'
+  | 'avg_total_time_ms'
+  | 'avg_tokens_per_second'
+  | 'success_rate'
+  | 'avg_quality_score'
+  | 'avg_cost_per_test';
+
+export type TrendScope = 'model' | 'category' | 'prompt';
+
+export type BaselineStrategy =
+  | { type: 'previous' }
+  | { type: 'rolling_median'; window: number }
+  | { type: 'pinned'; runId: string };
+
+export interface RegressionConfig {
+  baseline: BaselineStrategy;
+  // Minimum change in percent, in the "worse" direction, that counts as a regression
+  thresholds: Record<TrendMetric, number>;
+  scopes: TrendScope[];
+}
+
+export const TREND_METRICS: { metric: TrendMetric; label: string; higherIsBetter: boolean }[] = [
+  { metric: 'avg_ttft_ms', label: 'TTFT', higherIsBetter: false },
+  { metric: 'avg_total_time_ms', label: 'Total Time', higherIsBetter: false },
+  { metric: 'avg_tokens_per_second', label: 'Throughput', higherIsBetter: true },
+  { metric: 'success_rate', label: 'Success Rate', higherIsBetter: true },
+  { metric: 'avg_quality_score', label: 'Quality', higherIsBetter: true },
+  { metric: 'avg_cost_per_test', label: 'Cost per Test', higherIsBetter: false },
+];
+
+export const DEFAULT_REGRESSION_CONFIG: RegressionConfig = {
+  baseline: { type: 'previous' },
+  thresholds: {
+    avg_ttft_ms: 20,
+    avg_total_time_ms: 20,
+    avg_tokens_per_second: 15,
+    success_rate: 5,
+    avg_quality_score: 10,
+    avg_cost_per_test: 15,
+  },
+  scopes: ['model', 'category', 'prompt'],
+};
+
+interface GroupKey {
+  provider: string;
+  model: string;
+  category: string | null;
+  prompt_id: string | null;
+}
+
+type MetricValues = Partial<Record<TrendMetric, number | null>>;
+
+function median(values: number[]): number | undefined {
+  if (values.length === 0) return undefined;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function finite(value: number | null | undefined): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function metricValuesFromResults(results: TestResult[]): MetricValues {
+  const successful = results.filter(r => r.success);
+  const values: MetricValues = {
+    avg_ttft_ms: meanOrNull(successful.map(r => r.time_to_first_token_ms).filter(finite)),
+    avg_total_time_ms: meanOrNull(successful.map(r => r.total_time_ms).filter(finite)),
+    avg_tokens_per_second: meanOrNull(successful.map(r => r.tokens_per_second).filter(finite)),
+    success_rate: results.length > 0
+      ? (results.filter(r => r.success).length / results.length) * 100
+      : undefined,
+    avg_quality_score: meanScore(successful.map(r => r.quality_score)),
+    avg_cost_per_test: meanOrNull(results.map(r => r.estimated_cost_usd).filter(finite)),
+  };
+  return values;
+}
+
+function groupKeyFor(result: TestResult, scope: TrendScope): GroupKey {
+  return {
+    provider: result.provider,
+    model: result.model,
+    category: scope === 'category' ? result.category : null,
+    prompt_id: scope === 'prompt' ? result.prompt_id : null,
+  };
+}
+
+function serializeKey(key: GroupKey): string {
+  return [key.provider, key.model, key.category ?? '', key.prompt_id ?? ''].join('|');
+}
+
+function runTime(run: BenchmarkRun): number {
+  return new Date(run.timestamp).getTime();
+}
+
+/**
+ * Picks the baseline value for a group from the runs that precede it.
+ * `history` holds the group's values for earlier runs, oldest first.
+ */
+function resolveBaseline(
+  strategy: BaselineStrategy,
+  metric: TrendMetric,
+  history: { runId: string; values: MetricValues }[],
+  valuesByRun: Map<string, MetricValues>
+): { value: number; runIds: string[] } | null {
+  switch (strategy.type) {
+    case 'previous': {
+      for (let i = history.length - 1; i >= 0; i--) {
+        const value = history[i].values[metric];
+        if (finite(value)) return { value, runIds: [history[i].runId] };
+      }
+      return null;
+    }
+    case 'rolling_median': {
+      const window = history
+        .filter(entry => finite(entry.values[metric]))
+        .slice(-Math.max(1, strategy.window));
+      const value = median(window.map(entry => entry.values[metric] as number));
+      return value === undefined ? null : { value, runIds: window.map(entry => entry.runId) };
+    }
+    case 'pinned': {
+      const value = valuesByRun.get(strategy.runId)?.[metric];
+      return finite(value) ? { value, runIds: [strategy.runId] } : null;
+    }
+  }
+}
+
+export function describeBaseline(strategy: BaselineStrategy): string {
+  switch (strategy.type) {
+    case 'previous':
+      return 'previous run';
+    case 'rolling_median':
+      return `median of last ${strategy.window} runs`;
+    case 'pinned':
+      return `pinned run ${strategy.runId}`;
+  }
+}
+
+/**
+ * Derives performance trends for every run from the raw test results.
+ * Each provider/model (and, depending on the scopes, category or prompt)
+ * is compared against the configured baseline; a change in the worse
+ * direction larger than the metric threshold is flagged as a regression.
+ */
+export function computePerformanceTrends(
+  runs: BenchmarkRun[],
+  results: TestResult[],
+  config: RegressionConfig = DEFAULT_REGRESSION_CONFIG
+): PerformanceTrend[] {
+  const orderedRuns = [...runs].sort((a, b) => runTime(a) - runTime(b));
+  // Runs older than a pinned baseline are compared with their previous run instead,
+  // so nothing is reported as a regression against a later run
+  const { baseline: configured } = config;
+  const pinnedIndex = configured.type === 'pinned'
+    ? orderedRuns.findIndex(run => run.run_id === configured.runId)
+    : -1;
+  const resultsByRun = new Map<string, TestResult[]>();
+  results.forEach(result => {
+    if (!resultsByRun.has(result.run_id)) resultsByRun.set(result.run_id, []);
+    resultsByRun.get(result.run_id)!.push(result);
+  });
+
+  const trends: PerformanceTrend[] = [];
+
+  config.scopes.forEach(scope => {
+    // Per group: metric values for each run that contains it
+    const groups = new Map<string, { key: GroupKey; valuesByRun: Map<string, MetricValues> }>();
+
+    orderedRuns.forEach(run => {
+      const byGroup = new Map<string, { key: GroupKey; results: TestResult[] }>();
+      (resultsByRun.get(run.run_id) || []).forEach(result => {
+        const key = groupKeyFor(result, scope);
+        const serialized = serializeKey(key);
+        if (!byGroup.has(serialized)) byGroup.set(serialized, { key, results: [] });
+        byGroup.get(serialized)!.results.push(result);
+      });
+
+      byGroup.forEach(({ key, results: groupResults }, serialized) => {
+        if (!groups.has(serialized)) groups.set(serialized, { key, valuesByRun: new Map() });
+        groups.get(serialized)!.valuesByRun.set(run.run_id, metricValuesFromResults(groupResults));
+      });
+    });
+
+    groups.forEach(({ key, valuesByRun }) => {
+      const history: { runId: string; values: MetricValues }[] = [];
+
+      orderedRuns.forEach((run, runIndex) => {
+        const values = valuesByRun.get(run.run_id);
+        if (!values) return;
+
+        const isPinnedRun = runIndex === pinnedIndex;
+        const strategy: BaselineStrategy = runIndex < pinnedIndex ? { type: 'previous' } : configured;
+
+        TREND_METRICS.forEach(({ metric, higherIsBetter }) => {
+          const value = values[metric];
+          if (!finite(value) || isPinnedRun) return;
+
+          const baseline = resolveBaseline(strategy, metric, history, valuesByRun);
+          if (!baseline) return;
+
+          const change = value - baseline.value;
+          const changePercentage = baseline.value !== 0
+            ? (change / Math.abs(baseline.value)) * 100
+            : (change === 0 ? 0 : 100);
+          const worse = higherIsBetter ? change < 0 : change > 0;
+          const threshold = config.thresholds[metric];
+          const significant = Math.abs(changePercentage) >= threshold;
+
+          trends.push({
+            provider: key.provider,
+            model: key.model,
+            category: key.category,
+            prompt_id: key.prompt_id,
+            run_id: run.run_id,
+            metric_name: metric,
+            metric_value: value,
+            recorded_at: run.timestamp,
+            previous_value: baseline.value,
+            change_percentage: changePercentage,
+            is_regression: significant && worse,
+            is_improvement: significant && !worse,
+            baseline_type: strategy.type,
+            baseline_run_ids: baseline.runIds,
+            threshold_percentage: threshold,
+          });
+        });
+
+        history.push({ runId: run.run_id, values });
+      });
+    });
+  });
+
+  return trends;
+}
@@ -0,0 +1,57 @@
+import type { BenchmarkRun, TestResult } from '../types/benchmark';
+import { modelKey } from './statistics';
+
+// 'models': every model's answer in one run; 'runs': one model's answer across runs
+export type InspectorMode = 'models' | 'runs';
+export type InspectorView = 'rendered' | 'diff' | 'raw';
+
+export interface InspectorLinkOptions {
+  promptId: string;
+  mode: InspectorMode;
+  runId?: string;
+  model?: string;
+  selected?: string[];
+}
+
+// Identifies one response: run, provider/model and iteration
+export function resultKey(result: TestResult): string {
+  return `${result.run_id}:${modelKey(result.provider, result.model)}:${result.iteration}`;
+}
+
+export function inspectorLink({ promptId, mode, runId, model, selected }: InspectorLinkOptions): string {
+  const params = new URLSearchParams({ prompt: promptId, mode });
+  if (runId) params.set('run', runId);
+  if (model) params.set('model', model);
+  if (selected && selected.length > 0) params.set('selected', selected.join(','));
+  return `/inspect?${params.toString()}`;
+}
+
+/**
+ * Responses that can be put side by side: all models of one run, or one
+ * model across runs (oldest run first, so the first column is the earlier answer).
+ */
+export function inspectorCandidates(
+  results: TestResult[],
+  runs: BenchmarkRun[],
+  mode: InspectorMode,
+  target: string
+): TestResult[] {
+  if (mode === 'models') {
+    return results
+      .filter(r => r.run_id === target)
+      .sort((a, b) =>
+        modelKey(a.provider, a.model).localeCompare(modelKey(b.provider, b.model)) || a.iteration - b.iteration
+      );
+  }
+
+  const runTime = new Map(runs.map(run => [run.run_id, new Date(run.timestamp).getTime()]));
+  return results
+    .filter(r => modelKey(r.provider, r.model) === target)
+    .sort((a, b) => ((runTime.get(a.run_id) ?? 0) - (runTime.get(b.run_id) ?? 0)) || a.iteration - b.iteration);
+}
+
+export function keywordCoverage(response: string | undefined, keywords: string[]) {
+  const text = (response || '').toLowerCase();
+  const found = keywords.filter(k => text.includes(k.toLowerCase()));
+  return { found, missing: keywords.filter(k => !found.includes(k)) };
+}
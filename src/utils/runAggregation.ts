@@ -0,0 +1,140 @@
+import type { BenchmarkRun, CategoryPerformance, ModelPerformance, TestResult } from '../types/benchmark';
+import { applyListQuery } from './listQuery';
+import { buildPromptCatalog, type PromptVersion } from './promptCatalog';
+import { groupBy, mean, meanScore, modelKey } from './statistics';
+import { runTimestamp } from './timeSeries';
+
+// Runs to pool: an explicit list of run ids, or every run in a date range
+export interface RunSelection {
+  runIds?: string[];
+  // Inclusive bounds on the run timestamp
+  from?: string;
+  to?: string;
+}
+
+export interface ChangedPrompt {
+  id: string;
+  category: string;
+  text: string;
+  // Only the versions used by the pooled runs; always more than one
+  versions: PromptVersion[];
+}
+
+export interface RunAggregate {
+  // Pooled runs, newest first
+  runs: BenchmarkRun[];
+  totalTests: number;
+  successfulTests: number;
+  modelPerformance: ModelPerformance[];
+  categoryPerformance: CategoryPerformance[];
+  // Prompts whose definition differs between the pooled runs, so their
+  // results mix what are really different tests
+  changedPrompts: ChangedPrompt[];
+}
+
+export function selectRuns(runs: BenchmarkRun[], selection: RunSelection): BenchmarkRun[] {
+  if (selection.runIds && selection.runIds.length > 0) {
+    const ids = new Set(selection.runIds);
+    return runs.filter(run => ids.has(run.run_id));
+  }
+  return applyListQuery(runs, { from: selection.from, to: selection.to }, {
+    filters: [],
+    timeField: 'timestamp',
+    defaultSort: '-timestamp',
+    key: ['run_id'],
+  }).items;
+}
+
+/**
+ * ModelPerformance over a pooled sample of test results. Every test counts
+ * once, so each run weighs in by its number of tests rather than by the
+ * per-run averages. Timings are averaged over the successful tests, like
+ * the exporter and the ingestion endpoint do for a single run; quality and
+ * judge scores over the successful tests that were scored.
+ */
+export function aggregateModelPerformance(results: TestResult[], runId: string): ModelPerformance[] {
+  return Array.from(groupBy(results, r => modelKey(r.provider, r.model)).values())
+    .map(group => {
+      const successful = group.filter(r => r.success);
+      const ttft = successful.map(r => r.time_to_first_token_ms || 0);
+      const tokens = group.reduce((acc, r) => acc + (r.tokens_generated || 0), 0);
+      const cost = group.reduce((acc, r) => acc + (r.estimated_cost_usd || 0), 0);
+
+      return {
+        id: 0,
+        run_id: runId,
+        provider: group[0].provider,
+        model: group[0].model,
+        timestamp: group.reduce((latest, r) =>
+          new Date(r.timestamp).getTime() > new Date(latest).getTime() ? r.timestamp : latest, group[0].timestamp),
+        total_tests: group.length,
+        successful_tests: successful.length,
+        failed_tests: group.length - successful.length,
+        success_rate: (successful.length / group.length) * 100,
+        avg_ttft_ms: mean(ttft),
+        min_ttft_ms: ttft.length > 0 ? ttft.reduce((min, v) => Math.min(min, v), Infinity) : 0,
+        max_ttft_ms: ttft.reduce((max, v) => Math.max(max, v), 0),
+        avg_total_time_ms: mean(successful.map(r => r.total_time_ms || 0)),
+        avg_tokens_per_second: mean(successful.map(r => r.tokens_per_second || 0)),
+        total_tokens_generated: tokens,
+        avg_quality_score: meanScore(successful.map(r => r.quality_score)) ?? 0,
+        avg_accuracy_score: meanScore(successful.map(r => r.accuracy_score)),
+        avg_relevance_score: meanScore(successful.map(r => r.relevance_score)),
+        avg_completeness_score: meanScore(successful.map(r => r.completeness_score)),
+        avg_coherence_score: meanScore(successful.map(r => r.coherence_score)),
+        total_cost_usd: cost,
+        avg_cost_per_test: cost / group.length,
+        cost_per_1k_tokens: tokens > 0 ? (cost / tokens) * 1000 : 0,
+      };
+    })
+    .sort((a, b) => a.provider.localeCompare(b.provider) || a.model.localeCompare(b.model));
+}
+
+// Same grouping as fetchCategoryPerformanceJsonic, over the pooled sample
+export function aggregateCategoryPerformance(results: TestResult[]): CategoryPerformance[] {
+  return Array.from(groupBy(results, r => `${r.category}|${modelKey(r.provider, r.model)}`).values())
+    .map(group => ({
+      category: group[0].category,
+      provider: group[0].provider,
+      model: group[0].model,
+      avg_ttft_ms: mean(group.map(r => r.time_to_first_token_ms || 0)),
+      avg_total_time_ms: mean(group.map(r => r.total_time_ms || 0)),
+      total_tests: group.length,
+      success_rate: (group.filter(r => r.success).length / group.length) * 100,
+    }))
+    .sort((a, b) =>
+      a.category.localeCompare(b.category) ||
+      a.provider.localeCompare(b.provider) ||
+      a.model.localeCompare(b.model)
+    );
+}
+
+/**
+ * Pools the test results of several runs (e.g. a week of single-iteration
+ * runs) and recomputes model and category performance over the whole sample.
+ * `results` may hold other runs' results too; only the given runs are pooled.
+ */
+export function aggregateRuns(runs: BenchmarkRun[], results: TestResult[]): RunAggregate {
+  const runIds = new Set(runs.map(run => run.run_id));
+  const pooled = results.filter(r => runIds.has(r.run_id));
+  // Pooled rows carry the run ids they cover, in the same form as the ?runs= URL parameter
+  const pooledRunId = runs.map(run => run.run_id).join(',');
+
+  const changedPrompts = buildPromptCatalog(runs, pooled)
+    .filter(prompt => prompt.versions.length > 1)
+    .map(prompt => ({
+      id: prompt.id,
+      category: prompt.category,
+      text: prompt.text,
+      versions: prompt.versions,
+    }));
+
+  return {
+    runs: [...runs].sort((a, b) => runTimestamp(b) - runTimestamp(a)),
+    totalTests: pooled.length,
+    successfulTests: pooled.filter(r => r.success).length,
+    modelPerformance: aggregateModelPerformance(pooled, pooledRunId),
+    categoryPerformance: aggregateCategoryPerformance(pooled),
+    changedPrompts,
+  };
+}
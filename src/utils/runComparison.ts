@@ -0,0 +1,219 @@
+import type { BenchmarkRun, ModelPerformance, TestResult } from '../types/benchmark';
+import { formatCost, formatDuration, formatPercentage } from '../lib/utils';
+import { meanOrNull, meanScore } from './statistics';
+
+export type ComparisonMetricKey =
+  | 'ttft'
+  | 'total_time'
+  | 'tokens_per_second'
+  | 'success_rate'
+  | 'quality_score'
+  | 'cost';
+
+export interface ComparisonMetric {
+  key: ComparisonMetricKey;
+  label: string;
+  format: 'duration' | 'number' | 'percentage' | 'currency';
+  higherIsBetter: boolean;
+}
+
+export const COMPARISON_METRICS: ComparisonMetric[] = [
+  { key: 'ttft', label: 'TTFT', format: 'duration', higherIsBetter: false },
+  { key: 'total_time', label: 'Total Time', format: 'duration', higherIsBetter: false },
+  { key: 'tokens_per_second', label: 'Tokens/s', format: 'number', higherIsBetter: true },
+  { key: 'success_rate', label: 'Success Rate', format: 'percentage', higherIsBetter: true },
+  { key: 'quality_score', label: 'Quality', format: 'percentage', higherIsBetter: true },
+  { key: 'cost', label: 'Cost', format: 'currency', higherIsBetter: false },
+];
+
+export type MetricValues = Record<ComparisonMetricKey, number | null>;
+
+export interface MetricDelta {
+  value: number | null;
+  // Absolute difference against the reference run (percentage points for rates)
+  change: number | null;
+  // Relative difference in percent; null when the reference value is zero
+  changePercentage: number | null;
+  status: 'improved' | 'regressed' | 'unchanged' | 'missing';
+}
+
+export interface ComparisonRow {
+  key: string;
+  provider: string;
+  model: string;
+  prompt_id?: string;
+  category?: string;
+  // One entry per compared run, in the same order as the runs passed in
+  values: (MetricValues | null)[];
+  deltas: (Record<ComparisonMetricKey, MetricDelta> | null)[];
+}
+
+// Changes smaller than this (in percent) are treated as noise
+export const DELTA_NOISE_THRESHOLD = 5;
+
+const RATE_METRICS: ComparisonMetricKey[] = ['success_rate', 'quality_score'];
+
+export function computeDelta(
+  metric: ComparisonMetric,
+  reference: number | null,
+  value: number | null
+): MetricDelta {
+  if (value === null || reference === null) {
+    return { value, change: null, changePercentage: null, status: 'missing' };
+  }
+
+  const change = value - reference;
+  const changePercentage = reference !== 0 ? (change / Math.abs(reference)) * 100 : null;
+
+  // Rates are compared in percentage points, everything else relatively
+  const magnitude = RATE_METRICS.includes(metric.key)
+    ? Math.abs(metric.key === 'quality_score' ? change * 100 : change)
+    : Math.abs(changePercentage ?? (change === 0 ? 0 : 100));
+
+  if (magnitude < DELTA_NOISE_THRESHOLD) {
+    return { value, change, changePercentage, status: 'unchanged' };
+  }
+
+  const isBetter = metric.higherIsBetter ? change > 0 : change < 0;
+  return { value, change, changePercentage, status: isBetter ? 'improved' : 'regressed' };
+}
+
+export function formatMetricValue(metric: ComparisonMetric, value: number | null): string {
+  if (value === null) return '—';
+  switch (metric.format) {
+    case 'duration':
+      return formatDuration(value);
+    case 'percentage':
+      return formatPercentage(metric.key === 'quality_score' ? value * 100 : value);
+    case 'currency':
+      return formatCost(value);
+    default:
+      return value.toFixed(1);
+  }
+}
+
+export function formatDeltaLabel(metric: ComparisonMetric, delta: MetricDelta): string {
+  if (delta.change === null) return '';
+  if (RATE_METRICS.includes(metric.key)) {
+    const points = metric.key === 'quality_score' ? delta.change * 100 : delta.change;
+    return `${points > 0 ? '+' : ''}${points.toFixed(1)} pp`;
+  }
+  if (delta.changePercentage === null) return 'new';
+  return `${delta.changePercentage > 0 ? '+' : ''}${delta.changePercentage.toFixed(1)}%`;
+}
+
+function numeric(value: number | null | undefined): number | null {
+  return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+}
+
+export function metricsFromPerformance(perf: ModelPerformance): MetricValues {
+  return {
+    ttft: numeric(perf.avg_ttft_ms),
+    total_time: numeric(perf.avg_total_time_ms),
+    tokens_per_second: numeric(perf.avg_tokens_per_second),
+    success_rate: numeric(perf.success_rate),
+    quality_score: numeric(perf.avg_quality_score),
+    cost: numeric(perf.avg_cost_per_test),
+  };
+}
+
+export function metricsFromResults(results: TestResult[]): MetricValues {
+  const pick = (fn: (r: TestResult) => number | null | undefined) =>
+    meanOrNull(results.map(fn).filter((v): v is number => typeof v === 'number' && !Number.isNaN(v)));
+
+  return {
+    ttft: pick(r => r.time_to_first_token_ms),
+    total_time: pick(r => r.total_time_ms),
+    tokens_per_second: pick(r => r.tokens_per_second),
+    success_rate: results.length > 0
+      ? (results.filter(r => r.success).length / results.length) * 100
+      : null,
+    quality_score: meanScore(results.map(r => r.quality_score)),
+    cost: pick(r => r.estimated_cost_usd),
+  };
+}
+
+function buildDeltas(values: (MetricValues | null)[]): (Record<ComparisonMetricKey, MetricDelta> | null)[] {
+  const reference = values[0];
+
+  return values.map((current, index) => {
+    if (index === 0 || !current) return null;
+
+    const deltas = {} as Record<ComparisonMetricKey, MetricDelta>;
+    COMPARISON_METRICS.forEach(metric => {
+      deltas[metric.key] = computeDelta(metric, reference?.[metric.key] ?? null, current[metric.key]);
+    });
+    return deltas;
+  });
+}
+
+/**
+ * Sorts runs oldest first so the first run acts as the reference
+ * every other run is compared against.
+ */
+export function orderRunsForComparison(runs: BenchmarkRun[]): BenchmarkRun[] {
+  return [...runs].sort(
+    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  );
+}
+
+export function buildModelComparison(performanceByRun: ModelPerformance[][]): ComparisonRow[] {
+  const rows = new Map<string, ComparisonRow>();
+
+  performanceByRun.forEach((performance, runIndex) => {
+    performance.forEach(perf => {
+      const key = `${perf.provider}/${perf.model}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          key,
+          provider: perf.provider,
+          model: perf.model,
+          values: performanceByRun.map(() => null),
+          deltas: [],
+        });
+      }
+      rows.get(key)!.values[runIndex] = metricsFromPerformance(perf);
+    });
+  });
+
+  return Array.from(rows.values())
+    .map(row => ({ ...row, deltas: buildDeltas(row.values) }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+export function buildPromptComparison(resultsByRun: TestResult[][]): ComparisonRow[] {
+  const groups = new Map<string, { row: ComparisonRow; results: TestResult[][] }>();
+
+  resultsByRun.forEach((results, runIndex) => {
+    results.forEach(result => {
+      const key = `${result.prompt_id}::${result.provider}/${result.model}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          row: {
+            key,
+            provider: result.provider,
+            model: result.model,
+            prompt_id: result.prompt_id,
+            category: result.category,
+            values: [],
+            deltas: [],
+          },
+          results: resultsByRun.map(() => []),
+        });
+      }
+      groups.get(key)!.results[runIndex].push(result);
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ row, results }) => {
+      const values = results.map(runResults =>
+        runResults.length > 0 ? metricsFromResults(runResults) : null
+      );
+      return { ...row, values, deltas: buildDeltas(values) };
+    })
+    .sort((a, b) =>
+      (a.prompt_id || '').localeCompare(b.prompt_id || '') || a.provider.localeCompare(b.provider) ||
+      a.model.localeCompare(b.model)
+    );
+}
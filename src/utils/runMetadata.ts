@@ -0,0 +1,39 @@
+import type { BenchmarkRun, RunMetadata, RunPromptDefinition } from '../types/benchmark';
+
+/**
+ * The exporter stores the benchmark config either as a JSON string or as an
+ * already parsed object, depending on the pipeline. Returns null when it is
+ * missing or unreadable.
+ */
+export function parseRunMetadata(metadata: unknown): RunMetadata | null {
+  if (!metadata) return null;
+
+  let parsed: unknown = metadata;
+  if (typeof metadata === 'string') {
+    try {
+      parsed = JSON.parse(metadata);
+    } catch {
+      return null;
+    }
+  }
+
+  if (typeof parsed !== 'object' || parsed === null) return null;
+  const candidate = parsed as Partial<RunMetadata>;
+  return {
+    ...candidate,
+    Name: candidate.Name || '',
+    Iterations: candidate.Iterations || 1,
+    Prompts: Array.isArray(candidate.Prompts) ? candidate.Prompts : [],
+  } as RunMetadata;
+}
+
+export function findPromptDefinition(
+  run: BenchmarkRun | undefined,
+  promptId: string
+): RunPromptDefinition | undefined {
+  return parseRunMetadata(run?.metadata)?.Prompts.find(p => p.ID === promptId);
+}
+
+export function expectedKeywords(run: BenchmarkRun | undefined, promptId: string): string[] {
+  return (findPromptDefinition(run, promptId)?.ExpectedKeywords || []).filter(Boolean);
+}
@@ -0,0 +1,311 @@
+/**
+ * A self-contained HTML summary of one run — headline metrics, charts,
+ * per-model and per-category tables, regressions and failure clusters —
+ * for pasting into reports. Charts are inline SVG and styles are inline,
+ * so the file renders the same offline, in a mail client or printed to PDF.
+ */
+
+import type {
+  BenchmarkRun,
+  CategoryPerformance,
+  ModelPerformance,
+  PerformanceTrend,
+  TestResult
+} from '../types/benchmark';
+import { formatDuration, formatPercentage } from '../lib/utils';
+import { modelDisplayName } from './modelRegistry';
+import { groupBy, mean, modelKey } from './statistics';
+import { TREND_METRICS } from './regressionEngine';
+import { FAILURE_CATEGORIES, clusterFailures, collectFailures } from './failureAnalysis';
+import { downloadFile, exportFileName } from './tableExport';
+
+export interface RunReportInput {
+  run: BenchmarkRun;
+  // Already narrowed to the dashboard's filters
+  performance: ModelPerformance[];
+  categories: CategoryPerformance[];
+  results: TestResult[];
+  trends: PerformanceTrend[];
+  // The run the headline metrics are compared with (previous run or pinned baseline)
+  reference?: { label: string; run: BenchmarkRun; performance?: ModelPerformance[] };
+  filters?: string[];
+  generatedAt?: Date;
+}
+
+interface Bar {
+  label: string;
+  value: number;
+  display: string;
+  color?: string;
+}
+
+const MAX_REGRESSIONS = 20;
+const MAX_FAILURE_CLUSTERS = 10;
+const BAR_COLOR = '#3b82f6';
+
+function escapeHtml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCurrency(value: number): string {
+  return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+function formatSigned(value: number, suffix: string): string {
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}${suffix}`;
+}
+
+// Horizontal bar chart; rows scale to the largest value
+function barChart(title: string, bars: Bar[], maxValue?: number): string {
+  if (bars.length === 0) return '';
+  const rowHeight = 22;
+  const labelWidth = 200;
+  const barWidth = 360;
+  const max = maxValue ?? Math.max(...bars.map(bar => bar.value), 0);
+  const height = bars.length * rowHeight + 8;
+  const rows = bars.map((bar, index) => {
+    const y = index * rowHeight + 4;
+    const width = max > 0 ? Math.max((bar.value / max) * barWidth, 1) : 1;
+    return `<text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end" font-size="12" fill="#374151">${escapeHtml(bar.label)}</text>`
+      + `<rect x="${labelWidth}" y="${y + 3}" width="${width.toFixed(1)}" height="14" rx="2" fill="${bar.color || BAR_COLOR}"/>`
+      + `<text x="${labelWidth + width + 6}" y="${y + 14}" font-size="12" fill="#6b7280">${escapeHtml(bar.display)}</text>`;
+  }).join('');
+  return `<figure><figcaption>${escapeHtml(title)}</figcaption>`
+    + `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + barWidth + 80}" height="${height}" role="img" aria-label="${escapeHtml(title)}">${rows}</svg>`
+    + '</figure>';
+}
+
+function table(headers: string[], rows: (string | number)[][], numericFrom = 1): string {
+  const head = headers.map((h, i) => `<th${i >= numericFrom ? ' class="num"' : ''}>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(row =>
+    `<tr>${row.map((cell, i) => `<td${i >= numericFrom ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`
+  ).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function metricCard(label: string, value: string, change?: string): string {
+  return `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div>`
+    + (change ? `<div class="change">${escapeHtml(change)}</div>` : '')
+    + '</div>';
+}
+
+function modelName(item: { provider: string; model: string }): string {
+  return `${item.provider}/${modelDisplayName(item.provider, item.model)}`;
+}
+
+function headline(input: RunReportInput): string {
+  const { performance, results, reference } = input;
+  const tests = results.length;
+  const successRate = tests > 0 ? (results.filter(r => r.success).length / tests) * 100 : 0;
+  const avgTtft = mean(performance.map(p => p.avg_ttft_ms));
+  const totalCost = performance.reduce((acc, p) => acc + p.total_cost_usd, 0);
+
+  let successChange: string | undefined;
+  let ttftChange: string | undefined;
+  let costChange: string | undefined;
+  const change = (value: number, before: number) =>
+    before > 0 ? `${formatSigned(((value - before) / before) * 100, '%')} vs ${reference!.label}` : undefined;
+  // Only the models both runs have, so an added or dropped model doesn't read as a change
+  const byModel = new Map((reference?.performance || []).map(r => [modelKey(r.provider, r.model), r]));
+  const shared = performance.filter(p => byModel.has(modelKey(p.provider, p.model)));
+  if (reference && shared.length > 0) {
+    const before = shared.map(p => byModel.get(modelKey(p.provider, p.model))!);
+    const rate = (rows: ModelPerformance[]) =>
+      (rows.reduce((acc, r) => acc + r.successful_tests, 0) / Math.max(rows.reduce((acc, r) => acc + r.total_tests, 0), 1)) * 100;
+    successChange = `${formatSigned(rate(shared) - rate(before), ' pts')} vs ${reference.label}`;
+    ttftChange = change(mean(shared.map(p => p.avg_ttft_ms)), mean(before.map(p => p.avg_ttft_ms)));
+    costChange = change(
+      shared.reduce((acc, p) => acc + p.total_cost_usd, 0),
+      before.reduce((acc, p) => acc + p.total_cost_usd, 0)
+    );
+  } else if (reference && !input.filters?.length && reference.run.total_runs > 0) {
+    const referenceRate = (reference.run.successful_runs / reference.run.total_runs) * 100;
+    successChange = `${formatSigned(successRate - referenceRate, ' pts')} vs ${reference.label}`;
+  }
+
+  return '<section class="cards">'
+    + metricCard('Tests', String(tests))
+    + metricCard('Success Rate', formatPercentage(successRate), successChange)
+    + metricCard('Avg TTFT', formatDuration(avgTtft), ttftChange)
+    + metricCard('Total Cost', formatCurrency(totalCost), costChange)
+    + metricCard('Models', String(performance.length))
+    + '</section>';
+}
+
+function charts(input: RunReportInput): string {
+  const byTtft = [...input.performance].sort((a, b) => a.avg_ttft_ms - b.avg_ttft_ms);
+  const bySuccess = [...input.performance].sort((a, b) => b.success_rate - a.success_rate);
+  const failures = collectFailures(input.results);
+  const failureBars = FAILURE_CATEGORIES
+    .map(category => ({
+      label: category.label,
+      value: failures.filter(f => f.category === category.key).length,
+      color: category.color,
+    }))
+    .filter(bar => bar.value > 0)
+    .map(bar => ({ ...bar, display: String(bar.value) }));
+
+  return '<section class="charts">'
+    + barChart('Avg TTFT by model', byTtft.map(p => ({
+      label: modelName(p), value: p.avg_ttft_ms, display: formatDuration(p.avg_ttft_ms),
+    })))
+    + barChart('Success rate by model', bySuccess.map(p => ({
+      label: modelName(p), value: p.success_rate, display: formatPercentage(p.success_rate),
+    })), 100)
+    + barChart('Failures by cause', failureBars)
+    + '</section>';
+}
+
+function modelTable(performance: ModelPerformance[]): string {
+  const rows = [...performance]
+    .sort((a, b) => b.success_rate - a.success_rate)
+    .map(p => [
+      modelName(p),
+      p.total_tests,
+      formatPercentage(p.success_rate),
+      formatDuration(p.avg_ttft_ms),
+      formatDuration(p.avg_total_time_ms),
+      `${p.avg_tokens_per_second.toFixed(1)} tok/s`,
+      p.avg_quality_score > 0 ? `${(p.avg_quality_score * 100).toFixed(0)}%` : 'N/A',
+      formatCurrency(p.total_cost_usd),
+    ]);
+  return table(['Model', 'Tests', 'Success', 'Avg TTFT', 'Avg Total', 'Throughput', 'Quality', 'Cost'], rows);
+}
+
+function categoryTable(categories: CategoryPerformance[]): string {
+  const byCategory = groupBy(categories, c => c.category);
+  const rows = Array.from(byCategory.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([category, group]) => {
+      const tests = group.reduce((acc, c) => acc + c.total_tests, 0);
+      // Weighted by tests, so small model/category cells don't skew the average
+      const weighted = (value: (c: CategoryPerformance) => number) =>
+        tests > 0 ? group.reduce((acc, c) => acc + value(c) * c.total_tests, 0) / tests : 0;
+      return [category, tests, formatPercentage(weighted(c => c.success_rate)), formatDuration(weighted(c => c.avg_ttft_ms))];
+    });
+  return table(['Category', 'Tests', 'Success', 'Avg TTFT'], rows);
+}
+
+function regressionSection(trends: PerformanceTrend[]): string {
+  const regressions = trends
+    .filter(t => t.is_regression)
+    .sort((a, b) => Math.abs(b.change_percentage || 0) - Math.abs(a.change_percentage || 0));
+  const improvements = trends.filter(t => t.is_improvement).length;
+  if (regressions.length === 0) {
+    return `<p class="muted">No regressions against the regression baseline${improvements > 0 ? `; ${improvements} improvements` : ''}.</p>`;
+  }
+  const rows = regressions.slice(0, MAX_REGRESSIONS).map(t => [
+    modelName(t),
+    TREND_METRICS.find(m => m.metric === t.metric_name)?.label || t.metric_name,
+    t.prompt_id ? `prompt ${t.prompt_id}` : t.category ? `category ${t.category}` : 'model',
+    t.previous_value !== undefined ? Number(t.previous_value.toFixed(2)) : '',
+    Number(t.metric_value.toFixed(2)),
+    formatSigned(t.change_percentage || 0, '%'),
+  ]);
+  return `<p class="muted">${regressions.length} regressions, ${improvements} improvements`
+    + (regressions.length > MAX_REGRESSIONS ? `; the ${MAX_REGRESSIONS} largest are listed` : '')
+    + '.</p>'
+    + table(['Model', 'Metric', 'Scope', 'Before', 'Now', 'Change'], rows, 3);
+}
+
+function failureSection(results: TestResult[]): string {
+  const clusters = clusterFailures(collectFailures(results));
+  if (clusters.length === 0) {
+    return '<p class="muted">No failed tests.</p>';
+  }
+  const rows = clusters.slice(0, MAX_FAILURE_CLUSTERS).map(cluster => [
+    FAILURE_CATEGORIES.find(c => c.key === cluster.category)?.label || cluster.category,
+    cluster.example,
+    cluster.models.map(m => `${modelName(m)} (${m.count})`).join(', '),
+    cluster.count,
+  ]);
+  return table(['Cause', 'Message', 'Models', 'Failures'], rows, 3);
+}
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; margin: 32px; max-width: 1000px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 20px; }
+  .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px 14px; min-width: 150px; }
+  .card .label { font-size: 12px; color: #6b7280; }
+  .card .value { font-size: 20px; font-weight: 600; }
+  .card .change { font-size: 12px; color: #4b5563; }
+  .charts { display: flex; flex-direction: column; gap: 16px; }
+  figure { margin: 0; }
+  figcaption { font-size: 13px; font-weight: 600; margin-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; font-weight: 600; color: #374151; }
+  .num { text-align: right; white-space: nowrap; }
+  section, table, figure { break-inside: avoid; }
+  @page { margin: 16mm; }
+  @media print { body { margin: 0; } }
+`;
+
+export function buildRunReport(input: RunReportInput): string {
+  const { run, filters = [] } = input;
+  const generatedAt = input.generatedAt || new Date();
+  const title = `Benchmark report: ${run.name || run.run_id}`;
+  const subtitle = [
+    `Run ${run.run_id}`,
+    new Date(run.timestamp).toLocaleString(),
+    filters.length > 0 ? `Filters: ${filters.join(', ')}` : null,
+    input.reference ? `Compared with ${input.reference.label}` : null,
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="muted">${escapeHtml(subtitle)}</div>
+${headline(input)}
+<h2>Charts</h2>
+${charts(input)}
+<h2>Models</h2>
+${modelTable(input.performance)}
+<h2>Categories</h2>
+${categoryTable(input.categories)}
+<h2>Regressions</h2>
+${regressionSection(input.trends)}
+<h2>Failures</h2>
+${failureSection(input.results)}
+<p class="muted">Generated ${escapeHtml(generatedAt.toLocaleString())} by the AgentX Benchmark Dashboard.</p>
+</body>
+</html>
+`;
+}
+
+export function downloadRunReport(input: RunReportInput): void {
+  downloadFile(exportFileName('report', [input.run.run_id, ...(input.filters || [])], 'html'), buildRunReport(input), 'text/html');
+}
+
+// Opens the report in a new window and the browser's print dialog, where it can be saved as PDF
+export function printRunReport(input: RunReportInput): void {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('The report window was blocked; allow pop-ups for this site or download the HTML report');
+  }
+  printWindow.document.write(buildRunReport(input));
+  printWindow.document.close();
+  printWindow.focus();
+  // The written document may or may not have finished loading at this point
+  let printed = false;
+  const print = () => {
+    if (printed) return;
+    printed = true;
+    printWindow.print();
+  };
+  printWindow.addEventListener('load', print);
+  if (printWindow.document.readyState === 'complete') print();
+}
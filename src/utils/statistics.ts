@@ -0,0 +1,232 @@
+import type { TestResult } from '../types/benchmark';
+
+export interface SampleSummary {
+  n: number;
+  mean: number;
+  stdDev: number;
+  p50: number;
+  p90: number;
+  p99: number;
+  // Bootstrap confidence interval of the mean; null when there are too few samples
+  ciLower: number | null;
+  ciUpper: number | null;
+}
+
+export interface ModelStatistics {
+  provider: string;
+  model: string;
+  ttft: SampleSummary | null;
+  totalTime: SampleSummary | null;
+  tokensPerSecond: SampleSummary | null;
+  successRate: SampleSummary | null;
+  samples: {
+    ttft: number[];
+    totalTime: number[];
+    tokensPerSecond: number[];
+    // 100 for a successful test, 0 for a failed one, so the mean is the success rate
+    success: number[];
+  };
+}
+
+export type ModelStatisticsMap = Record<string, ModelStatistics>;
+
+export interface BootstrapOptions {
+  iterations?: number;
+  confidence?: number;
+  seed?: number;
+}
+
+const DEFAULT_ITERATIONS = 1000;
+const DEFAULT_CONFIDENCE = 0.95;
+
+// Bootstrap needs at least this many samples to say anything useful
+export const MIN_SAMPLES_FOR_CI = 2;
+
+export function modelKey(provider: string, model: string): string {
+  return `${provider}/${model}`;
+}
+
+export function mean(values: number[]): number {
+  if (values.length === 0) return 0;
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+}
+
+// Like mean, but null when there is nothing to average
+export function meanOrNull(values: number[]): number | null {
+  return values.length > 0 ? mean(values) : null;
+}
+
+// A score that was actually measured. The exporter writes 0 (or nothing) for
+// the quality and judge scores when no evaluator ran, so those are left out
+export function isScored(value: number | null | undefined): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Mean of the measured scores; null when no test was scored
+export function meanScore(values: (number | null | undefined)[]): number | null {
+  return meanOrNull(values.filter(isScored));
+}
+
+export function groupBy<T>(items: T[], keyOf: (item: T) => string): Map<string, T[]> {
+  const groups = new Map<string, T[]>();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key)!.push(item);
+  });
+  return groups;
+}
+
+// Sample standard deviation (n - 1)
+export function standardDeviation(values: number[]): number {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((acc, v) => acc + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Percentile with linear interpolation between closest ranks, p in [0, 100]
+export function percentile(values: number[], p: number): number {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Small seeded PRNG (mulberry32) so the same data always yields the same interval
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(value: string): number {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function resampleMean(values: number[], random: () => number): number {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[Math.floor(random() * values.length)];
+  }
+  return sum / values.length;
+}
+
+function intervalFromDistribution(distribution: number[], confidence: number): [number, number] {
+  const alpha = (1 - confidence) / 2;
+  return [percentile(distribution, alpha * 100), percentile(distribution, (1 - alpha) * 100)];
+}
+
+/**
+ * Percentile bootstrap confidence interval for the mean.
+ * Returns null when there are fewer than MIN_SAMPLES_FOR_CI samples.
+ */
+export function bootstrapMeanCI(
+  values: number[],
+  { iterations = DEFAULT_ITERATIONS, confidence = DEFAULT_CONFIDENCE, seed }: BootstrapOptions = {}
+): [number, number] | null {
+  if (values.length < MIN_SAMPLES_FOR_CI) return null;
+
+  const random = createRandom(seed ?? hashString(values.join(',')));
+  const distribution: number[] = [];
+  for (let i = 0; i < iterations; i++) {
+    distribution.push(resampleMean(values, random));
+  }
+  return intervalFromDistribution(distribution, confidence);
+}
+
+/**
+ * Bootstrap confidence interval for the difference of means (a - b).
+ * Returns null when either sample is too small to resample.
+ */
+export function bootstrapDifferenceCI(
+  a: number[],
+  b: number[],
+  { iterations = DEFAULT_ITERATIONS, confidence = DEFAULT_CONFIDENCE, seed }: BootstrapOptions = {}
+): [number, number] | null {
+  if (a.length < MIN_SAMPLES_FOR_CI || b.length < MIN_SAMPLES_FOR_CI) return null;
+
+  const random = createRandom(seed ?? hashString(`${a.join(',')}|${b.join(',')}`));
+  const distribution: number[] = [];
+  for (let i = 0; i < iterations; i++) {
+    distribution.push(resampleMean(a, random) - resampleMean(b, random));
+  }
+  return intervalFromDistribution(distribution, confidence);
+}
+
+/**
+ * A difference is significant when the bootstrap interval of the difference
+ * excludes zero. Returns null when the samples are too small to decide.
+ */
+export function isDifferenceSignificant(
+  a: number[],
+  b: number[],
+  options?: BootstrapOptions
+): boolean | null {
+  const interval = bootstrapDifferenceCI(a, b, options);
+  if (!interval) return null;
+  return interval[0] > 0 || interval[1] < 0;
+}
+
+export function summarize(values: number[], options?: BootstrapOptions): SampleSummary | null {
+  if (values.length === 0) return null;
+  const ci = bootstrapMeanCI(values, options);
+  return {
+    n: values.length,
+    mean: mean(values),
+    stdDev: standardDeviation(values),
+    p50: percentile(values, 50),
+    p90: percentile(values, 90),
+    p99: percentile(values, 99),
+    ciLower: ci ? ci[0] : null,
+    ciUpper: ci ? ci[1] : null,
+  };
+}
+
+function finite(value: number | null | undefined): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Builds per-model distributions from raw test results. Latency and throughput
+ * only use successful tests; the success rate uses every test.
+ */
+export function computeModelStatistics(results: TestResult[]): ModelStatisticsMap {
+  const groups = groupBy(results, result => modelKey(result.provider, result.model));
+
+  const statistics: ModelStatisticsMap = {};
+  groups.forEach((group, key) => {
+    const successful = group.filter(r => r.success);
+    const samples = {
+      ttft: successful.map(r => r.time_to_first_token_ms).filter(finite),
+      totalTime: successful.map(r => r.total_time_ms).filter(finite),
+      tokensPerSecond: successful.map(r => r.tokens_per_second).filter(finite),
+      success: group.map(r => (r.success ? 100 : 0)),
+    };
+
+    statistics[key] = {
+      provider: group[0].provider,
+      model: group[0].model,
+      ttft: summarize(samples.ttft),
+      totalTime: summarize(samples.totalTime),
+      tokensPerSecond: summarize(samples.tokensPerSecond),
+      successRate: summarize(samples.success),
+      samples,
+    };
+  });
+
+  return statistics;
+}
@@ -0,0 +1,130 @@
+// Exports of the rows a dashboard view currently shows, as CSV, JSON or a
+// Markdown table. Each view lists its columns once; the formats only
+// differ in how the cells are written.
+
+export type ExportFormat = 'csv' | 'json' | 'markdown';
+
+export type ExportValue = string | number | boolean | null | undefined;
+
+export interface ExportColumn<T> {
+  // Key in the JSON export
+  key: string;
+  // Heading in the CSV and Markdown exports
+  header: string;
+  value: (row: T) => ExportValue;
+}
+
+export const EXPORT_FORMATS: { format: ExportFormat; label: string; shortLabel: string; extension: string; mimeType: string }[] = [
+  { format: 'csv', label: 'CSV', shortLabel: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { format: 'json', label: 'JSON', shortLabel: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { format: 'markdown', label: 'Markdown', shortLabel: 'MD', extension: 'md', mimeType: 'text/markdown' },
+];
+
+// Spreadsheets run text starting with these as a formula (error messages and
+// prompt text come from model output), so such text is quoted with a leading '.
+// Numbers are left alone so negative values stay numeric.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value: ExportValue): string {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value: ExportValue): string {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+export function toCsv<T>(rows: T[], columns: ExportColumn<T>[]): string {
+  return [
+    columns.map(column => csvCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(column.value(row))).join(',')),
+  ].join('\r\n');
+}
+
+export function toJson<T>(rows: T[], columns: ExportColumn<T>[]): string {
+  return JSON.stringify(
+    rows.map(row => Object.fromEntries(columns.map(column => [column.key, column.value(row) ?? null]))),
+    null,
+    2
+  );
+}
+
+// A heading, an optional note (e.g. the active filters) and a pipe table
+export function toMarkdown<T>(rows: T[], columns: ExportColumn<T>[], title?: string, note?: string): string {
+  const lines: string[] = [];
+  if (title) lines.push(`## ${title}`, '');
+  if (note) lines.push(note, '');
+  lines.push(
+    `| ${columns.map(column => markdownCell(column.header)).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => markdownCell(column.value(row))).join(' | ')} |`)
+  );
+  return lines.join('\n');
+}
+
+// Rounds for the exports; the dashboard's formatters add units the exports keep out of the cells
+export function round(value: number | null | undefined, digits = 2): number | null {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// e.g. "model-performance-bench_123-provider_openai.csv"
+export function exportFileName(view: string, parts: (string | null | undefined)[], extension: string): string {
+  const name = [view, ...parts.filter(Boolean)]
+    .join('-')
+    .replace(/[^A-Za-z0-9._-]+/g, '_');
+  return `${name}.${extension}`;
+}
+
+// Active dashboard filters as "key=value" parts for file names and notes
+export function describeFilters(filters: Record<string, string | null | undefined>): string[] {
+  return Object.entries(filters)
+    .filter(([, value]) => value && value !== 'all')
+    .map(([key, value]) => `${key}=${value}`);
+}
+
+export function downloadFile(fileName: string, content: string, mimeType: string): void {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked after the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export interface TableExport<T> {
+  // View name used in the file name, e.g. "model-performance"
+  view: string;
+  title: string;
+  rows: T[];
+  columns: ExportColumn<T>[];
+  runId?: string;
+  filters?: Record<string, string | null | undefined>;
+}
+
+// Where the exported rows come from, passed down by the page that owns the filters
+export type ExportContext = Pick<TableExport<unknown>, 'runId' | 'filters'>;
+
+export function exportTable<T>(table: TableExport<T>, format: ExportFormat): void {
+  const { extension, mimeType } = EXPORT_FORMATS.find(f => f.format === format)!;
+  const filters = describeFilters(table.filters || {});
+  const content = format === 'csv'
+    ? toCsv(table.rows, table.columns)
+    : format === 'json'
+      ? toJson(table.rows, table.columns)
+      : toMarkdown(
+        table.rows,
+        table.columns,
+        table.title,
+        [table.runId && `Run \`${table.runId}\``, filters.length > 0 && `Filters: ${filters.join(', ')}`]
+          .filter(Boolean)
+          .join(' · ') || undefined
+      );
+  downloadFile(exportFileName(table.view, [table.runId, ...filters], extension), content, mimeType);
+}
@@ -0,0 +1,117 @@
+export type DiffOp = 'equal' | 'added' | 'removed';
+
+export interface DiffSegment {
+  op: DiffOp;
+  text: string;
+}
+
+export interface DiffStats {
+  unchanged: number;
+  added: number;
+  removed: number;
+  // Share of words in both texts that are unchanged, 0..100
+  similarity: number;
+}
+
+// Above this many LCS cells the changed middle is shown as one replacement
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Words and the whitespace between them, so joining the tokens restores the text
+export function tokenizeWords(text: string): string[] {
+  return text.split(/(\s+)/).filter(token => token.length > 0);
+}
+
+function pushSegment(segments: DiffSegment[], op: DiffOp, text: string) {
+  const last = segments[segments.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    segments.push({ op, text });
+  }
+}
+
+function diffTokens(before: string[], after: string[], segments: DiffSegment[]) {
+  const n = before.length;
+  const m = after.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    pushSegment(segments, 'removed', before.join(''));
+    pushSegment(segments, 'added', after.join(''));
+    return;
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of before[i..] and after[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = before[i] === after[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      pushSegment(segments, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      pushSegment(segments, 'removed', before[i]);
+      i++;
+    } else {
+      pushSegment(segments, 'added', after[j]);
+      j++;
+    }
+  }
+  while (i < n) pushSegment(segments, 'removed', before[i++]);
+  while (j < m) pushSegment(segments, 'added', after[j++]);
+}
+
+/**
+ * Word-level diff (longest common subsequence) turning `before` into `after`.
+ * Adjacent segments with the same operation are merged.
+ */
+export function diffWords(before: string, after: string): DiffSegment[] {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+  const segments: DiffSegment[] = [];
+
+  // The common prefix and suffix don't need the quadratic table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) pushSegment(segments, 'equal', a.slice(0, start).join(''));
+  diffTokens(a.slice(start, endA), b.slice(start, endB), segments);
+  if (endA < a.length) pushSegment(segments, 'equal', a.slice(endA).join(''));
+
+  return segments;
+}
+
+function countWords(text: string): number {
+  return tokenizeWords(text).filter(token => !/^\s+$/.test(token)).length;
+}
+
+export function diffStats(segments: DiffSegment[]): DiffStats {
+  const stats = { unchanged: 0, added: 0, removed: 0 };
+  segments.forEach(segment => {
+    const words = countWords(segment.text);
+    if (segment.op === 'equal') stats.unchanged += words;
+    else if (segment.op === 'added') stats.added += words;
+    else stats.removed += words;
+  });
+
+  const total = stats.unchanged * 2 + stats.added + stats.removed;
+  return {
+    ...stats,
+    similarity: total > 0 ? (stats.unchanged * 2 / total) * 100 : 100,
+  };
+}
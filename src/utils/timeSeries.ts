@@ -0,0 +1,129 @@
+import type { BenchmarkRun, ModelPerformance } from '../types/benchmark';
+import { formatDuration, formatPercentage } from '../lib/utils';
+import { modelKey } from './statistics';
+
+export type HistoryMetricKey =
+  | 'avg_ttft_ms'
+  | 'avg_tokens_per_second'
+  | 'success_rate'
+  | 'avg_quality_score'
+  | 'cost_per_1k_tokens';
+
+export interface HistoryMetric {
+  key: HistoryMetricKey;
+  label: string;
+  axisLabel: string;
+  // Converts the stored value into the unit that is plotted
+  toDisplay: (value: number) => number;
+  format: (value: number) => string;
+}
+
+export const HISTORY_METRICS: HistoryMetric[] = [
+  {
+    key: 'avg_ttft_ms',
+    label: 'TTFT',
+    axisLabel: 'Time (ms)',
+    toDisplay: value => value,
+    format: formatDuration,
+  },
+  {
+    key: 'avg_tokens_per_second',
+    label: 'Throughput',
+    axisLabel: 'Tokens/sec',
+    toDisplay: value => value,
+    format: value => `${value.toFixed(1)} tok/s`,
+  },
+  {
+    key: 'success_rate',
+    label: 'Success Rate',
+    axisLabel: 'Success Rate (%)',
+    toDisplay: value => value,
+    format: formatPercentage,
+  },
+  {
+    key: 'avg_quality_score',
+    label: 'Quality',
+    axisLabel: 'Quality (%)',
+    toDisplay: value => value * 100,
+    format: formatPercentage,
+  },
+  {
+    key: 'cost_per_1k_tokens',
+    label: 'Cost/1K',
+    axisLabel: 'Cost ($/1K tokens)',
+    // Same scaling as the Cost/1K column of the model comparison table
+    toDisplay: value => value * 1000,
+    format: value => `$${value.toFixed(3)}`,
+  },
+];
+
+export interface ModelSeries {
+  key: string;
+  provider: string;
+  model: string;
+}
+
+export interface TimeSeriesPoint {
+  timestamp: number;
+  run_id: string;
+  run_name: string;
+  // One value per model series, keyed by modelKey(); missing when the model was not in the run
+  [series: string]: number | string | null;
+}
+
+export function runTimestamp(run: BenchmarkRun): number {
+  return new Date(run.timestamp).getTime();
+}
+
+/**
+ * Lists every provider/model that appears in the history, sorted by name.
+ */
+export function listModelSeries(performance: ModelPerformance[]): ModelSeries[] {
+  const series = new Map<string, ModelSeries>();
+  performance.forEach(perf => {
+    const key = modelKey(perf.provider, perf.model);
+    if (!series.has(key)) {
+      series.set(key, { key, provider: perf.provider, model: perf.model });
+    }
+  });
+  return Array.from(series.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Builds one point per benchmark run, oldest first, holding the metric value
+ * of every model that took part in that run. With `logScale` non-positive
+ * values are dropped since they cannot be plotted on a log axis.
+ */
+export function buildTimeSeries(
+  runs: BenchmarkRun[],
+  performance: ModelPerformance[],
+  metric: HistoryMetric,
+  logScale = false
+): TimeSeriesPoint[] {
+  const byRun = new Map<string, ModelPerformance[]>();
+  performance.forEach(perf => {
+    if (!byRun.has(perf.run_id)) byRun.set(perf.run_id, []);
+    byRun.get(perf.run_id)!.push(perf);
+  });
+
+  return [...runs]
+    .sort((a, b) => runTimestamp(a) - runTimestamp(b))
+    .filter(run => byRun.has(run.run_id))
+    .map(run => {
+      const point: TimeSeriesPoint = {
+        timestamp: runTimestamp(run),
+        run_id: run.run_id,
+        run_name: run.name || run.run_id,
+      };
+
+      byRun.get(run.run_id)!.forEach(perf => {
+        const raw = perf[metric.key];
+        if (typeof raw !== 'number' || !Number.isFinite(raw)) return;
+        const value = metric.toDisplay(raw);
+        if (logScale && value <= 0) return;
+        point[modelKey(perf.provider, perf.model)] = value;
+      });
+
+      return point;
+    });
+}